@@ -0,0 +1,251 @@
+'use server';
+
+/**
+ * Server Actions for State Contract Analysis
+ * Fetches and analyzes recent large contracts performed in the jurisdiction
+ * (JURISDICTION, or the states passed in)
+ */
+
+import { usaspending, buildAwardFilters, dateRangeFromDays } from '../lib/usaspending-client';
+import { searchStateAwards, getAggregates } from '../lib/award-warehouse';
+import { attachModificationHistory } from '../lib/award-modifications';
+import { classifyCompetition } from '../lib/award-competition';
+import { getJurisdiction } from '../lib/jurisdiction';
+
+/**
+ * Get recent large contracts with place of performance in the jurisdiction
+ */
+export async function getRecentContracts(options = {}) {
+  const {
+    states = null, // Defaults to the configured jurisdiction
+    minAmount = 100000, // $100K minimum
+    limit = 50,
+    page = 1,
+  } = options;
+  const jurisdiction = getJurisdiction(states);
+
+  // Get contracts from past 2 years
+  const { startDate, endDate } = dateRangeFromDays(730);
+
+  try {
+    const data = await searchStateAwards(jurisdiction.states, { startDate, endDate, minAmount, page, limit });
+
+    // Pull modification history for the largest awards so overruns are visible
+    const results = await attachModificationHistory(data.results);
+
+    // Analyze each contract for risk factors
+    const analyzedResults = results.map(contract => analyzeContractRisk(contract, results));
+
+    return {
+      success: true,
+      jurisdiction,
+      results: analyzedResults,
+      totalResults: data.total,
+      page: data.page,
+      dateRange: { startDate, endDate },
+      dataSource: { source: data.source, syncedAt: data.syncedAt, stale: data.stale },
+    };
+  } catch (error) {
+    console.error('State contracts fetch error:', error);
+    const errorMessage = error.code === 'TIMEOUT'
+      ? 'Request timed out - USASpending API may be slow'
+      : error.message;
+    return {
+      success: false,
+      error: errorMessage,
+      results: [],
+    };
+  }
+}
+
+/**
+ * Analyze a single contract for fraud risk indicators
+ */
+function analyzeContractRisk(contract, allContracts) {
+  const riskFactors = [];
+  let riskScore = 0;
+
+  const amount = parseFloat(contract['Award Amount']) || 0;
+  const recipientName = contract['Recipient Name'] || '';
+
+  // 1. Very large contract (>$10M)
+  if (amount > 10000000) {
+    riskFactors.push({
+      type: 'VERY_LARGE_AWARD',
+      severity: 'medium',
+      description: 'Award exceeds $10M - warrants additional scrutiny',
+    });
+    riskScore += 10;
+  }
+
+  // 2. Extremely large (>$100M)
+  if (amount > 100000000) {
+    riskFactors.push({
+      type: 'EXTREMELY_LARGE_AWARD',
+      severity: 'high',
+      description: 'Award exceeds $100M - high value target for investigation',
+    });
+    riskScore += 20;
+  }
+
+  // 3. Check for multiple awards to same recipient (potential favoritism)
+  const sameRecipientAwards = allContracts.filter(c =>
+    c['Recipient Name'] === recipientName
+  );
+  if (sameRecipientAwards.length >= 3) {
+    riskFactors.push({
+      type: 'MULTIPLE_AWARDS',
+      severity: 'low',
+      description: `${sameRecipientAwards.length} awards to same recipient in dataset`,
+    });
+    riskScore += 5;
+  }
+
+  // 4. Check description for high-risk categories
+  const description = (contract['Description'] || '').toLowerCase();
+  const highRiskKeywords = [
+    'sole source', 'emergency', 'urgent', 'no bid',
+    'consulting', 'advisory', 'professional services',
+    'it services', 'software', 'support services'
+  ];
+
+  const matchedKeywords = highRiskKeywords.filter(kw => description.includes(kw));
+  if (matchedKeywords.length > 0) {
+    riskFactors.push({
+      type: 'HIGH_RISK_CATEGORY',
+      severity: 'low',
+      description: `Contract type often associated with fraud: ${matchedKeywords.join(', ')}`,
+    });
+    riskScore += 5 * matchedKeywords.length;
+  }
+
+  // 5. Defense-related (higher fraud rates historically)
+  const agency = (contract['Awarding Agency'] || '').toLowerCase();
+  if (agency.includes('defense') || agency.includes('army') || agency.includes('navy') || agency.includes('air force')) {
+    riskFactors.push({
+      type: 'DEFENSE_CONTRACT',
+      severity: 'low',
+      description: 'Defense contracts have historically higher fraud rates',
+    });
+    riskScore += 5;
+  }
+
+  // 6. Healthcare-related
+  if (agency.includes('health') || description.includes('health') || description.includes('medical')) {
+    riskFactors.push({
+      type: 'HEALTHCARE_CONTRACT',
+      severity: 'medium',
+      description: 'Healthcare contracts subject to FCA enforcement',
+    });
+    riskScore += 10;
+  }
+
+  // 7. Modification history (ballooning ceiling, repeated extensions, late mods)
+  (contract.modificationAnalysis?.riskFactors || []).forEach(factor => {
+    riskFactors.push(factor);
+    riskScore += factor.severity === 'high' ? 20 : 10;
+  });
+
+  // 8. Competition (FPDS extent competed / offers received)
+  const competition = classifyCompetition(contract.competition);
+  if (competition?.soleSource) {
+    riskFactors.push({
+      type: 'NOT_COMPETED',
+      severity: 'medium',
+      description: `Awarded without competition: ${contract.competition.extentCompetedDescription || contract.competition.extentCompeted}`,
+    });
+    riskScore += 10;
+  } else if (competition?.singleOffer) {
+    riskFactors.push({
+      type: 'SINGLE_OFFER',
+      severity: 'medium',
+      description: 'Competed award that received only one offer',
+    });
+    riskScore += 10;
+  }
+
+  // Calculate risk level
+  const riskLevel = riskScore >= 30 ? 'High' : riskScore >= 15 ? 'Medium' : 'Low';
+
+  return {
+    ...contract,
+    riskAnalysis: {
+      riskScore: Math.min(riskScore, 100),
+      riskLevel,
+      factors: riskFactors,
+    },
+  };
+}
+
+/**
+ * Get contracts by specific agency in the jurisdiction
+ */
+export async function getContractsByAgency(agencyName, options = {}) {
+  const { states = null, limit = 25 } = options;
+
+  const { startDate, endDate } = dateRangeFromDays(365);
+
+  try {
+    const data = await usaspending.searchAwards({
+      filters: buildAwardFilters({ startDate, endDate, states: getJurisdiction(states).states, awardingAgency: agencyName }),
+      limit,
+    });
+    return {
+      success: true,
+      results: data.results,
+      agency: agencyName,
+    };
+  } catch (error) {
+    return { success: false, error: error.message, results: [] };
+  }
+}
+
+/**
+ * Get summary statistics for the jurisdiction's contracts
+ *
+ * Totals and top agencies/recipients come from the warehouse aggregates over the
+ * last 2 years of the synced states; states that haven't been synced are listed in
+ * unsyncedStates and make the stats partial. The risk distribution covers the top
+ * 100 awards by amount (searched live for unsynced states).
+ */
+export async function getContractStats(options = {}) {
+  const { states = null, minAmount = 100000 } = options;
+  const jurisdiction = getJurisdiction(states);
+  const { startDate, endDate } = dateRangeFromDays(730);
+
+  try {
+    const data = await searchStateAwards(jurisdiction.states, { startDate, endDate, minAmount, limit: 100 });
+    const aggregates = await getAggregates({ states: jurisdiction.states, minAmount, startDate, endDate });
+
+    // Risk distribution
+    const riskDistribution = { High: 0, Medium: 0, Low: 0 };
+    data.results.forEach(c => {
+      riskDistribution[analyzeContractRisk(c, data.results).riskAnalysis.riskLevel]++;
+    });
+
+    const top = (entries) => entries
+      .map(({ name, awardCount, totalAwarded }) => ({ name, count: awardCount, total: totalAwarded }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, 10);
+
+    return {
+      success: true,
+      jurisdiction,
+      stats: {
+        totalContracts: aggregates.awardCount,
+        totalValue: aggregates.totalAwarded,
+        avgValue: aggregates.awardCount > 0 ? aggregates.totalAwarded / aggregates.awardCount : 0,
+        topAgencies: top(aggregates.agencies),
+        topRecipients: top(aggregates.recipients),
+        riskDistribution,
+      },
+      // Totals leave out states without a warehouse sync (run the award sync for them)
+      partial: aggregates.partial,
+      unsyncedStates: aggregates.unsyncedStates,
+      dataSource: { source: data.source, syncedAt: data.syncedAt, stale: data.stale },
+    };
+  } catch (error) {
+    console.error('Contract stats error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,20 @@
+'use server';
+
+/**
+ * Server Actions for the Jurisdiction Setting
+ * Lets client pages read the configured state(s) (JURISDICTION) and the state list
+ */
+
+import { getJurisdiction, listStates } from '../lib/jurisdiction';
+
+/**
+ * Resolve a jurisdiction for a page: the given states (e.g. a URL slug) or the configured default
+ */
+export async function getJurisdictionSettings(states = null) {
+  return {
+    success: true,
+    jurisdiction: getJurisdiction(states),
+    defaultJurisdiction: getJurisdiction(),
+    states: listStates(),
+  };
+}
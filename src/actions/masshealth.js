@@ -5,13 +5,33 @@
  * Checks Massachusetts Medicaid exclusions and provider status
  */
 
+import { promises as fs } from 'fs';
+import { STATE_EXCLUSIONS_PATH } from '../lib/state-exclusions';
+
+/**
+ * Helper: collection details of the local MassHealth list, or null if not collected
+ */
+async function getLocalListStatus() {
+  try {
+    const data = JSON.parse(await fs.readFile(STATE_EXCLUSIONS_PATH, 'utf-8'));
+    return data.lists?.MA || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Get MassHealth exclusions search info
- * The actual list is a PDF/document updated monthly by Mass.gov
+ * The actual list is a PDF/document updated monthly by Mass.gov; once collected with
+ * src/ml/data/collect-state-exclusions.js it is searched by the exclusion check
  */
 export async function getMassHealthExclusionsInfo() {
+  const localList = await getLocalListStatus();
+
   return {
     success: true,
+    localList,
+    searchable: !!localList,
     dataSource: 'Massachusetts Executive Office of Health and Human Services',
     exclusionsListUrl: 'https://www.mass.gov/info-details/learn-about-suspended-or-excluded-masshealth-providers',
     downloadUrl: 'https://www.mass.gov/doc/list-of-suspended-or-excluded-masshealth-providers',
@@ -23,7 +43,11 @@ export async function getMassHealthExclusionsInfo() {
       'Criminal Conviction (healthcare-related)',
       'Debarment (disciplinary action)',
     ],
-    instructions: [
+    instructions: localList ? [
+      `1. Local list collected ${localList.collectedAt.split('T')[0]} (${localList.recordCount} records) is searched by the Exclusion Check`,
+      '2. Download newer lists into src/ml/data/downloads/state-exclusions/MA/',
+      '3. Run node src/ml/data/collect-state-exclusions.js to refresh',
+    ] : [
       '1. Download the current exclusions list from Mass.gov',
       '2. Search for the provider name or NPI',
       '3. Check exclusion reason and effective date',
@@ -5,95 +5,164 @@
  * Analyzes pharmaceutical/device company payments to physicians
  */
 
-const OPEN_PAYMENTS_BASE = 'https://openpaymentsdata.cms.gov/api/1/datastore/query';
+import {
+  searchRecipientPayments,
+  findRecipientsByName,
+  buildPaymentHistory,
+  computePaymentTrend,
+  summarizeOwnership,
+  matchOwnershipToBilling,
+} from '../lib/open-payments';
+import { fetchProviderServices, fetchPartBDrugProducts } from '../lib/cms-utilization';
+
+const OPEN_PAYMENTS_SEARCH_URL = 'https://openpaymentsdata.cms.gov/search/physicians/by-name-and-location';
+
+/**
+ * Helper: Open Payments page for a recipient, or the name search
+ */
+function manualSearchUrl({ profileId = null, firstName = '', lastName = '', state = null } = {}) {
+  if (profileId) return `https://openpaymentsdata.cms.gov/physician/${profileId}`;
+  return `${OPEN_PAYMENTS_SEARCH_URL}?firstname=${firstName}&lastname=${lastName}${state ? `&state=${state}` : ''}`;
+}
 
 /**
- * Search Open Payments by physician name
- * Uses the CMS Open Payments public API
+ * Helper: research payments by company, largest first
+ */
+function summarizeResearch(payments) {
+  const byCompany = {};
+  payments.forEach(payment => {
+    if (!byCompany[payment.company]) {
+      byCompany[payment.company] = { company: payment.company, count: 0, total: 0, studies: new Set(), products: new Set() };
+    }
+    const entry = byCompany[payment.company];
+    entry.count++;
+    entry.total += payment.amount;
+    if (payment.nature) entry.studies.add(payment.nature);
+    payment.products.forEach(product => entry.products.add(product));
+  });
+  return {
+    count: payments.length,
+    total: payments.reduce((sum, p) => sum + p.amount, 0),
+    companies: Object.values(byCompany)
+      .map(entry => ({ ...entry, studies: [...entry.studies], products: [...entry.products] }))
+      .sort((a, b) => b.total - a.total),
+  };
+}
+
+/**
+ * Helper: ownership interests matched to the physician's Medicare service lines
+ * services are the physician's service rows when the caller already has them (fetched by NPI otherwise).
+ * Returns { interests, checked, error? }; interests keep empty billedProducts when billing can't be checked
+ */
+async function checkOwnershipBilling(interests, npi, services = null) {
+  const unchecked = interests.map(interest => ({ ...interest, billedProducts: [] }));
+  if (interests.length === 0) return { interests: unchecked, checked: false };
+  if (!services && !npi) return { interests: unchecked, checked: false, error: 'No NPI to look up Medicare billing' };
+
+  try {
+    if (!services) services = await fetchProviderServices(npi);
+    const drugCodes = services.filter(row => row.HCPCS_Drug_Ind === 'Y').map(row => row.HCPCS_Cd);
+    let drugProducts = new Map();
+    try {
+      drugProducts = await fetchPartBDrugProducts(drugCodes);
+    } catch (error) {
+      // Product names on the company's payments can still match without manufacturer data
+      console.error('Part B drug manufacturers unavailable:', error.message);
+    }
+    return { interests: matchOwnershipToBilling(interests, services, drugProducts), checked: true };
+  } catch (error) {
+    return { interests: unchecked, checked: false, error: `Medicare billing unavailable: ${error.message}` };
+  }
+}
+
+/**
+ * Search Open Payments for a physician across all program years
+ *
+ * Matches on NPI or Open Payments profile ID (options.npi / options.profileId).
+ * Given only a name, the name is first resolved to a recipient in the newest
+ * program year; when several physicians share it, they're returned as candidates
+ * instead of merging their payments. summary and paymentsByCompany describe the
+ * latest program year with general payments; history, research and ownership
+ * cover every year searched.
  */
 export async function searchPhysicianPayments(physicianName, options = {}) {
   const {
     state = null,
-    limit = 100,
+    years = null,
   } = options;
+  let { npi = null, profileId = null } = options;
 
   // Parse name into first/last
-  const nameParts = physicianName.trim().split(/\s+/);
-  const lastName = nameParts.length > 1 ? nameParts[nameParts.length - 1] : nameParts[0];
+  const nameParts = (physicianName || '').trim().split(/\s+/).filter(Boolean);
+  const lastName = nameParts.length > 1 ? nameParts[nameParts.length - 1] : nameParts[0] || '';
   const firstName = nameParts.length > 1 ? nameParts[0] : '';
-
-  // Build query for general payments dataset
-  // Dataset ID for 2023 general payments
-  const datasetId = '60847f33-b34a-5c31-9b28-44dc57e1d3d5';
-
-  const queryParams = new URLSearchParams({
-    'conditions[0][property]': 'covered_recipient_last_name',
-    'conditions[0][value]': lastName.toUpperCase(),
-    'conditions[0][operator]': '=',
-    limit: limit.toString(),
-  });
-
-  if (firstName) {
-    queryParams.append('conditions[1][property]', 'covered_recipient_first_name');
-    queryParams.append('conditions[1][value]', firstName.toUpperCase());
-    queryParams.append('conditions[1][operator]', 'STARTS_WITH');
-  }
-
-  if (state) {
-    queryParams.append('conditions[2][property]', 'recipient_state');
-    queryParams.append('conditions[2][value]', state.toUpperCase());
-    queryParams.append('conditions[2][operator]', '=');
-  }
+  const physician = { searchName: physicianName, state, npi, profileId };
 
   try {
-    const response = await fetch(
-      `${OPEN_PAYMENTS_BASE}/${datasetId}?${queryParams.toString()}`,
-      {
-        method: 'GET',
-        headers: { 'Accept': 'application/json' },
+    if (!npi && !profileId) {
+      if (!lastName) {
+        return { success: false, error: 'A physician name, NPI or profile ID is required' };
       }
-    );
-
-    if (!response.ok) {
-      // Fallback: provide manual search URL
-      return {
-        success: true,
-        results: [],
-        manualSearchUrl: `https://openpaymentsdata.cms.gov/search/physicians/by-name-and-location?firstname=${firstName}&lastname=${lastName}${state ? `&state=${state}` : ''}`,
-        message: 'Use manual search URL for detailed results',
-      };
+      const candidates = await findRecipientsByName(firstName, lastName, { state });
+      if (candidates.length === 0) {
+        return {
+          success: true,
+          physician,
+          results: [],
+          manualSearchUrl: manualSearchUrl({ firstName, lastName, state }),
+          message: 'Use manual search URL for detailed results',
+        };
+      }
+      if (candidates.length > 1) {
+        return {
+          success: true,
+          physician,
+          candidates,
+          results: [],
+          manualSearchUrl: manualSearchUrl({ firstName, lastName, state }),
+          message: `${candidates.length} physicians match "${physicianName}"; choose one to search by profile ID`,
+        };
+      }
+      profileId = candidates[0].profileId;
+      npi = candidates[0].npi || null;
+      physician.npi = npi;
     }
 
-    const data = await response.json();
-    const results = data.results || [];
+    const recipient = await searchRecipientPayments({ npi, profileId }, { years });
+    const history = buildPaymentHistory(recipient.payments);
+    const general = recipient.payments.filter(p => p.type === 'general');
+    const programYear = general.length > 0 ? Math.max(...general.map(p => p.year)) : null;
+    const results = general.filter(p => p.year === programYear);
 
-    // Aggregate payments by company
+    // Aggregate the latest year's payments by company
     const paymentsByCompany = {};
     let totalPayments = 0;
 
     results.forEach(payment => {
-      const company = payment.applicable_manufacturer_or_applicable_gpo_making_payment_name || 'Unknown';
-      const amount = parseFloat(payment.total_amount_of_payment_usdollars) || 0;
-
-      if (!paymentsByCompany[company]) {
-        paymentsByCompany[company] = { count: 0, total: 0, payments: [] };
+      if (!paymentsByCompany[payment.company]) {
+        paymentsByCompany[payment.company] = { count: 0, total: 0, payments: [] };
       }
-      paymentsByCompany[company].count++;
-      paymentsByCompany[company].total += amount;
-      paymentsByCompany[company].payments.push({
-        amount,
-        nature: payment.nature_of_payment_or_transfer_of_value,
-        date: payment.date_of_payment,
+      paymentsByCompany[payment.company].count++;
+      paymentsByCompany[payment.company].total += payment.amount;
+      paymentsByCompany[payment.company].payments.push({
+        amount: payment.amount,
+        nature: payment.nature,
+        date: payment.date,
       });
-      totalPayments += amount;
+      totalPayments += payment.amount;
     });
 
+    const found = recipient.payments[0];
     return {
       success: true,
       physician: {
-        searchName: physicianName,
-        state,
+        ...physician,
+        npi: recipient.npi,
+        profileId: recipient.profileId,
+        name: found ? found.name : null,
+        specialty: found ? found.specialty : null,
       },
+      programYear,
       summary: {
         totalPayments,
         paymentCount: results.length,
@@ -103,22 +172,31 @@ export async function searchPhysicianPayments(physicianName, options = {}) {
         .map(([company, data]) => ({ company, ...data }))
         .sort((a, b) => b.total - a.total)
         .slice(0, 20),
+      history,
+      trend: computePaymentTrend(history),
+      datasetsSearched: recipient.datasetsSearched,
+      datasetErrors: recipient.errors,
+      research: summarizeResearch(recipient.payments.filter(p => p.type === 'research')),
+      ownership: summarizeOwnership(recipient.payments),
       results: results.slice(0, 50),
+      manualSearchUrl: manualSearchUrl({ profileId: recipient.profileId, firstName, lastName, state }),
     };
   } catch (error) {
     return {
       success: false,
       error: error.message,
-      manualSearchUrl: `https://openpaymentsdata.cms.gov/search/physicians/by-name-and-location?firstname=${firstName}&lastname=${lastName}`,
+      manualSearchUrl: manualSearchUrl({ profileId, firstName, lastName }),
     };
   }
 }
 
 /**
  * Analyze physician for potential kickback red flags
+ * options: { npi, profileId, years } as for searchPhysicianPayments, plus services:
+ * the physician's Medicare service rows when already fetched (for the ownership check)
  */
-export async function analyzePhysicianPayments(physicianName, state = null) {
-  const paymentData = await searchPhysicianPayments(physicianName, { state });
+export async function analyzePhysicianPayments(physicianName, state = null, options = {}) {
+  const paymentData = await searchPhysicianPayments(physicianName, { ...options, state });
 
   if (!paymentData.success) {
     return paymentData;
@@ -127,9 +205,13 @@ export async function analyzePhysicianPayments(physicianName, state = null) {
   const riskFactors = [];
   const summary = paymentData.summary || { totalPayments: 0, paymentCount: 0, uniqueCompanies: 0 };
   const paymentsByCompany = paymentData.paymentsByCompany || [];
+  const history = paymentData.history || [];
+  const trend = paymentData.trend || null;
 
-  // No payments found
-  if (summary.totalPayments === 0) {
+  const research = paymentData.research || { count: 0, total: 0, companies: [] };
+
+  // No payments found (or the name needs narrowing to one physician)
+  if (summary.totalPayments === 0 && research.count === 0 && !paymentData.ownership?.length) {
     return {
       success: true,
       physician: paymentData.physician || { searchName: physicianName, state },
@@ -140,8 +222,13 @@ export async function analyzePhysicianPayments(physicianName, state = null) {
         factors: [],
       },
       topPayingCompanies: [],
-      manualVerificationUrl: paymentData.manualSearchUrl || 'https://openpaymentsdata.cms.gov/search/physicians/by-name-and-location',
-      message: 'No payments found in Open Payments database. Try the manual search link for more options.',
+      history,
+      trend,
+      research,
+      ownership: [],
+      candidates: paymentData.candidates,
+      manualVerificationUrl: paymentData.manualSearchUrl || OPEN_PAYMENTS_SEARCH_URL,
+      message: paymentData.message || 'No payments found in Open Payments database. Try the manual search link for more options.',
     };
   }
 
@@ -150,7 +237,7 @@ export async function analyzePhysicianPayments(physicianName, state = null) {
     riskFactors.push({
       type: 'HIGH_PAYMENT_VOLUME',
       severity: summary.totalPayments > 100000 ? 'high' : 'medium',
-      description: `Total payments: $${summary.totalPayments.toLocaleString()}`,
+      description: `Total payments in ${paymentData.programYear}: $${summary.totalPayments.toLocaleString()}`,
       details: 'High payment volumes may indicate consulting arrangements that could influence prescribing',
     });
   }
@@ -174,7 +261,7 @@ export async function analyzePhysicianPayments(physicianName, state = null) {
   const highValuePaymentTypes = ['Consulting Fee', 'Compensation for services', 'Speaking'];
   const speakingPayments = paymentData.results?.filter(p =>
     highValuePaymentTypes.some(t =>
-      (p.nature_of_payment_or_transfer_of_value || '').toLowerCase().includes(t.toLowerCase())
+      (p.nature || '').toLowerCase().includes(t.toLowerCase())
     )
   ) || [];
 
@@ -187,6 +274,40 @@ export async function analyzePhysicianPayments(physicianName, state = null) {
     });
   }
 
+  // Red flag: Sudden year-over-year increase in payments
+  if (trend?.isSpike) {
+    riskFactors.push({
+      type: 'PAYMENT_SPIKE',
+      severity: trend.severity,
+      description: trend.reason,
+      details: 'A sudden jump in industry payments can coincide with new speaker programs or referral arrangements',
+    });
+  }
+
+  // Red flag: Ownership interests, above all in companies whose products the physician bills Medicare for
+  const ownership = await checkOwnershipBilling(paymentData.ownership || [], paymentData.physician?.npi, options.services || null);
+  ownership.interests.filter(i => i.billedProducts.length > 0).forEach(interest => {
+    const billed = interest.billedProducts;
+    riskFactors.push({
+      type: 'OWNERSHIP_BILLED_PRODUCTS',
+      severity: 'high',
+      description: `Ownership interest in ${interest.company} (${interest.year}); bills Medicare for its products: ${billed.slice(0, 3).map(b => `${b.code} ${b.product}`).join(', ')}${billed.length > 3 ? ` and ${billed.length - 3} more` : ''}`,
+      details: 'Owning part of a manufacturer whose products the physician orders and bills for is a Stark Law/Anti-Kickback Statute concern',
+    });
+  });
+
+  const otherInterests = ownership.interests.filter(i => i.billedProducts.length === 0);
+  if (otherInterests.length > 0) {
+    riskFactors.push({
+      type: 'OWNERSHIP_INTEREST',
+      severity: 'medium',
+      description: `Ownership/investment interest in ${otherInterests.map(i => i.company).join(', ')}`,
+      details: ownership.checked
+        ? 'No Medicare billing for these companies\' products was found, but ownership in manufacturers/GPOs can still influence referrals'
+        : 'Ownership in manufacturers/GPOs can influence referrals; Medicare billing for their products could not be checked',
+    });
+  }
+
   // Calculate risk score
   const riskScore = riskFactors.reduce((score, rf) => {
     if (rf.severity === 'high') return score + 30;
@@ -197,6 +318,7 @@ export async function analyzePhysicianPayments(physicianName, state = null) {
   return {
     success: true,
     physician: paymentData.physician || { searchName: physicianName, state },
+    programYear: paymentData.programYear,
     summary,
     riskAnalysis: {
       riskScore: Math.min(riskScore, 100),
@@ -204,7 +326,14 @@ export async function analyzePhysicianPayments(physicianName, state = null) {
       factors: riskFactors,
     },
     topPayingCompanies: paymentsByCompany.slice(0, 10),
-    manualVerificationUrl: `https://openpaymentsdata.cms.gov/search/physicians/by-name-and-location`,
+    history,
+    trend,
+    research,
+    ownership: ownership.interests,
+    ownershipBillingChecked: ownership.checked,
+    ownershipBillingError: ownership.error,
+    datasetErrors: paymentData.datasetErrors,
+    manualVerificationUrl: paymentData.manualSearchUrl || OPEN_PAYMENTS_SEARCH_URL,
   };
 }
 
@@ -5,78 +5,153 @@
  * Checks contractor debarment/suspension status
  */
 
-// SAM.gov public API for exclusions
-const SAM_EXCLUSIONS_URL = 'https://api.sam.gov/entity-information/v3/exclusions';
+import { findExclusions } from '../lib/sam-exclusions';
+import { toEntity, entityFromSAM, scoreMatch } from '../lib/entity-resolution';
+import { getJurisdiction } from '../lib/jurisdiction';
 
 /**
- * Search SAM.gov exclusions by entity name
- * Note: Full API access requires API key registration at SAM.gov
- * This uses the public search endpoint
+ * Helper: SAM.gov exclusions search URL for manual verification
  */
-export async function searchExclusions(entityName) {
-  // For now, we'll provide a structured response indicating
-  // the search parameters and how to verify manually
-  // Full API integration requires SAM.gov API key
+function samVerificationUrl(entityName) {
+  return `https://sam.gov/search/?keywords=${encodeURIComponent(entityName || '')}&index=ei&sort=-relevance&page=1&pageSize=25&sfm%5Bstatus%5D%5Bis_active%5D=true`;
+}
 
-  return {
-    success: true,
-    searchTerm: entityName,
-    message: 'SAM.gov exclusion search initiated',
-    manualVerificationUrl: `https://sam.gov/search/?keywords=${encodeURIComponent(entityName)}&sort=-relevance&page=1&sfmData=exclusions`,
-    note: 'For automated exclusion checks, register for SAM.gov API key at api.sam.gov',
-    // Placeholder for when API key is configured
-    exclusions: [],
-  };
+/**
+ * Helper: readable label for where exclusion data came from
+ */
+function describeSource(result) {
+  if (result.source === 'api') return 'SAM.gov Exclusions API';
+  if (result.source === 'extract') return 'SAM.gov exclusions extract (offline)';
+  return null;
 }
 
 /**
- * Check if an entity appears to be on exclusion list
- * This is a mock implementation - real implementation requires SAM.gov API key
+ * Search SAM.gov exclusions by entity name, UEI or CAGE code
+ * Uses the live API when SAM_API_KEY is set, otherwise the local extract;
+ * offline: true always uses the extract
  */
-export async function checkExclusionStatus(entityName, uei = null) {
-  // In production, this would call the SAM.gov API with proper authentication
-  // For demonstration, return the search capability info
+export async function searchExclusions(entityName, options = {}) {
+  const { uei = null, cage = null, offline = false } = options;
+
+  try {
+    const result = await findExclusions({ name: entityName, uei, cage }, { offline });
+
+    return {
+      success: true,
+      searchTerm: entityName,
+      source: result.source,
+      dataSource: describeSource(result),
+      exclusions: result.records,
+      totalRecords: result.totalRecords,
+      warning: result.error || null,
+      manualVerificationUrl: samVerificationUrl(entityName),
+      note: result.source
+        ? null
+        : 'Set SAM_API_KEY (register at api.sam.gov) or load a SAM exclusions extract for automated checks',
+    };
+  } catch (error) {
+    console.error('SAM exclusion search error:', error);
+    return {
+      success: false,
+      error: error.message,
+      searchTerm: entityName,
+      exclusions: [],
+      manualVerificationUrl: samVerificationUrl(entityName),
+    };
+  }
+}
+
+/**
+ * Check if an entity is on the exclusion list
+ *
+ * status is EXCLUDED (active exclusion found), PREVIOUSLY_EXCLUDED (only terminated
+ * records), NOT_FOUND, or CHECK_REQUIRED when no data source is available.
+ */
+export async function checkExclusionStatus(entityName, uei = null, cage = null, options = {}) {
+  const { offline = false } = options;
+  const result = await searchExclusions(entityName, { uei, cage, offline });
+
+  // Name searches return loose hits; keep records that resolve to this entity
+  // (low-confidence hits are returned separately as possibleMatches)
+  const query = toEntity({ name: entityName, uei, cage, isEntity: true });
+  const scored = (result.exclusions || []).map(e => ({ ...e, match: scoreMatch(query, entityFromSAM(e)) }));
+  const exclusions = scored
+    .filter(e => e.match.isMatch)
+    .sort((a, b) => b.match.score - a.match.score);
+  const activeExclusions = exclusions.filter(e => e.isActive);
+
+  let status = 'CHECK_REQUIRED';
+  if (result.success && result.source) {
+    if (activeExclusions.length > 0) status = 'EXCLUDED';
+    else if (exclusions.length > 0) status = 'PREVIOUSLY_EXCLUDED';
+    else status = 'NOT_FOUND';
+  }
 
   return {
     success: true,
     entity: entityName,
-    uei: uei,
-    status: 'CHECK_REQUIRED',
-    verificationUrl: `https://sam.gov/search/?keywords=${encodeURIComponent(entityName)}&index=ei&sort=-relevance&page=1&pageSize=25&sfm%5Bstatus%5D%5Bis_active%5D=true&sfm%5BexclusionType%5D%5BisIndividual%5D=false`,
-    instructions: [
+    uei,
+    cage,
+    status,
+    source: result.source || null,
+    dataSource: result.dataSource || null,
+    exclusions,
+    possibleMatches: scored
+      .filter(e => !e.match.isMatch && e.match.confidence !== 'none')
+      .sort((a, b) => b.match.score - a.match.score),
+    activeCount: activeExclusions.length,
+    totalRecords: result.totalRecords || 0,
+    warning: result.warning || result.error || null,
+    verificationUrl: samVerificationUrl(entityName),
+    instructions: status === 'CHECK_REQUIRED' ? [
       '1. Click the verification URL to search SAM.gov',
       '2. Look for entity in Exclusions section',
       '3. Check Active Exclusions status',
       '4. Review exclusion type and dates if found',
-    ],
+    ] : null,
   };
 }
 
 /**
- * Known Massachusetts exclusions (sample data for demonstration)
- * In production, this would be fetched from SAM.gov API
+ * Active exclusions with an address in the jurisdiction
  */
-export async function getKnownMAExclusions() {
-  // Sample exclusion patterns based on public records
-  // Real implementation would pull from SAM.gov API
+export async function getKnownStateExclusions(states = null) {
+  try {
+    const jurisdiction = getJurisdiction(states);
+    const results = [];
+    for (const state of jurisdiction.states) {
+      results.push(await findExclusions({ state }));
+    }
+    const result = results.find(r => r.source) || results[0];
 
-  return {
-    success: true,
-    note: 'Sample data - integrate with SAM.gov API for live data',
-    exclusions: [
-      {
-        entityName: 'Sample Excluded Corp',
-        type: 'Contractor',
-        exclusionType: 'Debarment',
-        state: 'MA',
+    const exclusions = results
+      .flatMap(r => r.records)
+      .filter(r => r.isActive)
+      .map(r => ({
+        entityName: r.name,
+        type: r.classification,
+        exclusionType: r.exclusionType,
+        agency: r.agency?.name,
+        state: r.address?.state,
         status: 'Active',
-        sourceUrl: 'https://sam.gov/exclusions',
-      },
-    ],
-    totalCount: 1,
-    dataSource: 'SAM.gov Exclusions Database',
-    lastUpdated: new Date().toISOString(),
-  };
+        activeDate: r.activeDate,
+        terminationDate: r.terminationDate,
+        sourceUrl: samVerificationUrl(r.name),
+      }));
+
+    return {
+      success: true,
+      jurisdiction,
+      note: result.source ? null : 'No SAM.gov data source configured - set SAM_API_KEY or load an extract',
+      exclusions,
+      totalCount: exclusions.length,
+      dataSource: describeSource(result) || 'SAM.gov Exclusions Database',
+      warning: results.map(r => r.error).find(Boolean) || null,
+      lastUpdated: result.extractDate || new Date().toISOString(),
+    };
+  } catch (error) {
+    return { success: false, error: error.message, exclusions: [], totalCount: 0 };
+  }
 }
 
 /**
@@ -5,7 +5,17 @@
  * Searches federal contract and grant awards
  */
 
-const USASPENDING_BASE = 'https://api.usaspending.gov/api/v2';
+import { usaspending, buildAwardFilters } from '../lib/usaspending-client';
+import { pullRecipientAwards } from '../lib/usaspending-bulk';
+import { searchLocalExclusions } from '../lib/sam-exclusions';
+import { toEntity, entityFromSAM, scoreMatch } from '../lib/entity-resolution';
+import { lookupEntity, analyzeRegistrationRisk } from '../lib/sam-entities';
+import { resolveCorporateFamily } from '../lib/corporate-family';
+import { mapWithConcurrency } from '../lib/script-utils';
+
+// Family members pulled per rollup (largest first), and how many pulls run at once
+const ROLLUP_MAX_MEMBERS = 10;
+const ROLLUP_CONCURRENCY = 3;
 
 /**
  * Search for awards by recipient name
@@ -17,74 +27,28 @@ export async function searchContractorAwards(searchText, options = {}) {
     awardTypes = ['A', 'B', 'C', 'D'], // Contracts
     limit = 50,
     page = 1,
+    states = null, // Place of performance state code(s); null searches everywhere
   } = options;
 
-  const requestBody = {
-    filters: {
-      time_period: [{ start_date: startDate, end_date: endDate }],
-      award_type_codes: awardTypes,
-      recipient_search_text: [searchText],
-    },
-    fields: [
-      'Award ID',
-      'Recipient Name',
-      'Award Amount',
-      'Total Outlays',
-      'Description',
-      'Start Date',
-      'End Date',
-      'Awarding Agency',
-      'Awarding Sub Agency',
-      'Contract Award Type',
-      'recipient_id',
-      'generated_internal_id',
-    ],
-    page,
-    limit,
-    sort: 'Award Amount',
-    order: 'desc',
-  };
-
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-    const response = await fetch(`${USASPENDING_BASE}/search/spending_by_award/`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'FalseClaimsSuite/1.0',
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal,
-      cache: 'no-store',
+    const data = await usaspending.searchAwards({
+      filters: buildAwardFilters({ startDate, endDate, awardTypes, recipientText: searchText, states }),
+      page,
+      limit,
     });
 
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`USASpending API error: ${response.status}`);
-    }
-
-    const data = await response.json();
     return {
       success: true,
-      results: data.results || [],
-      page: data.page_metadata?.page || 1,
-      totalPages: Math.ceil((data.page_metadata?.total || 0) / limit),
-      totalResults: data.page_metadata?.total || 0,
+      results: data.results,
+      page: data.page,
+      totalPages: data.totalPages,
+      totalResults: data.total,
     };
   } catch (error) {
     console.error('USASpending search error:', error);
-    // Provide manual search URL as fallback
-    const manualSearchUrl = `https://www.usaspending.gov/search/?hash=a7f8b9c2e1d3f4a5b6c7d8e9f0a1b2c3&filters=${encodeURIComponent(JSON.stringify({
-      recipientName: searchText,
-      timePeriod: [{ start_date: startDate, end_date: endDate }],
-    }))}`;
     return {
       success: false,
-      error: error.name === 'AbortError' ? 'Request timed out' : `API unavailable: ${error.message}`,
+      error: error.code === 'TIMEOUT' ? 'Request timed out' : `API unavailable: ${error.message}`,
       results: [],
       manualSearchUrl: `https://www.usaspending.gov/search/?hash=&recipient=${encodeURIComponent(searchText)}`,
       message: 'API request failed. Try the manual search link.',
@@ -105,66 +69,22 @@ export async function searchAwardsByState(stateCode, options = {}) {
     recipientText = null,
   } = options;
 
-  const filters = {
-    time_period: [{ start_date: startDate, end_date: endDate }],
-    award_type_codes: awardTypes,
-    place_of_performance_locations: [{ country: 'USA', state: stateCode }],
-  };
-
-  if (recipientText) {
-    filters.recipient_search_text = [recipientText];
-  }
-
-  const requestBody = {
-    filters,
-    fields: [
-      'Award ID',
-      'Recipient Name',
-      'Award Amount',
-      'Description',
-      'Start Date',
-      'Awarding Agency',
-      'Place of Performance City',
-      'Place of Performance State Code',
-    ],
-    page,
-    limit,
-    sort: 'Award Amount',
-    order: 'desc',
-  };
-
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-    const response = await fetch(`${USASPENDING_BASE}/search/spending_by_award/`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'FalseClaimsSuite/1.0',
-      },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal,
-      cache: 'no-store',
+    const data = await usaspending.searchAwards({
+      filters: buildAwardFilters({ startDate, endDate, awardTypes, recipientText, states: stateCode }),
+      page,
+      limit,
     });
 
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`USASpending API error: ${response.status}`);
-    }
-
-    const data = await response.json();
     return {
       success: true,
-      results: data.results || [],
-      totalResults: data.page_metadata?.total || 0,
+      results: data.results,
+      totalResults: data.total,
     };
   } catch (error) {
     return {
       success: false,
-      error: error.name === 'AbortError' ? 'Request timed out' : `API unavailable: ${error.message}`,
+      error: error.code === 'TIMEOUT' ? 'Request timed out' : `API unavailable: ${error.message}`,
       results: [],
       manualSearchUrl: `https://www.usaspending.gov/search/?hash=&state=${stateCode}`,
     };
@@ -173,56 +93,169 @@ export async function searchAwardsByState(stateCode, options = {}) {
 
 /**
  * Get recipient (contractor) profile
+ * Merges the USASpending recipient with its SAM.gov entity registration
  */
 export async function getRecipientProfile(recipientId) {
   try {
-    const response = await fetch(`${USASPENDING_BASE}/recipient/${recipientId}/`, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Recipient API error: ${response.status}`);
-    }
+    const data = await usaspending.getRecipient(recipientId);
+    const samResult = data.uei ? await lookupEntity({ uei: data.uei }) : { entity: null, source: null };
+    const sam = samResult.entity;
+
+    const profile = {
+      recipientId,
+      name: sam?.legalBusinessName || data.name,
+      dbaName: sam?.dbaName || null,
+      alternateNames: data.alternate_names || [],
+      uei: data.uei || sam?.uei || null,
+      duns: data.duns || null,
+      cage: sam?.cage || null,
+      recipientLevel: data.recipient_level || null,
+      parent: data.parent_name || data.parent_uei
+        ? { name: data.parent_name || null, uei: data.parent_uei || null, recipientId: data.parent_id || null }
+        : null,
+      immediateOwner: sam?.immediateParent || null,
+      ultimateOwner: sam?.ultimateParent || null,
+      location: sam?.address || {
+        street: data.location?.address_line1 || null,
+        city: data.location?.city_name || null,
+        state: data.location?.state_code || null,
+        zip: data.location?.zip || null,
+        country: data.location?.country_code || null,
+      },
+      businessTypes: [...new Set([...(sam?.businessTypes || []), ...(sam?.sbaBusinessTypes || [])])],
+      usaspendingBusinessTypes: data.business_types || [],
+      registration: sam ? {
+        status: sam.registrationStatus,
+        registrationDate: sam.registrationDate,
+        activationDate: sam.activationDate,
+        expirationDate: sam.expirationDate,
+        entityStartDate: sam.entityStartDate,
+        purpose: sam.purpose,
+        entityStructure: sam.entityStructure,
+      } : null,
+      primaryNaics: sam?.primaryNaics || null,
+      naics: sam?.naics || [],
+      pointsOfContact: sam?.pointsOfContact || [],
+      totalTransactionAmount: data.total_transaction_amount ?? null,
+      totalTransactions: data.total_transactions ?? null,
+    };
 
-    const data = await response.json();
-    return { success: true, data };
+    return {
+      success: true,
+      data,
+      sam,
+      samSource: samResult.source,
+      samError: samResult.error || null,
+      profile,
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Analyze contractor for red flags
- * Returns risk indicators based on award patterns
+ * Fetch awards for risk analysis
+ * Full history walks every page; otherwise only the top 100 awards by amount
  */
-export async function analyzeContractorRisk(searchText) {
-  const result = await searchContractorAwards(searchText, {
-    startDate: '2019-01-01',
-    limit: 100,
-  });
+async function fetchAwardsForAnalysis(searchText, { fullHistory, maxAwards }) {
+  if (!fullHistory) {
+    const result = await searchContractorAwards(searchText, {
+      startDate: '2019-01-01',
+      limit: 100,
+    });
+    return { ...result, complete: result.totalResults <= result.results.length };
+  }
 
-  if (!result.success) {
+  try {
+    const { awards, complete } = await pullRecipientAwards(searchText, {
+      startDate: '2019-01-01',
+      maxAwards,
+    });
+    return { success: true, results: awards, complete };
+  } catch (error) {
+    console.error('USASpending full history pull error:', error);
     return {
       success: false,
-      error: result.error || 'API unavailable',
-      riskFactors: [],
-      summary: { totalAwards: 0, totalAwarded: 0, riskScore: 0, riskLevel: 'Unknown' },
-      manualSearchUrl: result.manualSearchUrl,
+      error: error.code === 'TIMEOUT' ? 'Request timed out' : `API unavailable: ${error.message}`,
+      results: [],
+      manualSearchUrl: `https://www.usaspending.gov/search/?hash=&recipient=${encodeURIComponent(searchText)}`,
     };
   }
+}
 
-  if (result.results.length === 0) {
-    return {
-      success: true,
-      error: null,
-      riskFactors: [],
-      summary: { totalAwards: 0, totalAwarded: 0, riskScore: 0, riskLevel: 'Low' },
-      message: 'No federal awards found for this contractor',
-    };
+/**
+ * Find SAM exclusions in the local extract matching a contractor's UEIs or name
+ * Offline only - returns [] when no extract has been collected. Each record carries
+ * its entity-resolution match ({ score, confidence, explanation }).
+ */
+async function findLocalExclusionMatches(searchText, awards) {
+  const matches = new Map();
+  const recipientNames = new Map();
+  awards.forEach(a => {
+    if (a['Recipient UEI'] && !recipientNames.has(a['Recipient UEI'])) {
+      recipientNames.set(a['Recipient UEI'], a['Recipient Name']);
+    }
+  });
+
+  const addMatch = (record, query) => {
+    const match = scoreMatch(query, entityFromSAM(record));
+    if (!match.isMatch) return;
+    const key = `${record.uei || ''}|${record.name}|${record.activeDate}`;
+    if (!matches.has(key) || matches.get(key).match.score < match.score) {
+      matches.set(key, { ...record, match });
+    }
+  };
+
+  try {
+    for (const [uei, name] of recipientNames) {
+      const result = await searchLocalExclusions({ uei });
+      const query = toEntity({ name, uei, isEntity: true });
+      (result?.records || []).forEach(record => addMatch(record, query));
+    }
+
+    const nameResult = await searchLocalExclusions({ name: searchText });
+    const query = toEntity({ name: searchText, isEntity: true });
+    (nameResult?.records || []).forEach(record => addMatch(record, query));
+  } catch (error) {
+    console.error('SAM exclusion lookup error:', error);
   }
 
-  const awards = result.results;
+  return [...matches.values()].sort((a, b) => b.match.score - a.match.score);
+}
+
+/**
+ * Check registration timing for the largest recipients (by UEI) in a set of awards
+ */
+async function findRegistrationRiskFactors(awards, maxEntities = 3) {
+  const totalsByUei = {};
+  awards.forEach(a => {
+    const uei = a['Recipient UEI'];
+    if (uei) totalsByUei[uei] = (totalsByUei[uei] || 0) + (parseFloat(a['Award Amount']) || 0);
+  });
+
+  const topUeis = Object.entries(totalsByUei)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxEntities)
+    .map(([uei]) => uei);
+
+  const factors = [];
+  for (const uei of topUeis) {
+    const { entity } = await lookupEntity({ uei });
+    analyzeRegistrationRisk(entity, awards.filter(a => a['Recipient UEI'] === uei)).forEach(factor => {
+      factors.push({ ...factor, description: `${entity.legalBusinessName || uei}: ${factor.description}` });
+    });
+  }
+  return factors;
+}
+
+/**
+ * Score a set of awards for red flags
+ * Returns { riskFactors, summary } with awards sorted by amount
+ */
+async function scoreAwards(searchText, results) {
+  const awards = [...results].sort(
+    (a, b) => (parseFloat(b['Award Amount']) || 0) - (parseFloat(a['Award Amount']) || 0)
+  );
   const riskFactors = [];
 
   // Calculate metrics
@@ -291,6 +324,32 @@ export async function analyzeContractorRisk(searchText) {
     });
   }
 
+  // Check recipient names and UEIs against the offline SAM exclusions extract
+  const exclusionMatches = await findLocalExclusionMatches(searchText, awards);
+  if (exclusionMatches.length > 0) {
+    const active = exclusionMatches.filter(e => e.isActive);
+    riskFactors.push({
+      type: active.length > 0 ? 'ACTIVE_SAM_EXCLUSION' : 'PRIOR_SAM_EXCLUSION',
+      severity: active.length > 0 ? 'high' : 'medium',
+      description: active.length > 0
+        ? `${active.length} active SAM.gov exclusion(s) match this contractor`
+        : `${exclusionMatches.length} terminated SAM.gov exclusion(s) match this contractor`,
+      details: exclusionMatches.map(e => ({
+        name: e.name,
+        uei: e.uei,
+        matchScore: e.match.score,
+        matchConfidence: e.match.confidence,
+        exclusionType: e.exclusionType,
+        agency: e.agency?.name,
+        activeDate: e.activeDate,
+        terminationDate: e.terminationDate,
+      })),
+    });
+  }
+
+  // Registration timing against SAM entity records (skipped without SAM_API_KEY)
+  riskFactors.push(...await findRegistrationRiskFactors(awards));
+
   // Calculate overall risk score
   const riskScore = riskFactors.reduce((score, rf) => {
     if (rf.severity === 'high') return score + 30;
@@ -299,7 +358,8 @@ export async function analyzeContractorRisk(searchText) {
   }, 0);
 
   return {
-    success: true,
+    awards,
+    riskFactors,
     summary: {
       totalAwards: awards.length,
       totalAwarded,
@@ -307,7 +367,119 @@ export async function analyzeContractorRisk(searchText) {
       riskScore: Math.min(riskScore, 100),
       riskLevel: riskScore >= 50 ? 'High' : riskScore >= 25 ? 'Medium' : 'Low',
     },
+  };
+}
+
+/**
+ * Roll a contractor up to its corporate family
+ *
+ * Pulls the top awards of the largest ROLLUP_MAX_MEMBERS family members by UEI
+ * (a few at a time; full histories belong to the bulk script), then scores the
+ * family's combined awards as a unit and each member individually.
+ */
+async function analyzeCorporateFamily(awards) {
+  const family = await resolveCorporateFamily(awards, { maxMembers: ROLLUP_MAX_MEMBERS });
+  if (!family) return null;
+
+  const pulls = await mapWithConcurrency(family.members, ROLLUP_CONCURRENCY, member =>
+    fetchAwardsForAnalysis(member.uei || member.name, { fullHistory: false })
+  );
+
+  const familyAwards = new Map();
+  const members = [];
+  let complete = !family.truncated;
+
+  for (const [i, member] of family.members.entries()) {
+    const result = pulls[i];
+    if (!result.success) {
+      members.push({ ...member, error: result.error, summary: null, riskFactors: [] });
+      complete = false;
+      continue;
+    }
+
+    // UEI searches can also match other recipients' text; keep only this member's awards
+    const memberAwards = member.uei
+      ? result.results.filter(a => a['Recipient UEI'] === member.uei)
+      : result.results;
+    memberAwards.forEach(a => familyAwards.set(a.generated_internal_id || a['Award ID'], a));
+    complete = complete && result.complete;
+
+    const scored = memberAwards.length > 0 ? await scoreAwards(member.name || member.uei, memberAwards) : null;
+    members.push({
+      ...member,
+      summary: scored?.summary || { totalAwards: 0, totalAwarded: 0, riskScore: 0, riskLevel: 'Low' },
+      riskFactors: scored?.riskFactors || [],
+    });
+  }
+
+  const combined = [...familyAwards.values()];
+  if (combined.length === 0) {
+    return { parent: family.parent, members, summary: null, riskFactors: [], complete };
+  }
+
+  const scored = await scoreAwards(family.parent.name || members[0].name, combined);
+  members.forEach(member => {
+    member.share = member.summary ? member.summary.totalAwarded / scored.summary.totalAwarded : 0;
+  });
+  members.sort((a, b) => (b.summary?.totalAwarded || 0) - (a.summary?.totalAwarded || 0));
+
+  return {
+    parent: family.parent,
+    members,
+    truncated: family.truncated,
+    summary: { ...scored.summary, memberCount: members.length, completeHistory: complete },
+    riskFactors: scored.riskFactors,
+  };
+}
+
+/**
+ * Analyze contractor for red flags
+ * Returns risk indicators based on award patterns
+ *
+ * Scores the top 100 awards by amount (one request) unless fullHistory: true, which
+ * pages through every award up to maxAwards; complete histories for large
+ * contractors belong to the bulk script (src/lib/usaspending-bulk.js).
+ *
+ * With rollup: true, also scores the contractor's corporate family (parent and
+ * subsidiaries) as a unit, with a per-subsidiary breakdown in `family`.
+ */
+export async function analyzeContractorRisk(searchText, options = {}) {
+  const {
+    fullHistory = false,
+    maxAwards = 10000, // Safety cap for very large contractors
+    rollup = false,
+  } = options;
+
+  const result = await fetchAwardsForAnalysis(searchText, { fullHistory, maxAwards });
+
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error || 'API unavailable',
+      riskFactors: [],
+      summary: { totalAwards: 0, totalAwarded: 0, riskScore: 0, riskLevel: 'Unknown' },
+      manualSearchUrl: result.manualSearchUrl,
+    };
+  }
+
+  if (result.results.length === 0) {
+    return {
+      success: true,
+      error: null,
+      riskFactors: [],
+      summary: { totalAwards: 0, totalAwarded: 0, riskScore: 0, riskLevel: 'Low' },
+      message: 'No federal awards found for this contractor',
+    };
+  }
+
+  const { awards, riskFactors, summary } = await scoreAwards(searchText, result.results);
+  const family = rollup ? await analyzeCorporateFamily(awards) : null;
+
+  return {
+    success: true,
+    summary: { ...summary, completeHistory: result.complete },
     riskFactors,
     awards: awards.slice(0, 10), // Return top 10 by amount
+    family,
   };
 }
@@ -0,0 +1,65 @@
+import {
+  createUSASpendingClient,
+  curlTransport,
+  dateRangeFromDays,
+} from '../../../lib/usaspending-client';
+import { searchStateAwards } from '../../../lib/award-warehouse';
+import { attachModificationHistory } from '../../../lib/award-modifications';
+import { loadContractModel, scoreContracts } from '../../../lib/contract-scoring';
+import { getJurisdiction } from '../../../lib/jurisdiction';
+
+// Use curl as a workaround for Node.js fetch issues
+const usaspending = createUSASpendingClient({ transport: curlTransport });
+
+/**
+ * Recent large contracts performed in a jurisdiction, scored with the ML model
+ * Body: { states, minAmount, limit, page }; states defaults to the configured jurisdiction
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { minAmount = 100000, limit = 50, page = 1 } = body;
+    const jurisdiction = getJurisdiction(body.states);
+
+    // Load trained ML model
+    const model = await loadContractModel();
+
+    // Get contracts from past 3 years (more recent data)
+    const { startDate, endDate } = dateRangeFromDays(1095);
+
+    // Served from the local warehouse when synced, otherwise searched live
+    const data = await searchStateAwards(jurisdiction.states, {
+      startDate,
+      endDate,
+      minAmount,
+      page,
+      limit,
+      client: usaspending,
+    });
+
+    // Pull modification history for the largest awards so overruns feed the features
+    const results = await attachModificationHistory(data.results, { client: usaspending });
+
+    // Score each contract against the recipient's other awards
+    const analyzedResults = scoreContracts(results, model);
+
+    return Response.json({
+      success: true,
+      jurisdiction,
+      results: analyzedResults,
+      totalResults: data.total,
+      page: data.page,
+      dateRange: { startDate, endDate },
+      dataSource: { source: data.source, syncedAt: data.syncedAt, stale: data.stale },
+      modelVersion: model?.version || 'default',
+      modelTrained: model?.trained || false,
+    });
+  } catch (error) {
+    console.error('Contracts API error:', error);
+    return Response.json({
+      success: false,
+      error: error.message,
+      results: [],
+    }, { status: 500 });
+  }
+}
@@ -1,32 +1,30 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import fs from 'fs/promises';
-import path from 'path';
+import { getLatestChanges } from '../../../../lib/leie-store';
+import { loadExclusionIndex, buildExclusionIndex, inStates } from '../../../../lib/exclusion-index';
+import { getJurisdiction, resolveStateFilter } from '../../../../lib/jurisdiction';
+import { getExclusionStatus, describeExclusionStatus } from '../../../../lib/exclusion-status';
+import { CMS_PROVIDER_DATASET, queryCMSDataset } from '../../../../lib/cms-utilization';
 
-const execAsync = promisify(exec);
-
-// Load MA exclusions
-let maExclusions = null;
-async function loadMAExclusions() {
-  if (maExclusions) return maExclusions;
+// Indexed nationwide exclusions (rebuilt when the export changes)
+async function loadExclusions() {
   try {
-    const data = await fs.readFile(
-      path.join(process.cwd(), 'src/ml/data/downloads/ma-exclusions.json'),
-      'utf-8'
-    );
-    maExclusions = JSON.parse(data);
-    return maExclusions;
+    return await loadExclusionIndex();
   } catch (error) {
-    return [];
+    return buildExclusionIndex([]);
   }
 }
 
 /**
- * GET - Return pre-computed list of risky MA healthcare providers
+ * GET - Return pre-computed list of risky healthcare providers
+ * ?states=MA,NH limits results to those states (default: the jurisdiction; "all" is
+ * nationwide for exclusions, with Medicare billers from the configured jurisdiction)
  */
-export async function GET() {
+export async function GET(request) {
   try {
-    const exclusions = await loadMAExclusions();
+    const states = resolveStateFilter(new URL(request.url).searchParams.get('states'));
+
+    // Reinstated and waived providers aren't flagged as risky
+    const allExclusions = (await loadExclusions()).records.filter(e => inStates(e, states));
+    const exclusions = allExclusions.filter(e => getExclusionStatus(e).isExcluded);
 
     // 1. Get recent exclusions (most recent first)
     const recentExclusions = exclusions
@@ -81,14 +79,32 @@ export async function GET() {
     // 4. Try to get high Medicare billers from CMS
     let highBillers = [];
     try {
-      highBillers = await getHighMedicareBillers();
+      highBillers = await getHighMedicareBillers(getJurisdiction(states).states);
     } catch (error) {
       console.log('Could not fetch Medicare billers:', error.message);
     }
 
-    // 5. Compile statistics
+    // 5. What changed in the last LEIE update (new exclusions and reinstatements)
+    let changes = null;
+    try {
+      const latest = await getLatestChanges({ states });
+      if (latest) {
+        changes = {
+          runAt: latest.runAt,
+          previousRunAt: latest.previousRunAt,
+          files: latest.files,
+          newExclusions: latest.added.map(e => formatStoreRecord(e, 'New exclusion')),
+          reinstatements: latest.reinstated.map(e => formatStoreRecord(e, 'Reinstated')),
+        };
+      }
+    } catch (error) {
+      console.log('Could not load LEIE changes:', error.message);
+    }
+
+    // 6. Compile statistics
     const stats = {
-      totalMAExclusions: exclusions.length,
+      totalExclusions: exclusions.length,
+      reinstatedOrWaived: allExclusions.filter(e => ['reinstated', 'waived'].includes(getExclusionStatus(e).status)).length,
       bySpecialty: getSpecialtyBreakdown(exclusions),
       byExclusionType: getExclusionTypeBreakdown(exclusions),
       recentYear: getRecentYearCount(exclusions),
@@ -100,7 +116,9 @@ export async function GET() {
       highRiskProviders,
       excludedEntities,
       highBillers,
+      changes,
       stats,
+      states,
       lastUpdated: new Date().toISOString(),
     });
   } catch (error) {
@@ -113,19 +131,23 @@ export async function GET() {
 }
 
 /**
- * Get high Medicare billers in MA
+ * Get high Medicare billers in the given states
  */
-async function getHighMedicareBillers() {
-  // Query CMS for top MA billers
-  const datasetId = 'mj5m-pzi6';
-  const url = `https://data.cms.gov/data-api/v1/dataset/${datasetId}/data?filter[Rndrng_Prvdr_State_Abrvtn]=MA&sort=-Tot_Mdcr_Pymt_Amt&size=30`;
-
+async function getHighMedicareBillers(states) {
+  // Query CMS for each state's top billers, then keep the top 20 overall
   try {
-    const curlCommand = `curl -s --max-time 20 "${url}"`;
-    const { stdout } = await execAsync(curlCommand);
-    const data = JSON.parse(stdout);
+    let data = [];
+    for (const state of states) {
+      const rows = await queryCMSDataset(CMS_PROVIDER_DATASET, { Rndrng_Prvdr_State_Abrvtn: state }, {
+        sort: '-Tot_Mdcr_Pymt_Amt',
+        size: 30,
+        timeoutMs: 20000,
+      });
+      data = data.concat(rows);
+    }
+    data.sort((a, b) => (parseFloat(b.Tot_Mdcr_Pymt_Amt) || 0) - (parseFloat(a.Tot_Mdcr_Pymt_Amt) || 0));
 
-    return (data || []).slice(0, 20).map(p => {
+    return data.slice(0, 20).map(p => {
       const totalPayments = parseFloat(p.Tot_Mdcr_Pymt_Amt) || 0;
       const totalServices = parseInt(p.Tot_Srvcs) || 0;
       const beneficiaries = parseInt(p.Tot_Benes) || 0;
@@ -137,6 +159,7 @@ async function getHighMedicareBillers() {
         npi: p.Rndrng_NPI,
         specialty: p.Rndrng_Prvdr_Type,
         city: p.Rndrng_Prvdr_City,
+        state: p.Rndrng_Prvdr_State_Abrvtn,
         totalPayments,
         totalServices,
         beneficiaries,
@@ -164,6 +187,27 @@ function calculateBillerRisk(totalPayments, avgPerService, servicesPerPatient) {
   return 'Low';
 }
 
+/**
+ * Format a versioned-store LEIE record for the changes feed
+ */
+function formatStoreRecord(e, change) {
+  const status = getExclusionStatus(e);
+  return {
+    name: e.busName || `${e.firstName} ${e.lastName}`.trim(),
+    npi: e.npi,
+    specialty: e.specialty || 'Unknown',
+    city: e.city,
+    exclusionDate: formatExclusionDate(e.exclDate),
+    reinstatementDate: e.reinstDate ? formatExclusionDate(e.reinstDate) : null,
+    exclusionType: status.isExcluded ? e.exclType : null,
+    exclusionStatus: { ...status, description: describeExclusionStatus(status) },
+    isExcluded: status.isExcluded,
+    riskLevel: status.isExcluded ? getRiskLevel(e.exclType) : 'Low',
+    reason: `${change}: ${getExclusionReason(e.exclType)}`,
+    source: 'OIG LEIE',
+  };
+}
+
 function formatExclusionDate(dateStr) {
   if (!dateStr || dateStr.length !== 8) return dateStr;
   return `${dateStr.substring(0, 4)}-${dateStr.substring(4, 6)}-${dateStr.substring(6, 8)}`;
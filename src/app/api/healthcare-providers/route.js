@@ -1,49 +1,68 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import fs from 'fs/promises';
-import path from 'path';
-
-const execAsync = promisify(exec);
+import { getExclusionStatus, describeExclusionStatus } from '../../../lib/exclusion-status';
+import { toEntity, entityFromNPPES, describeMatch } from '../../../lib/entity-resolution';
+import { loadExclusionIndex, buildExclusionIndex, inStates } from '../../../lib/exclusion-index';
+import { parseStates, getJurisdiction, resolveStateFilter } from '../../../lib/jurisdiction';
+import { STATE_EXCLUSIONS_PATH } from '../../../lib/state-exclusions';
+import { CMS_PROVIDER_DATASET, queryCMSDataset, analyzeProviderCodeMix, toBillingData } from '../../../lib/cms-utilization';
+import { loadPeerBenchmarks, benchmarkProvider, benchmarkProviders, EXTREME_PERCENTILE } from '../../../lib/peer-benchmarks';
+import { analyzeBillingTrend, DEFAULT_YEARS } from '../../../lib/billing-trends';
+import { searchNPPES, parseProviderQuery, NPPESError } from '../../../lib/nppes-client';
+import { extractHealthcareFeatures } from '../../../ml/training/feature-extractor';
 
 // CMS Medicare Provider Data API
 const CMS_PROVIDER_API = 'https://data.cms.gov/provider-data/api/1/datastore/query';
 
-// Load MA exclusions for cross-reference
-let maExclusions = null;
-async function loadMAExclusions() {
-  if (maExclusions) return maExclusions;
+// Indexed nationwide exclusions for cross-reference (rebuilt when the export changes)
+// A provider excluded in any state is flagged, wherever they practice now
+async function loadExclusions() {
   try {
-    const data = await fs.readFile(
-      path.join(process.cwd(), 'src/ml/data/downloads/ma-exclusions.json'),
-      'utf-8'
-    );
-    maExclusions = JSON.parse(data);
-    return maExclusions;
+    return await loadExclusionIndex();
+  } catch (error) {
+    console.log('OIG exclusions not loaded');
+    return buildExclusionIndex([]);
+  }
+}
+
+// State Medicaid exclusion lists (e.g. MassHealth) parsed into the LEIE schema
+async function loadStateExclusions() {
+  try {
+    return await loadExclusionIndex(STATE_EXCLUSIONS_PATH);
   } catch (error) {
-    console.log('MA exclusions not loaded');
-    return [];
+    console.log('State exclusion lists not loaded');
+    return buildExclusionIndex([]);
   }
 }
 
+// Probability floor for the free-text exclusion search (a last name alone scores low)
+const EXCLUSION_SEARCH_THRESHOLD = 0.1;
+
 /**
- * Search for healthcare providers in Massachusetts
+ * Search for healthcare providers in the jurisdiction
+ * states overrides the configured jurisdiction; for exclusion checks an empty list is nationwide
  */
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { searchType = 'providers', query = '', city = '', specialty = '' } = body;
+    const { searchType = 'providers', query = '', city = '', specialty = '', npi = '', years = DEFAULT_YEARS, states = [] } = body;
+    const { firstName = '', lastName = '', organizationName = '', taxonomy = '', postalCode = '', enumerationType = '', page = 1, pageSize } = body;
+    const { states: jurisdictionStates } = getJurisdiction(states);
 
     // Load exclusions for cross-reference
-    const exclusions = await loadMAExclusions();
+    const exclusions = await loadExclusions();
 
     if (searchType === 'medicare-payments') {
-      return await searchMedicarePayments(query, city, exclusions);
+      return await searchMedicarePayments(query, city, jurisdictionStates, exclusions);
     } else if (searchType === 'compare-utilization') {
-      return await compareUtilization(query, specialty, exclusions);
+      return await compareUtilization(query, specialty, jurisdictionStates, exclusions);
+    } else if (searchType === 'billing-trend') {
+      return await analyzeTrend(npi || query, years, exclusions);
+    } else if (searchType === 'code-analysis') {
+      return await analyzeCodeMix(npi || query, states, exclusions);
     } else if (searchType === 'exclusion-check') {
-      return await checkExclusions(query, exclusions);
+      return await checkExclusions(query, parseStates(states), exclusions, await loadStateExclusions());
     } else {
-      return await searchProviders(query, city, specialty, exclusions);
+      const criteria = { firstName, lastName, organizationName, npi, taxonomy: taxonomy || specialty, city, postalCode, enumerationType };
+      return await searchProviders(query, criteria, jurisdictionStates, exclusions, { page, pageSize });
     }
   } catch (error) {
     console.error('Healthcare provider API error:', error);
@@ -57,21 +76,18 @@ export async function POST(request) {
 /**
  * Search Medicare provider utilization data
  */
-async function searchMedicarePayments(providerName, city, exclusions) {
+async function searchMedicarePayments(providerName, city, states, exclusions) {
   // CMS Medicare Physician & Other Practitioners dataset
   // This contains actual payment data
-  const datasetId = 'mj5m-pzi6'; // Medicare Physician Utilization
-
   try {
-    // Search for provider in CMS data
-    const searchUrl = `https://data.cms.gov/data-api/v1/dataset/${datasetId}/data?filter[Rndrng_Prvdr_State_Abrvtn]=MA&size=100`;
-
-    const curlCommand = `curl -s --max-time 30 "${searchUrl}"`;
-    const { stdout } = await execAsync(curlCommand);
-    const data = JSON.parse(stdout);
+    // Search for provider in CMS data (the API filters one state at a time)
+    let results = [];
+    for (const state of states) {
+      const rows = await queryCMSDataset(CMS_PROVIDER_DATASET, { Rndrng_Prvdr_State_Abrvtn: state }, { size: 100 });
+      results = results.concat(rows);
+    }
 
     // Filter by provider name if specified
-    let results = data || [];
     if (providerName) {
       const searchLower = providerName.toLowerCase();
       results = results.filter(r =>
@@ -80,35 +96,12 @@ async function searchMedicarePayments(providerName, city, exclusions) {
       );
     }
 
-    // Analyze each provider
-    const analyzed = results.slice(0, 50).map(provider => {
-      const totalPayments = parseFloat(provider.Tot_Mdcr_Pymt_Amt) || 0;
-      const totalServices = parseInt(provider.Tot_Srvcs) || 0;
-      const beneficiaries = parseInt(provider.Tot_Benes) || 0;
-
-      // Calculate risk indicators
-      const avgPaymentPerService = totalServices > 0 ? totalPayments / totalServices : 0;
-      const servicesPerBeneficiary = beneficiaries > 0 ? totalServices / beneficiaries : 0;
-
-      // Check against exclusions
-      const providerName = `${provider.Rndrng_Prvdr_First_Name || ''} ${provider.Rndrng_Prvdr_Last_Org_Name || ''}`.trim();
-      const isExcluded = checkAgainstExclusions(providerName, provider.Rndrng_NPI, exclusions);
-
-      return {
-        npi: provider.Rndrng_NPI,
-        name: providerName,
-        specialty: provider.Rndrng_Prvdr_Type,
-        city: provider.Rndrng_Prvdr_City,
-        state: provider.Rndrng_Prvdr_State_Abrvtn,
-        totalPayments,
-        totalServices,
-        beneficiaries,
-        avgPaymentPerService,
-        servicesPerBeneficiary,
-        isExcluded,
-        riskIndicators: calculateProviderRisk(provider, avgPaymentPerService, servicesPerBeneficiary, isExcluded),
-      };
-    });
+    // Analyze each provider against its specialty peers in its state (one fetch per peer group)
+    const providers = results.slice(0, 50);
+    const peerComparisons = await benchmarkProviders(providers);
+    const analyzed = providers.map((provider, i) =>
+      analyzeMedicareProvider(provider, exclusions, { peerComparison: peerComparisons[i] })
+    );
 
     return Response.json({
       success: true,
@@ -130,63 +123,214 @@ async function searchMedicarePayments(providerName, city, exclusions) {
 }
 
 /**
- * Search for providers and cross-reference with exclusions
+ * Metrics, exclusion status and risk for a CMS "by Provider" row
+ * peerComparison (peer-benchmarks), codeAnalysis (cms-utilization) and billingTrend (billing-trends)
+ * refine the risk when given
  */
-async function searchProviders(query, city, specialty, exclusions) {
-  // Use NPPES NPI Registry for provider search
-  const baseUrl = 'https://npiregistry.cms.hhs.gov/api/';
-
-  let searchParams = new URLSearchParams({
-    version: '2.1',
-    state: 'MA',
-    limit: 100,
+function analyzeMedicareProvider(provider, exclusions, { peerComparison = null, codeAnalysis = null, billingTrend = null } = {}) {
+  const totalPayments = parseFloat(provider.Tot_Mdcr_Pymt_Amt) || 0;
+  const totalServices = parseInt(provider.Tot_Srvcs) || 0;
+  const beneficiaries = parseInt(provider.Tot_Benes) || 0;
+
+  const avgPaymentPerService = totalServices > 0 ? totalPayments / totalServices : 0;
+  const servicesPerBeneficiary = beneficiaries > 0 ? totalServices / beneficiaries : 0;
+  const paymentPerBeneficiary = beneficiaries > 0 ? totalPayments / beneficiaries : 0;
+
+  // Check against exclusions
+  const exclusionStatus = checkAgainstExclusions(entityFromCMS(provider), exclusions);
+  const riskIndicators = calculateProviderRisk(provider, {
+    avgPaymentPerService,
+    servicesPerBeneficiary,
+    exclusionStatus,
+    peerComparison,
+    codeAnalysis,
+    billingTrend,
   });
 
-  if (query) {
-    // Check if it's an organization or individual name
-    if (query.includes(' ') || query.length > 20) {
-      searchParams.append('organization_name', query);
-    } else {
-      searchParams.append('last_name', query);
+  return {
+    npi: provider.Rndrng_NPI,
+    name: `${provider.Rndrng_Prvdr_First_Name || ''} ${provider.Rndrng_Prvdr_Last_Org_Name || ''}`.trim(),
+    specialty: provider.Rndrng_Prvdr_Type,
+    city: provider.Rndrng_Prvdr_City,
+    state: provider.Rndrng_Prvdr_State_Abrvtn,
+    totalPayments,
+    totalServices,
+    beneficiaries,
+    avgPaymentPerService,
+    servicesPerBeneficiary,
+    paymentPerBeneficiary,
+    isExcluded: !!exclusionStatus?.isExcluded,
+    exclusionStatus,
+    peerComparison,
+    riskIndicators,
+    riskLevel: riskIndicators.level,
+  };
+}
+
+/**
+ * Peer comparison for a provider row, or null when the peer group can't be loaded
+ */
+async function benchmarkOrNull(provider, options = {}) {
+  try {
+    return await benchmarkProvider(provider, options);
+  } catch (error) {
+    console.error(`Peer benchmarks unavailable for ${provider.Rndrng_Prvdr_Type} in ${provider.Rndrng_Prvdr_State_Abrvtn}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Compare providers' utilization with their specialty peers
+ *
+ * query is an NPI or a provider name searched within states; specialty overrides
+ * the peer group (e.g. to compare a nurse practitioner against family practice).
+ * With only a specialty, returns that specialty's benchmarks in each state.
+ */
+async function compareUtilization(query, specialty, states, exclusions) {
+  const term = (query || '').trim();
+  let rows = [];
+
+  if (/^\d{10}$/.test(term)) {
+    rows = await queryCMSDataset(CMS_PROVIDER_DATASET, { Rndrng_NPI: term }, { size: 1 });
+  } else if (term) {
+    const searchLower = term.toLowerCase();
+    for (const state of states) {
+      const page = await queryCMSDataset(CMS_PROVIDER_DATASET, { Rndrng_Prvdr_State_Abrvtn: state }, { keyword: term, size: 100 });
+      rows = rows.concat(page.filter(r =>
+        `${r.Rndrng_Prvdr_First_Name || ''} ${r.Rndrng_Prvdr_Last_Org_Name || ''}`.toLowerCase().includes(searchLower)
+      ));
     }
+  } else if (!specialty) {
+    return Response.json({ success: false, error: 'Provide an NPI, provider name or specialty' }, { status: 400 });
   }
-  if (city) searchParams.append('city', city);
-  if (specialty) searchParams.append('taxonomy_description', specialty);
 
-  try {
-    const curlCommand = `curl -s --max-time 30 "${baseUrl}?${searchParams.toString()}"`;
-    const { stdout } = await execAsync(curlCommand);
-    const data = JSON.parse(stdout);
+  const providers = rows.slice(0, 20);
+  const peerComparisons = await benchmarkProviders(providers, { specialty: specialty || null });
+  const results = providers.map((provider, i) =>
+    analyzeMedicareProvider(provider, exclusions, { peerComparison: peerComparisons[i] })
+  );
+
+  // Peer groups behind the results (or the requested specialty), without raw values
+  const groups = results.length > 0
+    ? [...new Map(results.map(r => [`${specialty || r.specialty}|${r.state}`, [specialty || r.specialty, r.state]])).values()]
+    : states.map(state => [specialty, state]);
+  const benchmarks = [];
+  for (const [groupSpecialty, state] of groups) {
+    try {
+      const { peerCount, truncated, metrics } = await loadPeerBenchmarks(groupSpecialty, state);
+      benchmarks.push({
+        specialty: groupSpecialty,
+        state,
+        peerCount,
+        truncated,
+        metrics: Object.fromEntries(Object.entries(metrics).map(([name, { values, ...summary }]) => [name, summary])),
+      });
+    } catch (error) {
+      console.error(`Peer benchmarks unavailable for ${groupSpecialty} in ${state}:`, error.message);
+    }
+  }
 
-    const results = (data.results || []).map(provider => {
-      const basic = provider.basic || {};
-      const addresses = provider.addresses || [];
-      const taxonomies = provider.taxonomies || [];
+  return Response.json({
+    success: true,
+    results: results.sort((a, b) => (b.peerComparison?.maxPercentile || 0) - (a.peerComparison?.maxPercentile || 0)),
+    totalFound: rows.length,
+    benchmarks,
+    source: 'CMS Medicare Physician & Other Practitioners - by Provider',
+  });
+}
 
-      const name = basic.organization_name ||
-        `${basic.first_name || ''} ${basic.last_name || ''}`.trim();
+/**
+ * Yearly Medicare totals of one provider with growth against specialty peers
+ */
+async function analyzeTrend(npi, years, exclusions) {
+  if (!/^\d{10}$/.test(npi)) {
+    return Response.json({ success: false, error: 'A 10-digit NPI is required' }, { status: 400 });
+  }
 
-      const isExcluded = checkAgainstExclusions(name, provider.number, exclusions);
+  const [trend, [provider]] = await Promise.all([
+    analyzeBillingTrend(npi, { years: Math.min(Math.max(parseInt(years) || DEFAULT_YEARS, 2), 10) }),
+    queryCMSDataset(CMS_PROVIDER_DATASET, { Rndrng_NPI: npi }, { size: 1 }),
+  ]);
+  if (trend.history.length === 0) {
+    return Response.json({ success: false, error: `No Medicare utilization data for NPI ${npi}` }, { status: 404 });
+  }
 
-      return {
-        npi: provider.number,
-        name,
-        entityType: provider.enumeration_type,
-        specialty: taxonomies[0]?.desc || 'Unknown',
-        address: addresses[0] ? `${addresses[0].city}, ${addresses[0].state}` : 'Unknown',
-        phone: addresses[0]?.telephone_number,
-        isExcluded,
-        exclusionDetails: isExcluded ? getExclusionDetails(name, provider.number, exclusions) : null,
-      };
-    });
+  const analyzed = provider
+    ? analyzeMedicareProvider(provider, exclusions, { billingTrend: trend, peerComparison: await benchmarkOrNull(provider) })
+    : null;
 
-    return Response.json({
-      success: true,
-      results,
-      totalFound: data.result_count || results.length,
-      source: 'NPPES NPI Registry',
-    });
+  return Response.json({
+    success: true,
+    ...trend,
+    name: analyzed?.name || null,
+    riskIndicators: analyzed?.riskIndicators || null,
+    source: 'CMS Medicare Physician & Other Practitioners - by Provider (yearly releases)',
+  });
+}
+
+/**
+ * E&M code mix of one provider against specialty peers (upcoding detection)
+ * Peers are the provider's specialty in the given states, or in its own state when none are given
+ */
+async function analyzeCodeMix(npi, states, exclusions) {
+  if (!/^\d{10}$/.test(npi)) {
+    return Response.json({ success: false, error: 'A 10-digit NPI is required' }, { status: 400 });
+  }
+
+  const [analysis, [provider]] = await Promise.all([
+    analyzeProviderCodeMix(npi, { states: parseStates(states) }),
+    queryCMSDataset(CMS_PROVIDER_DATASET, { Rndrng_NPI: npi }, { size: 1 }),
+  ]);
+  if (!provider && analysis.services.length === 0) {
+    return Response.json({ success: false, error: `No Medicare utilization data for NPI ${npi}` }, { status: 404 });
+  }
+
+  const analyzed = provider
+    ? analyzeMedicareProvider(provider, exclusions, { codeAnalysis: analysis, peerComparison: await benchmarkOrNull(provider) })
+    : null;
+
+  return Response.json({
+    success: true,
+    npi,
+    name: analyzed?.name || null,
+    specialty: analysis.specialty,
+    state: analysis.state,
+    codeMix: analysis.distribution,
+    peers: analysis.peers,
+    upcoding: analysis.upcoding,
+    features: extractHealthcareFeatures(
+      { exclusionStatus: analyzed?.exclusionStatus?.status },
+      toBillingData(analysis.services)
+    ),
+    peerComparison: analyzed?.peerComparison || null,
+    riskIndicators: analyzed?.riskIndicators || null,
+    source: 'CMS Medicare Physician & Other Practitioners - by Provider and Service',
+  });
+}
+
+/**
+ * Search the NPI Registry and cross-reference with exclusions
+ *
+ * criteria are the structured fields (firstName, lastName, organizationName, npi,
+ * taxonomy, city, postalCode, enumerationType); a free-text query fills in the name
+ * or NPI when they're empty. An NPI search ignores the state filter. Results carry
+ * every address, practice location and taxonomy; page and pageSize page through
+ * the registry.
+ */
+async function searchProviders(query, criteria, states, exclusions, { page = 1, pageSize } = {}) {
+  const search = { ...criteria };
+  if (!['npi', 'firstName', 'lastName', 'organizationName'].some(field => search[field])) {
+    Object.assign(search, parseProviderQuery(query));
+  }
+  if (!search.npi) search.state = states;
+
+  let found;
+  try {
+    found = await searchNPPES(search, { page, pageSize });
   } catch (error) {
+    if (error instanceof NPPESError && error.code === 'INVALID_QUERY') {
+      return Response.json({ success: false, error: error.message }, { status: 400 });
+    }
     console.error('Provider search error:', error);
     return Response.json({
       success: true,
@@ -195,105 +339,300 @@ async function searchProviders(query, city, specialty, exclusions) {
       error: 'NPPES API temporarily unavailable',
     });
   }
+
+  const results = found.results.map(provider => {
+    const match = findExclusionMatch(entityFromNPPES(provider), exclusions);
+    const exclusionStatus = exclusionStatusFromMatch(match);
+    const location = provider.practiceLocations[0] || provider.addresses[0] || {};
+
+    return {
+      ...provider,
+      specialty: provider.primaryTaxonomy?.desc || 'Unknown',
+      address: location.city ? `${location.city}, ${location.state}` : 'Unknown',
+      city: location.city || null,
+      state: location.state || null,
+      phone: location.phone,
+      isExcluded: !!exclusionStatus?.isExcluded,
+      exclusionStatus,
+      exclusionDetails: getExclusionDetails(match),
+    };
+  });
+
+  return Response.json({
+    success: true,
+    results,
+    totalFound: results.length,
+    page: found.page,
+    pageSize: found.pageSize,
+    hasMore: found.hasMore,
+    criteria: search,
+    source: 'NPPES NPI Registry',
+  });
 }
 
 /**
- * Check provider against exclusions list
+ * Check provider against exclusions lists (OIG LEIE plus any collected state Medicaid lists)
+ * states limits the search to exclusions recorded in those states; empty is nationwide
  */
-async function checkExclusions(query, exclusions) {
-  const searchLower = query.toLowerCase();
-
-  const matches = exclusions.filter(exc => {
-    const excName = (exc.name || '').toLowerCase();
-    return excName.includes(searchLower) || searchLower.includes(excName);
+async function checkExclusions(query, states, exclusions, stateExclusions) {
+  // toEntity reads names with business words (looksLikeBusiness) as businesses
+  const entity = toEntity({ name: query });
+  const filter = record => inStates(record, states);
+  const byRecord = new Map();
+  [exclusions, stateExclusions].forEach(index => {
+    // Business and partial names ("Acme") contained in a listed entity's name, then scored matches
+    index.findNameContaining(query, { limit: 50, filter })
+      .concat(index.findMatches(entity, { threshold: EXCLUSION_SEARCH_THRESHOLD, limit: 50, filter }))
+      .forEach(match => {
+        const seen = byRecord.get(match.record);
+        if (!seen || match.score > seen.score) byRecord.set(match.record, match);
+      });
   });
+  const matches = [...byRecord.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 50);
 
   return Response.json({
     success: true,
-    results: matches.map(m => ({
-      name: m.name,
-      npi: m.npi,
-      specialty: m.specialty,
-      state: m.state,
-      exclusionType: m.exclusionType,
-      exclusionDate: m.exclusionDate,
-      riskScore: m.features?.exclusionSeverity === 5 ? 'Critical' : 'High',
-    })),
+    results: matches.map(({ record: m, ...match }) => {
+      const status = getExclusionStatus(m);
+      return {
+        name: m.name,
+        npi: m.npi,
+        specialty: m.specialty,
+        state: m.state,
+        exclusionType: m.exclusionType,
+        exclusionDate: m.exclusionDate,
+        exclusionStatus: { ...status, description: describeExclusionStatus(status) },
+        isExcluded: status.isExcluded,
+        match: formatMatch(match),
+        riskScore: !status.isExcluded ? 'Low' : m.features?.exclusionSeverity === 5 ? 'Critical' : 'High',
+        // State list records name their list; LEIE exports don't carry a source
+        source: m.source || 'HHS OIG LEIE',
+        program: m.program || 'Medicare/Medicaid',
+      };
+    }),
     totalFound: matches.length,
+    states,
     source: 'HHS OIG LEIE Database',
+    sources: ['HHS OIG LEIE', ...new Set(stateExclusions.records.map(r => r.source))],
   });
 }
 
+/**
+ * Entity for a CMS Medicare utilization row (Ent_Cd 'O' is an organization)
+ */
+function entityFromCMS(provider) {
+  const isEntity = provider.Rndrng_Prvdr_Ent_Cd === 'O';
+  return toEntity({
+    isEntity,
+    businessName: isEntity ? provider.Rndrng_Prvdr_Last_Org_Name : null,
+    firstName: provider.Rndrng_Prvdr_First_Name,
+    middleName: provider.Rndrng_Prvdr_MI,
+    lastName: provider.Rndrng_Prvdr_Last_Org_Name,
+    npi: provider.Rndrng_NPI,
+    street: provider.Rndrng_Prvdr_St1,
+    city: provider.Rndrng_Prvdr_City,
+    state: provider.Rndrng_Prvdr_State_Abrvtn,
+    zip: provider.Rndrng_Prvdr_Zip5,
+  });
+}
+
+/**
+ * Helper: match score and explanation for API responses
+ */
+function formatMatch(match) {
+  return {
+    score: match.score,
+    confidence: match.confidence,
+    description: describeMatch(match),
+    explanation: match.explanation,
+  };
+}
+
+/**
+ * Find the exclusion record that best matches a provider entity
+ * Returns { record, score, confidence, explanation } or null below the match threshold
+ */
+function findExclusionMatch(entity, exclusions) {
+  return exclusions.findMatch(entity);
+}
+
 /**
  * Check if provider is in exclusions list
+ * Returns the exclusion status as of today (with a description, the state the
+ * exclusion was recorded in and the match confidence), or null if not listed
  */
-function checkAgainstExclusions(name, npi, exclusions) {
-  if (!exclusions || exclusions.length === 0) return false;
+function checkAgainstExclusions(entity, exclusions) {
+  return exclusionStatusFromMatch(findExclusionMatch(entity, exclusions));
+}
 
-  const nameLower = (name || '').toLowerCase();
+/**
+ * Helper: exclusion status for a match from findExclusionMatch (null when there is none)
+ */
+function exclusionStatusFromMatch(match) {
+  if (!match) return null;
 
-  return exclusions.some(exc => {
-    if (npi && exc.npi === npi) return true;
-    const excName = (exc.name || '').toLowerCase();
-    // Fuzzy match on name
-    return excName.includes(nameLower) || nameLower.includes(excName);
-  });
+  const status = getExclusionStatus(match.record);
+  return {
+    ...status,
+    description: describeExclusionStatus(status),
+    state: match.record.state || null,
+    match: formatMatch(match),
+  };
 }
 
 /**
- * Get exclusion details for a provider
+ * Get exclusion details for a provider from its findExclusionMatch match
  */
-function getExclusionDetails(name, npi, exclusions) {
-  const nameLower = (name || '').toLowerCase();
+function getExclusionDetails(match) {
+  if (!match) return null;
 
-  const match = exclusions.find(exc => {
-    if (npi && exc.npi === npi) return true;
-    const excName = (exc.name || '').toLowerCase();
-    return excName.includes(nameLower) || nameLower.includes(excName);
-  });
+  const { record } = match;
+  const status = getExclusionStatus(record);
+  return {
+    exclusionType: record.exclusionType,
+    exclusionDate: record.exclusionDate,
+    specialty: record.specialty,
+    status: status.status,
+    reinstatementDate: status.reinstatementDate,
+    waiverDate: status.waiverDate,
+    waiverState: status.waiverState,
+    matchScore: match.score,
+    matchConfidence: match.confidence,
+  };
+}
+
+/**
+ * Helper: metric value for descriptions ($ for payments, else a count)
+ */
+function formatMetric(name, value) {
+  if (value === null || value === undefined) return 'n/a';
+  return name.startsWith('payment') ? `$${value.toFixed(2)}` : value.toFixed(1);
+}
 
-  return match ? {
-    exclusionType: match.exclusionType,
-    exclusionDate: match.exclusionDate,
-    specialty: match.specialty,
-  } : null;
+/**
+ * Helper: percentile rank (0-1) as an ordinal, e.g. 0.97 -> "97th"
+ */
+function ordinal(percentile) {
+  const n = Math.min(99, Math.floor(percentile * 100));
+  const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+  return `${n}${suffix}`;
 }
 
 /**
  * Calculate provider risk indicators
+ *
+ * Utilization is judged by percentile within specialty peers when peerComparison
+ * (from peer-benchmarks) has enough peers, else by fixed cutoffs.
+ * codeAnalysis (from analyzeProviderCodeMix) adds the E&M upcoding factor and
+ * billingTrend (from analyzeBillingTrend) the billing spike factor when available.
  */
-function calculateProviderRisk(provider, avgPaymentPerService, servicesPerBeneficiary, isExcluded) {
+function calculateProviderRisk(provider, { avgPaymentPerService, servicesPerBeneficiary, exclusionStatus, peerComparison = null, codeAnalysis = null, billingTrend = null }) {
   const indicators = [];
   let riskScore = 0;
 
   // Exclusion is highest risk
-  if (isExcluded) {
+  if (exclusionStatus?.isExcluded) {
     indicators.push({
       type: 'EXCLUDED_PROVIDER',
       severity: 'critical',
       description: 'Provider appears on OIG exclusion list',
     });
     riskScore += 50;
+  } else if (exclusionStatus) {
+    // Reinstated or waived: history worth knowing, but not a current bar to billing
+    indicators.push({
+      type: 'PRIOR_EXCLUSION',
+      severity: 'low',
+      description: exclusionStatus.description,
+    });
+    riskScore += 10;
+  }
+
+  if (peerComparison?.sufficient) {
+    // Metrics at or above the 95th percentile of same-specialty providers in the state
+    const types = {
+      paymentPerService: 'HIGH_PAYMENT_PER_SERVICE',
+      servicesPerBeneficiary: 'HIGH_SERVICE_VOLUME',
+      paymentPerBeneficiary: 'HIGH_PAYMENT_PER_BENEFICIARY',
+    };
+    peerComparison.outliers.forEach(name => {
+      const metric = peerComparison.metrics[name];
+      const extreme = metric.percentile >= EXTREME_PERCENTILE;
+      indicators.push({
+        type: types[name],
+        severity: extreme ? 'high' : 'medium',
+        description: `${metric.label} ${formatMetric(name, metric.value)}: ${ordinal(metric.percentile)} percentile of ${peerComparison.peerCount} ${peerComparison.specialty} providers in ${peerComparison.state} (median ${formatMetric(name, metric.median)})`,
+        details: {
+          value: metric.value,
+          percentile: metric.percentile,
+          zScore: metric.zScore,
+          median: metric.median,
+          p95: metric.p95,
+        },
+      });
+      riskScore += extreme ? 20 : 15;
+    });
+  } else {
+    // High payment per service (potential upcoding)
+    if (avgPaymentPerService > 200) {
+      indicators.push({
+        type: 'HIGH_PAYMENT_PER_SERVICE',
+        severity: 'medium',
+        description: `Avg $${avgPaymentPerService.toFixed(2)} per service`,
+      });
+      riskScore += 15;
+    }
+
+    // High services per beneficiary (potential overutilization)
+    if (servicesPerBeneficiary > 20) {
+      indicators.push({
+        type: 'HIGH_SERVICE_VOLUME',
+        severity: 'medium',
+        description: `${servicesPerBeneficiary.toFixed(1)} services per patient`,
+      });
+      riskScore += 15;
+    }
   }
 
-  // High payment per service (potential upcoding)
-  if (avgPaymentPerService > 200) {
+  // Level 4-5 E&M share well above specialty peers (upcoding)
+  if (codeAnalysis?.upcoding?.flagged) {
+    const { upcoding, distribution, peers } = codeAnalysis;
     indicators.push({
-      type: 'HIGH_PAYMENT_PER_SERVICE',
-      severity: 'medium',
-      description: `Avg $${avgPaymentPerService.toFixed(2)} per service`,
+      type: 'EM_UPCODING',
+      severity: upcoding.zScore >= 3 ? 'high' : 'medium',
+      description: upcoding.reason,
+      details: {
+        highLevelShare: distribution.highLevelShare,
+        peerHighLevelShare: peers.distribution.highLevelShare,
+        zScore: upcoding.zScore,
+        percentile: upcoding.percentile,
+        peerCount: peers.peerCount,
+        emServices: distribution.totalServices,
+      },
     });
-    riskScore += 15;
+    riskScore += upcoding.zScore >= 3 ? 25 : 20;
   }
 
-  // High services per beneficiary (potential overutilization)
-  if (servicesPerBeneficiary > 20) {
+  // Year-over-year payment growth far beyond specialty peers
+  if (billingTrend?.spike?.isSpike) {
+    const { spike, trend } = billingTrend;
     indicators.push({
-      type: 'HIGH_SERVICE_VOLUME',
-      severity: 'medium',
-      description: `${servicesPerBeneficiary.toFixed(1)} services per patient`,
+      type: 'BILLING_SPIKE',
+      severity: spike.severity,
+      description: spike.reason,
+      details: {
+        year: trend.latest.year,
+        paymentGrowth: spike.growth,
+        serviceGrowth: trend.latest.serviceGrowth,
+        beneficiaryGrowth: trend.latest.beneficiaryGrowth,
+        peerMedianGrowth: spike.peerMedian,
+        percentile: spike.percentile,
+        peerCount: spike.peerCount,
+      },
     });
-    riskScore += 15;
+    riskScore += spike.severity === 'high' ? 25 : 20;
   }
 
   // High-risk specialties
@@ -316,11 +655,14 @@ function calculateProviderRisk(provider, avgPaymentPerService, servicesPerBenefi
 }
 
 /**
- * GET - Return MA exclusions summary
+ * GET - Return exclusions summary
+ * ?states=MA,NH limits the summary to those states (default: the jurisdiction; "all" is nationwide)
  */
-export async function GET() {
+export async function GET(request) {
   try {
-    const exclusions = await loadMAExclusions();
+    const states = resolveStateFilter(new URL(request.url).searchParams.get('states'));
+    const index = await loadExclusions();
+    const exclusions = index.records.filter(exc => inStates(exc, states) && getExclusionStatus(exc).isExcluded);
 
     // Summarize by specialty
     const bySpecialty = {};
@@ -331,13 +673,15 @@ export async function GET() {
       bySpecialty[specialty] = (bySpecialty[specialty] || 0) + 1;
 
       // Extract city from name or address if available
-      const state = exc.state || 'MA';
+      const state = exc.state || 'Unknown';
       byCity[state] = (byCity[state] || 0) + 1;
     });
 
     return Response.json({
       success: true,
+      states,
       totalExclusions: exclusions.length,
+      totalRecords: index.size,
       bySpecialty: Object.entries(bySpecialty)
         .sort((a, b) => b[1] - a[1])
         .slice(0, 20)
@@ -0,0 +1,113 @@
+import { searchNPPES } from '../../../../lib/nppes-client';
+import { fetchProviderServices, toBillingData } from '../../../../lib/cms-utilization';
+import { checkProviderExclusion, scoreProvider, scoreProviderFeatures, loadHealthcareDetector } from '../../../../lib/provider-scoring';
+import { analyzePhysicianPayments } from '../../../../actions/openpayments';
+
+/**
+ * Helper: run one data source, recording its error instead of failing the score
+ */
+async function settle(label, npi, task) {
+  try {
+    return await task();
+  } catch (error) {
+    console.error(`${label} unavailable for NPI ${npi}:`, error.message);
+    return { error: `${label} unavailable: ${error.message}` };
+  }
+}
+
+/**
+ * Score a healthcare provider with the trained model
+ *
+ * Given an NPI, builds features from the NPI Registry record, exclusion lists,
+ * CMS service lines (Medicare by Provider and Service) and Open Payments, then
+ * scores them with FraudDetector.scoreHealthcareProvider. Given features instead,
+ * scores those directly. Returns the score, its factor contributions, the
+ * features and which sources contributed.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { npi = '', features: providedFeatures, includeOpenPayments = true } = body;
+
+    if (providedFeatures) {
+      return Response.json({
+        success: true,
+        ...(await scoreProviderFeatures(providedFeatures)),
+        features: providedFeatures,
+      });
+    }
+
+    if (!/^\d{10}$/.test(npi)) {
+      return Response.json({ success: false, error: 'A 10-digit NPI (or features) is required' }, { status: 400 });
+    }
+
+    const { results: [provider] } = await searchNPPES({ npi });
+    if (!provider) {
+      return Response.json({ success: false, error: `NPI ${npi} not found in the NPI Registry` }, { status: 404 });
+    }
+
+    const location = provider.practiceLocations[0] || provider.addresses[0] || {};
+    // Open Payments' ownership check reuses the service lines instead of fetching them again
+    const pendingServices = settle('Medicare service lines', npi, () => fetchProviderServices(npi));
+    const [exclusion, services, openPayments] = await Promise.all([
+      settle('Exclusion check', npi, () => checkProviderExclusion(provider)),
+      pendingServices,
+      includeOpenPayments && provider.entityType === 'individual'
+        ? pendingServices.then(rows => settle('Open Payments', npi, () => analyzePhysicianPayments(
+          `${provider.firstName} ${provider.lastName}`,
+          location.state,
+          { npi, services: Array.isArray(rows) ? rows : null }
+        )))
+        : null,
+    ]);
+
+    const billingData = Array.isArray(services) ? toBillingData(services) : null;
+    const result = await scoreProvider({ exclusion, billingData, openPayments });
+
+    return Response.json({
+      success: true,
+      npi,
+      name: provider.name,
+      entityType: provider.entityType,
+      ...result,
+      sources: {
+        registry: true,
+        exclusion: exclusion.error || exclusion.status || 'not listed',
+        medicareServiceLines: billingData ? billingData.length : services.error,
+        openPayments: openPayments
+          ? openPayments.error || openPayments.summary?.paymentCount || 0
+          : 'not searched',
+      },
+    });
+  } catch (error) {
+    console.error('Provider scoring error:', error);
+    return Response.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 });
+  }
+}
+
+export async function GET() {
+  try {
+    const model = await loadHealthcareDetector();
+
+    return Response.json({
+      success: true,
+      modelVersion: model.modelVersion,
+      trained: model.trained,
+      thresholds: {
+        highComplexityRatio: model.thresholds.highComplexityRatio,
+        pharmaPaymentHigh: model.thresholds.pharmaPaymentHigh,
+        pharmaPaymentVeryHigh: model.thresholds.pharmaPaymentVeryHigh,
+        lowRiskMax: model.thresholds.lowRiskMax,
+        highRiskMin: model.thresholds.highRiskMin,
+      },
+    });
+  } catch (error) {
+    return Response.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 });
+  }
+}
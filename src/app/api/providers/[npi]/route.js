@@ -0,0 +1,131 @@
+import { searchNPPES } from '../../../../lib/nppes-client';
+import { CMS_PROVIDER_DATASET, queryCMSDataset, fetchProviderServices, analyzeProviderCodeMix, toBillingData } from '../../../../lib/cms-utilization';
+import { providerMetrics, benchmarkProvider } from '../../../../lib/peer-benchmarks';
+import { analyzeBillingTrend } from '../../../../lib/billing-trends';
+import { searchProviderReviews } from '../../../../lib/review-search';
+import { checkProviderExclusion, scoreProvider } from '../../../../lib/provider-scoring';
+import { analyzePhysicianPayments } from '../../../../actions/openpayments';
+import { getMAProviderVerificationLinks } from '../../../../actions/masshealth';
+
+/**
+ * Helper: run one section of the profile, recording its error instead of failing the profile
+ */
+async function settle(label, npi, task) {
+  try {
+    return await task();
+  } catch (error) {
+    console.error(`${label} unavailable for NPI ${npi}:`, error.message);
+    return { error: `${label} unavailable: ${error.message}` };
+  }
+}
+
+/**
+ * Medicare utilization with peer comparison, E&M code mix and multi-year trend
+ *
+ * Returns { found, ..., billingData } where billingData (service lines for the
+ * feature extractor) is dropped from the response. services is the pending
+ * service-line fetch shared with Open Payments.
+ */
+async function loadMedicare(npi, services) {
+  const [row] = await queryCMSDataset(CMS_PROVIDER_DATASET, { Rndrng_NPI: npi }, { size: 1 });
+  if (!row) return { found: false, billingData: null };
+
+  const [peerComparison, codeMix, billingTrend] = await Promise.all([
+    settle('Peer benchmarks', npi, () => benchmarkProvider(row)),
+    settle('E&M code mix', npi, async () => analyzeProviderCodeMix(npi, { services: await services })),
+    settle('Billing trend', npi, () => analyzeBillingTrend(npi)),
+  ]);
+
+  return {
+    found: true,
+    specialty: row.Rndrng_Prvdr_Type,
+    state: row.Rndrng_Prvdr_State_Abrvtn,
+    totalPayments: parseFloat(row.Tot_Mdcr_Pymt_Amt) || 0,
+    totalServices: parseFloat(row.Tot_Srvcs) || 0,
+    beneficiaries: parseFloat(row.Tot_Benes) || 0,
+    metrics: providerMetrics(row),
+    peerComparison,
+    codeMix: codeMix.error ? codeMix : {
+      distribution: codeMix.distribution,
+      peers: codeMix.peers,
+      upcoding: codeMix.upcoding,
+    },
+    billingTrend: billingTrend.error ? billingTrend : {
+      history: billingTrend.history,
+      trend: billingTrend.trend,
+      spike: billingTrend.spike,
+    },
+    billingData: codeMix.services ? toBillingData(codeMix.services) : null,
+  };
+}
+
+/**
+ * Open Payments for an individual provider, matched by NPI across program years
+ * The ownership check reuses the service lines the Medicare section fetches.
+ */
+async function loadOpenPayments(provider, state, services) {
+  if (provider.entityType !== 'individual') {
+    return { skipped: true, message: 'Open Payments is searched for individual physicians only' };
+  }
+  return analyzePhysicianPayments(`${provider.firstName} ${provider.lastName}`, state, {
+    npi: provider.npi,
+    services: await services,
+  });
+}
+
+/**
+ * Provider 360 profile keyed by NPI
+ *
+ * Aggregates the NPI Registry record, exclusion status, Medicare utilization (peer
+ * comparison, E&M code mix, billing trend), Open Payments, MassHealth verification
+ * links and review findings, and scores the combined features with
+ * FraudDetector.scoreHealthcareProvider. A section that can't be loaded carries
+ * { error } rather than failing the profile.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { npi } = await params;
+    if (!/^\d{10}$/.test(npi)) {
+      return Response.json({ success: false, error: 'A 10-digit NPI is required' }, { status: 400 });
+    }
+
+    const { results: [provider] } = await searchNPPES({ npi });
+    if (!provider) {
+      return Response.json({ success: false, error: `NPI ${npi} not found in the NPI Registry` }, { status: 404 });
+    }
+
+    const location = provider.practiceLocations[0] || provider.addresses[0] || {};
+    // One service-line fetch for the code mix and the ownership check; null lets each refetch and report its own error
+    const services = fetchProviderServices(npi).catch(() => null);
+    const [exclusion, medicare, openPayments, reviews, verification] = await Promise.all([
+      settle('Exclusion check', npi, () => checkProviderExclusion(provider)),
+      settle('Medicare utilization', npi, () => loadMedicare(npi, services)),
+      settle('Open Payments', npi, () => loadOpenPayments(provider, location.state, services)),
+      settle('Review search', npi, () => searchProviderReviews(provider.name, [location.city, location.state].filter(Boolean).join(', '))),
+      getMAProviderVerificationLinks(provider.name, npi),
+    ]);
+
+    const { billingData = null, ...medicareSummary } = medicare;
+    const { features, ...score } = await scoreProvider({ exclusion, billingData, openPayments });
+
+    return Response.json({
+      success: true,
+      npi,
+      provider,
+      exclusion,
+      medicare: medicareSummary,
+      openPayments,
+      reviews,
+      verificationLinks: verification.verificationLinks,
+      features,
+      score,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Provider profile API error:', error);
+    return Response.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 });
+  }
+}
@@ -1,18 +1,30 @@
 'use client';
 
-import { useState } from 'react';
-import { searchContractorAwards, analyzeContractorRisk } from '../../actions/usaspending';
+import { useState, useEffect } from 'react';
+import { searchContractorAwards, analyzeContractorRisk, getRecipientProfile } from '../../actions/usaspending';
 import { checkExclusionStatus } from '../../actions/sam';
+import { getJurisdictionSettings } from '../../actions/jurisdiction';
 
 export default function ContractorSearch() {
   const [searchTerm, setSearchTerm] = useState('');
-  const [stateFilter, setStateFilter] = useState('MA');
+  const [stateFilter, setStateFilter] = useState('');
+  const [jurisdictionSettings, setJurisdictionSettings] = useState(null);
+  const [rollup, setRollup] = useState(false);
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState(null);
   const [riskAnalysis, setRiskAnalysis] = useState(null);
   const [exclusionStatus, setExclusionStatus] = useState(null);
+  const [profile, setProfile] = useState(null);
   const [error, setError] = useState(null);
 
+  // Default the state filter to the configured jurisdiction
+  useEffect(() => {
+    getJurisdictionSettings().then(settings => {
+      setJurisdictionSettings(settings);
+      setStateFilter(settings.jurisdiction.states.join(','));
+    });
+  }, []);
+
   const handleSearch = async (e) => {
     e.preventDefault();
     if (!searchTerm.trim()) return;
@@ -22,6 +34,7 @@ export default function ContractorSearch() {
     setResults(null);
     setRiskAnalysis(null);
     setExclusionStatus(null);
+    setProfile(null);
 
     try {
       // Run searches in parallel
@@ -29,13 +42,23 @@ export default function ContractorSearch() {
         searchContractorAwards(searchTerm, {
           startDate: '2020-01-01',
           limit: 25,
+          states: stateFilter ? stateFilter.split(',') : null,
         }),
-        analyzeContractorRisk(searchTerm),
+        analyzeContractorRisk(searchTerm, { rollup }),
         checkExclusionStatus(searchTerm),
       ]);
 
       if (awardsResult.success) {
         setResults(awardsResult);
+
+        // Consolidated profile for the largest recipient matching the search
+        const topRecipientId = awardsResult.results[0]?.recipient_id;
+        if (topRecipientId) {
+          const profileResult = await getRecipientProfile(topRecipientId);
+          if (profileResult.success) {
+            setProfile(profileResult);
+          }
+        }
       } else {
         setError(awardsResult.error);
       }
@@ -71,6 +94,14 @@ export default function ContractorSearch() {
     }
   };
 
+  const getExclusionStatusColor = (status) => {
+    switch (status) {
+      case 'EXCLUDED': return 'var(--accent)';
+      case 'NOT_FOUND': return 'var(--primary)';
+      default: return '#ff9900';
+    }
+  };
+
   return (
     <div>
       <h1>Contractor Vetting</h1>
@@ -109,16 +140,27 @@ export default function ContractorSearch() {
             }}
           >
             <option value="">All States</option>
-            <option value="MA">Massachusetts</option>
-            <option value="CA">California</option>
-            <option value="TX">Texas</option>
-            <option value="VA">Virginia</option>
-            <option value="MD">Maryland</option>
+            {jurisdictionSettings?.jurisdiction.states.length > 1 && (
+              <option value={jurisdictionSettings.jurisdiction.states.join(',')}>
+                {jurisdictionSettings.jurisdiction.label}
+              </option>
+            )}
+            {jurisdictionSettings?.states.map(state => (
+              <option key={state.code} value={state.code}>{state.name}</option>
+            ))}
           </select>
           <button type="submit" className="btn btn-primary" disabled={loading}>
             {loading ? 'Searching...' : 'Search & Analyze'}
           </button>
         </div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', color: '#888', fontSize: '0.9rem' }}>
+          <input
+            type="checkbox"
+            checked={rollup}
+            onChange={(e) => setRollup(e.target.checked)}
+          />
+          Roll up corporate family (parent and subsidiaries)
+        </label>
       </form>
 
       {error && (
@@ -174,6 +216,14 @@ export default function ContractorSearch() {
             </div>
           </div>
 
+          {riskAnalysis.summary?.totalAwards > 0 && (
+            <p style={{ color: '#666', fontSize: '0.8rem', marginTop: 0, marginBottom: '16px' }}>
+              {riskAnalysis.summary.completeHistory
+                ? `Scored on complete award history since 2019 (${riskAnalysis.summary.totalAwards.toLocaleString()} awards)`
+                : `Scored on the top ${riskAnalysis.summary.totalAwards.toLocaleString()} awards by amount (partial history)`}
+            </p>
+          )}
+
           {riskAnalysis.riskFactors?.length > 0 && (
             <div>
               <h4 style={{ marginBottom: '8px' }}>Red Flags Detected</h4>
@@ -196,13 +246,240 @@ export default function ContractorSearch() {
         </div>
       )}
 
+      {/* Corporate Family */}
+      {riskAnalysis?.family && (
+        <div className="premium-card" style={{ marginBottom: '24px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+            <h3 style={{ margin: 0 }}>Corporate Family: {riskAnalysis.family.parent?.name || 'Unknown Parent'}</h3>
+            {riskAnalysis.family.summary && (
+              <span style={{
+                padding: '4px 12px',
+                borderRadius: '12px',
+                background: getRiskColor(riskAnalysis.family.summary.riskLevel),
+                color: riskAnalysis.family.summary.riskLevel === 'Low' ? '#000' : '#fff',
+                fontWeight: 'bold',
+              }}>
+                Family {riskAnalysis.family.summary.riskScore}/100
+              </span>
+            )}
+          </div>
+          <p style={{ color: '#888', fontSize: '0.85rem', marginTop: 0 }}>
+            {riskAnalysis.family.parent?.source === 'self'
+              ? 'No parent found; showing this recipient as the head of its family'
+              : `Parent from ${riskAnalysis.family.parent?.source === 'sam' ? 'SAM.gov ownership' : 'USASpending recipient hierarchy'}`}
+            {riskAnalysis.family.summary && ` · ${riskAnalysis.family.summary.totalAwards.toLocaleString()} awards totaling ${formatCurrency(riskAnalysis.family.summary.totalAwarded)}`}
+            {riskAnalysis.family.truncated && ` · largest ${riskAnalysis.family.members.length} subsidiaries only`}
+          </p>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+            <thead>
+              <tr style={{ borderBottom: '1px solid var(--border)' }}>
+                <th style={{ textAlign: 'left', padding: '8px' }}>Subsidiary</th>
+                <th style={{ textAlign: 'left', padding: '8px' }}>UEI</th>
+                <th style={{ textAlign: 'right', padding: '8px' }}>Awards</th>
+                <th style={{ textAlign: 'right', padding: '8px' }}>Amount</th>
+                <th style={{ textAlign: 'right', padding: '8px' }}>Share</th>
+                <th style={{ textAlign: 'right', padding: '8px' }}>Risk</th>
+              </tr>
+            </thead>
+            <tbody>
+              {riskAnalysis.family.members.map((member, i) => (
+                <tr key={member.uei || i} style={{ borderBottom: '1px solid var(--border)' }}>
+                  <td style={{ padding: '8px' }}>{member.name || 'Unknown'}</td>
+                  <td style={{ padding: '8px', fontFamily: 'monospace', fontSize: '0.85rem' }}>{member.uei || '—'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{member.summary?.totalAwards ?? '—'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{member.summary ? formatCurrency(member.summary.totalAwarded) : '—'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{member.share ? `${(member.share * 100).toFixed(1)}%` : '—'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right', color: getRiskColor(member.summary?.riskLevel) }}>
+                    {member.error ? 'Error' : `${member.summary.riskScore}/100`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {riskAnalysis.family.riskFactors.length > 0 && (
+            <div>
+              <h4 style={{ marginBottom: '8px' }}>Family Red Flags</h4>
+              {riskAnalysis.family.riskFactors.map((factor, i) => (
+                <div key={i} style={{
+                  padding: '12px',
+                  marginBottom: '8px',
+                  background: 'rgba(255,255,255,0.05)',
+                  borderRadius: 'var(--radius)',
+                  borderLeft: `3px solid ${factor.severity === 'high' ? 'var(--accent)' : factor.severity === 'medium' ? '#ff9900' : 'var(--primary)'}`,
+                }}>
+                  <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+                    {factor.type.replace(/_/g, ' ')}
+                  </div>
+                  <div style={{ color: '#888', fontSize: '0.9rem' }}>{factor.description}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Contractor Profile */}
+      {profile?.profile && (
+        <div className="premium-card" style={{ marginBottom: '24px' }}>
+          <h3 style={{ marginTop: 0 }}>Contractor Profile</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '16px' }}>
+            <div>
+              <div style={{ color: '#888', fontSize: '0.85rem' }}>Legal Name</div>
+              <div style={{ fontWeight: 'bold' }}>{profile.profile.name}</div>
+              {profile.profile.dbaName && <div style={{ color: '#888', fontSize: '0.85rem' }}>DBA {profile.profile.dbaName}</div>}
+            </div>
+            <div>
+              <div style={{ color: '#888', fontSize: '0.85rem' }}>Identifiers</div>
+              <div style={{ fontFamily: 'monospace', fontSize: '0.9rem' }}>
+                UEI {profile.profile.uei || '—'}{profile.profile.cage && ` · CAGE ${profile.profile.cage}`}
+              </div>
+            </div>
+            <div>
+              <div style={{ color: '#888', fontSize: '0.85rem' }}>Location</div>
+              <div>{[profile.profile.location?.city, profile.profile.location?.state].filter(Boolean).join(', ') || '—'}</div>
+            </div>
+            <div>
+              <div style={{ color: '#888', fontSize: '0.85rem' }}>Parent / Owner</div>
+              <div>
+                {profile.profile.ultimateOwner?.name || profile.profile.parent?.name || profile.profile.immediateOwner?.name || '—'}
+              </div>
+            </div>
+          </div>
+
+          {profile.profile.registration ? (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '16px', marginBottom: '16px' }}>
+              <div>
+                <div style={{ color: '#888', fontSize: '0.85rem' }}>SAM Status</div>
+                <div style={{ color: /active/i.test(profile.profile.registration.status || '') ? 'var(--primary)' : '#ff9900' }}>
+                  {profile.profile.registration.status || 'Unknown'}
+                </div>
+              </div>
+              <div>
+                <div style={{ color: '#888', fontSize: '0.85rem' }}>Registered</div>
+                <div>{profile.profile.registration.registrationDate || '—'}</div>
+              </div>
+              <div>
+                <div style={{ color: '#888', fontSize: '0.85rem' }}>Expires</div>
+                <div>{profile.profile.registration.expirationDate || '—'}</div>
+              </div>
+              <div>
+                <div style={{ color: '#888', fontSize: '0.85rem' }}>Business Start</div>
+                <div>{profile.profile.registration.entityStartDate || '—'}</div>
+              </div>
+            </div>
+          ) : (
+            <p style={{ color: '#888', fontSize: '0.85rem' }}>
+              {profile.samError
+                ? `SAM.gov registration lookup failed: ${profile.samError}`
+                : 'SAM.gov registration not available (set SAM_API_KEY for registration details)'}
+            </p>
+          )}
+
+          {profile.profile.businessTypes.length > 0 && (
+            <p style={{ color: '#888', fontSize: '0.9rem', margin: '0 0 8px' }}>
+              <strong style={{ color: 'var(--foreground)' }}>Business types:</strong> {profile.profile.businessTypes.join(', ')}
+            </p>
+          )}
+          {profile.profile.naics.length > 0 && (
+            <p style={{ color: '#888', fontSize: '0.9rem', margin: '0 0 8px' }}>
+              <strong style={{ color: 'var(--foreground)' }}>NAICS:</strong>{' '}
+              {profile.profile.naics.slice(0, 5).map(n =>
+                `${n.code}${n.code === profile.profile.primaryNaics ? ' (primary)' : ''}${n.description ? ` ${n.description}` : ''}`
+              ).join('; ')}
+            </p>
+          )}
+          {profile.profile.pointsOfContact.length > 0 && (
+            <p style={{ color: '#888', fontSize: '0.9rem', margin: 0 }}>
+              <strong style={{ color: 'var(--foreground)' }}>Points of contact:</strong>{' '}
+              {profile.profile.pointsOfContact.map(poc =>
+                `${poc.name}${poc.title ? `, ${poc.title}` : ''} (${poc.role})`
+              ).join('; ')}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Exclusion Status */}
       {exclusionStatus && (
         <div className="premium-card" style={{ marginBottom: '24px' }}>
           <h3 style={{ marginTop: 0 }}>SAM.gov Exclusion Check</h3>
           <p style={{ color: '#888' }}>
-            Status: <span style={{ color: '#ff9900' }}>{exclusionStatus.status}</span>
+            Status: <span style={{ color: getExclusionStatusColor(exclusionStatus.status), fontWeight: 'bold' }}>
+              {exclusionStatus.status.replace(/_/g, ' ')}
+            </span>
+            {exclusionStatus.dataSource && (
+              <span style={{ marginLeft: '12px', fontSize: '0.85rem' }}>via {exclusionStatus.dataSource}</span>
+            )}
           </p>
+
+          {exclusionStatus.warning && (
+            <p style={{ color: '#ff9900', fontSize: '0.85rem' }}>
+              Live lookup failed ({exclusionStatus.warning}){exclusionStatus.source === 'extract' ? ' - showing offline extract results' : ''}
+            </p>
+          )}
+
+          {exclusionStatus.status === 'NOT_FOUND' && (
+            <p style={{ color: '#888', fontSize: '0.9rem' }}>No exclusion records match "{exclusionStatus.entity}".</p>
+          )}
+
+          {exclusionStatus.exclusions?.map((exclusion, i) => (
+            <div key={i} style={{
+              padding: '12px',
+              marginBottom: '8px',
+              background: 'rgba(255,255,255,0.05)',
+              borderRadius: 'var(--radius)',
+              borderLeft: `3px solid ${exclusion.isActive ? 'var(--accent)' : '#666'}`,
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', marginBottom: '4px' }}>
+                <span style={{ fontWeight: 'bold' }}>{exclusion.name}</span>
+                <span style={{ color: exclusion.isActive ? 'var(--accent)' : '#888', fontSize: '0.85rem' }}>
+                  {exclusion.isActive ? 'Active' : 'Terminated'}
+                </span>
+              </div>
+              <div style={{ color: '#888', fontSize: '0.85rem', lineHeight: 1.6 }}>
+                <div>
+                  {[exclusion.classification, exclusion.exclusionType, exclusion.exclusionProgram].filter(Boolean).join(' · ')}
+                </div>
+                {exclusion.agency?.name && <div>Excluding agency: {exclusion.agency.name}</div>}
+                <div>
+                  Active {exclusion.activeDate || 'unknown'} – {exclusion.terminationDate || 'Indefinite'}
+                </div>
+                {(exclusion.uei || exclusion.cage) && (
+                  <div style={{ fontFamily: 'monospace' }}>
+                    {exclusion.uei && `UEI ${exclusion.uei}`}{exclusion.uei && exclusion.cage && ' · '}{exclusion.cage && `CAGE ${exclusion.cage}`}
+                  </div>
+                )}
+                {exclusion.address?.city && (
+                  <div>{[exclusion.address.city, exclusion.address.state].filter(Boolean).join(', ')}</div>
+                )}
+                {exclusion.crossReferences?.length > 0 && (
+                  <div>Cross-references: {exclusion.crossReferences.map(ref => ref.name).join('; ')}</div>
+                )}
+                {exclusion.match && (
+                  <div>Match: {Math.round(exclusion.match.score * 100)}% ({exclusion.match.confidence} confidence)</div>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {exclusionStatus.possibleMatches?.length > 0 && (
+            <p style={{ color: '#888', fontSize: '0.85rem' }}>
+              Low-confidence name matches not counted: {exclusionStatus.possibleMatches
+                .map(e => `${e.name} (${Math.round(e.match.score * 100)}%)`)
+                .join('; ')}
+            </p>
+          )}
+
+          {exclusionStatus.instructions && (
+            <ol style={{ color: '#888', fontSize: '0.9rem', lineHeight: 1.6 }}>
+              {exclusionStatus.instructions.map((step, i) => (
+                <li key={i}>{step.replace(/^\d+\.\s*/, '')}</li>
+              ))}
+            </ol>
+          )}
+
           <a
             href={exclusionStatus.verificationUrl}
             target="_blank"
@@ -0,0 +1,10 @@
+import { redirect } from 'next/navigation';
+import { getJurisdiction } from '../../lib/jurisdiction';
+
+// Resolved per request so a JURISDICTION change takes effect without a rebuild
+export const dynamic = 'force-dynamic';
+
+// Contracts for the configured jurisdiction
+export default function Contracts() {
+  redirect(`/contracts/${getJurisdiction().slug}`);
+}
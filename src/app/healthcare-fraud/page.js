@@ -1,13 +1,36 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
 import { analyzePhysicianPayments } from '../../actions/openpayments';
 import { getMAProviderVerificationLinks, getMAHighRiskPatterns, getRecentMASettlements } from '../../actions/masshealth';
+import { getJurisdictionSettings } from '../../actions/jurisdiction';
+import BillingTrendChart from '../../components/BillingTrendChart';
+import CodeMixChart from '../../components/CodeMixChart';
+
+// Structured NPI Registry search fields (names match the healthcare-providers API)
+const LOOKUP_FIELDS = [
+  { name: 'firstName', label: 'First Name', width: '140px' },
+  { name: 'lastName', label: 'Last Name', width: '160px' },
+  { name: 'organizationName', label: 'Organization', width: '200px' },
+  { name: 'npi', label: 'NPI', width: '130px', placeholder: '10 digits' },
+  { name: 'taxonomy', label: 'Taxonomy', width: '180px', placeholder: 'Code or description' },
+  { name: 'city', label: 'City', width: '140px' },
+  { name: 'postalCode', label: 'ZIP', width: '90px' },
+];
+
+const EMPTY_LOOKUP = {
+  firstName: '', lastName: '', organizationName: '', npi: '', taxonomy: '', city: '', postalCode: '', enumerationType: '',
+};
+
+// Result rows scored by the trained model at once
+const MODEL_SCORE_CONCURRENCY = 3;
 
 export default function HealthcareFraud() {
   const [activeTab, setActiveTab] = useState('investigate');
   const [physicianName, setPhysicianName] = useState('');
-  const [physicianState, setPhysicianState] = useState('MA');
+  const [physicianState, setPhysicianState] = useState('');
+  const [jurisdictionSettings, setJurisdictionSettings] = useState(null);
   const [loading, setLoading] = useState(false);
   const [paymentAnalysis, setPaymentAnalysis] = useState(null);
   const [verificationLinks, setVerificationLinks] = useState(null);
@@ -18,10 +41,18 @@ export default function HealthcareFraud() {
   // New state for provider investigation
   const [providerSearchQuery, setProviderSearchQuery] = useState('');
   const [providerSearchType, setProviderSearchType] = useState('providers');
+  const [exclusionStates, setExclusionStates] = useState('');
+  const [lookupCriteria, setLookupCriteria] = useState(EMPTY_LOOKUP);
+  const [searchPage, setSearchPage] = useState(null);
   const [providerResults, setProviderResults] = useState([]);
   const [selectedProvider, setSelectedProvider] = useState(null);
   const [reviewResults, setReviewResults] = useState(null);
   const [loadingReviews, setLoadingReviews] = useState(false);
+  const [codeMix, setCodeMix] = useState(null);
+  const [loadingCodeMix, setLoadingCodeMix] = useState(false);
+  const [billingTrend, setBillingTrend] = useState(null);
+  const [loadingTrend, setLoadingTrend] = useState(false);
+  const [modelScores, setModelScores] = useState({});
   const [exclusionStats, setExclusionStats] = useState(null);
   const [riskyProviders, setRiskyProviders] = useState(null);
   const [loadingRisky, setLoadingRisky] = useState(true);
@@ -30,8 +61,17 @@ export default function HealthcareFraud() {
   useEffect(() => {
     loadExclusionStats();
     loadRiskyProviders();
+    getJurisdictionSettings().then(settings => {
+      setJurisdictionSettings(settings);
+      setPhysicianState(settings.jurisdiction.states[0]);
+    });
   }, []);
 
+  // Exclusion stats and risky providers default to the configured jurisdiction server-side
+  const jurisdiction = jurisdictionSettings?.jurisdiction;
+  const jurisdictionLabel = jurisdiction?.label || '';
+  const selectedModelScore = selectedProvider?.npi ? modelScores[selectedProvider.npi] : null;
+
   const loadExclusionStats = async () => {
     try {
       const res = await fetch('/api/healthcare-providers');
@@ -59,29 +99,43 @@ export default function HealthcareFraud() {
     }
   };
 
+  // Structured NPI Registry fields count only for provider lookups
+  const hasLookupCriteria = providerSearchType === 'providers' &&
+    Object.entries(lookupCriteria).some(([field, value]) => field !== 'enumerationType' && value.trim());
+
+  const fetchProviderResults = async (page) => {
+    const res = await fetch('/api/healthcare-providers', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        searchType: providerSearchType,
+        query: providerSearchQuery,
+        states: providerSearchType === 'exclusion-check' ? exclusionStates.split(',') : jurisdiction?.states,
+        ...(providerSearchType === 'providers' ? { ...lookupCriteria, page } : {}),
+      }),
+    });
+    return res.json();
+  };
+
   const handleProviderSearch = async (e) => {
     e.preventDefault();
-    if (!providerSearchQuery.trim()) return;
+    if (!providerSearchQuery.trim() && !hasLookupCriteria) return;
 
     setLoading(true);
     setError(null);
     setProviderResults([]);
+    setSearchPage(null);
     setSelectedProvider(null);
+    setCodeMix(null);
+    setBillingTrend(null);
     setReviewResults(null);
 
     try {
-      const res = await fetch('/api/healthcare-providers', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          searchType: providerSearchType,
-          query: providerSearchQuery,
-        }),
-      });
-
-      const data = await res.json();
+      const data = await fetchProviderResults(1);
       if (data.success) {
         setProviderResults(data.results || []);
+        setSearchPage(data.hasMore !== undefined ? { page: data.page, hasMore: data.hasMore } : null);
+        loadResultModelScores(data.results || []);
       } else {
         setError(data.error || 'Search failed');
       }
@@ -92,10 +146,105 @@ export default function HealthcareFraud() {
     }
   };
 
+  // Next page of NPI Registry results, appended to the list
+  const loadMoreProviders = async () => {
+    if (!searchPage?.hasMore) return;
+
+    setLoading(true);
+    try {
+      const data = await fetchProviderResults(searchPage.page + 1);
+      if (data.success) {
+        setProviderResults(prev => [...prev, ...(data.results || [])]);
+        setSearchPage({ page: data.page, hasMore: data.hasMore });
+        loadResultModelScores(data.results || []);
+      } else {
+        setError(data.error || 'Search failed');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // E&M code mix vs specialty peers, for providers with Medicare billing data
+  const loadCodeMix = async (provider) => {
+    setCodeMix(null);
+    if (!provider.npi || !provider.totalPayments) return;
+
+    setLoadingCodeMix(true);
+    try {
+      const res = await fetch('/api/healthcare-providers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ searchType: 'code-analysis', npi: provider.npi }),
+      });
+      const data = await res.json();
+      setCodeMix(data.success ? data : { error: data.error || 'Code analysis failed' });
+    } catch (err) {
+      setCodeMix({ error: err.message });
+    } finally {
+      setLoadingCodeMix(false);
+    }
+  };
+
+  // Yearly Medicare totals and growth vs specialty peers
+  const loadBillingTrend = async (provider) => {
+    setBillingTrend(null);
+    if (!provider.npi || !provider.totalPayments) return;
+
+    setLoadingTrend(true);
+    try {
+      const res = await fetch('/api/healthcare-providers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ searchType: 'billing-trend', npi: provider.npi }),
+      });
+      const data = await res.json();
+      setBillingTrend(data.success ? data : { error: data.error || 'Trend analysis failed' });
+    } catch (err) {
+      setBillingTrend({ error: err.message });
+    } finally {
+      setLoadingTrend(false);
+    }
+  };
+
+  // Trained model score from live registry, exclusion, CMS and Open Payments data (kept per NPI)
+  const loadModelScore = async (provider) => {
+    const npi = provider.npi?.toString();
+    if (!/^\d{10}$/.test(npi || '') || (modelScores[npi] && !modelScores[npi].error)) return;
+
+    setModelScores(prev => ({ ...prev, [npi]: { loading: true } }));
+    try {
+      const res = await fetch('/api/ml/score-provider', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ npi }),
+      });
+      const data = await res.json();
+      setModelScores(prev => ({ ...prev, [npi]: data.success ? data : { error: data.error || 'Scoring failed' } }));
+    } catch (err) {
+      setModelScores(prev => ({ ...prev, [npi]: { error: err.message } }));
+    }
+  };
+
+  // Model scores for a page of search results, a few rows at a time, so each row shows one
+  const loadResultModelScores = async (providers) => {
+    const queue = [...new Set(providers.map(p => p.npi?.toString()).filter(npi => /^\d{10}$/.test(npi || '')))];
+    let next = 0;
+    const worker = async () => {
+      while (next < queue.length) await loadModelScore({ npi: queue[next++] });
+    };
+    await Promise.all(Array.from({ length: Math.min(MODEL_SCORE_CONCURRENCY, queue.length) }, worker));
+  };
+
   const searchReviews = async (provider) => {
     setSelectedProvider(provider);
     setLoadingReviews(true);
     setReviewResults(null);
+    loadCodeMix(provider);
+    loadBillingTrend(provider);
+    loadModelScore(provider);
 
     try {
       const res = await fetch('/api/healthcare-reviews', {
@@ -103,7 +252,7 @@ export default function HealthcareFraud() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           providerName: provider.name,
-          city: provider.city || 'Massachusetts',
+          city: provider.city || jurisdictionLabel,
         }),
       });
 
@@ -119,10 +268,8 @@ export default function HealthcareFraud() {
     }
   };
 
-  const handlePhysicianSearch = async (e) => {
-    e.preventDefault();
-    if (!physicianName.trim()) return;
-
+  // options narrows the search to one recipient ({ npi } or { profileId })
+  const runPhysicianAnalysis = async (options = {}) => {
     setLoading(true);
     setError(null);
     setPaymentAnalysis(null);
@@ -130,8 +277,8 @@ export default function HealthcareFraud() {
 
     try {
       const [analysisResult, linksResult] = await Promise.all([
-        analyzePhysicianPayments(physicianName, physicianState || null),
-        getMAProviderVerificationLinks(physicianName),
+        analyzePhysicianPayments(physicianName, physicianState || null, options),
+        getMAProviderVerificationLinks(physicianName, options.npi),
       ]);
 
       if (analysisResult.success) {
@@ -150,6 +297,13 @@ export default function HealthcareFraud() {
     }
   };
 
+  const handlePhysicianSearch = (e) => {
+    e.preventDefault();
+    if (!physicianName.trim()) return;
+    const query = physicianName.trim();
+    runPhysicianAnalysis(/^\d{10}$/.test(query) ? { npi: query } : {});
+  };
+
   const loadMAData = async () => {
     setLoading(true);
     try {
@@ -185,7 +339,7 @@ export default function HealthcareFraud() {
 
   return (
     <div>
-      <h1>Healthcare Fraud Analysis</h1>
+      <h1>Healthcare Fraud Analysis{jurisdictionLabel && ` - ${jurisdictionLabel}`}</h1>
       <p style={{ color: '#888', marginBottom: '24px' }}>
         Analyze physician payments, MassHealth exclusions, and Medicaid fraud patterns
       </p>
@@ -194,7 +348,7 @@ export default function HealthcareFraud() {
       {exclusionStats && (
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '12px', marginBottom: '24px' }}>
           <div className="premium-card" style={{ textAlign: 'center', padding: '12px', borderLeft: '3px solid var(--accent)' }}>
-            <div style={{ color: '#888', fontSize: '0.8rem' }}>MA Excluded Providers</div>
+            <div style={{ color: '#888', fontSize: '0.8rem' }}>{exclusionStats.states?.join('/') || 'All'} Excluded Providers</div>
             <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--accent)' }}>
               {exclusionStats.totalExclusions?.toLocaleString()}
             </div>
@@ -205,7 +359,7 @@ export default function HealthcareFraud() {
           </div>
           <div className="premium-card" style={{ textAlign: 'center', padding: '12px' }}>
             <div style={{ color: '#888', fontSize: '0.8rem' }}>OIG Database</div>
-            <div style={{ fontSize: '1rem', fontWeight: 'bold' }}>82,709 records</div>
+            <div style={{ fontSize: '1rem', fontWeight: 'bold' }}>{exclusionStats.totalRecords?.toLocaleString() || 0} records</div>
           </div>
         </div>
       )}
@@ -266,6 +420,7 @@ export default function HealthcareFraud() {
                 >
                   <option value="providers">Provider Lookup (NPI)</option>
                   <option value="medicare-payments">Medicare Payments</option>
+                  <option value="compare-utilization">Peer Comparison</option>
                   <option value="exclusion-check">Exclusion Check</option>
                 </select>
               </div>
@@ -286,10 +441,70 @@ export default function HealthcareFraud() {
                   }}
                 />
               </div>
-              <button type="submit" className="btn btn-primary" disabled={loading || !providerSearchQuery.trim()}>
+              {providerSearchType === 'exclusion-check' && (
+                <div style={{ width: '180px' }}>
+                  <label style={{ color: '#888', fontSize: '0.85rem', display: 'block', marginBottom: '4px' }}>States</label>
+                  <input
+                    type="text"
+                    value={exclusionStates}
+                    onChange={(e) => setExclusionStates(e.target.value.toUpperCase())}
+                    placeholder="e.g. MA, NH (blank: all)"
+                    style={{
+                      width: '100%',
+                      padding: '10px 16px',
+                      borderRadius: 'var(--radius)',
+                      border: '1px solid var(--border)',
+                      background: 'var(--background)',
+                      color: 'var(--foreground)',
+                    }}
+                  />
+                </div>
+              )}
+              <button type="submit" className="btn btn-primary" disabled={loading || (!providerSearchQuery.trim() && !hasLookupCriteria)}>
                 {loading ? 'Searching...' : 'Search'}
               </button>
             </div>
+            {providerSearchType === 'providers' && (
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginTop: '12px' }}>
+                {LOOKUP_FIELDS.map(field => (
+                  <div key={field.name} style={{ width: field.width }}>
+                    <label style={{ color: '#888', fontSize: '0.85rem', display: 'block', marginBottom: '4px' }}>{field.label}</label>
+                    <input
+                      type="text"
+                      value={lookupCriteria[field.name]}
+                      onChange={(e) => setLookupCriteria({ ...lookupCriteria, [field.name]: e.target.value })}
+                      placeholder={field.placeholder}
+                      style={{
+                        width: '100%',
+                        padding: '10px 16px',
+                        borderRadius: 'var(--radius)',
+                        border: '1px solid var(--border)',
+                        background: 'var(--background)',
+                        color: 'var(--foreground)',
+                      }}
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label style={{ color: '#888', fontSize: '0.85rem', display: 'block', marginBottom: '4px' }}>Type</label>
+                  <select
+                    value={lookupCriteria.enumerationType}
+                    onChange={(e) => setLookupCriteria({ ...lookupCriteria, enumerationType: e.target.value })}
+                    style={{
+                      padding: '10px 16px',
+                      borderRadius: 'var(--radius)',
+                      border: '1px solid var(--border)',
+                      background: 'var(--background)',
+                      color: 'var(--foreground)',
+                    }}
+                  >
+                    <option value="">Any</option>
+                    <option value="individual">Individual (NPI-1)</option>
+                    <option value="organization">Organization (NPI-2)</option>
+                  </select>
+                </div>
+              </div>
+            )}
           </form>
 
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 380px', gap: '24px' }}>
@@ -298,6 +513,7 @@ export default function HealthcareFraud() {
               {/* Sub-tabs for different risk categories */}
               <div style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
                 {[
+                  { id: 'changes', label: 'New This Update', count: (riskyProviders?.changes?.newExclusions?.length || 0) + (riskyProviders?.changes?.reinstatements?.length || 0), show: !!riskyProviders?.changes },
                   { id: 'recent', label: 'Recent Exclusions', count: riskyProviders?.recentExclusions?.length },
                   { id: 'highrisk', label: 'High-Risk Specialties', count: riskyProviders?.highRiskProviders?.length },
                   { id: 'entities', label: 'Excluded Businesses', count: riskyProviders?.excludedEntities?.length },
@@ -326,6 +542,28 @@ export default function HealthcareFraud() {
                 <div style={{ padding: '40px', textAlign: 'center', color: '#888' }}>Loading risky providers...</div>
               ) : (
                 <div style={{ maxHeight: '550px', overflowY: 'auto' }}>
+                  {/* Changes since the previous LEIE update */}
+                  {activeRiskyTab === 'changes' && riskyProviders?.changes && (
+                    <div>
+                      <div style={{ padding: '8px 12px', fontSize: '0.8rem', color: '#888', borderBottom: '1px solid var(--border)' }}>
+                        LEIE updated {new Date(riskyProviders.changes.runAt).toLocaleDateString()}
+                        {riskyProviders.changes.previousRunAt && ` (previous update ${new Date(riskyProviders.changes.previousRunAt).toLocaleDateString()})`}
+                        {riskyProviders.changes.files?.length > 0 && ` from ${riskyProviders.changes.files.join(', ')}`}
+                      </div>
+                      {riskyProviders.changes.newExclusions.map((provider, i) => (
+                        <ProviderRow key={`new-${i}`} provider={provider} onSelect={searchReviews} selected={selectedProvider} formatCurrency={formatCurrency} getRiskColor={getRiskColor} />
+                      ))}
+                      {riskyProviders.changes.reinstatements.map((provider, i) => (
+                        <ProviderRow key={`rein-${i}`} provider={provider} onSelect={searchReviews} selected={selectedProvider} formatCurrency={formatCurrency} getRiskColor={getRiskColor} />
+                      ))}
+                      {riskyProviders.changes.newExclusions.length === 0 && riskyProviders.changes.reinstatements.length === 0 && (
+                        <div style={{ padding: '40px', textAlign: 'center', color: '#666' }}>
+                          No {jurisdictionLabel} changes in the latest update.
+                        </div>
+                      )}
+                    </div>
+                  )}
+
                   {/* Recent Exclusions */}
                   {activeRiskyTab === 'recent' && riskyProviders?.recentExclusions?.map((provider, i) => (
                     <ProviderRow key={i} provider={provider} onSelect={searchReviews} selected={selectedProvider} formatCurrency={formatCurrency} getRiskColor={getRiskColor} />
@@ -379,9 +617,17 @@ export default function HealthcareFraud() {
 
                   {/* Search Results */}
                   {activeRiskyTab === 'search' && providerResults.map((provider, i) => (
-                    <ProviderRow key={i} provider={provider} onSelect={searchReviews} selected={selectedProvider} formatCurrency={formatCurrency} getRiskColor={getRiskColor} showExcluded />
+                    <ProviderRow key={i} provider={provider} onSelect={searchReviews} selected={selectedProvider} formatCurrency={formatCurrency} getRiskColor={getRiskColor} modelScore={modelScores[provider.npi]} showExcluded />
                   ))}
 
+                  {activeRiskyTab === 'search' && searchPage?.hasMore && (
+                    <div style={{ padding: '12px', textAlign: 'center' }}>
+                      <button onClick={loadMoreProviders} className="btn" disabled={loading} style={{ fontSize: '0.85rem' }}>
+                        {loading ? 'Loading...' : 'Load more'}
+                      </button>
+                    </div>
+                  )}
+
                   {activeRiskyTab === 'search' && providerResults.length === 0 && (
                     <div style={{ padding: '40px', textAlign: 'center', color: '#666' }}>
                       No search results. Use the search box above.
@@ -408,21 +654,84 @@ export default function HealthcareFraud() {
                       </div>
                     </div>
                   )}
+                  {selectedProvider.taxonomies?.length > 0 && (
+                    <div style={{ marginBottom: '12px' }}>
+                      <div style={{ color: '#888', fontSize: '0.85rem' }}>Taxonomies (NPI {selectedProvider.npi})</div>
+                      {selectedProvider.taxonomies.map((t, i) => (
+                        <div key={i} style={{ fontSize: '0.85rem' }}>
+                          {t.desc} <span style={{ color: '#666' }}>{t.code}{t.primary && ' · primary'}{t.state && ` · ${t.state}`}{t.license && ` #${t.license}`}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {selectedProvider.practiceLocations?.length > 0 && (
+                    <div style={{ marginBottom: '12px' }}>
+                      <div style={{ color: '#888', fontSize: '0.85rem' }}>Practice Locations</div>
+                      {selectedProvider.practiceLocations.map((a, i) => (
+                        <div key={i} style={{ fontSize: '0.85rem' }}>
+                          {[a.address1, a.address2, a.city, a.state, a.postalCode].filter(Boolean).join(', ')}
+                          {a.phone && <span style={{ color: '#666' }}> · {a.phone}</span>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   {selectedProvider.isExcluded && (
                     <div style={{ padding: '10px', background: 'rgba(255,69,58,0.1)', borderRadius: '4px', marginBottom: '12px' }}>
                       <div style={{ color: 'var(--accent)', fontWeight: 'bold', fontSize: '0.9rem' }}>WARNING: On OIG Exclusion List</div>
+                      {selectedProvider.exclusionStatus?.match && (
+                        <div style={{ color: '#888', fontSize: '0.8rem' }}>Match: {selectedProvider.exclusionStatus.match.description}</div>
+                      )}
+                    </div>
+                  )}
+                  {!selectedProvider.isExcluded && selectedProvider.exclusionStatus && (
+                    <div style={{ padding: '10px', background: 'rgba(255,153,0,0.1)', borderRadius: '4px', marginBottom: '12px' }}>
+                      <div style={{ color: '#ff9900', fontWeight: 'bold', fontSize: '0.9rem' }}>Previously excluded</div>
+                      <div style={{ color: '#888', fontSize: '0.8rem' }}>{selectedProvider.exclusionStatus.description}</div>
+                    </div>
+                  )}
+                  {selectedModelScore && (
+                    <div style={{ marginBottom: '12px' }}>
+                      <div style={{ color: '#888', fontSize: '0.85rem' }}>
+                        Model Score
+                        {selectedProvider.riskLevel && <span style={{ color: '#666' }}> (rule-based: {selectedProvider.riskLevel})</span>}
+                      </div>
+                      {selectedModelScore.loading && <div style={{ color: '#888', fontSize: '0.85rem' }}>Scoring...</div>}
+                      {selectedModelScore.error && <div style={{ color: '#888', fontSize: '0.85rem' }}>{selectedModelScore.error}</div>}
+                      {selectedModelScore.score !== undefined && (
+                        <>
+                          <div style={{ fontSize: '1.3rem', fontWeight: 'bold', color: getRiskColor(selectedModelScore.riskLevel) }}>
+                            {selectedModelScore.score}/100 <span style={{ fontSize: '0.8rem', fontWeight: 'normal' }}>{selectedModelScore.riskLevel}</span>
+                          </div>
+                          {selectedModelScore.factors.map((factor, i) => (
+                            <div key={i} style={{ fontSize: '0.8rem', color: factor.severity === 'high' ? 'var(--accent)' : '#ff9900' }}>
+                              +{factor.contribution} {factor.description}
+                            </div>
+                          ))}
+                          <div style={{ fontSize: '0.75rem', color: '#666' }}>
+                            {Math.round(selectedModelScore.confidence * 100)}% confidence
+                            {selectedModelScore.modelTrained && ` · model v${selectedModelScore.modelVersion}`}
+                          </div>
+                        </>
+                      )}
                     </div>
                   )}
                   <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                    {/^\d{10}$/.test(selectedProvider.npi || '') && (
+                      <Link
+                        href={`/providers/${selectedProvider.npi}`}
+                        className="btn btn-primary"
+                        style={{ textDecoration: 'none', fontSize: '0.8rem', padding: '6px 10px' }}
+                      >Full Profile</Link>
+                    )}
                     <a
-                      href={`https://www.google.com/search?q="${encodeURIComponent(selectedProvider.name)}" Massachusetts reviews overcharged`}
+                      href={`https://www.google.com/search?q="${encodeURIComponent(selectedProvider.name)}" ${encodeURIComponent(jurisdictionLabel)} reviews overcharged`}
                       target="_blank"
                       rel="noopener noreferrer"
                       className="btn"
                       style={{ textDecoration: 'none', fontSize: '0.8rem', padding: '6px 10px', background: 'var(--surface)', border: '1px solid var(--border)' }}
                     >Google Reviews</a>
                     <a
-                      href={`https://www.yelp.com/search?find_desc=${encodeURIComponent(selectedProvider.name)}&find_loc=Massachusetts`}
+                      href={`https://www.yelp.com/search?find_desc=${encodeURIComponent(selectedProvider.name)}&find_loc=${encodeURIComponent(jurisdictionLabel)}`}
                       target="_blank"
                       rel="noopener noreferrer"
                       className="btn"
@@ -432,6 +741,38 @@ export default function HealthcareFraud() {
                 </div>
               )}
 
+              {/* Billing Trend */}
+              {selectedProvider?.totalPayments && (loadingTrend || billingTrend) && (
+                <div className="premium-card">
+                  <h4 style={{ marginTop: 0 }}>
+                    Medicare Billing Trend
+                    {loadingTrend && <span style={{ fontWeight: 'normal', color: '#888' }}> (loading years...)</span>}
+                  </h4>
+                  {billingTrend?.error && (
+                    <div style={{ color: '#888', fontSize: '0.85rem' }}>{billingTrend.error}</div>
+                  )}
+                  {billingTrend?.trend && (
+                    <BillingTrendChart trend={billingTrend.trend} spike={billingTrend.spike} formatCurrency={formatCurrency} />
+                  )}
+                </div>
+              )}
+
+              {/* E&M Code Mix */}
+              {selectedProvider?.totalPayments && (loadingCodeMix || codeMix) && (
+                <div className="premium-card">
+                  <h4 style={{ marginTop: 0 }}>
+                    E&amp;M Code Mix
+                    {loadingCodeMix && <span style={{ fontWeight: 'normal', color: '#888' }}> (loading peers...)</span>}
+                  </h4>
+                  {codeMix?.error && (
+                    <div style={{ color: '#888', fontSize: '0.85rem' }}>{codeMix.error}</div>
+                  )}
+                  {codeMix?.codeMix && (
+                    <CodeMixChart codeMix={codeMix.codeMix} peers={codeMix.peers} upcoding={codeMix.upcoding} />
+                  )}
+                </div>
+              )}
+
               {/* Review Analysis */}
               {selectedProvider && (
                 <div className="premium-card">
@@ -525,7 +866,7 @@ export default function HealthcareFraud() {
                 type="text"
                 value={physicianName}
                 onChange={(e) => setPhysicianName(e.target.value)}
-                placeholder="Enter physician name (e.g., John Smith)"
+                placeholder="Enter physician name or NPI (e.g., John Smith)"
                 style={{
                   flex: 1,
                   minWidth: '250px',
@@ -549,11 +890,9 @@ export default function HealthcareFraud() {
                 }}
               >
                 <option value="">All States</option>
-                <option value="MA">Massachusetts</option>
-                <option value="NY">New York</option>
-                <option value="CA">California</option>
-                <option value="TX">Texas</option>
-                <option value="FL">Florida</option>
+                {jurisdictionSettings?.states.map(state => (
+                  <option key={state.code} value={state.code}>{state.name}</option>
+                ))}
               </select>
               <button type="submit" className="btn btn-primary" disabled={loading}>
                 {loading ? 'Analyzing...' : 'Analyze Payments'}
@@ -567,7 +906,18 @@ export default function HealthcareFraud() {
               {/* Risk Summary */}
               <div className="premium-card" style={{ marginBottom: '24px' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
-                  <h3 style={{ margin: 0 }}>Payment Analysis: {paymentAnalysis.physician?.searchName}</h3>
+                  <div>
+                    <h3 style={{ margin: 0 }}>Payment Analysis: {paymentAnalysis.physician?.name || paymentAnalysis.physician?.searchName}</h3>
+                    {(paymentAnalysis.physician?.npi || paymentAnalysis.physician?.profileId) && (
+                      <div style={{ color: '#888', fontSize: '0.85rem', marginTop: '4px' }}>
+                        {[
+                          paymentAnalysis.physician.npi && `NPI ${paymentAnalysis.physician.npi}`,
+                          paymentAnalysis.physician.profileId && `Profile ID ${paymentAnalysis.physician.profileId}`,
+                          paymentAnalysis.physician.specialty,
+                        ].filter(Boolean).join(' • ')}
+                      </div>
+                    )}
+                  </div>
                   {paymentAnalysis.riskAnalysis && (
                     <div style={{
                       padding: '8px 16px',
@@ -583,7 +933,9 @@ export default function HealthcareFraud() {
 
                 <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '16px', marginBottom: '16px' }}>
                   <div>
-                    <div style={{ color: '#888', fontSize: '0.85rem' }}>Total Payments</div>
+                    <div style={{ color: '#888', fontSize: '0.85rem' }}>
+                      Total Payments{paymentAnalysis.programYear ? ` (${paymentAnalysis.programYear})` : ''}
+                    </div>
                     <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--primary)' }}>
                       {formatCurrency(paymentAnalysis.summary?.totalPayments || 0)}
                     </div>
@@ -602,6 +954,53 @@ export default function HealthcareFraud() {
                   </div>
                 </div>
 
+                {paymentAnalysis.message && (
+                  <div style={{ color: '#888', fontSize: '0.9rem', marginBottom: '12px' }}>
+                    {paymentAnalysis.message}{' '}
+                    {paymentAnalysis.manualVerificationUrl && (
+                      <a href={paymentAnalysis.manualVerificationUrl} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--primary)' }}>
+                        Open Payments search
+                      </a>
+                    )}
+                  </div>
+                )}
+
+                {/* Matching physicians when the name alone is ambiguous */}
+                {paymentAnalysis.candidates?.length > 0 && (
+                  <div style={{ marginTop: '16px' }}>
+                    <h4 style={{ marginBottom: '8px' }}>Matching Physicians</h4>
+                    {paymentAnalysis.candidates.map(candidate => (
+                      <button
+                        key={candidate.profileId || candidate.npi || candidate.name}
+                        type="button"
+                        onClick={() => runPhysicianAnalysis(candidate.profileId ? { profileId: candidate.profileId } : { npi: candidate.npi })}
+                        style={{
+                          display: 'block',
+                          width: '100%',
+                          textAlign: 'left',
+                          padding: '12px',
+                          marginBottom: '8px',
+                          background: 'rgba(255,255,255,0.05)',
+                          border: '1px solid var(--border)',
+                          borderRadius: 'var(--radius)',
+                          color: 'var(--foreground)',
+                          cursor: 'pointer',
+                        }}
+                      >
+                        <div style={{ fontWeight: 'bold' }}>{candidate.name}</div>
+                        <div style={{ color: '#888', fontSize: '0.85rem' }}>
+                          {[
+                            candidate.specialty,
+                            [candidate.city, candidate.state].filter(Boolean).join(', '),
+                            candidate.npi && `NPI ${candidate.npi}`,
+                            `${candidate.paymentCount} payments`,
+                          ].filter(Boolean).join(' • ')}
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                )}
+
                 {/* Risk Factors */}
                 {paymentAnalysis.riskAnalysis?.factors?.length > 0 && (
                   <div style={{ marginTop: '16px' }}>
@@ -624,10 +1023,148 @@ export default function HealthcareFraud() {
                 )}
               </div>
 
+              {/* Payment History by Program Year */}
+              {paymentAnalysis.history?.length > 0 && (
+                <div className="premium-card" style={{ marginBottom: '24px' }}>
+                  <h3 style={{ marginTop: 0 }}>Payment History by Program Year</h3>
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr style={{ borderBottom: '1px solid var(--border)' }}>
+                          <th style={{ textAlign: 'left', padding: '12px 8px', color: '#888' }}>Year</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>General</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Change</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Research</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Ownership Invested</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Companies</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[...paymentAnalysis.history].reverse().map(entry => {
+                          const growth = paymentAnalysis.trend?.years?.find(y => y.year === entry.year)?.growth;
+                          return (
+                            <tr key={entry.year} style={{ borderBottom: '1px solid var(--border)' }}>
+                              <td style={{ padding: '12px 8px' }}>{entry.year}</td>
+                              <td style={{ padding: '12px 8px', textAlign: 'right', color: 'var(--primary)', fontWeight: 'bold' }}>
+                                {formatCurrency(entry.general.total)}
+                                <span style={{ color: '#888', fontWeight: 'normal' }}> ({entry.general.count})</span>
+                              </td>
+                              <td style={{ padding: '12px 8px', textAlign: 'right', color: growth >= 1 ? getRiskColor('High') : '#888' }}>
+                                {growth === null || growth === undefined ? '—' : `${growth >= 0 ? '+' : ''}${Math.round(growth * 100)}%`}
+                              </td>
+                              <td style={{ padding: '12px 8px', textAlign: 'right', color: '#888' }}>
+                                {entry.research.count > 0 ? formatCurrency(entry.research.total) : '—'}
+                              </td>
+                              <td style={{ padding: '12px 8px', textAlign: 'right', color: '#888' }}>
+                                {entry.ownership.count > 0 ? formatCurrency(entry.ownership.invested) : '—'}
+                              </td>
+                              <td style={{ padding: '12px 8px', textAlign: 'right', color: '#888' }}>{entry.companies}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {/* Ownership and Investment Interests */}
+              {paymentAnalysis.ownership?.length > 0 && (
+                <div className="premium-card" style={{ marginBottom: '24px' }}>
+                  <h3 style={{ marginTop: 0 }}>Ownership &amp; Investment Interests</h3>
+                  {(paymentAnalysis.ownershipBillingError || !paymentAnalysis.ownershipBillingChecked) && (
+                    <p style={{ color: '#888', fontSize: '0.85rem', marginTop: 0 }}>
+                      {paymentAnalysis.ownershipBillingError || 'Medicare billing was not checked against these companies'}
+                    </p>
+                  )}
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr style={{ borderBottom: '1px solid var(--border)' }}>
+                          <th style={{ textAlign: 'left', padding: '12px 8px', color: '#888' }}>Company</th>
+                          <th style={{ textAlign: 'left', padding: '12px 8px', color: '#888' }}>Years</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Invested</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Value</th>
+                          <th style={{ textAlign: 'left', padding: '12px 8px', color: '#888' }}>Billed to Medicare</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {paymentAnalysis.ownership.map((interest, i) => (
+                          <tr key={i} style={{ borderBottom: '1px solid var(--border)' }}>
+                            <td style={{ padding: '12px 8px' }}>
+                              {interest.company}
+                              {interest.heldBy && (
+                                <div style={{ color: '#888', fontSize: '0.8rem' }}>Held by {interest.heldBy.toLowerCase()}</div>
+                              )}
+                            </td>
+                            <td style={{ padding: '12px 8px', color: '#888' }}>{interest.years.join(', ')}</td>
+                            <td style={{ padding: '12px 8px', textAlign: 'right' }}>{formatCurrency(interest.invested)}</td>
+                            <td style={{ padding: '12px 8px', textAlign: 'right', color: 'var(--primary)', fontWeight: 'bold' }}>
+                              {formatCurrency(interest.value)}
+                            </td>
+                            <td style={{ padding: '12px 8px', fontSize: '0.85rem' }}>
+                              {interest.billedProducts?.length > 0 ? (
+                                interest.billedProducts.map(product => (
+                                  <div key={product.code} style={{ color: getRiskColor('High') }}>
+                                    {product.code} {product.description}
+                                    <span style={{ color: '#888' }}> ({product.services} services, {formatCurrency(product.medicarePayments)})</span>
+                                  </div>
+                                ))
+                              ) : (
+                                <span style={{ color: '#888' }}>None found</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {/* Research Payments */}
+              {paymentAnalysis.research?.count > 0 && (
+                <div className="premium-card" style={{ marginBottom: '24px' }}>
+                  <h3 style={{ marginTop: 0 }}>Research Payments</h3>
+                  <p style={{ color: '#888', fontSize: '0.85rem', marginTop: 0 }}>
+                    {formatCurrency(paymentAnalysis.research.total)} across {paymentAnalysis.research.count} payments, all program years
+                  </p>
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr style={{ borderBottom: '1px solid var(--border)' }}>
+                          <th style={{ textAlign: 'left', padding: '12px 8px', color: '#888' }}>Company</th>
+                          <th style={{ textAlign: 'left', padding: '12px 8px', color: '#888' }}>Studies</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Total</th>
+                          <th style={{ textAlign: 'right', padding: '12px 8px', color: '#888' }}>Count</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {paymentAnalysis.research.companies.slice(0, 10).map((company, i) => (
+                          <tr key={i} style={{ borderBottom: '1px solid var(--border)' }}>
+                            <td style={{ padding: '12px 8px' }}>{company.company}</td>
+                            <td style={{ padding: '12px 8px', color: '#888', fontSize: '0.85rem' }}>
+                              {company.studies.slice(0, 2).join('; ')}
+                              {company.studies.length > 2 ? ` (+${company.studies.length - 2} more)` : ''}
+                            </td>
+                            <td style={{ padding: '12px 8px', textAlign: 'right', color: 'var(--primary)', fontWeight: 'bold' }}>
+                              {formatCurrency(company.total)}
+                            </td>
+                            <td style={{ padding: '12px 8px', textAlign: 'right', color: '#888' }}>{company.count}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
               {/* Top Paying Companies */}
               {paymentAnalysis.topPayingCompanies?.length > 0 && (
                 <div className="premium-card" style={{ marginBottom: '24px' }}>
-                  <h3 style={{ marginTop: 0 }}>Top Paying Companies</h3>
+                  <h3 style={{ marginTop: 0 }}>
+                    Top Paying Companies{paymentAnalysis.programYear ? ` (${paymentAnalysis.programYear})` : ''}
+                  </h3>
                   <div style={{ overflowX: 'auto' }}>
                     <table style={{ width: '100%', borderCollapse: 'collapse' }}>
                       <thead>
@@ -702,6 +1239,8 @@ export default function HealthcareFraud() {
                 <li>Total payments exceeding $50,000</li>
                 <li>Payments concentrated from single company (&gt;70%)</li>
                 <li>Frequent consulting/speaking engagements</li>
+                <li>Payments doubling (or more) from one program year to the next</li>
+                <li>Ownership or investment interests in manufacturers whose products the physician bills Medicare for</li>
                 <li>Payments correlating with prescription patterns</li>
               </ul>
             </div>
@@ -887,8 +1426,12 @@ export default function HealthcareFraud() {
 }
 
 // Provider Row Component
-function ProviderRow({ provider, onSelect, selected, formatCurrency, getRiskColor, showExcluded }) {
+function ProviderRow({ provider, onSelect, selected, formatCurrency, getRiskColor, modelScore, showExcluded }) {
   const isSelected = selected?.npi === provider.npi || selected?.name === provider.name;
+  // Reinstated or waived providers carry an exclusionStatus but aren't currently excluded
+  const formerlyExcluded = provider.exclusionStatus && !provider.exclusionStatus.isExcluded;
+  const match = provider.match || provider.exclusionStatus?.match;
+  const peers = provider.peerComparison?.sufficient && provider.peerComparison;
 
   return (
     <div
@@ -904,7 +1447,7 @@ function ProviderRow({ provider, onSelect, selected, formatCurrency, getRiskColo
         <div style={{ flex: 1 }}>
           <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
             {provider.name}
-            {(provider.isExcluded || provider.exclusionType) && (
+            {(provider.isExcluded || provider.exclusionType) && !formerlyExcluded && (
               <span style={{
                 marginLeft: '8px',
                 padding: '2px 8px',
@@ -914,15 +1457,53 @@ function ProviderRow({ provider, onSelect, selected, formatCurrency, getRiskColo
                 fontSize: '0.7rem',
               }}>EXCLUDED</span>
             )}
+            {formerlyExcluded && (
+              <span style={{
+                marginLeft: '8px',
+                padding: '2px 8px',
+                background: '#ff9900',
+                color: '#000',
+                borderRadius: '4px',
+                fontSize: '0.7rem',
+              }}>{provider.exclusionStatus.status.toUpperCase()}</span>
+            )}
           </div>
           <div style={{ fontSize: '0.85rem', color: '#888' }}>
-            {provider.specialty} {provider.city && `| ${provider.city}`}
+            {provider.specialty} {provider.city && `| ${provider.city}`} {provider.state && `| ${provider.state}`}
           </div>
           {provider.reason && (
             <div style={{ fontSize: '0.75rem', color: '#ff9900', marginTop: '2px' }}>{provider.reason}</div>
           )}
-          {provider.exclusionDate && (
-            <div style={{ fontSize: '0.75rem', color: '#666' }}>Excluded: {provider.exclusionDate}</div>
+          {formerlyExcluded ? (
+            <div style={{ fontSize: '0.75rem', color: '#666' }}>{provider.exclusionStatus.description}</div>
+          ) : provider.exclusionDate && (
+            <div style={{ fontSize: '0.75rem', color: '#666' }}>
+              Excluded: {provider.exclusionDate}
+              {provider.source && ` · ${provider.source}`}
+            </div>
+          )}
+          {provider.taxonomies && (
+            <div style={{ fontSize: '0.75rem', color: '#666' }}>
+              NPI {provider.npi}{provider.credential && ` · ${provider.credential}`}
+              {provider.practiceLocations.length > 1 && ` · ${provider.practiceLocations.length} locations`}
+              {provider.taxonomies.length > 1 && ` · ${provider.taxonomies.length} taxonomies`}
+            </div>
+          )}
+          {peers && (
+            <div style={{ fontSize: '0.75rem', color: '#666' }}>
+              Peer rank ({peers.peerCount} {peers.state}):{' '}
+              {Object.values(peers.metrics).filter(m => m.percentile !== null).map((m, i) => (
+                <span key={i} style={{ color: m.isOutlier ? '#ff9900' : '#666' }}>
+                  {i > 0 && ' · '}{m.label.toLowerCase()} P{Math.floor(m.percentile * 100)}
+                </span>
+              ))}
+            </div>
+          )}
+          {match && (
+            <div style={{ fontSize: '0.75rem', color: '#666' }}>
+              Match: {match.description}
+              {provider.exclusionStatus?.state && ` · excluded in ${provider.exclusionStatus.state}`}
+            </div>
           )}
         </div>
         <div style={{ textAlign: 'right' }}>
@@ -939,6 +1520,14 @@ function ProviderRow({ provider, onSelect, selected, formatCurrency, getRiskColo
             fontSize: '0.7rem',
             fontWeight: 'bold',
           }}>{provider.riskLevel}</span>
+          {modelScore?.score !== undefined && (
+            <div style={{ fontSize: '0.7rem', color: getRiskColor(modelScore.riskLevel), marginTop: '4px' }}>
+              Model {modelScore.score}/100
+            </div>
+          )}
+          {modelScore?.loading && (
+            <div style={{ fontSize: '0.7rem', color: '#666', marginTop: '4px' }}>Model scoring...</div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,291 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import BillingTrendChart from '../../../components/BillingTrendChart';
+import CodeMixChart from '../../../components/CodeMixChart';
+
+/**
+ * Provider 360 profile
+ * Everything known about one provider, keyed by NPI: registry data, exclusions,
+ * Medicare utilization, Open Payments, verification links, reviews and a combined score
+ */
+export default function ProviderProfile() {
+  const { npi } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadProfile();
+  }, [npi]);
+
+  const loadProfile = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const res = await fetch(`/api/providers/${npi}`);
+      const data = await res.json();
+      if (data.success) {
+        setProfile(data);
+      } else {
+        setError(data.error || 'Failed to load provider');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    const num = parseFloat(amount) || 0;
+    if (num >= 1000000) return `$${(num / 1000000).toFixed(1)}M`;
+    if (num >= 1000) return `$${(num / 1000).toFixed(0)}K`;
+    return `$${num.toLocaleString()}`;
+  };
+
+  const getRiskColor = (level) => {
+    switch (level) {
+      case 'High': return 'var(--accent)';
+      case 'Medium': return '#ff9900';
+      case 'Low': return 'var(--primary)';
+      default: return 'var(--foreground)';
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={{ padding: '40px', textAlign: 'center', color: '#888' }}>
+        Loading provider {npi} (registry, exclusions, Medicare, Open Payments, reviews)...
+      </div>
+    );
+  }
+
+  if (error || !profile) {
+    return (
+      <div>
+        <Link href="/healthcare-fraud" style={{ color: '#888', fontSize: '0.85rem' }}>← Healthcare investigation</Link>
+        <div className="premium-card" style={{ borderColor: 'var(--accent)', marginTop: '16px' }}>
+          <p style={{ color: 'var(--accent)', margin: 0 }}>Error: {error || 'Provider not found'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { provider, exclusion, medicare, openPayments, reviews, verificationLinks, score } = profile;
+
+  return (
+    <div>
+      <Link href="/healthcare-fraud" style={{ color: '#888', fontSize: '0.85rem' }}>← Healthcare investigation</Link>
+      <h1 style={{ marginBottom: '4px' }}>
+        {provider.name}
+        {provider.credential && <span style={{ color: '#888', fontWeight: 'normal', fontSize: '1.2rem' }}> {provider.credential}</span>}
+      </h1>
+      <p style={{ color: '#888', marginBottom: '24px' }}>
+        NPI {provider.npi} · {provider.entityType === 'organization' ? 'Organization (NPI-2)' : 'Individual (NPI-1)'}
+        {provider.primaryTaxonomy && ` · ${provider.primaryTaxonomy.desc}`}
+        {provider.enumerationDate && ` · enumerated ${provider.enumerationDate}`}
+        {provider.status && provider.status !== 'A' && <span style={{ color: '#ff9900' }}> · status {provider.status}</span>}
+      </p>
+
+      {/* Combined score */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+        <div className="premium-card" style={{ textAlign: 'center', padding: '16px' }}>
+          <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '4px' }}>Fraud Risk Score</div>
+          <div style={{ fontSize: '1.8rem', fontWeight: 'bold', color: getRiskColor(score.riskLevel) }}>{score.score}/100</div>
+          <div style={{ fontSize: '0.75rem', color: '#666' }}>
+            {score.riskLevel} · {Math.round(score.confidence * 100)}% conf{score.modelTrained && ` · model v${score.modelVersion}`}
+          </div>
+        </div>
+        <div className="premium-card" style={{ textAlign: 'center', padding: '16px' }}>
+          <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '4px' }}>Exclusion Status</div>
+          <div style={{ fontSize: '1.8rem', fontWeight: 'bold', color: exclusion.isExcluded ? 'var(--accent)' : exclusion.status ? '#ff9900' : 'var(--primary)' }}>
+            {exclusion.error ? 'Unknown' : exclusion.status ? exclusion.status.toUpperCase() : 'Clear'}
+          </div>
+        </div>
+        <div className="premium-card" style={{ textAlign: 'center', padding: '16px' }}>
+          <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '4px' }}>Medicare Payments</div>
+          <div style={{ fontSize: '1.8rem', fontWeight: 'bold', color: 'var(--primary)' }}>
+            {medicare.found ? formatCurrency(medicare.totalPayments) : 'None'}
+          </div>
+        </div>
+        <div className="premium-card" style={{ textAlign: 'center', padding: '16px' }}>
+          <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '4px' }}>Industry Payments</div>
+          <div style={{ fontSize: '1.8rem', fontWeight: 'bold', color: getRiskColor(openPayments.riskAnalysis?.riskLevel) }}>
+            {openPayments.summary ? formatCurrency(openPayments.summary.totalPayments) : 'n/a'}
+          </div>
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 380px', gap: '24px' }}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+          {/* Risk factors */}
+          <div className="premium-card">
+            <h3 style={{ marginTop: 0 }}>Risk Factors</h3>
+            {score.factors.length === 0 ? (
+              <div style={{ color: '#666' }}>No risk factors from the combined features.</div>
+            ) : score.factors.map((factor, i) => (
+              <div key={i} style={{ padding: '8px 0', borderBottom: '1px solid var(--border)' }}>
+                <span style={{ color: factor.severity === 'high' ? 'var(--accent)' : '#ff9900', fontWeight: 'bold', fontSize: '0.85rem' }}>
+                  {factor.type.replace(/_/g, ' ')}
+                </span>
+                <span style={{ color: '#666', fontSize: '0.75rem' }}> +{factor.contribution}</span>
+                <div style={{ color: '#888', fontSize: '0.85rem' }}>{factor.description}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Medicare utilization */}
+          <div className="premium-card">
+            <h3 style={{ marginTop: 0 }}>Medicare Utilization</h3>
+            {medicare.error && <div style={{ color: '#888' }}>{medicare.error}</div>}
+            {medicare.found === false && <div style={{ color: '#666' }}>No Medicare Part B billing in the latest CMS release.</div>}
+            {medicare.found && (
+              <>
+                <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '12px' }}>
+                  {medicare.specialty} · {medicare.state} · {medicare.totalServices.toLocaleString()} services · {medicare.beneficiaries.toLocaleString()} patients
+                </div>
+                {medicare.peerComparison?.metrics && (
+                  <div style={{ marginBottom: '16px' }}>
+                    <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '4px' }}>
+                      Against {medicare.peerComparison.truncated ? 'the first ' : ''}{medicare.peerComparison.peerCount} {medicare.peerComparison.specialty} peers in {medicare.peerComparison.state}
+                    </div>
+                    {Object.entries(medicare.peerComparison.metrics).map(([name, m]) => (
+                      <div key={name} style={{ fontSize: '0.85rem', color: m.isOutlier ? '#ff9900' : 'var(--foreground)' }}>
+                        {m.label}: {m.value === null ? 'n/a' : name === 'servicesPerBeneficiary' ? m.value.toFixed(1) : formatCurrency(m.value)}
+                        {m.percentile !== null && <span style={{ color: '#666' }}> · P{Math.floor(m.percentile * 100)}</span>}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {medicare.billingTrend?.trend && (
+                  <div style={{ marginBottom: '16px' }}>
+                    <h4 style={{ margin: '0 0 8px' }}>Billing Trend</h4>
+                    <BillingTrendChart trend={medicare.billingTrend.trend} spike={medicare.billingTrend.spike} formatCurrency={formatCurrency} />
+                  </div>
+                )}
+                {medicare.codeMix?.distribution?.totalServices > 0 && (
+                  <div>
+                    <h4 style={{ margin: '0 0 8px' }}>E&M Code Mix</h4>
+                    <CodeMixChart codeMix={medicare.codeMix.distribution} peers={medicare.codeMix.peers} upcoding={medicare.codeMix.upcoding} />
+                  </div>
+                )}
+                {[medicare.peerComparison, medicare.billingTrend, medicare.codeMix].filter(s => s?.error).map((s, i) => (
+                  <div key={i} style={{ color: '#666', fontSize: '0.8rem' }}>{s.error}</div>
+                ))}
+              </>
+            )}
+          </div>
+
+          {/* Open Payments */}
+          <div className="premium-card">
+            <h3 style={{ marginTop: 0 }}>Open Payments</h3>
+            {(openPayments.error || openPayments.message) && (
+              <div style={{ color: '#888', fontSize: '0.85rem' }}>{openPayments.error || openPayments.message}</div>
+            )}
+            {openPayments.summary?.paymentCount > 0 && (
+              <>
+                <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '8px' }}>
+                  {openPayments.summary.paymentCount} payments from {openPayments.summary.uniqueCompanies} companies
+                </div>
+                {openPayments.topPayingCompanies.map((company, i) => (
+                  <div key={i} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', padding: '4px 0' }}>
+                    <span>{company.company}</span>
+                    <span style={{ color: 'var(--primary)' }}>{formatCurrency(company.total)}</span>
+                  </div>
+                ))}
+                {openPayments.riskAnalysis?.factors.map((factor, i) => (
+                  <div key={i} style={{ color: '#ff9900', fontSize: '0.8rem', marginTop: '4px' }}>{factor.description}</div>
+                ))}
+              </>
+            )}
+          </div>
+
+          {/* Reviews */}
+          <div className="premium-card">
+            <h3 style={{ marginTop: 0 }}>Review Findings</h3>
+            {reviews.error ? (
+              <div style={{ color: '#888', fontSize: '0.85rem' }}>{reviews.error}</div>
+            ) : (
+              <>
+                <div style={{ color: getRiskColor(reviews.summary.riskLevel), fontSize: '0.9rem', marginBottom: '8px' }}>
+                  {reviews.summary.billingMentions} billing mentions · complaint score {reviews.summary.billingComplaintScore}
+                </div>
+                <div style={{ color: '#888', fontSize: '0.85rem', marginBottom: '8px' }}>{reviews.summary.recommendation}</div>
+                {[...reviews.webMentions, ...reviews.yelpMentions].map((mention, i) => (
+                  <div key={i} style={{ fontSize: '0.8rem', padding: '6px 0', borderBottom: '1px solid var(--border)' }}>
+                    {mention.url ? (
+                      <a href={mention.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--primary)' }}>{mention.title}</a>
+                    ) : (
+                      <span style={{ color: '#888' }}>{mention.source && `${mention.source}: `}{mention.snippet}</span>
+                    )}
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+          {/* Exclusion */}
+          <div className="premium-card">
+            <h4 style={{ marginTop: 0 }}>Exclusions</h4>
+            {exclusion.error && <div style={{ color: '#888', fontSize: '0.85rem' }}>{exclusion.error}</div>}
+            {!exclusion.error && !exclusion.status && (
+              <div style={{ color: 'var(--primary)', fontSize: '0.9rem' }}>No match on the OIG LEIE or collected state lists</div>
+            )}
+            {exclusion.status && (
+              <div style={{ padding: '10px', background: exclusion.isExcluded ? 'rgba(255,69,58,0.1)' : 'rgba(255,153,0,0.1)', borderRadius: '4px' }}>
+                <div style={{ color: exclusion.isExcluded ? 'var(--accent)' : '#ff9900', fontWeight: 'bold', fontSize: '0.9rem' }}>
+                  {exclusion.source} ({exclusion.program})
+                </div>
+                <div style={{ color: '#888', fontSize: '0.8rem' }}>{exclusion.description}</div>
+                {exclusion.exclusionType && <div style={{ color: '#666', fontSize: '0.8rem' }}>Type: {exclusion.exclusionType}</div>}
+                <div style={{ color: '#666', fontSize: '0.8rem' }}>Match: {exclusion.match.description}</div>
+              </div>
+            )}
+          </div>
+
+          {/* Registry */}
+          <div className="premium-card">
+            <h4 style={{ marginTop: 0 }}>NPI Registry</h4>
+            <div style={{ color: '#888', fontSize: '0.85rem' }}>Taxonomies</div>
+            {provider.taxonomies.map((t, i) => (
+              <div key={i} style={{ fontSize: '0.85rem' }}>
+                {t.desc} <span style={{ color: '#666' }}>{t.code}{t.primary && ' · primary'}{t.state && ` · ${t.state}`}{t.license && ` #${t.license}`}</span>
+              </div>
+            ))}
+            <div style={{ color: '#888', fontSize: '0.85rem', marginTop: '12px' }}>Addresses</div>
+            {[...provider.addresses.filter(a => a.purpose === 'MAILING'), ...provider.practiceLocations].map((a, i) => (
+              <div key={i} style={{ fontSize: '0.85rem', marginBottom: '4px' }}>
+                <span style={{ color: '#666' }}>{a.purpose === 'MAILING' ? 'Mailing' : 'Practice'}: </span>
+                {[a.address1, a.address2, a.city, a.state, a.postalCode].filter(Boolean).join(', ')}
+                {a.phone && <span style={{ color: '#666' }}> · {a.phone}</span>}
+              </div>
+            ))}
+          </div>
+
+          {/* Verification links */}
+          {verificationLinks && (
+            <div className="premium-card">
+              <h4 style={{ marginTop: 0 }}>Verify</h4>
+              {Object.values(verificationLinks).map((link, i) => (
+                <div key={i} style={{ marginBottom: '8px' }}>
+                  <a href={link.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--primary)', fontSize: '0.9rem' }}>{link.name}</a>
+                  <div style={{ color: '#666', fontSize: '0.75rem' }}>{link.description}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <p style={{ color: '#666', fontSize: '0.75rem', marginTop: '24px' }}>
+        Generated {new Date(profile.generatedAt).toLocaleString()}. Findings are leads for verification, not conclusions.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+/**
+ * Yearly Medicare payments with growth and the billing spike verdict
+ * trend and spike come from src/lib/billing-trends.js
+ */
+export default function BillingTrendChart({ trend, spike, formatCurrency }) {
+  const maxPayments = Math.max(...trend.years.map(y => y.payments), 1);
+  const growthLabel = (g) => g === null ? '' : `${g >= 0 ? '+' : ''}${(g * 100).toFixed(0)}%`;
+
+  return (
+    <div>
+      {trend.years.map(year => (
+        <div key={year.year} style={{ display: 'grid', gridTemplateColumns: '40px 1fr 80px 45px', gap: '6px', alignItems: 'center', fontSize: '0.75rem', marginBottom: '4px' }}>
+          <span style={{ color: '#888' }}>{year.year}</span>
+          <div style={{ height: '8px', width: `${(year.payments / maxPayments) * 100}%`, background: 'var(--primary)', borderRadius: '2px' }} />
+          <span style={{ textAlign: 'right' }}>{formatCurrency(year.payments)}</span>
+          <span style={{ textAlign: 'right', color: year.paymentGrowth >= 0.5 ? '#ff9900' : '#666' }}>{growthLabel(year.paymentGrowth)}</span>
+        </div>
+      ))}
+      {trend.latest && (
+        <div style={{ fontSize: '0.75rem', color: '#666', marginTop: '6px' }}>
+          {trend.latest.year}: services {growthLabel(trend.latest.serviceGrowth)}, patients {growthLabel(trend.latest.beneficiaryGrowth)}
+          {trend.paymentCAGR !== null && ` · ${growthLabel(trend.paymentCAGR)}/yr overall`}
+        </div>
+      )}
+      {spike && (
+        <div style={{
+          marginTop: '10px',
+          padding: '8px',
+          borderRadius: '4px',
+          background: spike.isSpike ? 'rgba(255,69,58,0.1)' : 'rgba(255,255,255,0.03)',
+          fontSize: '0.8rem',
+        }}>
+          {spike.isSpike && <div style={{ color: 'var(--accent)', fontWeight: 'bold' }}>Billing spike</div>}
+          <div style={{ color: '#888' }}>{spike.reason}</div>
+          {spike.percentile !== null && (
+            <div style={{ color: '#666' }}>{(spike.percentile * 100).toFixed(0)}th percentile of peer growth</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+/**
+ * E&M level distribution of a provider against specialty peers
+ * codeMix, peers and upcoding come from analyzeProviderCodeMix in src/lib/cms-utilization.js
+ */
+export default function CodeMixChart({ codeMix, peers, upcoding }) {
+  const peerShares = Object.fromEntries((peers?.distribution.codes || []).map(c => [c.code, c.share]));
+  const percent = (share) => `${(share * 100).toFixed(0)}%`;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', fontSize: '0.75rem', color: '#888', marginBottom: '8px' }}>
+        <span><span style={{ color: 'var(--primary)' }}>■</span> Provider ({codeMix.totalServices.toLocaleString()} visits)</span>
+        {peers && <span><span style={{ color: '#666' }}>■</span> {peers.peerCount} {peers.specialty} peers ({peers.states.join(', ')})</span>}
+      </div>
+      {codeMix.codes.map(code => (
+        <div key={code.code} style={{ display: 'grid', gridTemplateColumns: '50px 1fr 40px 40px', gap: '6px', alignItems: 'center', fontSize: '0.75rem', marginBottom: '4px' }}>
+          <span style={{ color: code.level >= 4 ? '#ff9900' : '#888' }}>{code.code}</span>
+          <div>
+            <div style={{ height: '6px', width: percent(code.share), background: 'var(--primary)', borderRadius: '2px', marginBottom: '2px' }} />
+            <div style={{ height: '6px', width: percent(peerShares[code.code] || 0), background: '#666', borderRadius: '2px' }} />
+          </div>
+          <span style={{ textAlign: 'right' }}>{percent(code.share)}</span>
+          <span style={{ textAlign: 'right', color: '#666' }}>{percent(peerShares[code.code] || 0)}</span>
+        </div>
+      ))}
+      {upcoding && (
+        <div style={{
+          marginTop: '10px',
+          padding: '8px',
+          borderRadius: '4px',
+          background: upcoding.flagged ? 'rgba(255,69,58,0.1)' : 'rgba(255,255,255,0.03)',
+          fontSize: '0.8rem',
+        }}>
+          {upcoding.flagged && <div style={{ color: 'var(--accent)', fontWeight: 'bold' }}>Possible upcoding</div>}
+          <div style={{ color: '#888' }}>{upcoding.reason}</div>
+          {upcoding.percentile !== null && (
+            <div style={{ color: '#666' }}>
+              {(upcoding.percentile * 100).toFixed(0)}th percentile of peers{upcoding.zScore !== null && ` · z = ${upcoding.zScore.toFixed(1)}`}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -9,7 +9,7 @@ export default function Navbar() {
                 </Link>
                 <div style={{ display: 'flex', gap: '24px' }}>
                     <Link href="/" style={{ color: 'var(--foreground)', textDecoration: 'none' }}>Dashboard</Link>
-                    <Link href="/ma-contracts" style={{ color: 'var(--foreground)', textDecoration: 'none' }}>MA Contracts</Link>
+                    <Link href="/contracts" style={{ color: 'var(--foreground)', textDecoration: 'none' }}>State Contracts</Link>
                     <Link href="/contractor-search" style={{ color: 'var(--foreground)', textDecoration: 'none' }}>Vetting</Link>
                     <Link href="/healthcare-fraud" style={{ color: 'var(--foreground)', textDecoration: 'none' }}>Healthcare</Link>
                 </div>
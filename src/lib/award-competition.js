@@ -0,0 +1,112 @@
+/**
+ * Award Competition Data
+ * Structured FPDS competition fields (extent competed, offers received,
+ * solicitation procedures, set-aside) and the competition features derived from them
+ */
+
+// FPDS extent_competed codes for awards made without competition
+// B = not available for competition, C = not competed, E = follow-on to competed action,
+// G = not competed under simplified acquisition, NDO = non-competitive delivery order
+const NOT_COMPETED_CODES = ['B', 'C', 'E', 'G', 'NDO'];
+
+// A = full and open, D = full and open after exclusion of sources,
+// F = competed under simplified acquisition, CDO = competitive delivery order
+const COMPETED_CODES = ['A', 'D', 'F', 'CDO'];
+
+// FPDS solicitation_procedures code for "only one source"
+const ONLY_ONE_SOURCE_PROCEDURE = 'SSS';
+
+// type_set_aside values meaning no set-aside
+const NO_SET_ASIDE_CODES = ['NONE', ''];
+
+/**
+ * Pull competition fields out of an award detail's latest_transaction_contract_data
+ */
+function extractCompetition(contractData) {
+  if (!contractData) return null;
+
+  const offers = parseInt(contractData.number_of_offers_received, 10);
+  return {
+    extentCompeted: contractData.extent_competed || null,
+    extentCompetedDescription: contractData.extent_competed_description || null,
+    numberOfOffers: isNaN(offers) ? null : offers,
+    solicitationProcedures: contractData.solicitation_procedures || null,
+    solicitationProceduresDescription: contractData.solicitation_procedures_description || null,
+    setAsideType: contractData.type_set_aside || null,
+    setAsideDescription: contractData.type_set_aside_description || null,
+    notCompetedReason: contractData.other_than_full_and_open_description || null,
+  };
+}
+
+/**
+ * Classify an award's competition
+ *
+ * soleSource: awarded without competition
+ * singleOffer: competed, but only one offer came in
+ */
+function classifyCompetition(competition) {
+  if (!competition) return null;
+
+  const extent = (competition.extentCompeted || '').toUpperCase();
+  const soleSource = NOT_COMPETED_CODES.includes(extent) ||
+    (competition.solicitationProcedures || '').toUpperCase() === ONLY_ONE_SOURCE_PROCEDURE;
+  const competed = !soleSource && COMPETED_CODES.includes(extent);
+
+  return {
+    soleSource,
+    competed,
+    singleOffer: competed && competition.numberOfOffers === 1,
+    setAside: !!competition.setAsideType &&
+      !NO_SET_ASIDE_CODES.includes(competition.setAsideType.toUpperCase()),
+  };
+}
+
+/**
+ * Derive competition features from awards carrying a `competition` record
+ *
+ * Ratios are taken over awards with competition data so that awards never
+ * enriched don't dilute them. soleSourceRatio counts single-offer competed awards
+ * as well, since one bidder on a "competed" award is effectively sole source.
+ */
+function deriveCompetitionFeatures(awards) {
+  const classified = awards
+    .map(a => classifyCompetition(a.competition))
+    .filter(Boolean);
+
+  if (classified.length === 0) {
+    return {
+      soleSourceRatio: 0,
+      notCompetedRatio: 0,
+      singleOfferRatio: 0,
+      setAsideRatio: 0,
+      competitionDataCoverage: 0,
+    };
+  }
+
+  const share = (predicate) => classified.filter(predicate).length / classified.length;
+  return {
+    soleSourceRatio: share(c => c.soleSource || c.singleOffer),
+    notCompetedRatio: share(c => c.soleSource),
+    singleOfferRatio: share(c => c.singleOffer),
+    setAsideRatio: share(c => c.setAside),
+    competitionDataCoverage: awards.length > 0 ? classified.length / awards.length : 0,
+  };
+}
+
+/**
+ * Describe the sole-source mix for a HIGH_SOLE_SOURCE factor
+ */
+function describeSoleSource(features) {
+  return `${Math.round(features.soleSourceRatio * 100)}% of awards not competed or single-offer ` +
+    `(${Math.round((features.notCompetedRatio || 0) * 100)}% not competed, ` +
+    `${Math.round((features.singleOfferRatio || 0) * 100)}% one offer)`;
+}
+
+module.exports = {
+  NOT_COMPETED_CODES,
+  COMPETED_CODES,
+  extractCompetition,
+  classifyCompetition,
+  deriveCompetitionFeatures,
+  describeSoleSource,
+};
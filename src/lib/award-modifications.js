@@ -0,0 +1,221 @@
+/**
+ * Award Modification History
+ * Pulls each award's detail and transactions (base award + modifications) from
+ * USASpending and flags cost-overrun patterns hidden behind the top-level Award Amount
+ */
+
+const { usaspending } = require('./usaspending-client');
+const { extractCompetition } = require('./award-competition');
+const { getStoredModifications, storeModifications } = require('./award-warehouse');
+const { mapWithConcurrency } = require('./script-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Thresholds for modification risk factors
+const CEILING_GROWTH_MULTIPLE = 2; // Obligations at least double the base award
+const CEILING_GROWTH_HIGH_MULTIPLE = 5;
+const REPEATED_EXTENSION_COUNT = 2;
+const LATE_MOD_WINDOW_DAYS = 90; // "Just before" the period of performance ends
+const LATE_MOD_SHARE = 0.25; // Mod worth at least this share of total obligations
+
+// Zero-dollar modifications whose description reads like a time extension
+const NO_COST_EXTENSION_PATTERN = /\bno[\s-]?cost\b|\bnce\b|\bextend|\bextension\b|period of performance/i;
+
+/**
+ * Fetch an award's detail and every transaction page
+ */
+async function fetchModificationHistory(generatedInternalId, { client = usaspending } = {}) {
+  const detail = await client.getAward(generatedInternalId);
+
+  const transactions = [];
+  let page = 1;
+  let hasNext = true;
+  while (hasNext) {
+    const data = await client.getTransactions(generatedInternalId, { page });
+    transactions.push(...data.results);
+    hasNext = data.hasNext && data.results.length > 0;
+    page++;
+  }
+
+  const pop = detail.period_of_performance || {};
+  return {
+    generatedInternalId,
+    lastModifiedDate: pop.last_modified_date || null,
+    periodOfPerformance: {
+      startDate: pop.start_date || null,
+      endDate: pop.end_date || null,
+      potentialEndDate: pop.potential_end_date || null,
+    },
+    baseAndAllOptions: parseFloat(detail.base_and_all_options) || null,
+    competition: extractCompetition(detail.latest_transaction_contract_data),
+    totalObligation: parseFloat(detail.total_obligation) || 0,
+    transactions: transactions.map(t => ({
+      modificationNumber: t.modification_number ?? null,
+      actionDate: t.action_date || null,
+      actionType: t.action_type || null,
+      actionTypeDescription: t.action_type_description || null,
+      description: t.description || '',
+      obligation: parseFloat(t.federal_action_obligation) || 0,
+    })),
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get an award's modification history, reusing the warehouse copy while the
+ * award has not been modified since it was fetched
+ *
+ * Returns { history, fetched } where fetched is true when the API was called.
+ */
+async function getModificationHistory(award, options = {}) {
+  const { client = usaspending, refresh = false } = options;
+  const id = award['generated_internal_id'];
+
+  if (!refresh) {
+    const stored = await getStoredModifications(id);
+    const current = !award['Last Modified Date'] || stored?.lastModifiedDate >= award['Last Modified Date'];
+    // Histories stored before competition data was captured are refetched
+    if (stored && current && stored.competition !== undefined) {
+      return { history: stored, fetched: false };
+    }
+  }
+
+  return { history: await fetchModificationHistory(id, { client }), fetched: true };
+}
+
+/**
+ * Check whether a transaction is the base award rather than a modification
+ */
+function isBaseTransaction(transaction, index) {
+  const modNumber = String(transaction.modificationNumber ?? '').trim();
+  return modNumber === '0' || (modNumber === '' && index === 0);
+}
+
+/**
+ * Analyze a modification history for cost-overrun indicators
+ */
+function analyzeModifications(history, award = {}) {
+  const riskFactors = [];
+  const transactions = history.transactions || [];
+
+  const baseTransactions = transactions.filter(isBaseTransaction);
+  const modifications = transactions.filter((t, i) => !isBaseTransaction(t, i));
+
+  const initialObligation = baseTransactions.reduce((sum, t) => sum + t.obligation, 0);
+  const summedObligation = transactions.reduce((sum, t) => sum + t.obligation, 0);
+  const totalObligation = history.totalObligation || summedObligation;
+  const obligationGrowth = initialObligation > 0 ? totalObligation / initialObligation : 1;
+
+  // 1. Ballooning ceiling - obligations grew far beyond the base award
+  if (initialObligation > 0 && obligationGrowth >= CEILING_GROWTH_MULTIPLE) {
+    riskFactors.push({
+      type: 'BALLOONING_CEILING',
+      severity: obligationGrowth >= CEILING_GROWTH_HIGH_MULTIPLE ? 'high' : 'medium',
+      description: `Obligations grew ${obligationGrowth.toFixed(1)}x from the base award across ${modifications.length} modifications`,
+      details: { initialObligation, totalObligation, baseAndAllOptions: history.baseAndAllOptions },
+    });
+  }
+
+  // 2. Repeated no-cost extensions
+  const noCostExtensions = modifications.filter(t =>
+    t.obligation === 0 && NO_COST_EXTENSION_PATTERN.test(t.description)
+  );
+  if (noCostExtensions.length >= REPEATED_EXTENSION_COUNT) {
+    riskFactors.push({
+      type: 'REPEATED_NO_COST_EXTENSIONS',
+      severity: noCostExtensions.length >= REPEATED_EXTENSION_COUNT * 2 ? 'high' : 'medium',
+      description: `${noCostExtensions.length} no-cost extensions of the period of performance`,
+      details: noCostExtensions.map(t => ({ modificationNumber: t.modificationNumber, actionDate: t.actionDate })),
+    });
+  }
+
+  // 3. Large modifications just before the period of performance ends
+  const endDate = new Date(history.periodOfPerformance?.endDate || award['End Date']);
+  const lateModifications = isNaN(endDate) || totalObligation <= 0 ? [] : modifications.filter(t => {
+    const daysBeforeEnd = (endDate - new Date(t.actionDate)) / DAY_MS;
+    return daysBeforeEnd >= 0 && daysBeforeEnd <= LATE_MOD_WINDOW_DAYS &&
+      t.obligation >= totalObligation * LATE_MOD_SHARE;
+  });
+  if (lateModifications.length > 0) {
+    const lateTotal = lateModifications.reduce((sum, t) => sum + t.obligation, 0);
+    riskFactors.push({
+      type: 'LATE_LARGE_MODIFICATION',
+      severity: lateTotal >= totalObligation * 0.5 ? 'high' : 'medium',
+      description: `${lateModifications.length} large modification(s) within ${LATE_MOD_WINDOW_DAYS} days of period of performance end (${Math.round(lateTotal / totalObligation * 100)}% of obligations)`,
+      details: lateModifications.map(t => ({
+        modificationNumber: t.modificationNumber,
+        actionDate: t.actionDate,
+        obligation: t.obligation,
+      })),
+    });
+  }
+
+  return {
+    metrics: {
+      modificationCount: modifications.length,
+      initialObligation,
+      totalObligation,
+      obligationGrowth,
+      noCostExtensionCount: noCostExtensions.length,
+      lateModificationCount: lateModifications.length,
+    },
+    riskFactors,
+  };
+}
+
+/**
+ * Attach modification history and analysis to the largest awards in a list
+ *
+ * Each of the top maxAwards awards (by amount) gains `modifications`, `modificationAnalysis`
+ * and FPDS `competition` fields; the rest, and any whose history fails to load, are returned unchanged.
+ */
+async function attachModificationHistory(awards, options = {}) {
+  const { client = usaspending, maxAwards = 25, concurrency = 4 } = options;
+
+  const targets = awards
+    .filter(a => a['generated_internal_id'])
+    .sort((a, b) => (parseFloat(b['Award Amount']) || 0) - (parseFloat(a['Award Amount']) || 0))
+    .slice(0, maxAwards);
+
+  const fetched = [];
+  const histories = await mapWithConcurrency(targets, concurrency, async award => {
+    try {
+      const result = await getModificationHistory(award, { client });
+      if (result.fetched) fetched.push(result.history);
+      return result.history;
+    } catch (error) {
+      console.error(`Modification history failed for ${award['generated_internal_id']}:`, error.message);
+      return null;
+    }
+  });
+
+  // Save newly fetched histories in one write
+  if (fetched.length > 0) {
+    await storeModifications(fetched).catch(error => {
+      console.error('Award warehouse write failed:', error.message);
+    });
+  }
+
+  const byId = {};
+  targets.forEach((award, i) => {
+    if (histories[i]) byId[award['generated_internal_id']] = histories[i];
+  });
+
+  return awards.map(award => {
+    const history = byId[award['generated_internal_id']];
+    if (!history) return award;
+    return {
+      ...award,
+      modifications: history.transactions,
+      competition: history.competition,
+      modificationAnalysis: analyzeModifications(history, award),
+    };
+  });
+}
+
+module.exports = {
+  fetchModificationHistory,
+  getModificationHistory,
+  analyzeModifications,
+  attachModificationHistory,
+};
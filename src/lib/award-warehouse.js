@@ -0,0 +1,481 @@
+/**
+ * Local Award Warehouse
+ * Embedded SQLite store of USASpending awards and their modification histories
+ * with incremental sync keyed on generated_internal_id and last-modified dates.
+ * Awards are upserted one record at a time; recipient and agency aggregates are
+ * computed from the stored awards when asked for.
+ *
+ * Usage (initial or forced full sync; --state takes a list and defaults to JURISDICTION):
+ *   node src/lib/award-warehouse.js --state MA
+ *   node src/lib/award-warehouse.js --state MA,NH --full
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const {
+  usaspending,
+  buildAwardFilters,
+  dateRangeFromDays,
+  toISODate,
+} = require('./usaspending-client');
+const { pullAllAwards } = require('./usaspending-bulk');
+const { getJurisdiction } = require('./jurisdiction');
+const { parseArgs } = require('./script-utils');
+
+const WAREHOUSE_PATH = process.env.AWARD_WAREHOUSE_FILE ||
+  path.join(process.cwd(), 'src/ml/data/downloads/award-warehouse.db');
+
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Re-sync after 24 hours
+const DEFAULT_SYNC_MIN_AMOUNT = 100000;
+const DEFAULT_SYNC_DAYS = 1095; // 3 years of awards on a full sync
+const INCREMENTAL_MAX_AWARDS = 5000; // Cap on awards pulled inline during a page load
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS awards (
+    id TEXT PRIMARY KEY, -- generated_internal_id
+    state TEXT,
+    amount REAL,
+    start_date TEXT,
+    last_modified TEXT,
+    recipient_id TEXT,
+    recipient_name TEXT,
+    agency TEXT,
+    record TEXT NOT NULL, -- award as returned by the API (JSON)
+    synced_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS awards_state_start ON awards (state, start_date);
+  CREATE INDEX IF NOT EXISTS awards_amount ON awards (amount);
+  CREATE TABLE IF NOT EXISTS modifications (
+    id TEXT PRIMARY KEY, -- generated_internal_id
+    history TEXT NOT NULL -- modification history (JSON)
+  );
+  CREATE TABLE IF NOT EXISTS syncs (
+    key TEXT PRIMARY KEY, -- state:<code>
+    status TEXT NOT NULL -- sync status (JSON)
+  );
+`;
+
+let warehouse = null;
+const inFlightSyncs = {};
+
+/**
+ * Open the warehouse database (created on first use, then kept open)
+ */
+function openWarehouse() {
+  if (warehouse) return warehouse;
+  fs.mkdirSync(path.dirname(WAREHOUSE_PATH), { recursive: true });
+  const db = new Database(WAREHOUSE_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  warehouse = db;
+  return warehouse;
+}
+
+/**
+ * Recipient and agency aggregates over the awards matching a WHERE clause
+ * Returns { recipients: [{ recipientId, name, awardCount, totalAwarded, lastAwardDate }],
+ * agencies: [{ name, awardCount, totalAwarded }] }.
+ */
+function aggregateAwards(db, where, params) {
+  const recipients = db.prepare(`
+    SELECT recipient_id AS recipientId, COALESCE(MAX(recipient_name), 'Unknown') AS name,
+      COUNT(*) AS awardCount, COALESCE(SUM(amount), 0) AS totalAwarded, MAX(start_date) AS lastAwardDate
+    FROM awards ${where}
+    GROUP BY COALESCE(recipient_id, recipient_name, 'Unknown')
+  `).all(params);
+  const agencies = db.prepare(`
+    SELECT COALESCE(agency, 'Unknown') AS name, COUNT(*) AS awardCount, COALESCE(SUM(amount), 0) AS totalAwarded
+    FROM awards ${where}
+    GROUP BY COALESCE(agency, 'Unknown')
+  `).all(params);
+  return { recipients, agencies };
+}
+
+/**
+ * Insert or update awards keyed on generated_internal_id
+ * An existing record is only replaced when the incoming copy is at least as recently modified.
+ */
+async function upsertAwards(awards) {
+  const db = openWarehouse();
+  const findModified = db.prepare('SELECT last_modified FROM awards WHERE id = ?');
+  const write = db.prepare(`
+    INSERT OR REPLACE INTO awards (id, state, amount, start_date, last_modified, recipient_id, recipient_name, agency, record, synced_at)
+    VALUES (@id, @state, @amount, @startDate, @lastModified, @recipientId, @recipientName, @agency, @record, @syncedAt)
+  `);
+  let inserted = 0;
+  let updated = 0;
+
+  db.transaction(() => {
+    const syncedAt = new Date().toISOString();
+    awards.forEach(award => {
+      const id = award['generated_internal_id'];
+      if (!id) return;
+
+      const existing = findModified.get(id);
+      if (!existing) {
+        inserted++;
+      } else if ((award['Last Modified Date'] || '') >= (existing.last_modified || '')) {
+        updated++;
+      } else {
+        return;
+      }
+      write.run({
+        id,
+        state: award['Place of Performance State Code'] || null,
+        amount: parseFloat(award['Award Amount']) || 0,
+        startDate: award['Start Date'] || null,
+        lastModified: award['Last Modified Date'] || '',
+        recipientId: award['recipient_id'] || null,
+        recipientName: award['Recipient Name'] || null,
+        agency: award['Awarding Agency'] || null,
+        record: JSON.stringify(award),
+        syncedAt,
+      });
+    });
+  })();
+
+  return { inserted, updated };
+}
+
+/**
+ * Get a stored modification history, or null if none has been fetched
+ */
+async function getStoredModifications(generatedInternalId) {
+  const row = openWarehouse().prepare('SELECT history FROM modifications WHERE id = ?').get(generatedInternalId);
+  return row ? JSON.parse(row.history) : null;
+}
+
+/**
+ * Store modification histories keyed on generated_internal_id
+ */
+async function storeModifications(histories) {
+  const db = openWarehouse();
+  const write = db.prepare('INSERT OR REPLACE INTO modifications (id, history) VALUES (?, ?)');
+  db.transaction(() => {
+    histories.forEach(history => write.run(history.generatedInternalId, JSON.stringify(history)));
+  })();
+}
+
+/**
+ * Sync key for a state
+ */
+function stateSyncKey(stateCode) {
+  return `state:${stateCode}`;
+}
+
+/**
+ * Get sync status for a state, or null if it has never been synced
+ */
+async function getSyncStatus(stateCode) {
+  const row = openWarehouse().prepare('SELECT status FROM syncs WHERE key = ?').get(stateSyncKey(stateCode));
+  return row ? JSON.parse(row.status) : null;
+}
+
+/**
+ * Sync awards performed in a state
+ *
+ * A full sync pulls every award in the window; otherwise only awards modified
+ * since the previous sync's watermark are fetched and merged.
+ */
+async function syncStateAwards(stateCode, options = {}) {
+  const {
+    full = false,
+    minAmount = DEFAULT_SYNC_MIN_AMOUNT,
+    days = DEFAULT_SYNC_DAYS,
+    maxAwards = Infinity,
+    client,
+    onPage,
+  } = options;
+
+  const key = stateSyncKey(stateCode);
+  const previous = await getSyncStatus(stateCode);
+  const incremental = !full && previous?.complete && previous.minAmount <= minAmount;
+  const syncStartedAt = new Date();
+
+  const filters = incremental
+    ? buildAwardFilters({
+      startDate: previous.watermark,
+      endDate: toISODate(syncStartedAt),
+      dateType: 'last_modified_date',
+      states: stateCode,
+      minAmount,
+    })
+    : buildAwardFilters({ ...dateRangeFromDays(days), states: stateCode, minAmount });
+
+  // Incremental syncs walk changes oldest first, so a capped pull still has a prefix to build on
+  const pullOptions = incremental
+    ? { maxAwards, onPage, sort: 'Last Modified Date', order: 'asc' }
+    : { maxAwards, onPage };
+  if (client) pullOptions.client = client;
+
+  const { awards, complete } = await pullAllAwards(filters, pullOptions);
+  const { inserted, updated } = await upsertAwards(awards);
+
+  // A capped incremental sync resumes from the latest modification date it merged
+  // (that day is pulled again, since the filter works in whole days)
+  const lastModified = awards
+    .map(a => (a['Last Modified Date'] || '').substring(0, 10))
+    .sort()
+    .pop() || null;
+  let watermark = previous?.watermark || null;
+  if (complete) {
+    watermark = toISODate(syncStartedAt);
+  } else if (incremental && lastModified && lastModified > (watermark || '')) {
+    watermark = lastModified;
+  }
+
+  const status = {
+    state: stateCode,
+    minAmount: incremental ? previous.minAmount : minAmount,
+    windowStart: incremental ? previous.windowStart : filters.time_period[0].start_date,
+    watermark,
+    complete: incremental ? previous.complete : complete,
+    lastSyncType: incremental ? 'incremental' : 'full',
+    lastSyncedAt: syncStartedAt.toISOString(),
+    lastSyncCounts: { fetched: awards.length, inserted, updated },
+    lastSyncTruncated: !complete,
+  };
+  openWarehouse()
+    .prepare('INSERT OR REPLACE INTO syncs (key, status) VALUES (?, ?)')
+    .run(key, JSON.stringify(status));
+
+  return status;
+}
+
+/**
+ * Make sure a state's awards are fresh enough to serve from the warehouse
+ *
+ * Returns { ready, stale, sync, error }. ready is false when the state has never
+ * been fully synced (or not at this minAmount), in which case callers should go live.
+ */
+async function ensureStateSynced(stateCode, options = {}) {
+  const { minAmount = DEFAULT_SYNC_MIN_AMOUNT, maxAgeMs = DEFAULT_MAX_AGE_MS } = options;
+  const status = await getSyncStatus(stateCode);
+
+  if (!status?.complete || status.minAmount > minAmount) {
+    return { ready: false, stale: true, sync: status };
+  }
+
+  const age = Date.now() - new Date(status.lastSyncedAt).getTime();
+  if (age < maxAgeMs) {
+    return { ready: true, stale: false, sync: status };
+  }
+
+  // Stale: pull changes since the watermark, sharing one sync across concurrent requests
+  const key = stateSyncKey(stateCode);
+  try {
+    if (!inFlightSyncs[key]) {
+      inFlightSyncs[key] = syncStateAwards(stateCode, {
+        minAmount: status.minAmount,
+        maxAwards: INCREMENTAL_MAX_AWARDS,
+      }).finally(() => { delete inFlightSyncs[key]; });
+    }
+    const sync = await inFlightSyncs[key];
+    return { ready: true, stale: false, sync };
+  } catch (error) {
+    console.error(`Award warehouse sync failed for ${stateCode}:`, error.message);
+    // Serve the stale copy rather than failing the request
+    return { ready: true, stale: true, sync: status, error: error.message };
+  }
+}
+
+/**
+ * Helper: WHERE clause and parameters for queryAwards filters
+ */
+function awardFilterClause(filters) {
+  const {
+    states = null,
+    minAmount = 0,
+    startDate = null,
+    endDate = null,
+    recipientText = null,
+    awardingAgency = null,
+  } = filters;
+  const conditions = [];
+  const params = {};
+
+  const stateList = states ? (Array.isArray(states) ? states : [states]) : null;
+  if (stateList) {
+    conditions.push(`state IN (${stateList.map((_, i) => `@state${i}`).join(', ') || 'NULL'})`);
+    stateList.forEach((state, i) => { params[`state${i}`] = state; });
+  }
+  if (minAmount) {
+    conditions.push('amount >= @minAmount');
+    params.minAmount = minAmount;
+  }
+  if (startDate) {
+    conditions.push("COALESCE(start_date, '') >= @startDate");
+    params.startDate = startDate;
+  }
+  if (endDate) {
+    conditions.push("COALESCE(start_date, '') <= @endDate");
+    params.endDate = endDate;
+  }
+  if (recipientText) {
+    conditions.push("instr(lower(COALESCE(recipient_name, '')), @recipientText) > 0");
+    params.recipientText = recipientText.toLowerCase();
+  }
+  if (awardingAgency) {
+    conditions.push('agency = @awardingAgency');
+    params.awardingAgency = awardingAgency;
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Query stored awards, sorted by amount descending
+ */
+async function queryAwards(options = {}) {
+  const { page = 1, limit = 50, ...filters } = options;
+
+  const db = openWarehouse();
+  const { where, params } = awardFilterClause(filters);
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM awards ${where}`).get(params);
+  const offset = (page - 1) * limit;
+  const rows = db.prepare(`SELECT record FROM awards ${where} ORDER BY amount DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset });
+
+  return {
+    results: rows.map(row => JSON.parse(row.record)),
+    total,
+    page,
+    hasNext: offset + limit < total,
+  };
+}
+
+/**
+ * Search the awards of a state (or list of states) from the warehouse, falling
+ * back to a live search
+ *
+ * The live path is used when any state has not been synced to cover the
+ * requested window; its results are merged into the warehouse as they arrive.
+ * Returns the same shape as client.searchAwards plus { source, syncedAt, stale }
+ * where syncedAt is the oldest of the states' syncs.
+ */
+async function searchStateAwards(stateCodes, options = {}) {
+  const {
+    startDate,
+    endDate,
+    minAmount = 0,
+    page = 1,
+    limit = 50,
+    client = usaspending,
+    maxAgeMs,
+  } = options;
+
+  const states = Array.isArray(stateCodes) ? stateCodes : [stateCodes];
+  const statuses = [];
+  for (const stateCode of states) {
+    statuses.push(await ensureStateSynced(stateCode, { minAmount, maxAgeMs }));
+  }
+  const coversWindow = statuses.every(status =>
+    status.ready && (!startDate || status.sync.windowStart <= startDate)
+  );
+
+  if (coversWindow) {
+    const data = await queryAwards({ states, minAmount, startDate, endDate, page, limit });
+    const syncedAt = statuses.map(status => status.sync.lastSyncedAt).sort()[0];
+    return { ...data, source: 'warehouse', syncedAt, stale: statuses.some(status => status.stale) };
+  }
+
+  const data = await client.searchAwards({
+    filters: buildAwardFilters({ startDate, endDate, states, minAmount }),
+    page,
+    limit,
+  });
+  await upsertAwards(data.results);
+
+  return { ...data, source: 'live', syncedAt: new Date().toISOString(), stale: false };
+}
+
+/**
+ * Helper: whether a sync status covers awards from minAmount up since startDate
+ * (without a minAmount, any complete sync counts, at the amount it was synced at)
+ */
+function syncCovers(status, { minAmount = 0, startDate = null } = {}) {
+  return !!status?.complete &&
+    (!minAmount || status.minAmount <= minAmount) &&
+    (!startDate || status.windowStart <= startDate);
+}
+
+/**
+ * Get recipient and agency aggregates over synced states
+ *
+ * Only states whose sync covers minAmount and startDate are counted, since live
+ * searches store partial pages of the others. states (default: every synced
+ * state), minAmount, startDate and endDate filter the awards as for queryAwards.
+ * Returns { recipients, agencies, awardCount, totalAwarded, updatedAt,
+ * syncedStates, unsyncedStates, partial } where partial is true when a requested
+ * state was left out.
+ */
+async function getAggregates(filters = {}) {
+  const db = openWarehouse();
+  const { states = null, minAmount = 0, startDate = null, endDate = null } = filters;
+
+  const statuses = states
+    ? await Promise.all([].concat(states).map(async state => ({ state, status: await getSyncStatus(state) })))
+    : db.prepare('SELECT status FROM syncs').all().map(row => {
+      const status = JSON.parse(row.status);
+      return { state: status.state, status };
+    });
+  const covered = statuses.filter(({ status }) => syncCovers(status, { minAmount, startDate }));
+  const syncedStates = covered.map(({ state }) => state);
+  const unsyncedStates = statuses.filter(entry => !covered.includes(entry)).map(({ state }) => state);
+
+  const { where, params } = awardFilterClause({ states: syncedStates, minAmount, startDate, endDate });
+  const { recipients, agencies } = aggregateAwards(db, where, params);
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS awardCount, COALESCE(SUM(amount), 0) AS totalAwarded, MAX(synced_at) AS updatedAt
+    FROM awards ${where}
+  `).get(params);
+  return {
+    recipients,
+    agencies,
+    ...totals,
+    syncedStates,
+    unsyncedStates,
+    partial: !!states && unsyncedStates.length > 0,
+  };
+}
+
+// Main execution
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { states } = getJurisdiction(args.state || args.states);
+
+  try {
+    for (const stateCode of states) {
+      console.log(`Syncing ${stateCode} awards into ${WAREHOUSE_PATH}...`);
+      const sync = await syncStateAwards(stateCode, {
+        full: !!args.full,
+        minAmount: args['min-amount'] ? parseInt(args['min-amount'], 10) : DEFAULT_SYNC_MIN_AMOUNT,
+        onPage: page => console.log(`  Page ${page.page}: ${page.fetched} awards fetched`),
+      });
+      console.log(`\n${stateCode} ${sync.lastSyncType} sync done:`, sync.lastSyncCounts);
+    }
+  } catch (error) {
+    console.error('Sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  WAREHOUSE_PATH,
+  openWarehouse,
+  upsertAwards,
+  getStoredModifications,
+  storeModifications,
+  getSyncStatus,
+  syncStateAwards,
+  ensureStateSynced,
+  queryAwards,
+  searchStateAwards,
+  getAggregates,
+};
+
+if (require.main === module) {
+  main();
+}
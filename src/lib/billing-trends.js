@@ -0,0 +1,238 @@
+/**
+ * Medicare Billing Trends
+ * A provider's payments, services and beneficiaries across the yearly CMS
+ * "by Provider" releases, with year-over-year growth compared to the growth of
+ * same-specialty providers in the state. Sudden billing spikes that peers
+ * don't share are a common precursor in FCA billing cases.
+ */
+
+const { listProviderDatasets, queryCMSDataset } = require('./cms-utilization');
+const { fetchPeerGroup, percentileRank, summarize } = require('./peer-benchmarks');
+
+// Years pulled by default (CMS publishes with a two-year lag)
+const DEFAULT_YEARS = 5;
+
+// Latest payment growth (ratio - 1) needed before peers are even consulted
+const SPIKE_MIN_GROWTH = 0.5;
+// Without peers, growth this large is a spike on its own
+const SPIKE_STANDALONE_GROWTH = 1.0;
+// Percentile of peer growth at which the provider's growth is a spike
+const SPIKE_PEER_PERCENTILE = 0.95;
+const SPIKE_EXTREME_PERCENTILE = 0.99;
+// Peers present in both years needed to rank growth
+const MIN_GROWTH_PEERS = 10;
+
+// Peer growth by specialty, state and year pair
+const peerGrowthCache = new Map();
+
+/**
+ * Helper: totals of a "by Provider" row
+ */
+function rowTotals(row) {
+  return {
+    payments: parseFloat(row.Tot_Mdcr_Pymt_Amt) || 0,
+    services: parseFloat(row.Tot_Srvcs) || 0,
+    beneficiaries: parseFloat(row.Tot_Benes) || 0,
+  };
+}
+
+/**
+ * Helper: growth from one value to the next (0.5 = +50%), null without a base
+ */
+function growth(from, to) {
+  return from > 0 ? to / from - 1 : null;
+}
+
+/**
+ * A provider's yearly totals, oldest first
+ *
+ * Returns [{ year, datasetId, payments, services, beneficiaries, specialty, state }]
+ * for the years the provider billed Medicare.
+ */
+async function fetchProviderHistory(npi, { years = DEFAULT_YEARS } = {}) {
+  const datasets = (await listProviderDatasets()).slice(0, years);
+
+  const history = [];
+  for (const { year, datasetId } of datasets) {
+    const [row] = await queryCMSDataset(datasetId, { Rndrng_NPI: npi }, { size: 1 });
+    if (!row) continue;
+    history.push({
+      year,
+      datasetId,
+      ...rowTotals(row),
+      specialty: row.Rndrng_Prvdr_Type,
+      state: row.Rndrng_Prvdr_State_Abrvtn,
+    });
+  }
+  return history.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Year-over-year growth of a provider's history
+ *
+ * Returns { years: [{ year, payments, services, beneficiaries, paymentGrowth,
+ * serviceGrowth, beneficiaryGrowth }], latest (last year with a prior year, or null),
+ * paymentCAGR }.
+ */
+function computeTrend(history) {
+  const years = history.map((entry, i) => {
+    const previous = history[i - 1];
+    // Growth only between consecutive data years
+    const consecutive = previous && previous.year === entry.year - 1;
+    return {
+      year: entry.year,
+      payments: entry.payments,
+      services: entry.services,
+      beneficiaries: entry.beneficiaries,
+      paymentGrowth: consecutive ? growth(previous.payments, entry.payments) : null,
+      serviceGrowth: consecutive ? growth(previous.services, entry.services) : null,
+      beneficiaryGrowth: consecutive ? growth(previous.beneficiaries, entry.beneficiaries) : null,
+    };
+  });
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  const span = history.length > 1 ? last.year - first.year : 0;
+  const latest = years.length > 1 && years[years.length - 1].paymentGrowth !== null ? years[years.length - 1] : null;
+
+  return {
+    years,
+    latest,
+    paymentCAGR: span > 0 && first.payments > 0 ? Math.pow(last.payments / first.payments, 1 / span) - 1 : null,
+  };
+}
+
+/**
+ * Growth distribution of a specialty's providers in a state between two data years
+ *
+ * Uses providers present in both years. Returns { specialty, state, fromYear, toYear,
+ * peerCount, truncated, payments, services, beneficiaries } where each metric is a
+ * summary from peer-benchmarks and truncated means either year's peer group was cut
+ * off at the page cap. Cached for the life of the process.
+ */
+async function loadPeerGrowth(specialty, state, from, to) {
+  const key = `${specialty}|${state}|${from.year}-${to.year}`;
+  if (!peerGrowthCache.has(key)) {
+    const pending = Promise.all([
+      fetchPeerGroup(specialty, state, from.datasetId),
+      fetchPeerGroup(specialty, state, to.datasetId),
+    ])
+      .then(([fromGroup, toGroup]) => {
+        const before = new Map(fromGroup.rows.map(row => [row.Rndrng_NPI, rowTotals(row)]));
+        const pairs = toGroup.rows
+          .filter(row => before.has(row.Rndrng_NPI))
+          .map(row => [before.get(row.Rndrng_NPI), rowTotals(row)]);
+
+        return {
+          specialty,
+          state,
+          fromYear: from.year,
+          toYear: to.year,
+          peerCount: pairs.length,
+          truncated: fromGroup.truncated || toGroup.truncated,
+          payments: summarize(pairs.map(([a, b]) => growth(a.payments, b.payments))),
+          services: summarize(pairs.map(([a, b]) => growth(a.services, b.services))),
+          beneficiaries: summarize(pairs.map(([a, b]) => growth(a.beneficiaries, b.beneficiaries))),
+        };
+      })
+      .catch(error => {
+        peerGrowthCache.delete(key);
+        throw error;
+      });
+    peerGrowthCache.set(key, pending);
+  }
+  return peerGrowthCache.get(key);
+}
+
+/**
+ * Compare a provider's latest growth with peer growth over the same years
+ *
+ * Returns { growth, peerMedian, percentile, peerCount, isSpike, severity, reason }.
+ * A spike needs at least +50% payments and either the 95th percentile of peer
+ * growth or, when peers can't be ranked, +100% on its own.
+ */
+function detectBillingSpike(trend, peerGrowth = null) {
+  const latest = trend.latest;
+  if (!latest) {
+    return { growth: null, peerMedian: null, percentile: null, peerCount: 0, isSpike: false, severity: null, reason: 'Fewer than two consecutive years of data' };
+  }
+
+  const value = latest.paymentGrowth;
+  const ranked = peerGrowth && peerGrowth.peerCount >= MIN_GROWTH_PEERS;
+  const percentile = ranked ? percentileRank(peerGrowth.payments.values, value) : null;
+  const peerMedian = ranked ? peerGrowth.payments.median : null;
+
+  let isSpike = false;
+  let severity = null;
+  if (value >= SPIKE_MIN_GROWTH) {
+    if (ranked) {
+      isSpike = percentile >= SPIKE_PEER_PERCENTILE;
+      severity = percentile >= SPIKE_EXTREME_PERCENTILE ? 'high' : 'medium';
+    } else {
+      isSpike = value >= SPIKE_STANDALONE_GROWTH;
+      severity = value >= SPIKE_STANDALONE_GROWTH * 2 ? 'high' : 'medium';
+    }
+  }
+
+  const percent = (g) => `${g >= 0 ? '+' : ''}${(g * 100).toFixed(0)}%`;
+  const reason = ranked
+    ? `Payments ${percent(value)} in ${latest.year} vs median ${percent(peerMedian)} for ${peerGrowth.peerCount} ${peerGrowth.specialty} peers in ${peerGrowth.state}`
+    : `Payments ${percent(value)} in ${latest.year} (peer growth unavailable)`;
+
+  return {
+    growth: value,
+    peerMedian,
+    percentile,
+    peerCount: ranked ? peerGrowth.peerCount : 0,
+    isSpike,
+    severity: isSpike ? severity : null,
+    reason,
+  };
+}
+
+/**
+ * Multi-year billing trend of a provider with peer-relative spike detection
+ *
+ * Returns { npi, specialty, state, history, trend, peerGrowth (summary without raw
+ * values, or null), spike }.
+ */
+async function analyzeBillingTrend(npi, { years = DEFAULT_YEARS } = {}) {
+  const history = await fetchProviderHistory(npi, { years });
+  const trend = computeTrend(history);
+  const current = history[history.length - 1] || {};
+
+  let peerGrowth = null;
+  if (trend.latest) {
+    const [from, to] = history.slice(-2);
+    try {
+      peerGrowth = await loadPeerGrowth(current.specialty, current.state, from, to);
+    } catch (error) {
+      console.error(`Peer growth unavailable for ${current.specialty} in ${current.state}:`, error.message);
+    }
+  }
+
+  const stripValues = ({ values, ...summary }) => summary;
+  return {
+    npi,
+    specialty: current.specialty || null,
+    state: current.state || null,
+    history,
+    trend,
+    peerGrowth: peerGrowth && {
+      ...peerGrowth,
+      payments: stripValues(peerGrowth.payments),
+      services: stripValues(peerGrowth.services),
+      beneficiaries: stripValues(peerGrowth.beneficiaries),
+    },
+    spike: detectBillingSpike(trend, peerGrowth),
+  };
+}
+
+module.exports = {
+  DEFAULT_YEARS,
+  fetchProviderHistory,
+  computeTrend,
+  loadPeerGrowth,
+  detectBillingSpike,
+  analyzeBillingTrend,
+};
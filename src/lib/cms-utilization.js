@@ -0,0 +1,422 @@
+/**
+ * CMS Medicare Utilization
+ * Queries the data.cms.gov Medicare Physician & Other Practitioners datasets (by
+ * data year through the CMS catalog) and analyzes a provider's evaluation and management (E&M) code mix against
+ * specialty peers for upcoding. Part B drug spending links billed drug codes to their manufacturers.
+ *
+ * Docs: https://data.cms.gov/provider-summary-by-type-of-service/medicare-physician-other-practitioners
+ */
+
+const { execFile } = require('child_process');
+
+const { mapWithConcurrency } = require('./script-utils');
+
+const CMS_DATA_API = 'https://data.cms.gov/data-api/v1/dataset';
+
+// DCAT catalog of every data.cms.gov dataset, with one API distribution per data year
+const CMS_CATALOG_URL = 'https://data.cms.gov/data.json';
+const CMS_PROVIDER_DATASET_TITLE = 'Medicare Physician & Other Practitioners - by Provider';
+
+const CMS_PARTB_DRUG_DATASET_TITLE = 'Medicare Part B Spending by Drug';
+
+// "by Provider" (one row per NPI) and "by Provider and Service" (one row per NPI, HCPCS code and place of service)
+const CMS_PROVIDER_DATASET = process.env.CMS_PROVIDER_DATASET || 'mj5m-pzi6';
+const CMS_PROVIDER_SERVICE_DATASET = process.env.CMS_PROVIDER_SERVICE_DATASET || '92396110-2aed-4d63-a6a2-5d6207d46a29';
+
+// The data API returns at most 5000 rows per request
+const CMS_PAGE_SIZE = 5000;
+
+// Office/outpatient visit codes by level: new patient 99202-99205, established 99211-99215
+const EM_CODES = {
+  new: { 99202: 2, 99203: 3, 99204: 4, 99205: 5 },
+  established: { 99211: 1, 99212: 2, 99213: 3, 99214: 4, 99215: 5 },
+};
+
+// Levels 4-5 are the high-complexity visits upcoding shifts claims into
+const HIGH_LEVEL = 4;
+
+// Peers need enough E&M volume for their mix to mean something
+const MIN_PEER_EM_SERVICES = 20;
+const MIN_PEERS = 5;
+
+// Provider flagged when its level 4-5 share is this high and this far above peers
+const UPCODING_MIN_SHARE = 0.4;
+const UPCODING_MIN_ZSCORE = 2;
+const UPCODING_MIN_SERVICES = 50;
+
+// Pages per peer E&M code query; a large specialty in a big state runs past one page
+const MAX_PEER_PAGES = 10;
+
+// Peer distributions by specialty and states (pending or resolved); they only change
+// with a dataset release. Oldest entries are dropped past PEER_CACHE_MAX.
+const peerCache = new Map();
+const PEER_CACHE_MAX = 100;
+
+// Yearly dataset IDs by catalog title (pending or resolved)
+const yearlyDatasetCache = new Map();
+
+// Part B drug products by HCPCS code; they only change with a dataset release
+const partBDrugCache = new Map();
+
+// Part B drug code lookups in flight at once
+const PARTB_DRUG_CONCURRENCY = 4;
+
+/**
+ * Query a data.cms.gov dataset with equality filters
+ * filters is { column: value }; keyword is the API's full-text search; sort is a column,
+ * prefixed with "-" for descending. Returns the rows (one page).
+ */
+function queryCMSDataset(datasetId, filters = {}, { keyword = null, sort = null, size = CMS_PAGE_SIZE, offset = 0, timeoutMs = 60000 } = {}) {
+  const params = new URLSearchParams({ size: String(size), offset: String(offset) });
+  Object.entries(filters).forEach(([column, value]) => params.append(`filter[${column}]`, value));
+  if (keyword) params.append('keyword', keyword);
+  if (sort) params.append('sort', sort);
+  const url = `${CMS_DATA_API}/${datasetId}/data?${params}`;
+
+  return new Promise((resolve, reject) => {
+    execFile('curl', ['-s', '-f', '--max-time', String(Math.ceil(timeoutMs / 1000)), url], { maxBuffer: 100 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(new Error(`CMS data API request failed: ${error.message}`));
+        return;
+      }
+      try {
+        const rows = JSON.parse(stdout);
+        resolve(Array.isArray(rows) ? rows : []);
+      } catch (parseError) {
+        reject(new Error('CMS data API returned invalid JSON'));
+      }
+    });
+  });
+}
+
+/**
+ * Helper: parse "2022=<id>,2021=<id>" into [{ year, datasetId }]
+ */
+function parseYearlyDatasets(value) {
+  return (value || '').split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([year, datasetId]) => /^\d{4}$/.test(year) && datasetId)
+    .map(([year, datasetId]) => ({ year: parseInt(year, 10), datasetId }));
+}
+
+/**
+ * Dataset ID of each data year of a catalog dataset, newest first
+ *
+ * Reads the data.cms.gov catalog, where each year is a distribution whose accessURL
+ * is .../data-api/v1/dataset/<id>/data and whose temporal range gives the year.
+ * Cached for the life of the process.
+ */
+function listYearlyDatasets(title) {
+  if (!yearlyDatasetCache.has(title)) {
+    const pending = new Promise((resolve, reject) => {
+      execFile('curl', ['-s', '-f', '--max-time', '120', CMS_CATALOG_URL], { maxBuffer: 200 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          reject(new Error(`CMS catalog request failed: ${error.message}`));
+          return;
+        }
+        try {
+          const dataset = (JSON.parse(stdout).dataset || []).find(d => d.title === title);
+          const years = ((dataset && dataset.distribution) || [])
+            .filter(d => /\/data-api\/v1\/dataset\/[^/]+\/data/.test(d.accessURL || ''))
+            .map(d => ({
+              year: parseInt(((d.temporal || d.title || '').match(/(\d{4})-\d{2}-\d{2}$/) || [])[1], 10),
+              datasetId: d.accessURL.match(/\/dataset\/([^/]+)\/data/)[1],
+            }))
+            .filter(d => d.year);
+          resolve([...new Map(years.map(d => [d.year, d])).values()].sort((a, b) => b.year - a.year));
+        } catch (parseError) {
+          reject(new Error('CMS catalog returned invalid JSON'));
+        }
+      });
+    }).catch(error => {
+      yearlyDatasetCache.delete(title);
+      throw error;
+    });
+    yearlyDatasetCache.set(title, pending);
+  }
+  return yearlyDatasetCache.get(title);
+}
+
+/**
+ * Yearly "by Provider" datasets, newest first: CMS_PROVIDER_DATASETS ("2022=<id>,2021=<id>")
+ * when set, else discovered from the catalog
+ */
+async function listProviderDatasets() {
+  const configured = parseYearlyDatasets(process.env.CMS_PROVIDER_DATASETS);
+  if (configured.length > 0) return configured.sort((a, b) => b.year - a.year);
+  return listYearlyDatasets(CMS_PROVIDER_DATASET_TITLE);
+}
+
+/**
+ * E&M category and level of a HCPCS code, or null for other codes
+ */
+function emLevel(code) {
+  const key = (code || '').toString().trim();
+  for (const [category, levels] of Object.entries(EM_CODES)) {
+    if (levels[key]) return { category, level: levels[key] };
+  }
+  return null;
+}
+
+/**
+ * A provider's service rows (by Provider and Service)
+ */
+async function fetchProviderServices(npi) {
+  return queryCMSDataset(CMS_PROVIDER_SERVICE_DATASET, { Rndrng_NPI: npi });
+}
+
+/**
+ * Service rows as feature-extractor billing items ({ code, count, amount, serviceType })
+ */
+function toBillingData(rows) {
+  return rows.map(row => {
+    const count = parseFloat(row.Tot_Srvcs) || 0;
+    return {
+      code: row.HCPCS_Cd,
+      count,
+      amount: (parseFloat(row.Avg_Mdcr_Pymt_Amt) || 0) * count,
+      serviceType: row.HCPCS_Desc || row.HCPCS_Cd,
+    };
+  });
+}
+
+/**
+ * Part B drug products (brand, generic and manufacturer) for HCPCS codes
+ *
+ * Reads Medicare Part B Spending by Drug (CMS_PARTB_DRUG_DATASET, else the newest
+ * release in the catalog), skipping its "Overall" manufacturer rollups. Returns
+ * Map code -> { code, description, brandNames, genericNames, manufacturers };
+ * codes the dataset doesn't list are left out. Codes are looked up
+ * PARTB_DRUG_CONCURRENCY at a time and cached.
+ */
+async function fetchPartBDrugProducts(codes) {
+  if (codes.length === 0) return new Map();
+  const datasetId = process.env.CMS_PARTB_DRUG_DATASET
+    || ((await listYearlyDatasets(CMS_PARTB_DRUG_DATASET_TITLE))[0] || {}).datasetId;
+  if (!datasetId) throw new Error('Medicare Part B Spending by Drug dataset not found');
+
+  const loadProduct = (code) => {
+    if (!partBDrugCache.has(code)) {
+      const pending = queryCMSDataset(datasetId, { HCPCS_Cd: code }).then(rows => {
+        if (rows.length === 0) return null;
+        const distinct = field => [...new Set(rows.map(row => (row[field] || '').trim()).filter(Boolean))];
+        return {
+          code,
+          description: rows[0].HCPCS_Desc || null,
+          brandNames: distinct('Brnd_Name'),
+          genericNames: distinct('Gnrc_Name'),
+          manufacturers: distinct('Mftr_Name').filter(name => name.toLowerCase() !== 'overall'),
+        };
+      }).catch(error => {
+        partBDrugCache.delete(code);
+        throw error;
+      });
+      partBDrugCache.set(code, pending);
+    }
+    return partBDrugCache.get(code);
+  };
+
+  // One query per code (the data API filters on a single value), a few at a time
+  const queue = [...new Set(codes)];
+  const products = await mapWithConcurrency(queue, PARTB_DRUG_CONCURRENCY, loadProduct);
+
+  // In the order the codes were given
+  return new Map(queue.map((code, i) => [code, products[i]]).filter(([, product]) => product));
+}
+
+/**
+ * E&M level distribution of service rows
+ *
+ * Counts services (Tot_Srvcs) per code. Returns { totalServices, highLevelShare,
+ * avgLevel, codes: [{ code, category, level, services, share }] } with shares
+ * of all E&M services; rows for other codes are ignored.
+ */
+function computeEMDistribution(rows) {
+  const byCode = {};
+  rows.forEach(row => {
+    const em = emLevel(row.HCPCS_Cd);
+    if (!em) return;
+    byCode[row.HCPCS_Cd] = (byCode[row.HCPCS_Cd] || 0) + (parseFloat(row.Tot_Srvcs) || 0);
+  });
+
+  const totalServices = Object.values(byCode).reduce((sum, n) => sum + n, 0);
+  const codes = Object.entries(EM_CODES).flatMap(([category, levels]) =>
+    Object.entries(levels).map(([code, level]) => {
+      const services = byCode[code] || 0;
+      return { code, category, level, services, share: totalServices > 0 ? services / totalServices : 0 };
+    })
+  );
+  const highServices = codes.filter(c => c.level >= HIGH_LEVEL).reduce((sum, c) => sum + c.services, 0);
+  const levelServices = codes.reduce((sum, c) => sum + c.level * c.services, 0);
+
+  return {
+    totalServices,
+    highLevelShare: totalServices > 0 ? highServices / totalServices : 0,
+    avgLevel: totalServices > 0 ? levelServices / totalServices : 0,
+    codes,
+  };
+}
+
+/**
+ * Every row of one E&M code for a specialty in a state (paged)
+ */
+async function fetchPeerEMRows(specialty, state, code) {
+  const rows = [];
+  for (let page = 0; page < MAX_PEER_PAGES; page++) {
+    const batch = await queryCMSDataset(CMS_PROVIDER_SERVICE_DATASET, {
+      Rndrng_Prvdr_Type: specialty,
+      Rndrng_Prvdr_State_Abrvtn: state,
+      HCPCS_Cd: code,
+    }, { size: CMS_PAGE_SIZE, offset: page * CMS_PAGE_SIZE });
+    rows.push(...batch);
+    if (batch.length < CMS_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Helper: peer distribution from the peers' E&M rows
+ */
+function buildPeerEMDistribution(specialty, states, rows) {
+  // Each peer's own mix, so the provider can be placed within the spread
+  const byProvider = {};
+  rows.forEach(row => {
+    (byProvider[row.Rndrng_NPI] = byProvider[row.Rndrng_NPI] || []).push(row);
+  });
+  const peerDistributions = Object.values(byProvider)
+    .map(computeEMDistribution)
+    .filter(d => d.totalServices >= MIN_PEER_EM_SERVICES);
+  const highLevelShares = peerDistributions.map(d => d.highLevelShare);
+
+  const mean = highLevelShares.reduce((sum, s) => sum + s, 0) / (highLevelShares.length || 1);
+  const variance = highLevelShares.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / (highLevelShares.length || 1);
+
+  return {
+    specialty,
+    states,
+    peerCount: peerDistributions.length,
+    distribution: computeEMDistribution(rows),
+    highLevelShares,
+    mean,
+    std: Math.sqrt(variance),
+  };
+}
+
+/**
+ * E&M distribution of a specialty's providers in the given states
+ *
+ * Fetches each E&M code's rows for the specialty (Rndrng_Prvdr_Type), paging up to
+ * MAX_PEER_PAGES per code, and returns { specialty, states, peerCount, distribution,
+ * highLevelShares: [per-peer share], mean, std } over peers with at least
+ * MIN_PEER_EM_SERVICES E&M services. Cached per specialty and states; concurrent
+ * callers share one fetch.
+ */
+async function fetchPeerEMDistribution(specialty, states) {
+  const key = `${specialty}|${[...states].sort().join(',')}`;
+  if (peerCache.has(key)) return peerCache.get(key);
+
+  const codes = Object.values(EM_CODES).flatMap(levels => Object.keys(levels));
+  const pending = (async () => {
+    const rows = [];
+    for (const state of states) {
+      for (const code of codes) {
+        rows.push(...await fetchPeerEMRows(specialty, state, code));
+      }
+    }
+    return buildPeerEMDistribution(specialty, states, rows);
+  })().catch(error => {
+    peerCache.delete(key);
+    throw error;
+  });
+
+  peerCache.set(key, pending);
+  if (peerCache.size > PEER_CACHE_MAX) peerCache.delete(peerCache.keys().next().value);
+  return pending;
+}
+
+/**
+ * Compare a provider's E&M distribution with its peers
+ *
+ * Returns { zScore, percentile, ratio, flagged, reason } where flagged means the
+ * provider bills level 4-5 visits at an upcoding-level share well above peers.
+ */
+function compareEMToPeers(distribution, peers) {
+  if (peers.peerCount < MIN_PEERS || distribution.totalServices === 0) {
+    return {
+      zScore: null,
+      percentile: null,
+      ratio: null,
+      flagged: false,
+      reason: distribution.totalServices === 0 ? 'No E&M services billed' : `Only ${peers.peerCount} peers with E&M volume`,
+    };
+  }
+
+  const share = distribution.highLevelShare;
+  const zScore = peers.std > 0 ? (share - peers.mean) / peers.std : 0;
+  const percentile = peers.highLevelShares.filter(s => s <= share).length / peers.highLevelShares.length;
+  const peerShare = peers.distribution.highLevelShare;
+  const flagged = distribution.totalServices >= UPCODING_MIN_SERVICES &&
+    share >= UPCODING_MIN_SHARE &&
+    zScore >= UPCODING_MIN_ZSCORE;
+
+  return {
+    zScore,
+    percentile,
+    ratio: peerShare > 0 ? share / peerShare : null,
+    flagged,
+    reason: `${(share * 100).toFixed(0)}% of E&M visits at level 4-5 vs ${(peerShare * 100).toFixed(0)}% for ${peers.peerCount} ${peers.specialty} peers`,
+  };
+}
+
+/**
+ * E&M code mix analysis for one provider
+ *
+ * Returns { npi, specialty, state, services, distribution, peers, upcoding }
+ * where peers is the specialty distribution in states (default: the provider's state)
+ * and upcoding comes from compareEMToPeers. Pass services when the caller has already
+ * fetched the provider's service rows.
+ */
+async function analyzeProviderCodeMix(npi, { states = null, services = null } = {}) {
+  if (!services) services = await fetchProviderServices(npi);
+  if (services.length === 0) {
+    return { npi, specialty: null, state: null, services, distribution: computeEMDistribution([]), peers: null, upcoding: null };
+  }
+
+  const { Rndrng_Prvdr_Type: specialty, Rndrng_Prvdr_State_Abrvtn: state } = services[0];
+  const distribution = computeEMDistribution(services);
+  const peers = await fetchPeerEMDistribution(specialty, states && states.length > 0 ? states : [state]);
+
+  return {
+    npi,
+    specialty,
+    state,
+    services,
+    distribution,
+    peers: {
+      specialty: peers.specialty,
+      states: peers.states,
+      peerCount: peers.peerCount,
+      distribution: peers.distribution,
+      mean: peers.mean,
+      std: peers.std,
+    },
+    upcoding: compareEMToPeers(distribution, peers),
+  };
+}
+
+module.exports = {
+  CMS_PROVIDER_DATASET,
+  CMS_PROVIDER_SERVICE_DATASET,
+  EM_CODES,
+  queryCMSDataset,
+  listYearlyDatasets,
+  listProviderDatasets,
+  emLevel,
+  fetchProviderServices,
+  toBillingData,
+  fetchPartBDrugProducts,
+  computeEMDistribution,
+  fetchPeerEMDistribution,
+  compareEMToPeers,
+  analyzeProviderCodeMix,
+};
@@ -1,111 +1,53 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import fs from 'fs/promises';
-import path from 'path';
+/**
+ * Contract Model Scoring
+ * Contractor features from USASpending awards (size, agency concentration,
+ * growth, categories, FPDS competition fields and modification history) and the
+ * rule and trained-model scoring behind /api/contracts and /api/ml/score.
+ */
 
-const execAsync = promisify(exec);
+const fs = require('fs').promises;
+const path = require('path');
+
+const { deriveCompetitionFeatures, describeSoleSource } = require('./award-competition');
 
-const USASPENDING_BASE = 'https://api.usaspending.gov/api/v2';
 const MODEL_PATH = path.join(process.cwd(), 'src/ml/models/fraud-detector-trained.json');
 
-// Load trained model
+const DEFAULT_THRESHOLDS = {
+  largeAwardMultiple: 3.0,
+  growthRateAnomaly: 2.0,
+  agencyConcentration: 0.8,
+  soleSourceRatio: 0.5,
+  lowRiskMax: 25,
+  mediumRiskMax: 50,
+  highRiskMin: 50,
+};
+
+const HIGH_RISK_KEYWORDS = ['consulting', 'advisory', 'professional services', 'it services', 'software', 'support', 'sole source'];
+
+// Loaded once per process; retried on later calls while the file is missing
 let trainedModel = null;
-async function loadModel() {
+
+/**
+ * The trained model JSON, or null when none has been saved
+ */
+async function loadContractModel() {
   if (trainedModel) return trainedModel;
   try {
     const data = await fs.readFile(MODEL_PATH, 'utf-8');
     trainedModel = JSON.parse(data);
-    console.log('Loaded trained fraud detection model for MA contracts');
+    console.log('Loaded trained fraud detection model');
     return trainedModel;
   } catch (error) {
-    console.log('Trained model not found, using basic scoring');
+    console.log('Trained model not found, using default scoring');
     return null;
   }
 }
 
-export async function POST(request) {
-  try {
-    const body = await request.json();
-    const { minAmount = 100000, limit = 50, page = 1 } = body;
-
-    // Load trained ML model
-    const model = await loadModel();
-
-    // Get contracts from past 3 years (more recent data)
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date(Date.now() - 1095 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]; // 3 years
-
-    const requestBody = {
-      filters: {
-        time_period: [{ start_date: startDate, end_date: endDate }],
-        award_type_codes: ['A', 'B', 'C', 'D'],
-        place_of_performance_locations: [{ country: 'USA', state: 'MA' }],
-        award_amounts: [{ lower_bound: minAmount }],
-      },
-      fields: [
-        'Award ID',
-        'Recipient Name',
-        'Award Amount',
-        'Description',
-        'Start Date',
-        'Awarding Agency',
-        'generated_internal_id',
-        'Place of Performance City',
-      ],
-      page,
-      limit,
-      sort: 'Award Amount',
-      order: 'desc',
-    };
-
-    // Use curl as a workaround for Node.js fetch issues
-    const curlCommand = `curl -s --max-time 30 "${USASPENDING_BASE}/search/spending_by_award/" -X POST -H "Content-Type: application/json" -d '${JSON.stringify(requestBody).replace(/'/g, "'\\''")}'`;
-
-    const { stdout, stderr } = await execAsync(curlCommand);
-
-    if (stderr) {
-      console.error('Curl stderr:', stderr);
-    }
-
-    const data = JSON.parse(stdout);
-    const results = data.results || [];
-
-    // Group contracts by recipient to analyze patterns
-    const byRecipient = {};
-    results.forEach(c => {
-      const name = c['Recipient Name'] || 'Unknown';
-      if (!byRecipient[name]) byRecipient[name] = [];
-      byRecipient[name].push(c);
-    });
-
-    // Analyze each contract with ML model
-    const analyzedResults = results.map(contract =>
-      analyzeContractWithML(contract, results, byRecipient, model)
-    );
-
-    return Response.json({
-      success: true,
-      results: analyzedResults,
-      totalResults: data.page_metadata?.total || 0,
-      page: data.page_metadata?.page || 1,
-      dateRange: { startDate, endDate },
-      modelVersion: model?.version || 'basic',
-      modelTrained: model?.trained || false,
-    });
-  } catch (error) {
-    console.error('MA contracts API error:', error);
-    return Response.json({
-      success: false,
-      error: error.message,
-      results: [],
-    }, { status: 500 });
-  }
-}
-
 /**
- * Extract features from contracts for ML model
+ * Extract contractor features from a set of awards
+ * Modification features only count awards carrying modificationAnalysis.
  */
-function extractFeatures(contracts) {
+function extractContractFeatures(contracts) {
   if (!contracts || contracts.length === 0) {
     return {};
   }
@@ -140,10 +82,9 @@ function extractFeatures(contracts) {
   }
 
   // High-risk keywords
-  const highRiskKeywords = ['consulting', 'advisory', 'professional services', 'it services', 'software', 'support', 'sole source'];
   const highRiskCount = contracts.filter(c => {
     const desc = (c['Description'] || '').toLowerCase();
-    return highRiskKeywords.some(kw => desc.includes(kw));
+    return HIGH_RISK_KEYWORDS.some(kw => desc.includes(kw));
   }).length;
 
   // Defense ratio
@@ -163,6 +104,15 @@ function extractFeatures(contracts) {
   const largeAwardThreshold = avgAward * 3;
   const largeAwardCount = amounts.filter(a => a > largeAwardThreshold).length;
 
+  // Modification history (only awards that carry it)
+  const withMods = contracts.filter(c => c.modificationAnalysis);
+  const modRatio = (type) => withMods.length > 0
+    ? withMods.filter(c => c.modificationAnalysis.riskFactors.some(f => f.type === type)).length / withMods.length
+    : 0;
+  const avgObligationGrowth = withMods.length > 0
+    ? withMods.reduce((sum, c) => sum + c.modificationAnalysis.metrics.obligationGrowth, 0) / withMods.length
+    : 1;
+
   return {
     totalAwarded,
     avgAward,
@@ -173,27 +123,25 @@ function extractFeatures(contracts) {
     defenseRatio: defenseCount / contracts.length,
     healthcareRatio: healthcareCount / contracts.length,
     largeAwardRatio: largeAwardCount / contracts.length,
-    soleSourceRatio: contracts.filter(c =>
-      (c['Description'] || '').toLowerCase().includes('sole source')
-    ).length / contracts.length,
+    // Competition features from FPDS fields (soleSourceRatio includes single-offer awards)
+    ...deriveCompetitionFeatures(contracts),
+    avgObligationGrowth,
+    repeatedExtensionRatio: modRatio('REPEATED_NO_COST_EXTENSIONS'),
+    lateModificationRatio: modRatio('LATE_LARGE_MODIFICATION'),
   };
 }
 
 /**
- * Score contractor using trained ML model
+ * Score contractor features with the rules, plus the trained model's feature
+ * statistics and learned patterns when a model is given
+ *
+ * Returns { score, riskLevel, factors: [{ type, description, contribution, severity }],
+ * modelVersion, confidence }; factors are ordered by contribution.
  */
-function scoreWithModel(features, model) {
+function scoreContractFeatures(features, model) {
   let score = 0;
   const factors = [];
-  const thresholds = model?.thresholds || {
-    largeAwardMultiple: 3.0,
-    growthRateAnomaly: 2.0,
-    agencyConcentration: 0.8,
-    soleSourceRatio: 0.5,
-    lowRiskMax: 25,
-    mediumRiskMax: 50,
-    highRiskMin: 50,
-  };
+  const thresholds = model?.thresholds || DEFAULT_THRESHOLDS;
 
   // Large award concentration
   if (features.largeAwardRatio > 0.3) {
@@ -224,7 +172,7 @@ function scoreWithModel(features, model) {
     score += contribution;
     factors.push({
       type: 'HIGH_SOLE_SOURCE',
-      description: `${Math.round(features.soleSourceRatio * 100)}% sole source contracts`,
+      description: describeSoleSource(features),
       contribution,
       severity: 'medium',
     });
@@ -276,6 +224,42 @@ function scoreWithModel(features, model) {
     });
   }
 
+  // Obligations ballooning past the base award through modifications
+  if (features.avgObligationGrowth >= 2) {
+    const contribution = Math.min(Math.round((features.avgObligationGrowth - 1) * 8), 20);
+    score += contribution;
+    factors.push({
+      type: 'BALLOONING_CEILING',
+      description: `Obligations average ${features.avgObligationGrowth.toFixed(1)}x the base award after modifications`,
+      contribution,
+      severity: contribution > 15 ? 'high' : 'medium',
+    });
+  }
+
+  // Repeated no-cost extensions
+  if (features.repeatedExtensionRatio > 0.3) {
+    const contribution = Math.round(features.repeatedExtensionRatio * 20);
+    score += contribution;
+    factors.push({
+      type: 'REPEATED_NO_COST_EXTENSIONS',
+      description: `${Math.round(features.repeatedExtensionRatio * 100)}% of awards repeatedly extended at no cost`,
+      contribution,
+      severity: 'medium',
+    });
+  }
+
+  // Large modifications just before period of performance end
+  if (features.lateModificationRatio > 0.2) {
+    const contribution = Math.round(features.lateModificationRatio * 25);
+    score += contribution;
+    factors.push({
+      type: 'LATE_LARGE_MODIFICATION',
+      description: `${Math.round(features.lateModificationRatio * 100)}% of awards had large mods just before period of performance end`,
+      contribution,
+      severity: contribution > 15 ? 'high' : 'medium',
+    });
+  }
+
   // Apply z-score anomaly detection if model has feature stats
   if (model?.featureStats) {
     for (const [key, value] of Object.entries(features)) {
@@ -322,29 +306,24 @@ function scoreWithModel(features, model) {
     score,
     riskLevel,
     factors: factors.sort((a, b) => b.contribution - a.contribution),
+    modelVersion: model?.version || 'default',
     confidence: model?.trained ? 0.85 : 0.70,
   };
 }
 
 /**
- * Analyze contract with ML model
+ * Score one award against its recipient's awards, adding award-size factors
+ *
+ * recipientContracts are the awards sharing the contract's recipient (the contract
+ * alone when omitted). Returns the contract with riskAnalysis
+ * { riskScore, riskLevel, factors, confidence, modelVersion } and the recipient features.
  */
-function analyzeContractWithML(contract, allContracts, byRecipient, model) {
-  const recipientName = contract['Recipient Name'] || 'Unknown';
-  const recipientContracts = byRecipient[recipientName] || [contract];
-
-  // Extract features for this recipient's contracts
-  const features = extractFeatures(recipientContracts);
-
-  // Score using ML model
-  const mlScore = scoreWithModel(features, model);
-
-  // Add contract-specific factors
-  const amount = parseFloat(contract['Award Amount']) || 0;
-  const description = (contract['Description'] || '').toLowerCase();
-  const agency = (contract['Awarding Agency'] || '').toLowerCase();
+function scoreContract(contract, recipientContracts, model) {
+  const features = extractContractFeatures(recipientContracts || [contract]);
+  const mlScore = scoreContractFeatures(features, model);
 
   // Very large individual contract
+  const amount = parseFloat(contract['Award Amount']) || 0;
   if (amount > 100000000) {
     mlScore.factors.push({
       type: 'EXTREMELY_LARGE_AWARD',
@@ -374,8 +353,32 @@ function analyzeContractWithML(contract, allContracts, byRecipient, model) {
       riskLevel: mlScore.riskLevel,
       factors: mlScore.factors,
       confidence: mlScore.confidence,
-      modelVersion: model?.version || 'basic',
+      modelVersion: mlScore.modelVersion,
     },
     features, // Include extracted features for transparency
   };
 }
+
+/**
+ * Score each award against the other awards to the same recipient
+ */
+function scoreContracts(contracts, model) {
+  const byRecipient = {};
+  contracts.forEach(c => {
+    const name = c['Recipient Name'] || 'Unknown';
+    if (!byRecipient[name]) byRecipient[name] = [];
+    byRecipient[name].push(c);
+  });
+
+  return contracts.map(contract =>
+    scoreContract(contract, byRecipient[contract['Recipient Name'] || 'Unknown'], model)
+  );
+}
+
+module.exports = {
+  loadContractModel,
+  extractContractFeatures,
+  scoreContractFeatures,
+  scoreContract,
+  scoreContracts,
+};
@@ -0,0 +1,117 @@
+/**
+ * Corporate Family Resolution
+ * Groups recipients into a corporate family using the USASpending recipient
+ * parent/child hierarchy, falling back to SAM.gov ultimate parent ownership
+ */
+
+const { usaspending } = require('./usaspending-client');
+const { lookupEntity } = require('./sam-entities');
+
+// Family members pulled and scored individually (largest by award amount first)
+const MAX_FAMILY_MEMBERS = 25;
+
+/**
+ * Helper: the recipient with the most award dollars in a set of awards
+ */
+function topRecipient(awards) {
+  const totals = new Map();
+  awards.forEach(a => {
+    const key = a.recipient_id || a['Recipient UEI'];
+    if (!key) return;
+    const entry = totals.get(key) || {
+      recipientId: a.recipient_id || null,
+      uei: a['Recipient UEI'] || null,
+      name: a['Recipient Name'] || null,
+      amount: 0,
+    };
+    entry.amount += parseFloat(a['Award Amount']) || 0;
+    totals.set(key, entry);
+  });
+
+  return [...totals.values()].sort((a, b) => b.amount - a.amount)[0] || null;
+}
+
+/**
+ * Find the parent of a recipient
+ *
+ * Uses the USASpending recipient profile's parent first, then SAM's ultimate parent.
+ * A recipient with no parent is treated as the head of its own family.
+ */
+async function findParent(seed, client) {
+  if (seed.recipientId) {
+    try {
+      const recipient = await client.getRecipient(seed.recipientId);
+      if (recipient.parent_uei || recipient.parent_duns) {
+        return {
+          name: recipient.parent_name || null,
+          uei: recipient.parent_uei || null,
+          duns: recipient.parent_duns || null,
+          recipientId: recipient.parent_id || null,
+          source: 'usaspending',
+        };
+      }
+    } catch (error) {
+      console.error('USASpending recipient lookup error:', error.message);
+    }
+  }
+
+  if (seed.uei) {
+    const { entity } = await lookupEntity({ uei: seed.uei });
+    if (entity?.ultimateParent?.uei) {
+      return { ...entity.ultimateParent, duns: null, recipientId: null, source: 'sam' };
+    }
+  }
+
+  return { name: seed.name, uei: seed.uei, duns: null, recipientId: seed.recipientId, source: 'self' };
+}
+
+/**
+ * Resolve the corporate family of the largest recipient in a set of awards
+ *
+ * Returns { parent, members, truncated } where members are
+ * [{ name, uei, recipientId, amount }] sorted by amount, always including
+ * the largest recipient itself.
+ */
+async function resolveCorporateFamily(awards, options = {}) {
+  const { client = usaspending, maxMembers = MAX_FAMILY_MEMBERS } = options;
+
+  const seed = topRecipient(awards);
+  if (!seed) return null;
+
+  const parent = await findParent(seed, client);
+  const members = new Map();
+  const addMember = (member) => {
+    const key = member.uei || member.recipientId;
+    if (key && !members.has(key)) members.set(key, member);
+  };
+
+  const parentKey = parent.uei || parent.duns;
+  if (parentKey) {
+    try {
+      const children = await client.getRecipientChildren(parentKey);
+      children.forEach(child => addMember({
+        name: child.name || null,
+        uei: child.uei || null,
+        recipientId: child.recipient_id || null,
+        amount: parseFloat(child.amount) || 0,
+      }));
+    } catch (error) {
+      console.error('USASpending recipient children error:', error.message);
+    }
+  }
+
+  // The seed always belongs to its own family, even if the hierarchy is missing it
+  addMember({ name: seed.name, uei: seed.uei, recipientId: seed.recipientId, amount: seed.amount });
+
+  const sorted = [...members.values()].sort((a, b) => b.amount - a.amount);
+  return {
+    parent,
+    members: sorted.slice(0, maxMembers),
+    truncated: sorted.length > maxMembers,
+  };
+}
+
+module.exports = {
+  MAX_FAMILY_MEMBERS,
+  resolveCorporateFamily,
+};
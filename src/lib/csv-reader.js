@@ -0,0 +1,202 @@
+/**
+ * Streaming CSV Reader
+ * RFC 4180 parsing (quoted fields, "" escapes, embedded newlines, CRLF or LF)
+ * over a file stream, so large extracts like the 80k-row LEIE never sit in memory
+ * as one string. Rows are keyed by header name and checked for shape.
+ */
+
+const fs = require('fs');
+
+/**
+ * Error raised when a CSV file can't be read as a whole (e.g. missing columns)
+ */
+class CSVFormatError extends Error {
+  constructor(message, { line = null } = {}) {
+    super(message);
+    this.name = 'CSVFormatError';
+    this.line = line;
+  }
+}
+
+/**
+ * Helper: open a path as a UTF-8 stream (streams and other iterables pass through)
+ */
+function toTextStream(input) {
+  if (typeof input === 'string') {
+    return fs.createReadStream(input, { encoding: 'utf-8' });
+  }
+  return input;
+}
+
+/**
+ * Iterate raw CSV records
+ *
+ * Yields { line, values, error } where line is the 1-based line the record starts on
+ * and error describes a syntax problem (stray or unterminated quote), else null.
+ * Blank lines are skipped.
+ */
+async function* readCSVRecords(input) {
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // Saw a quote inside a quoted field; next char decides
+  let afterQuote = false; // Closing quote seen; only a delimiter may follow
+  let skipLF = false; // Previous char was CR
+  let quotedCR = false; // Previous char was CR inside a quoted field
+  let hasContent = false;
+  let error = null;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    const record = { line: recordLine, values, error };
+    values = [];
+    error = null;
+    hasContent = false;
+    return record;
+  };
+
+  for await (const chunk of toTextStream(input)) {
+    const text = typeof chunk === 'string' ? chunk : chunk.toString('utf-8');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (skipLF) {
+        skipLF = false;
+        if (char === '\n') continue;
+      }
+
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+        afterQuote = true;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          // CR, LF and CRLF each count as one line break
+          if (char === '\r' || (char === '\n' && !quotedCR)) line++;
+          quotedCR = char === '\r';
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === ',') {
+        endField();
+        hasContent = true;
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r') skipLF = true;
+        if (hasContent || field || values.length > 0 || afterQuote) {
+          yield endRecord();
+        }
+        line++;
+        recordLine = line;
+      } else if (char === '"') {
+        if (!field && !afterQuote) {
+          inQuotes = true;
+          hasContent = true;
+        } else {
+          error = error || `Unexpected quote in unquoted field ${values.length + 1}`;
+          field += char;
+        }
+      } else {
+        if (afterQuote && !error) {
+          error = `Characters after closing quote in field ${values.length + 1}`;
+        }
+        field += char;
+        hasContent = true;
+      }
+    }
+  }
+
+  if (quotePending) {
+    inQuotes = false;
+    afterQuote = true;
+  }
+  if (inQuotes) {
+    error = error || 'Unterminated quoted field';
+  }
+  if (hasContent || field || values.length > 0 || afterQuote) {
+    yield endRecord();
+  }
+}
+
+/**
+ * Iterate CSV rows keyed by header name
+ *
+ * Options:
+ * - columns: { key: 'Header Name' } to pick and rename columns (default: every header as-is)
+ * - requiredColumns: keys that must be present in the header, else CSVFormatError
+ * - onMalformed: called with { line, reason, values } for rows that are skipped
+ *   because of a syntax error or a field count that doesn't match the header
+ * - trim: trim whitespace around values (default true)
+ *
+ * Yields { line, row }.
+ */
+async function* readCSVRows(input, options = {}) {
+  const { columns = null, requiredColumns = [], onMalformed = null, trim = true } = options;
+  const clean = (value) => (trim ? value.trim() : value);
+
+  let header = null;
+  let positions = null;
+
+  for await (const record of readCSVRecords(input)) {
+    if (!header) {
+      header = record.values.map((value, i) => clean(i === 0 ? value.replace(/^\uFEFF/, '') : value));
+      const mapping = columns || Object.fromEntries(header.map(name => [name, name]));
+      positions = Object.entries(mapping).map(([key, name]) => [key, header.indexOf(name)]);
+
+      const missing = requiredColumns.filter(key => {
+        const entry = positions.find(([k]) => k === key);
+        return !entry || entry[1] === -1;
+      });
+      if (missing.length > 0) {
+        throw new CSVFormatError(
+          `Missing required columns: ${missing.map(key => mapping[key] || key).join(', ')}`,
+          { line: record.line }
+        );
+      }
+      continue;
+    }
+
+    let reason = record.error;
+    if (!reason && record.values.length !== header.length) {
+      reason = `Expected ${header.length} fields, found ${record.values.length}`;
+    }
+    if (reason) {
+      if (onMalformed) onMalformed({ line: record.line, reason, values: record.values });
+      continue;
+    }
+
+    const row = {};
+    for (const [key, position] of positions) {
+      row[key] = position >= 0 ? clean(record.values[position]) : '';
+    }
+    yield { line: record.line, row };
+  }
+
+  if (!header) {
+    throw new CSVFormatError('CSV file is empty');
+  }
+}
+
+module.exports = {
+  CSVFormatError,
+  readCSVRecords,
+  readCSVRows,
+};
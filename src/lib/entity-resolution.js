@@ -0,0 +1,638 @@
+/**
+ * Entity Resolution
+ * Probabilistic matching of people and businesses against exclusion lists
+ *
+ * Names are normalized (titles, credentials, generational and corporate suffixes
+ * removed), compared token by token with Jaro-Winkler similarity and Soundex codes,
+ * and combined with identifier (NPI, UEI, CAGE), birth date and address agreement.
+ * Each comparison adds a log-odds weight; the total is calibrated to a match
+ * probability through the logistic function, with every weight kept as an explanation.
+ */
+
+// Log-odds of a match before any evidence: most candidate pairs are different entities
+const PRIOR_LOG_ODDS = -6;
+
+// Probability at or above which a pair counts as a match
+const MATCH_THRESHOLD = 0.6;
+
+const CONFIDENCE_BANDS = [
+  { min: 0.9, label: 'high' },
+  { min: 0.6, label: 'medium' },
+  { min: 0.3, label: 'low' },
+];
+
+// Evidence weights (log-odds)
+const WEIGHTS = {
+  idAgree: 9,
+  idDisagree: -6,
+  dobAgree: 4,
+  dobDisagree: -5,
+  lastExact: 4,
+  lastSimilar: 2.5,
+  lastPhonetic: 1.5,
+  lastMismatch: -4,
+  firstExact: 3,
+  firstSimilar: 1.5,
+  firstPhonetic: 1,
+  firstInitial: 0.5,
+  firstMismatch: -2.5,
+  middleAgree: 0.5,
+  middleConflict: -1,
+  swappedPenalty: -1,
+  businessExactMulti: 7.5,
+  businessExactSingle: 5,
+  businessStrongOverlap: 4,
+  businessPartialOverlap: 1.5,
+  businessMismatch: -4,
+  typeMismatch: -3,
+  streetAgree: 2,
+  zipAgree: 1.5,
+  zipDisagree: -0.5,
+  cityAgree: 0.5,
+  stateDisagree: -1,
+};
+
+const SIMILAR_TOKEN = 0.92; // Jaro-Winkler score treated as a typo-level difference
+
+const TITLES = ['DR', 'MR', 'MRS', 'MS', 'MISS', 'PROF', 'REV'];
+
+const CREDENTIALS = [
+  'MD', 'DO', 'RN', 'LPN', 'NP', 'PA', 'PAC', 'DDS', 'DMD', 'PHD', 'PSYD', 'DC', 'DPM', 'OD',
+  'PT', 'DPT', 'OT', 'OTR', 'CNA', 'CRNA', 'APRN', 'FNP', 'ANP', 'CNM', 'LCSW', 'LICSW', 'LMHC',
+  'MSW', 'RPH', 'PHARMD', 'FACP', 'FACS', 'MPH', 'MBA', 'JD', 'ESQ', 'CPA', 'DVM', 'LMT', 'AUD',
+  'SLP', 'CCC', 'EMT', 'PARAMEDIC',
+];
+
+const GENERATIONAL = ['JR', 'SR', 'II', 'III', 'IV', 'V'];
+
+// Corporate suffixes dropped before comparing business names
+const BUSINESS_SUFFIXES = [
+  'INCORPORATED', 'INC', 'CORPORATION', 'CORP', 'COMPANY', 'CO', 'LLC', 'LLP', 'LP',
+  'LTD', 'LIMITED', 'PLLC', 'PC', 'PA', 'THE',
+];
+
+// Words that mark a name as a business when the entity type isn't given
+const BUSINESS_WORDS = [
+  'LLC', 'INC', 'CORP', 'CORPORATION', 'COMPANY', 'LLP', 'PLLC', 'LTD', 'GROUP', 'ASSOCIATES',
+  'SERVICES', 'HEALTH', 'HEALTHCARE', 'CARE', 'CENTER', 'CENTRE', 'CLINIC', 'HOSPITAL', 'MEDICAL',
+  'PHARMACY', 'LABORATORY', 'LABORATORIES', 'LAB', 'LABS', 'SUPPLY', 'SUPPLIES', 'AMBULANCE',
+  'HOME', 'AGENCY', 'FOUNDATION', 'PARTNERS', 'SYSTEMS', 'SOLUTIONS', 'TECHNOLOGIES', 'INTERNATIONAL',
+  'ENTERPRISES', 'HOLDINGS', 'NETWORK', 'INSTITUTE', 'PRACTICE', 'THERAPY', 'REHABILITATION',
+];
+
+// Business tokens too common to block candidates on
+const GENERIC_BUSINESS_TOKENS = new Set([
+  'AND', 'OF', 'THE', 'FOR', ...BUSINESS_WORDS,
+]);
+
+const STREET_ABBREVIATIONS = {
+  STREET: 'ST', AVENUE: 'AVE', ROAD: 'RD', BOULEVARD: 'BLVD', DRIVE: 'DR',
+  LANE: 'LN', COURT: 'CT', PLACE: 'PL', SUITE: 'STE', HIGHWAY: 'HWY', PARKWAY: 'PKWY',
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+};
+
+/**
+ * Helper: uppercase letters, digits and spaces only
+ */
+function cleanUpper(value) {
+  return (value || '')
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^A-Z0-9, ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a business name for comparison (corporate suffixes removed)
+ */
+function normalizeBusinessName(name) {
+  return cleanUpper(name)
+    .replace(/,/g, ' ')
+    .split(' ')
+    .filter(token => token && !BUSINESS_SUFFIXES.includes(token))
+    .join(' ');
+}
+
+/**
+ * Guess whether a bare name string is a business
+ */
+function looksLikeBusiness(name) {
+  const tokens = cleanUpper(name).replace(/,/g, ' ').split(' ');
+  return tokens.some(token => BUSINESS_WORDS.includes(token));
+}
+
+/**
+ * Parse a person's name into first / middle / last
+ *
+ * Handles "LAST, FIRST MIDDLE" and "Dr. First M. Last MD" forms; titles,
+ * credentials and generational suffixes are dropped.
+ */
+function parsePersonName(name) {
+  const dropped = (token) => TITLES.includes(token) || CREDENTIALS.includes(token) || GENERATIONAL.includes(token);
+  const tokensOf = (part) => part.split(' ').filter(token => token && !dropped(token));
+
+  const parts = cleanUpper(name).split(',').map(tokensOf).filter(tokens => tokens.length > 0);
+  if (parts.length === 0) return { first: null, middle: null, last: null };
+
+  if (parts.length > 1) {
+    // LAST, FIRST MIDDLE
+    const [given = []] = parts.slice(1);
+    return {
+      last: parts[0].join(''),
+      first: given[0] || null,
+      middle: given.slice(1).join(' ') || null,
+    };
+  }
+
+  const tokens = parts[0];
+  if (tokens.length === 1) return { first: null, middle: null, last: tokens[0] };
+  return {
+    first: tokens[0],
+    middle: tokens.slice(1, -1).join(' ') || null,
+    last: tokens[tokens.length - 1],
+  };
+}
+
+/**
+ * Normalize a street address (uppercase, standard abbreviations)
+ */
+function normalizeStreet(street) {
+  return cleanUpper(street)
+    .replace(/,/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(token => STREET_ABBREVIATIONS[token] || token)
+    .join(' ') || null;
+}
+
+/**
+ * Helper: digits-only identifier, or null for blanks and all-zero placeholders
+ */
+function cleanId(value) {
+  const id = (value || '').toString().replace(/[^A-Z0-9]/gi, '').toUpperCase();
+  return id && !/^0+$/.test(id) ? id : null;
+}
+
+/**
+ * Helper: YYYYMMDD from YYYYMMDD, YYYY-MM-DD or MM/DD/YYYY
+ */
+function cleanDate(value) {
+  const text = (value || '').toString().trim();
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const digits = us ? `${us[3]}${us[1].padStart(2, '0')}${us[2].padStart(2, '0')}` : text.replace(/-/g, '');
+  return /^\d{8}$/.test(digits) && !/^0+$/.test(digits) ? digits : null;
+}
+
+/**
+ * Build a comparable entity from loose fields
+ *
+ * Accepts { name, firstName, middleName, lastName, businessName, isEntity, npi, uei, cage,
+ * dob, street, city, state, zip }. Structured name fields win over a bare name.
+ */
+function toEntity(fields) {
+  const hasPersonFields = !!(fields.lastName || fields.firstName);
+  const isBusiness = fields.isEntity !== undefined && fields.isEntity !== null
+    ? !!fields.isEntity
+    : !!fields.businessName || (!hasPersonFields && looksLikeBusiness(fields.name));
+
+  const entity = {
+    type: isBusiness ? 'business' : 'person',
+    npi: cleanId(fields.npi),
+    uei: cleanId(fields.uei),
+    cage: cleanId(fields.cage),
+    dob: cleanDate(fields.dob),
+    street: normalizeStreet(fields.street),
+    city: cleanUpper(fields.city) || null,
+    state: cleanUpper(fields.state) || null,
+    zip: (fields.zip || '').toString().replace(/\D/g, '').substring(0, 5) || null,
+  };
+
+  if (isBusiness) {
+    entity.business = normalizeBusinessName(fields.businessName || fields.name);
+    entity.tokens = entity.business.split(' ').filter(Boolean);
+  } else if (hasPersonFields) {
+    const first = cleanUpper(fields.firstName).replace(/,/g, '').split(' ').filter(Boolean);
+    entity.first = first[0] || null;
+    entity.middle = cleanUpper(fields.middleName).replace(/,/g, '') || first.slice(1).join(' ') || null;
+    entity.last = cleanUpper(fields.lastName).replace(/[ ,]/g, '') || null;
+  } else {
+    Object.assign(entity, parsePersonName(fields.name));
+  }
+
+  return entity;
+}
+
+/**
+ * Entity for an OIG LEIE record (parsed CSV row or exported record)
+ */
+function entityFromLEIE(record) {
+  const businessName = record.busName || (record.isEntity ? record.name : null);
+  return toEntity({
+    name: record.name,
+    businessName,
+    isEntity: businessName ? true : (record.isEntity ?? null),
+    firstName: record.firstName,
+    middleName: record.middleName,
+    lastName: record.lastName,
+    npi: record.npi,
+    dob: record.dob,
+    street: record.address,
+    city: record.city,
+    state: record.state,
+    zip: record.zip,
+  });
+}
+
+/**
+ * Entity for a normalized SAM.gov exclusion record
+ */
+function entityFromSAM(record) {
+  return toEntity({
+    name: record.name,
+    isEntity: record.classification ? record.classification !== 'Individual' : null,
+    npi: record.npi,
+    uei: record.uei,
+    cage: record.cage,
+    street: record.address?.street,
+    city: record.address?.city,
+    state: record.address?.state,
+    zip: record.address?.zip,
+  });
+}
+
+/**
+ * Entity for a normalized NPPES registry provider (see nppes-client.js)
+ */
+function entityFromNPPES(provider) {
+  const address = provider.practiceLocations[0] || provider.addresses[0] || {};
+  const isEntity = provider.entityType === 'organization';
+  return toEntity({
+    isEntity,
+    businessName: isEntity ? provider.organizationName : null,
+    firstName: provider.firstName,
+    middleName: provider.middleName,
+    lastName: provider.lastName,
+    npi: provider.npi,
+    street: address.address1,
+    city: address.city,
+    state: address.state,
+    zip: address.postalCode,
+  });
+}
+
+/**
+ * Jaro-Winkler similarity (0-1)
+ */
+function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * American Soundex code
+ */
+function soundex(value) {
+  const letters = (value || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (!letters) return null;
+
+  const codes = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2, D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 };
+  let result = letters[0];
+  let previous = codes[letters[0]] || 0;
+
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const code = codes[letters[i]] || 0;
+    if (code && code !== previous) result += code;
+    // H and W don't separate letters with the same code; vowels do
+    if (letters[i] !== 'H' && letters[i] !== 'W') previous = code;
+  }
+
+  return result.padEnd(4, '0');
+}
+
+/**
+ * Helper: compare two name tokens
+ * Returns 'exact', 'similar', 'phonetic', 'initial' or 'mismatch'
+ */
+function compareToken(a, b) {
+  if (a === b) return 'exact';
+  if ((a.length === 1 || b.length === 1) && a[0] === b[0]) return 'initial';
+  if (a.length > 1 && b.length > 1 && jaroWinkler(a, b) >= SIMILAR_TOKEN) return 'similar';
+  if (a.length > 2 && b.length > 2 && soundex(a) === soundex(b)) return 'phonetic';
+  return 'mismatch';
+}
+
+/**
+ * Helper: log-odds evidence for a person-name pair (first and last as given)
+ */
+function personNameEvidence(a, b) {
+  const evidence = [];
+  const last = compareToken(a.last, b.last);
+  const lastWeight = {
+    exact: WEIGHTS.lastExact,
+    similar: WEIGHTS.lastSimilar,
+    phonetic: WEIGHTS.lastPhonetic,
+  }[last] ?? WEIGHTS.lastMismatch;
+  evidence.push({ field: 'lastName', outcome: last === 'initial' ? 'mismatch' : last, weight: lastWeight, detail: `${a.last} / ${b.last}` });
+
+  if (a.first && b.first) {
+    const first = compareToken(a.first, b.first);
+    const firstWeight = {
+      exact: WEIGHTS.firstExact,
+      similar: WEIGHTS.firstSimilar,
+      phonetic: WEIGHTS.firstPhonetic,
+      initial: WEIGHTS.firstInitial,
+    }[first] ?? WEIGHTS.firstMismatch;
+    evidence.push({ field: 'firstName', outcome: first, weight: firstWeight, detail: `${a.first} / ${b.first}` });
+  }
+
+  if (a.middle && b.middle) {
+    const agree = a.middle[0] === b.middle[0];
+    evidence.push({
+      field: 'middleName',
+      outcome: agree ? 'agree' : 'conflict',
+      weight: agree ? WEIGHTS.middleAgree : WEIGHTS.middleConflict,
+      detail: `${a.middle} / ${b.middle}`,
+    });
+  }
+
+  return evidence;
+}
+
+/**
+ * Helper: total weight of evidence
+ */
+function totalWeight(evidence) {
+  return evidence.reduce((sum, e) => sum + e.weight, 0);
+}
+
+/**
+ * Helper: log-odds evidence for a pair of names
+ */
+function nameEvidence(a, b) {
+  if (a.type !== b.type) {
+    // Compare the business name against the person's full name so "SMITH JOHN MD PC" can still match
+    const business = a.type === 'business' ? a : b;
+    const person = a.type === 'business' ? b : a;
+    const personName = [person.first, person.middle, person.last].filter(Boolean).join(' ');
+    const asBusiness = { type: 'business', business: personName, tokens: personName.split(' ').filter(Boolean) };
+    return [
+      { field: 'entityType', outcome: 'mismatch', weight: WEIGHTS.typeMismatch, detail: `${a.type} / ${b.type}` },
+      ...nameEvidence(business, asBusiness),
+    ];
+  }
+
+  if (a.type === 'business') {
+    if (!a.business || !b.business) return [];
+    if (a.business === b.business) {
+      const multi = a.tokens.length > 1;
+      return [{
+        field: 'businessName',
+        outcome: 'exact',
+        weight: multi ? WEIGHTS.businessExactMulti : WEIGHTS.businessExactSingle,
+        detail: a.business,
+      }];
+    }
+
+    // Fuzzy token overlap (Jaccard with typo-tolerant token equality)
+    const shared = a.tokens.filter(t => b.tokens.some(u => t === u || jaroWinkler(t, u) >= SIMILAR_TOKEN)).length;
+    const overlap = shared / (a.tokens.length + b.tokens.length - shared);
+    const shortName = Math.min(a.tokens.length, b.tokens.length) <= 1;
+    let outcome = 'mismatch';
+    let weight = WEIGHTS.businessMismatch;
+    if (overlap >= 0.8 && !shortName) {
+      outcome = 'strong overlap';
+      weight = WEIGHTS.businessStrongOverlap;
+    } else if (overlap >= 0.5 && !shortName) {
+      outcome = 'partial overlap';
+      weight = WEIGHTS.businessPartialOverlap;
+    }
+    return [{ field: 'businessName', outcome, weight, detail: `${a.business} / ${b.business} (${Math.round(overlap * 100)}% tokens shared)` }];
+  }
+
+  if (!a.last || !b.last) return [];
+
+  // Lists disagree on name order often enough to try the swap, at a small cost
+  const direct = personNameEvidence(a, b);
+  if (!a.first || !b.first) return direct;
+  const swapped = personNameEvidence(a, { ...b, first: b.last, last: b.first });
+  if (totalWeight(swapped) + WEIGHTS.swappedPenalty > totalWeight(direct)) {
+    return [
+      ...swapped,
+      { field: 'nameOrder', outcome: 'swapped', weight: WEIGHTS.swappedPenalty, detail: 'first and last names reversed' },
+    ];
+  }
+  return direct;
+}
+
+/**
+ * Helper: log-odds evidence from identifiers, birth date and address
+ */
+function attributeEvidence(a, b) {
+  const evidence = [];
+
+  for (const field of ['npi', 'uei', 'cage']) {
+    if (a[field] && b[field]) {
+      const agree = a[field] === b[field];
+      evidence.push({
+        field,
+        outcome: agree ? 'agree' : 'disagree',
+        weight: agree ? WEIGHTS.idAgree : WEIGHTS.idDisagree,
+        detail: `${a[field]} / ${b[field]}`,
+      });
+    }
+  }
+
+  if (a.dob && b.dob) {
+    const agree = a.dob === b.dob;
+    evidence.push({ field: 'dob', outcome: agree ? 'agree' : 'disagree', weight: agree ? WEIGHTS.dobAgree : WEIGHTS.dobDisagree });
+  }
+
+  if (a.street && b.street && a.street === b.street) {
+    evidence.push({ field: 'street', outcome: 'agree', weight: WEIGHTS.streetAgree, detail: a.street });
+  }
+
+  if (a.zip && b.zip) {
+    const agree = a.zip === b.zip;
+    evidence.push({ field: 'zip', outcome: agree ? 'agree' : 'disagree', weight: agree ? WEIGHTS.zipAgree : WEIGHTS.zipDisagree, detail: `${a.zip} / ${b.zip}` });
+  } else if (a.city && b.city && a.city === b.city) {
+    evidence.push({ field: 'city', outcome: 'agree', weight: WEIGHTS.cityAgree, detail: a.city });
+  }
+
+  if (a.state && b.state && a.state !== b.state) {
+    evidence.push({ field: 'state', outcome: 'disagree', weight: WEIGHTS.stateDisagree, detail: `${a.state} / ${b.state}` });
+  }
+
+  return evidence;
+}
+
+/**
+ * Confidence label for a match probability
+ */
+function confidenceLabel(score) {
+  return CONFIDENCE_BANDS.find(band => score >= band.min)?.label || 'none';
+}
+
+/**
+ * Score how likely two entities are the same
+ *
+ * Takes entities from toEntity / entityFromLEIE / entityFromSAM.
+ * Returns { score, confidence, isMatch, logOdds, explanation } where score is the
+ * calibrated match probability and explanation lists each weighted comparison.
+ */
+function scoreMatch(query, candidate, { threshold = MATCH_THRESHOLD } = {}) {
+  const explanation = [...nameEvidence(query, candidate), ...attributeEvidence(query, candidate)];
+  const logOdds = PRIOR_LOG_ODDS + totalWeight(explanation);
+  const score = 1 / (1 + Math.exp(-logOdds));
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    confidence: confidenceLabel(score),
+    isMatch: score >= threshold,
+    logOdds: Math.round(logOdds * 100) / 100,
+    explanation,
+  };
+}
+
+/**
+ * One-line summary of a match for display
+ */
+function describeMatch(match) {
+  const reasons = match.explanation
+    .filter(e => e.weight > 0)
+    .map(e => `${e.field} ${e.outcome}`);
+  return `${Math.round(match.score * 100)}% ${match.confidence} confidence${reasons.length ? ` (${reasons.join(', ')})` : ''}`;
+}
+
+/**
+ * Blocking keys: candidates are only scored when they share a key with the query
+ * People are indexed by last name only; queries also look up their first name,
+ * so reversed name order on either side still lands in the same block without
+ * every "JOHN" on the list being a candidate.
+ */
+function blockingKeys(entity, { query = false } = {}) {
+  const keys = [];
+  if (entity.npi) keys.push(`N:${entity.npi}`);
+  if (entity.uei) keys.push(`U:${entity.uei}`);
+  if (entity.cage) keys.push(`C:${entity.cage}`);
+
+  if (entity.type === 'business') {
+    const distinctive = entity.tokens.filter(t => t.length >= 3 && !GENERIC_BUSINESS_TOKENS.has(t));
+    (distinctive.length > 0 ? distinctive : entity.tokens).forEach(t => keys.push(`S:${soundex(t)}`));
+  } else {
+    const names = query ? [entity.last, entity.first] : [entity.last];
+    names.filter(t => t && t.length > 1).forEach(t => keys.push(`S:${soundex(t)}`));
+  }
+
+  return [...new Set(keys.filter(key => !key.endsWith(':null')))];
+}
+
+/**
+ * Create a matcher over a list of records
+ *
+ * toEntity maps a record to an entity (e.g. entityFromLEIE). Records are indexed by
+ * blocking key once; findMatches(queryEntity, { threshold, limit, filter }) scores only
+ * the records sharing a key (and passing filter(record), if given) and returns
+ * [{ record, score, confidence, isMatch, explanation }] at or above the threshold, best first.
+ */
+function createMatcher(records, mapRecord) {
+  const entities = records.map(mapRecord);
+  const index = new Map();
+  entities.forEach((entity, position) => {
+    blockingKeys(entity).forEach(key => {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(position);
+    });
+  });
+
+  function findMatches(query, { threshold = MATCH_THRESHOLD, limit = 10, filter = null } = {}) {
+    const positions = new Set();
+    blockingKeys(query, { query: true }).forEach(key => (index.get(key) || []).forEach(p => positions.add(p)));
+
+    return [...positions]
+      .filter(position => !filter || filter(records[position]))
+      .map(position => ({ record: records[position], ...scoreMatch(query, entities[position], { threshold }) }))
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Business records whose name has every token of a partial name as a word prefix
+   * ("Medisys Health" finds MEDISYS HEALTH NETWORK), for searches too short to score.
+   * score is the share of the record's name tokens covered, so closer names rank first.
+   */
+  function findNameContaining(name, { limit = 10, filter = null } = {}) {
+    const tokens = normalizeBusinessName(name).split(' ').filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    return entities
+      .map((entity, position) => ({ entity, position }))
+      .filter(({ entity, position }) => entity.type === 'business'
+        && tokens.every(token => entity.tokens.some(t => t.startsWith(token)))
+        && (!filter || filter(records[position])))
+      .map(({ entity, position }) => {
+        const score = Math.min(tokens.length / entity.tokens.length, 1);
+        return {
+          record: records[position],
+          score,
+          confidence: confidenceLabel(score),
+          isMatch: false,
+          explanation: [{ field: 'businessName', outcome: 'contains search terms', weight: 1, detail: `${tokens.join(' ')} / ${entity.business}` }],
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { size: records.length, findMatches, findNameContaining };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeBusinessName,
+  looksLikeBusiness,
+  parsePersonName,
+  toEntity,
+  entityFromLEIE,
+  entityFromSAM,
+  entityFromNPPES,
+  jaroWinkler,
+  soundex,
+  scoreMatch,
+  describeMatch,
+  createMatcher,
+};
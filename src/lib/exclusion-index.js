@@ -0,0 +1,89 @@
+/**
+ * OIG Exclusion Index
+ * Exported LEIE records (written by src/ml/data/collect-oig-exclusions.js, or state
+ * Medicaid lists in the same schema by collect-state-exclusions.js) loaded
+ * once and indexed by entity-resolution blocking keys (NPI, phonetic name tokens),
+ * so provider lookups score a handful of candidates instead of scanning the list.
+ * The index is rebuilt when the file changes on disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { createMatcher, entityFromLEIE } = require('./entity-resolution');
+
+// Every state's exclusions; callers narrow by state with inStates
+const LEIE_EXCLUSIONS_PATH = process.env.LEIE_EXCLUSIONS_FILE ||
+  path.join(process.cwd(), 'src/ml/data/downloads/oig-training-data.json');
+
+// Built indexes by file path: { mtimeMs, index } or { mtimeMs, pending }
+const indexCache = new Map();
+
+/**
+ * Whether a record falls within a state filter (always true for nationwide)
+ */
+function inStates(record, states) {
+  return !states || states.length === 0 || states.includes((record.state || '').toUpperCase());
+}
+
+/**
+ * Build an index over exported LEIE records
+ *
+ * Returns { records, size, loadedAt, findMatch(entity), findMatches(entity, options),
+ * findNameContaining(name, options) } where entities come from entity-resolution's
+ * toEntity and matches are { record, score, confidence, isMatch, explanation }.
+ */
+function buildExclusionIndex(records) {
+  const matcher = createMatcher(records, entityFromLEIE);
+
+  return {
+    records,
+    size: records.length,
+    loadedAt: new Date().toISOString(),
+    findMatch: (entity, options = {}) => matcher.findMatches(entity, { ...options, limit: 1 })[0] || null,
+    findMatches: (entity, options = {}) => matcher.findMatches(entity, options),
+    findNameContaining: (name, options = {}) => matcher.findNameContaining(name, options),
+  };
+}
+
+/**
+ * Load the exclusion index for a file (cached until the file changes)
+ * Concurrent callers share one build. Returns an empty index when the file is missing.
+ */
+async function loadExclusionIndex(filePath = LEIE_EXCLUSIONS_PATH) {
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (error) {
+    indexCache.delete(filePath);
+    return buildExclusionIndex([]);
+  }
+
+  const cached = indexCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.index || cached.pending;
+  }
+
+  const pending = fs.readFile(filePath, 'utf-8')
+    .then(data => {
+      // OIG exports are a bare array; state lists wrap theirs in { lists, records }
+      const parsed = JSON.parse(data);
+      const index = buildExclusionIndex(Array.isArray(parsed) ? parsed : parsed.records || []);
+      indexCache.set(filePath, { mtimeMs: stat.mtimeMs, index });
+      console.log(`Indexed ${index.size} exclusion records from ${filePath}`);
+      return index;
+    })
+    .catch(error => {
+      indexCache.delete(filePath);
+      throw error;
+    });
+  indexCache.set(filePath, { mtimeMs: stat.mtimeMs, pending });
+  return pending;
+}
+
+module.exports = {
+  LEIE_EXCLUSIONS_PATH,
+  inStates,
+  buildExclusionIndex,
+  loadExclusionIndex,
+};
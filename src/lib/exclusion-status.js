@@ -0,0 +1,83 @@
+/**
+ * LEIE Exclusion Status
+ * Whether an OIG exclusion is in effect as of a date, accounting for
+ * reinstatements and OIG waivers
+ */
+
+const STATUS = {
+  ACTIVE: 'active', // Excluded and not reinstated or waived
+  REINSTATED: 'reinstated', // Excluded, later reinstated by OIG
+  WAIVED: 'waived', // Exclusion waived (for the waiver state's program)
+  PENDING: 'pending', // Exclusion date is after the as-of date
+};
+
+/**
+ * Parse an LEIE date (YYYYMMDD, or YYYY-MM-DD as exported); 00000000 means none
+ */
+function parseLEIEDate(value) {
+  const digits = (value || '').replace(/-/g, '');
+  if (!/^\d{8}$/.test(digits) || /^0+$/.test(digits)) return null;
+  const date = new Date(`${digits.substring(0, 4)}-${digits.substring(4, 6)}-${digits.substring(6, 8)}T00:00:00Z`);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Helper: YYYY-MM-DD for a parsed date
+ */
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Exclusion status of an LEIE record as of a date
+ *
+ * Accepts parsed CSV rows (exclDate, reinstDate, waiverDate, waiverState) or
+ * exported records (exclusionDate, reinstatementDate, waiverDate, waiverState).
+ * Returns { status, isExcluded, exclusionDate, reinstatementDate, waiverDate, waiverState }.
+ */
+function getExclusionStatus(record, asOf = new Date()) {
+  const excluded = parseLEIEDate(record.exclDate || record.exclusionDate);
+  const reinstated = parseLEIEDate(record.reinstDate || record.reinstatementDate);
+  const waived = parseLEIEDate(record.waiverDate);
+
+  let status = STATUS.ACTIVE;
+  if (reinstated && reinstated <= asOf) {
+    status = STATUS.REINSTATED;
+  } else if (waived && waived <= asOf) {
+    status = STATUS.WAIVED;
+  } else if (excluded && excluded > asOf) {
+    status = STATUS.PENDING;
+  }
+
+  return {
+    status,
+    isExcluded: status === STATUS.ACTIVE,
+    exclusionDate: formatDate(excluded),
+    reinstatementDate: formatDate(reinstated),
+    waiverDate: formatDate(waived),
+    waiverState: record.waiverState || null,
+  };
+}
+
+/**
+ * One-line description of a status for the UI
+ */
+function describeExclusionStatus(result) {
+  switch (result.status) {
+    case STATUS.REINSTATED:
+      return `Reinstated ${result.reinstatementDate} (excluded ${result.exclusionDate || 'date unknown'})`;
+    case STATUS.WAIVED:
+      return `Exclusion waived ${result.waiverDate}${result.waiverState ? ` for ${result.waiverState}` : ''}`;
+    case STATUS.PENDING:
+      return `Exclusion takes effect ${result.exclusionDate}`;
+    default:
+      return `Excluded since ${result.exclusionDate || 'date unknown'}`;
+  }
+}
+
+module.exports = {
+  STATUS,
+  parseLEIEDate,
+  getExclusionStatus,
+  describeExclusionStatus,
+};
@@ -0,0 +1,165 @@
+/**
+ * HTTP Request Helper
+ * Retry, backoff and timeout handling shared by the JSON API clients (USASpending, SAM.gov)
+ *
+ * Requests go through a transport: a function taking { method, url, headers, body, timeoutMs }
+ * and resolving { status, body }. fetchTransport is the default; curlTransport and test
+ * stubs are drop-in replacements.
+ */
+
+const { execFile } = require('child_process');
+
+const { delay } = require('./script-utils');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Error raised by a transport when no response came back
+ *
+ * code is TIMEOUT or NETWORK_ERROR; requestJSON turns it into the client's own error class
+ */
+class TransportError extends Error {
+  constructor(message, { code, cause = null } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Transport using the global fetch API
+ */
+async function fetchTransport({ method = 'GET', url, headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers,
+      body,
+      signal: controller.signal,
+      cache: 'no-store',
+    });
+
+    return { status: response.status, body: await response.text() };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TransportError('Request timed out', { code: 'TIMEOUT' });
+    }
+    throw new TransportError(`Network error: ${error.message}`, { code: 'NETWORK_ERROR', cause: error });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Transport that shells out to curl
+ * Workaround for environments where Node.js fetch to some federal APIs is unreliable
+ */
+function curlTransport({ method = 'GET', url, headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const args = ['-s', '--max-time', String(Math.ceil(timeoutMs / 1000)), '-X', method, '-w', '\n%{http_code}'];
+  for (const [name, value] of Object.entries(headers)) {
+    args.push('-H', `${name}: ${value}`);
+  }
+  if (body) args.push('--data-raw', body);
+  args.push(url);
+
+  return new Promise((resolve, reject) => {
+    execFile('curl', args, { maxBuffer: 50 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        // curl exit code 28 = operation timed out
+        reject(error.code === 28
+          ? new TransportError('Request timed out', { code: 'TIMEOUT' })
+          : new TransportError(`Network error: ${error.message}`, { code: 'NETWORK_ERROR', cause: error }));
+        return;
+      }
+
+      const splitAt = stdout.lastIndexOf('\n');
+      resolve({
+        status: parseInt(stdout.substring(splitAt + 1), 10) || 0,
+        body: stdout.substring(0, splitAt),
+      });
+    });
+  });
+}
+
+/**
+ * Send a request with retries and exponential backoff, returning parsed JSON
+ *
+ * Timeouts, network errors, 429 and 5xx responses are retried up to retries times,
+ * waiting retryDelayMs, then twice that, and so on. Failures are raised as errorClass
+ * (constructed with (message, { code, status, retryable, cause })), with messages
+ * prefixed by apiName.
+ */
+async function requestJSON({
+  url,
+  method = 'GET',
+  headers = {},
+  body,
+  transport = fetchTransport,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  retryDelayMs = RETRY_BASE_DELAY_MS,
+  errorClass,
+  apiName,
+}) {
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await delay(retryDelayMs * Math.pow(2, attempt - 1));
+    }
+
+    try {
+      const response = await transport({ method, url, headers, body, timeoutMs });
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new errorClass(`${apiName} error: ${response.status}`, {
+          code: 'HTTP_ERROR',
+          status: response.status,
+          retryable: response.status === 429 || response.status >= 500,
+        });
+      }
+
+      try {
+        return JSON.parse(response.body);
+      } catch (parseError) {
+        throw new errorClass(`${apiName} returned invalid JSON`, {
+          code: 'INVALID_RESPONSE',
+          status: response.status,
+          cause: parseError,
+        });
+      }
+    } catch (error) {
+      if (error instanceof errorClass) {
+        lastError = error;
+      } else if (error.code === 'TIMEOUT') {
+        lastError = new errorClass('Request timed out', { code: 'TIMEOUT', retryable: true, cause: error });
+      } else {
+        lastError = new errorClass(error instanceof TransportError ? error.message : `Network error: ${error.message}`, {
+          code: 'NETWORK_ERROR',
+          retryable: true,
+          cause: error,
+        });
+      }
+
+      if (!lastError.retryable) break;
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRIES,
+  RETRY_BASE_DELAY_MS,
+  TransportError,
+  fetchTransport,
+  curlTransport,
+  requestJSON,
+};
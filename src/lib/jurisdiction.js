@@ -0,0 +1,84 @@
+/**
+ * Jurisdiction
+ * The state or states a deployment investigates. Set JURISDICTION to a postal
+ * code or comma-separated list (e.g. "MA" or "MA,NH,RI"); defaults to Massachusetts.
+ * Pages and routes can override it per request with a states list or URL slug.
+ */
+
+const DEFAULT_JURISDICTION = 'MA';
+
+const STATE_NAMES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+  GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+  IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+  MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+  MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+  VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+  WY: 'Wyoming', PR: 'Puerto Rico', GU: 'Guam', VI: 'U.S. Virgin Islands',
+};
+
+/**
+ * Parse a list of states: an array, or a string separated by commas, spaces or
+ * hyphens (the URL slug form, e.g. "ma-nh"). Unknown codes are dropped.
+ * Returns uppercase postal codes; an empty array means none were given.
+ */
+function parseStates(value) {
+  const list = Array.isArray(value) ? value : (value || '').toString().split(/[\s,-]+/);
+  return [...new Set(list.map(s => s.toString().trim().toUpperCase()).filter(s => STATE_NAMES[s]))];
+}
+
+/**
+ * Full name of a state, or the code itself if unknown
+ */
+function stateName(code) {
+  return STATE_NAMES[code] || code;
+}
+
+/**
+ * Resolve a jurisdiction
+ *
+ * Uses the given states when any are valid, otherwise the JURISDICTION setting.
+ * Returns { states, label, shortLabel, slug } - e.g. for MA,NH:
+ * { states: ['MA', 'NH'], label: 'Massachusetts, New Hampshire', shortLabel: 'MA/NH', slug: 'ma-nh' }
+ */
+function getJurisdiction(value = null) {
+  let states = parseStates(value);
+  if (states.length === 0) states = parseStates(process.env.JURISDICTION);
+  if (states.length === 0) states = [DEFAULT_JURISDICTION];
+
+  return {
+    states,
+    label: states.map(stateName).join(', '),
+    shortLabel: states.join('/'),
+    slug: states.join('-').toLowerCase(),
+  };
+}
+
+/**
+ * State filter for exclusion data: "all" (or "US") means nationwide and returns [],
+ * anything else resolves through getJurisdiction
+ */
+function resolveStateFilter(value) {
+  if (/^(all|us)$/i.test((value || '').toString().trim())) return [];
+  return getJurisdiction(value).states;
+}
+
+/**
+ * Every known state as [{ code, name }] for pickers
+ */
+function listStates() {
+  return Object.entries(STATE_NAMES).map(([code, name]) => ({ code, name }));
+}
+
+module.exports = {
+  DEFAULT_JURISDICTION,
+  parseStates,
+  stateName,
+  getJurisdiction,
+  resolveStateFilter,
+  listStates,
+};
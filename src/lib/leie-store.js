@@ -0,0 +1,238 @@
+/**
+ * Versioned OIG LEIE Exclusion Store
+ * Local copy of the LEIE kept current by applying OIG's monthly supplement files
+ * (new exclusions and reinstatements), with each record's add/reinstate history
+ * and a log of what every collector run changed
+ *
+ * Written by src/ml/data/collect-oig-exclusions.js
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const LEIE_STORE_PATH = process.env.LEIE_STORE_FILE ||
+  path.join(process.cwd(), 'src/ml/data/downloads/oig-exclusion-store.json');
+
+const STORE_VERSION = 1;
+
+// Collector runs kept in the change log
+const MAX_RUNS = 24;
+
+let storeCache = null;
+
+/**
+ * Empty store layout
+ */
+function emptyStore() {
+  return {
+    version: STORE_VERSION,
+    records: {},
+    runs: [],
+    coveredThrough: null, // Last supplement month (YYMM) reflected in the store
+    updatedAt: null,
+  };
+}
+
+/**
+ * LEIE dates are YYYYMMDD, with 00000000 meaning none
+ */
+function hasLEIEDate(value) {
+  return !!value && !/^0+$/.test(value);
+}
+
+/**
+ * Stable key for an LEIE record
+ * NPI when present; otherwise name, birth date and exclusion date, since
+ * most individuals on the list have no NPI
+ */
+function exclusionKey(record) {
+  const npi = (record.npi || '').replace(/\D/g, '');
+  if (npi && !/^0+$/.test(npi)) return `NPI:${npi}`;
+
+  return [
+    record.busName, record.lastName, record.firstName, record.middleName, record.dob, record.exclDate,
+  ].map(v => (v || '').trim().toUpperCase()).join('|');
+}
+
+/**
+ * Load the store (cached until the file changes); returns an empty store if none exists
+ */
+async function loadExclusionStore() {
+  let stat;
+  try {
+    stat = await fs.stat(LEIE_STORE_PATH);
+  } catch (error) {
+    return emptyStore();
+  }
+
+  if (storeCache && storeCache.mtimeMs === stat.mtimeMs) {
+    return storeCache.store;
+  }
+
+  const store = { ...emptyStore(), ...JSON.parse(await fs.readFile(LEIE_STORE_PATH, 'utf-8')) };
+  storeCache = { mtimeMs: stat.mtimeMs, store };
+  return store;
+}
+
+/**
+ * Write the store
+ */
+async function saveExclusionStore(store) {
+  store.updatedAt = new Date().toISOString();
+  await fs.mkdir(path.dirname(LEIE_STORE_PATH), { recursive: true });
+  await fs.writeFile(LEIE_STORE_PATH, JSON.stringify(store));
+  storeCache = null;
+}
+
+/**
+ * Start a collector run; changes are recorded against it until finishRun
+ */
+function startRun(store, mode) {
+  const previous = store.runs[store.runs.length - 1];
+  return {
+    id: (previous?.id || 0) + 1,
+    runAt: new Date().toISOString(),
+    mode, // 'baseline', 'full' or 'incremental'
+    files: [],
+    added: [],
+    reinstated: [],
+  };
+}
+
+/**
+ * Helper: append a history entry and record the key on the run
+ * (the baseline load isn't a change, so its keys aren't logged)
+ */
+function recordChange(store, key, run, action, file, date) {
+  store.records[key].history.push({ action, date: hasLEIEDate(date) ? date : null, run: run.id, file });
+  if (run.mode === 'baseline') return;
+  (action === 'reinstated' ? run.reinstated : run.added).push(key);
+}
+
+/**
+ * Apply new exclusions (a supplement EXCL file, or the full list on first run)
+ * Records already present and still excluded are left alone.
+ */
+function applyAdditions(store, records, run, file) {
+  run.files.push(file);
+
+  records.forEach(record => {
+    const key = exclusionKey(record);
+    const existing = store.records[key];
+    if (existing && existing.status === 'excluded') return;
+
+    store.records[key] = {
+      ...record,
+      key,
+      status: 'excluded',
+      history: existing?.history || [],
+    };
+    recordChange(store, key, run, run.mode === 'baseline' ? 'baseline' : 'added', file, record.exclDate);
+  });
+}
+
+/**
+ * Apply reinstatements (a supplement REIN file)
+ * Reinstated records stay in the store with their history.
+ */
+function applyReinstatements(store, records, run, file) {
+  run.files.push(file);
+
+  records.forEach(record => {
+    const key = exclusionKey(record);
+    const existing = store.records[key];
+    if (existing?.status === 'reinstated') return;
+
+    store.records[key] = {
+      ...(existing || record),
+      reinstDate: hasLEIEDate(record.reinstDate) ? record.reinstDate : existing?.reinstDate || null,
+      key,
+      status: 'reinstated',
+      history: existing?.history || [],
+    };
+    recordChange(store, key, run, 'reinstated', file, record.reinstDate);
+  });
+}
+
+/**
+ * Reconcile the store against a full UPDATED.csv download
+ * New records are additions; excluded records missing from the list were reinstated.
+ */
+function applyFullList(store, records, run, file) {
+  applyAdditions(store, records, run, file);
+
+  // OIG gives no reinstatement date for records dropped from the list; use the run date
+  const runDate = run.runAt.substring(0, 10).replace(/-/g, '');
+  const present = new Set(records.map(exclusionKey));
+  Object.values(store.records)
+    .filter(r => r.status === 'excluded' && !present.has(r.key))
+    .forEach(r => {
+      r.status = 'reinstated';
+      r.reinstDate = hasLEIEDate(r.reinstDate) ? r.reinstDate : runDate;
+      recordChange(store, r.key, run, 'reinstated', file, r.reinstDate);
+    });
+}
+
+/**
+ * Close a run and add it to the change log
+ */
+function finishRun(store, run) {
+  run.finishedAt = new Date().toISOString();
+  run.recordCount = Object.keys(store.records).length;
+  store.runs = [...store.runs, run].slice(-MAX_RUNS);
+  return run;
+}
+
+/**
+ * Records currently excluded
+ */
+function getActiveExclusions(store) {
+  return Object.values(store.records).filter(r => r.status === 'excluded');
+}
+
+/**
+ * What changed in the most recent run that changed anything
+ *
+ * Returns { runAt, previousRunAt, mode, files, added, reinstated } with records
+ * resolved from the store, optionally limited to a list of states, or null before
+ * the first run. The baseline load isn't reported as a change.
+ */
+async function getLatestChanges({ states = [] } = {}) {
+  const store = await loadExclusionStore();
+  const runs = store.runs.filter(r => r.mode !== 'baseline');
+  const latest = [...runs].reverse().find(r => r.added.length > 0 || r.reinstated.length > 0);
+  if (!latest) {
+    return store.runs.length > 0
+      ? { runAt: store.runs[store.runs.length - 1].runAt, previousRunAt: null, mode: null, files: [], added: [], reinstated: [] }
+      : null;
+  }
+
+  const previous = store.runs[store.runs.indexOf(latest) - 1];
+  const resolve = (keys) => keys
+    .map(key => store.records[key])
+    .filter(r => r && (states.length === 0 || states.includes(r.state)));
+
+  return {
+    runAt: latest.runAt,
+    previousRunAt: previous?.runAt || null,
+    mode: latest.mode,
+    files: latest.files,
+    added: resolve(latest.added),
+    reinstated: resolve(latest.reinstated),
+  };
+}
+
+module.exports = {
+  LEIE_STORE_PATH,
+  hasLEIEDate,
+  exclusionKey,
+  loadExclusionStore,
+  saveExclusionStore,
+  startRun,
+  applyAdditions,
+  applyReinstatements,
+  applyFullList,
+  finishRun,
+  getActiveExclusions,
+  getLatestChanges,
+};
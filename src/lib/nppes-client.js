@@ -0,0 +1,327 @@
+/**
+ * NPPES NPI Registry Client
+ * Structured provider searches against the NPI Registry API (v2.1) with paging
+ * and normalized results that keep every address, practice location and taxonomy.
+ *
+ * Docs: https://npiregistry.cms.hhs.gov/api-page
+ */
+
+const { execFile } = require('child_process');
+
+const { looksLikeBusiness, parsePersonName } = require('./entity-resolution');
+
+const NPPES_API_URL = process.env.NPPES_API_URL || 'https://npiregistry.cms.hhs.gov/api/';
+
+// The API returns at most 200 results per request and skips at most 1000
+const NPPES_MAX_LIMIT = 200;
+const NPPES_MAX_SKIP = 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Search criteria and the API parameter each maps to
+const CRITERIA = {
+  npi: 'number',
+  enumerationType: 'enumeration_type',
+  firstName: 'first_name',
+  lastName: 'last_name',
+  organizationName: 'organization_name',
+  taxonomy: 'taxonomy_description',
+  city: 'city',
+  state: 'state',
+  postalCode: 'postal_code',
+};
+
+// Healthcare Provider Taxonomy codes (e.g. 207Q00000X); the API only matches descriptions
+const TAXONOMY_CODE = /^[0-9A-Z]{9}X$/i;
+
+// Descriptions the API can search on for common taxonomy codes (NUCC classification)
+const TAXONOMY_DESCRIPTIONS = {
+  '207Q00000X': 'Family Medicine',
+  '207R00000X': 'Internal Medicine',
+  '208D00000X': 'General Practice',
+  '207P00000X': 'Emergency Medicine',
+  '208000000X': 'Pediatrics',
+  '207V00000X': 'Obstetrics & Gynecology',
+  '207RC0000X': 'Cardiovascular Disease',
+  '207N00000X': 'Dermatology',
+  '207W00000X': 'Ophthalmology',
+  '207X00000X': 'Orthopaedic Surgery',
+  '208600000X': 'Surgery',
+  '207L00000X': 'Anesthesiology',
+  '2084P0800X': 'Psychiatry',
+  '2085R0202X': 'Diagnostic Radiology',
+  '363L00000X': 'Nurse Practitioner',
+  '363A00000X': 'Physician Assistant',
+  '103T00000X': 'Psychologist',
+  '111N00000X': 'Chiropractor',
+  '122300000X': 'Dentist',
+  '152W00000X': 'Optometrist',
+  '183500000X': 'Pharmacist',
+  '213E00000X': 'Podiatrist',
+  '225100000X': 'Physical Therapist',
+  '251E00000X': 'Home Health',
+  '282N00000X': 'General Acute Care Hospital',
+  '291U00000X': 'Clinical Medical Laboratory',
+  '314000000X': 'Skilled Nursing Facility',
+  '332B00000X': 'Durable Medical Equipment',
+  '333600000X': 'Pharmacy',
+  '341600000X': 'Ambulance',
+};
+
+// Enumeration types: NPI-1 individuals, NPI-2 organizations
+const ENUMERATION_TYPES = { individual: 'NPI-1', organization: 'NPI-2', 'NPI-1': 'NPI-1', 'NPI-2': 'NPI-2' };
+
+/**
+ * Error raised for any failed NPPES request
+ *
+ * code is one of INVALID_QUERY (rejected criteria), NETWORK_ERROR, INVALID_RESPONSE
+ */
+class NPPESError extends Error {
+  constructor(message, { code, cause = null } = {}) {
+    super(message);
+    this.name = 'NPPESError';
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Split a free-text query into structured criteria
+ *
+ * An NPI stays an NPI, business-looking names ("Acme Labs", "... LLC") search
+ * organizations, and anything else is a person ("John Smith", "Smith, John", "Smith").
+ */
+function parseProviderQuery(query) {
+  const text = (query || '').trim();
+  if (!text) return {};
+  if (/^\d{10}$/.test(text)) return { npi: text };
+  if (looksLikeBusiness(text)) return { organizationName: text };
+
+  const { first, last } = parsePersonName(text);
+  return first ? { firstName: first, lastName: last } : { lastName: last };
+}
+
+/**
+ * Helper: trailing-wildcard a name criterion of 2+ characters (the API allows "smi*")
+ */
+function wildcard(value) {
+  return value.length >= 2 && !value.endsWith('*') ? `${value}*` : value;
+}
+
+/**
+ * Build API parameters from structured criteria
+ *
+ * Names get a trailing wildcard unless exact is set; ZIP codes are cut to 5 digits.
+ * Taxonomy codes are sent as their description when TAXONOMY_DESCRIPTIONS has it
+ * and left out otherwise (searchNPPES filters on the code either way). Throws
+ * NPPESError (INVALID_QUERY) when nothing the API can search on is given: state,
+ * type and an unlisted taxonomy code alone are rejected.
+ */
+function buildSearchParams(criteria, { limit = NPPES_MAX_LIMIT, skip = 0, exact = false } = {}) {
+  const params = new URLSearchParams({ version: '2.1' });
+
+  Object.entries(CRITERIA).forEach(([field, param]) => {
+    let value = (criteria[field] || '').toString().trim();
+    if (!value) return;
+    if (field === 'taxonomy' && TAXONOMY_CODE.test(value)) {
+      value = TAXONOMY_DESCRIPTIONS[value.toUpperCase()];
+      if (!value) return;
+    }
+    if (field === 'enumerationType') value = ENUMERATION_TYPES[value] || value;
+    if (field === 'postalCode') value = value.replace(/[^\d]/g, '').substring(0, 5);
+    if (['firstName', 'lastName', 'organizationName'].includes(field) && !exact) value = wildcard(value);
+    params.append(param, value);
+  });
+
+  if (![...params.keys()].some(param => !['version', 'state', 'enumeration_type'].includes(param))) {
+    throw new NPPESError('Give a name, NPI, taxonomy description (or common taxonomy code), city or ZIP code to search the NPI Registry', { code: 'INVALID_QUERY' });
+  }
+
+  params.append('limit', String(Math.min(limit, NPPES_MAX_LIMIT)));
+  if (skip > 0) params.append('skip', String(skip));
+  return params;
+}
+
+/**
+ * Helper: one API request
+ */
+function requestNPPES(params) {
+  return new Promise((resolve, reject) => {
+    execFile('curl', ['-s', '-f', '--max-time', '30', `${NPPES_API_URL}?${params}`], { maxBuffer: 50 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(new NPPESError(`NPPES request failed: ${error.message}`, { code: 'NETWORK_ERROR', cause: error }));
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(stdout);
+      } catch (parseError) {
+        reject(new NPPESError('NPPES returned invalid JSON', { code: 'INVALID_RESPONSE', cause: parseError }));
+        return;
+      }
+      if (data.Errors) {
+        reject(new NPPESError(data.Errors.map(e => e.description).join('; '), { code: 'INVALID_QUERY' }));
+        return;
+      }
+      resolve(data.results || []);
+    });
+  });
+}
+
+/**
+ * Helper: normalize an NPPES address or practice location
+ */
+function normalizeAddress(address, purpose = address.address_purpose) {
+  return {
+    purpose: purpose || null,
+    address1: address.address_1 || null,
+    address2: address.address_2 || null,
+    city: address.city || null,
+    state: address.state || null,
+    postalCode: (address.postal_code || '').substring(0, 5) || null,
+    phone: address.telephone_number || null,
+    fax: address.fax_number || null,
+  };
+}
+
+/**
+ * Normalize an NPPES result
+ *
+ * Returns { npi, entityType ('individual'|'organization'), name, firstName, middleName,
+ * lastName, organizationName, credential, status, enumerationDate, lastUpdated,
+ * primaryTaxonomy, taxonomies: [{ code, desc, primary, state, license }],
+ * addresses (mailing and location), practiceLocations (location and any additional) }.
+ */
+function normalizeProvider(result) {
+  const basic = result.basic || {};
+  const isOrganization = result.enumeration_type === 'NPI-2';
+  const taxonomies = (result.taxonomies || []).map(t => ({
+    code: t.code || null,
+    desc: t.desc || null,
+    primary: !!t.primary,
+    state: t.state || null,
+    license: t.license || null,
+  }));
+  const addresses = (result.addresses || []).map(a => normalizeAddress(a));
+  const location = addresses.find(a => a.purpose === 'LOCATION');
+
+  return {
+    npi: result.number ? result.number.toString() : null,
+    entityType: isOrganization ? 'organization' : 'individual',
+    name: isOrganization
+      ? basic.organization_name || ''
+      : [basic.first_name, basic.middle_name, basic.last_name].filter(Boolean).join(' '),
+    firstName: basic.first_name || null,
+    middleName: basic.middle_name || null,
+    lastName: basic.last_name || null,
+    organizationName: basic.organization_name || null,
+    credential: basic.credential || null,
+    status: basic.status || null,
+    enumerationDate: basic.enumeration_date || null,
+    lastUpdated: basic.last_updated || null,
+    primaryTaxonomy: taxonomies.find(t => t.primary) || taxonomies[0] || null,
+    taxonomies,
+    addresses,
+    practiceLocations: [
+      ...(location ? [location] : []),
+      ...(result.practiceLocations || []).map(a => normalizeAddress(a, 'PRACTICE')),
+    ],
+  };
+}
+
+/**
+ * Helper: whether a provider has a taxonomy matching a code or description fragment
+ */
+function hasTaxonomy(provider, taxonomy) {
+  const wanted = taxonomy.trim().toLowerCase();
+  return provider.taxonomies.some(t =>
+    (t.code || '').toLowerCase() === wanted || (t.desc || '').toLowerCase().includes(wanted)
+  );
+}
+
+/**
+ * Helper: one state's page of providers matching a taxonomy, filtered locally
+ *
+ * The API matches descriptions (and any of a provider's taxonomies), so requests
+ * read from the first result until the page is filled past start, the results run
+ * out or the skip limit is reached. Returns { providers, hasMore }.
+ */
+async function searchTaxonomyPage(criteria, { start, pageSize, exact }) {
+  const matches = [];
+  let reachedEnd = true;
+  for (let skip = 0; skip <= NPPES_MAX_SKIP; skip += NPPES_MAX_LIMIT) {
+    const rows = await requestNPPES(buildSearchParams(criteria, { limit: NPPES_MAX_LIMIT, skip, exact }));
+    matches.push(...rows.map(normalizeProvider).filter(p => hasTaxonomy(p, criteria.taxonomy)));
+    if (rows.length < NPPES_MAX_LIMIT) break;
+    if (matches.length > start + pageSize) {
+      reachedEnd = false;
+      break;
+    }
+  }
+  return {
+    providers: matches.slice(start, start + pageSize),
+    hasMore: !reachedEnd || matches.length > start + pageSize,
+  };
+}
+
+/**
+ * Search the NPI Registry
+ *
+ * criteria: { npi, firstName, lastName, organizationName, taxonomy (code or description),
+ * city, state (one code or an array, queried one at a time), postalCode,
+ * enumerationType ('individual'|'organization'|'NPI-1'|'NPI-2') }.
+ * Pages are 1-based and parsed as integers; pageSize is clamped to 1..NPPES_MAX_LIMIT,
+ * and pages reach as deep as the API's skip limit allows. With several states each
+ * state contributes up to pageSize results per page. hasMore is true while any state
+ * filled its page. Taxonomy searches are filtered on the code or description here
+ * and read further results until the page is filled.
+ *
+ * Returns { results (normalized), page, pageSize, hasMore }.
+ */
+async function searchNPPES(criteria, options = {}) {
+  const { exact = false } = options;
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), NPPES_MAX_LIMIT);
+  const states = [].concat(criteria.state || []).filter(Boolean);
+  const start = (page - 1) * pageSize;
+  if (start > NPPES_MAX_SKIP) {
+    throw new NPPESError(`The NPI Registry returns at most ${NPPES_MAX_SKIP + NPPES_MAX_LIMIT} results; narrow the search`, { code: 'INVALID_QUERY' });
+  }
+
+  const providers = [];
+  let hasMore = false;
+  for (const state of states.length > 0 ? states : [null]) {
+    const stateCriteria = { ...criteria, state };
+
+    if (criteria.taxonomy) {
+      const taxonomyPage = await searchTaxonomyPage(stateCriteria, { start, pageSize, exact });
+      providers.push(...taxonomyPage.providers);
+      if (taxonomyPage.hasMore) hasMore = true;
+      continue;
+    }
+
+    const batch = [];
+    // Requests of up to NPPES_MAX_LIMIT until the page is filled or the results run out
+    for (let skip = start; skip < start + pageSize && skip <= NPPES_MAX_SKIP; skip += NPPES_MAX_LIMIT) {
+      const limit = Math.min(NPPES_MAX_LIMIT, start + pageSize - skip);
+      const rows = await requestNPPES(buildSearchParams(stateCriteria, { limit, skip, exact }));
+      batch.push(...rows);
+      if (rows.length < limit) break;
+    }
+    if (batch.length === pageSize && start + pageSize <= NPPES_MAX_SKIP) hasMore = true;
+    providers.push(...batch.map(normalizeProvider));
+  }
+
+  return { results: providers, page, pageSize, hasMore };
+}
+
+module.exports = {
+  NPPES_MAX_LIMIT,
+  TAXONOMY_DESCRIPTIONS,
+  NPPES_MAX_SKIP,
+  NPPESError,
+  parseProviderQuery,
+  buildSearchParams,
+  normalizeProvider,
+  searchNPPES,
+};
@@ -0,0 +1,487 @@
+/**
+ * CMS Open Payments
+ * Payments and transfers of value from drug/device manufacturers and GPOs to
+ * physicians, across every published program year: general payments, research
+ * payments and physician ownership/investment interests. Recipients are matched
+ * by NPI or Open Payments profile ID rather than by name, so common names don't
+ * merge different physicians.
+ *
+ * Docs: https://openpaymentsdata.cms.gov/about/api
+ */
+
+const { execFile } = require('child_process');
+
+const { normalizeBusinessName } = require('./entity-resolution');
+
+const OPEN_PAYMENTS_API = process.env.OPEN_PAYMENTS_API_URL || 'https://openpaymentsdata.cms.gov/api/1';
+
+// The datastore returns at most 500 rows per request
+const OPEN_PAYMENTS_PAGE_SIZE = 500;
+// Cap on rows pulled per dataset for one recipient
+const MAX_RECIPIENT_ROWS = 5000;
+
+const COMPANY_FIELD = 'applicable_manufacturer_or_applicable_gpo_making_payment_name';
+
+// General and research rows name up to five associated drugs, devices or supplies
+const PRODUCT_FIELDS = [1, 2, 3, 4, 5].map(i => `name_of_drug_or_biological_or_device_or_medical_supply_${i}`);
+
+// Product names shorter than this are too ambiguous to find in a HCPCS description
+const MIN_PRODUCT_NAME = 4;
+
+// Dataset types: how each is titled in the catalog and where its recipient, amount and detail fields live
+const PAYMENT_TYPES = {
+  general: {
+    label: 'General Payments',
+    titlePattern: /general payment/i,
+    npiField: 'covered_recipient_npi',
+    profileField: 'covered_recipient_profile_id',
+    amountField: 'total_amount_of_payment_usdollars',
+    natureField: 'nature_of_payment_or_transfer_of_value',
+    dateField: 'date_of_payment',
+  },
+  research: {
+    label: 'Research Payments',
+    titlePattern: /research payment/i,
+    npiField: 'covered_recipient_npi',
+    profileField: 'covered_recipient_profile_id',
+    amountField: 'total_amount_of_payment_usdollars',
+    natureField: 'name_of_study',
+    dateField: 'date_of_payment',
+  },
+  ownership: {
+    label: 'Ownership and Investment Interests',
+    titlePattern: /ownership/i,
+    npiField: 'physician_npi',
+    profileField: 'physician_profile_id',
+    amountField: 'total_amount_invested_usdollars',
+    natureField: 'terms_of_interest',
+    dateField: null,
+  },
+};
+
+// Catalog entries that aren't full yearly payment data
+const EXCLUDED_TITLES = /deleted|removed|summary|supplement|dictionary/i;
+
+// Year-over-year general payment growth (ratio - 1) and dollar increase that make a spike
+const SPIKE_MIN_GROWTH = 1.0;
+const SPIKE_MIN_INCREASE = 10000;
+const SPIKE_HIGH_GROWTH = 3.0;
+const SPIKE_HIGH_INCREASE = 50000;
+
+// Discovered datasets (pending or resolved)
+let datasetListPromise = null;
+
+/**
+ * Helper: GET a JSON document from the Open Payments API
+ */
+function requestJSON(url, timeoutSeconds = 60) {
+  return new Promise((resolve, reject) => {
+    execFile('curl', ['-s', '-f', '--max-time', String(timeoutSeconds), '-H', 'Accept: application/json', url], { maxBuffer: 100 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(new Error(`Open Payments request failed: ${error.message}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch (parseError) {
+        reject(new Error('Open Payments returned invalid JSON'));
+      }
+    });
+  });
+}
+
+/**
+ * Helper: parse "general:2023=<id>,research:2023=<id>" into [{ type, year, datasetId }]
+ */
+function parseConfiguredDatasets(value) {
+  return (value || '').split(',')
+    .map(entry => entry.match(/^\s*(\w+):(\d{4})=(.+?)\s*$/))
+    .filter(match => match && PAYMENT_TYPES[match[1]])
+    .map(([, type, year, datasetId]) => ({ type, year: parseInt(year, 10), datasetId, title: null }));
+}
+
+/**
+ * Classify a catalog dataset as { type, year }, or null when it isn't yearly payment data
+ */
+function classifyDataset(title) {
+  if (!title || EXCLUDED_TITLES.test(title)) return null;
+  const year = (title.match(/\b(20\d{2})\b/) || [])[1];
+  const type = Object.keys(PAYMENT_TYPES).find(name => PAYMENT_TYPES[name].titlePattern.test(title));
+  return year && type ? { type, year: parseInt(year, 10) } : null;
+}
+
+/**
+ * Every yearly general, research and ownership dataset, newest first
+ *
+ * OPEN_PAYMENTS_DATASETS ("general:2023=<id>,ownership:2023=<id>") when set, else
+ * discovered from the Open Payments metastore by title. Returns
+ * [{ type, year, datasetId, title }]; discovery is cached for the life of the process.
+ */
+async function listOpenPaymentsDatasets() {
+  const configured = parseConfiguredDatasets(process.env.OPEN_PAYMENTS_DATASETS);
+  if (configured.length > 0) return configured.sort((a, b) => b.year - a.year);
+
+  if (!datasetListPromise) {
+    datasetListPromise = requestJSON(`${OPEN_PAYMENTS_API}/metastore/schemas/dataset/items?show-reference-ids=false`, 120)
+      .then(items => {
+        const datasets = (Array.isArray(items) ? items : [])
+          .map(item => ({ ...classifyDataset(item.title), datasetId: item.identifier, title: item.title }))
+          .filter(d => d.type && d.datasetId);
+        // One dataset per type and year (the catalog also lists re-publications)
+        return [...new Map(datasets.map(d => [`${d.type}|${d.year}`, d])).values()]
+          .sort((a, b) => b.year - a.year);
+      })
+      .catch(error => {
+        datasetListPromise = null;
+        throw error;
+      });
+  }
+  return datasetListPromise;
+}
+
+/**
+ * Query an Open Payments dataset
+ * conditions is [{ property, value, operator }] (operator defaults to "="). Returns the rows (one page).
+ */
+async function queryOpenPayments(datasetId, conditions, { limit = OPEN_PAYMENTS_PAGE_SIZE, offset = 0 } = {}) {
+  const params = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+  conditions.forEach(({ property, value, operator = '=' }, i) => {
+    params.append(`conditions[${i}][property]`, property);
+    params.append(`conditions[${i}][value]`, value);
+    params.append(`conditions[${i}][operator]`, operator);
+  });
+  const data = await requestJSON(`${OPEN_PAYMENTS_API}/datastore/query/${datasetId}/0?${params}`);
+  return data.results || [];
+}
+
+/**
+ * Normalize a dataset row
+ *
+ * Returns { type, year, amount, company, nature, date, npi, profileId, name, city,
+ * state, specialty, products } plus, for ownership, { value, heldBy }. amount is
+ * the payment, or for ownership the amount invested; ownership rows name no products.
+ */
+function normalizePayment(row, type, year) {
+  const fields = PAYMENT_TYPES[type];
+  const prefix = type === 'ownership' ? 'physician' : 'covered_recipient';
+  const payment = {
+    type,
+    year: parseInt(row.program_year, 10) || year,
+    amount: parseFloat(row[fields.amountField]) || 0,
+    company: row[COMPANY_FIELD] || 'Unknown',
+    nature: row[fields.natureField] || null,
+    date: fields.dateField ? row[fields.dateField] || null : null,
+    npi: row[fields.npiField] || null,
+    profileId: row[fields.profileField] || null,
+    name: [row[`${prefix}_first_name`], row[`${prefix}_last_name`]].filter(Boolean).join(' '),
+    city: row.recipient_city || null,
+    state: row.recipient_state || null,
+    specialty: row[`${prefix}_specialty_1`] || row[`${prefix}_specialty`] || null,
+    products: PRODUCT_FIELDS.map(field => (row[field] || '').trim()).filter(Boolean),
+  };
+  if (type === 'ownership') {
+    payment.value = parseFloat(row.value_of_interest) || 0;
+    payment.heldBy = row.interest_held_by_physician_or_an_immediate_family_member || null;
+  }
+  return payment;
+}
+
+/**
+ * Helper: every row of a dataset for one recipient (paged, capped at MAX_RECIPIENT_ROWS)
+ */
+async function fetchRecipientRows(datasetId, conditions) {
+  const rows = [];
+  for (let offset = 0; offset < MAX_RECIPIENT_ROWS; offset += OPEN_PAYMENTS_PAGE_SIZE) {
+    const batch = await queryOpenPayments(datasetId, conditions, { offset });
+    rows.push(...batch);
+    if (batch.length < OPEN_PAYMENTS_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * All payments to one recipient across program years
+ *
+ * recipient is { npi } or { profileId } (NPI preferred when both are given). types
+ * limits the datasets (default all three); years limits how many program years
+ * (newest first, default every published year). A dataset that can't be queried
+ * is reported in errors rather than failing the search.
+ *
+ * Returns { npi, profileId, payments (normalized), datasetsSearched: [{ type, year }], errors }.
+ */
+async function searchRecipientPayments({ npi = null, profileId = null }, { types = Object.keys(PAYMENT_TYPES), years = null } = {}) {
+  if (!npi && !profileId) throw new Error('An NPI or Open Payments profile ID is required');
+
+  const datasets = (await listOpenPaymentsDatasets()).filter(d => types.includes(d.type));
+  const programYears = [...new Set(datasets.map(d => d.year))].slice(0, years || undefined);
+
+  const payments = [];
+  const datasetsSearched = [];
+  const errors = [];
+  for (const year of programYears) {
+    // One year at a time, its datasets side by side
+    await Promise.all(datasets.filter(d => d.year === year).map(async ({ type, datasetId }) => {
+      const fields = PAYMENT_TYPES[type];
+      const condition = npi
+        ? { property: fields.npiField, value: String(npi) }
+        : { property: fields.profileField, value: String(profileId) };
+      try {
+        const rows = await fetchRecipientRows(datasetId, [condition]);
+        payments.push(...rows.map(row => normalizePayment(row, type, year)));
+        datasetsSearched.push({ type, year });
+      } catch (error) {
+        errors.push({ type, year, error: error.message });
+      }
+    }));
+  }
+
+  // The profile ID links a recipient's years even where an NPI was missing
+  const found = payments.find(p => p.profileId);
+  return {
+    npi: npi || (payments.find(p => p.npi) || {}).npi || null,
+    profileId: profileId || (found ? found.profileId : null),
+    payments,
+    datasetsSearched,
+    errors,
+  };
+}
+
+/**
+ * Distinct recipients matching a name in the newest general payments year
+ *
+ * Returns [{ profileId, npi, name, city, state, specialty, paymentCount }], most
+ * payments first, for choosing the right physician before searching by ID.
+ */
+async function findRecipientsByName(firstName, lastName, { state = null } = {}) {
+  const latest = (await listOpenPaymentsDatasets()).find(d => d.type === 'general');
+  if (!latest) throw new Error('No Open Payments general payments dataset found');
+
+  const conditions = [{ property: 'covered_recipient_last_name', value: lastName.toUpperCase() }];
+  if (firstName) conditions.push({ property: 'covered_recipient_first_name', value: firstName.toUpperCase(), operator: 'starts with' });
+  if (state) conditions.push({ property: 'recipient_state', value: state.toUpperCase() });
+
+  const rows = await queryOpenPayments(latest.datasetId, conditions);
+  const recipients = new Map();
+  rows.map(row => normalizePayment(row, 'general', latest.year)).forEach(p => {
+    const key = p.profileId || p.npi || `${p.name}|${p.city}`;
+    if (!recipients.has(key)) {
+      recipients.set(key, { profileId: p.profileId, npi: p.npi, name: p.name, city: p.city, state: p.state, specialty: p.specialty, paymentCount: 0 });
+    }
+    recipients.get(key).paymentCount++;
+  });
+  return [...recipients.values()].sort((a, b) => b.paymentCount - a.paymentCount);
+}
+
+/**
+ * Totals per program year, oldest first
+ *
+ * Returns [{ year, general: { count, total }, research: { count, total },
+ * ownership: { count, invested, value }, companies }].
+ */
+function buildPaymentHistory(payments) {
+  const byYear = new Map();
+  payments.forEach(p => {
+    if (!byYear.has(p.year)) {
+      byYear.set(p.year, {
+        year: p.year,
+        general: { count: 0, total: 0 },
+        research: { count: 0, total: 0 },
+        ownership: { count: 0, invested: 0, value: 0 },
+        companies: new Set(),
+      });
+    }
+    const entry = byYear.get(p.year);
+    if (p.type === 'ownership') {
+      entry.ownership.count++;
+      entry.ownership.invested += p.amount;
+      entry.ownership.value += p.value || 0;
+    } else {
+      entry[p.type].count++;
+      entry[p.type].total += p.amount;
+    }
+    entry.companies.add(p.company);
+  });
+
+  return [...byYear.values()]
+    .map(entry => ({ ...entry, companies: entry.companies.size }))
+    .sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Year-over-year trend of general payments with spike detection
+ *
+ * Growth is only computed between consecutive program years; a year with no
+ * payments between two that have them counts as zero. The latest year is a spike
+ * when general payments at least doubled and rose by $10K or more.
+ *
+ * Returns { years: [{ year, total, growth, increase }], latest, isSpike, severity, reason }.
+ */
+function computePaymentTrend(history) {
+  if (history.length === 0) {
+    return { years: [], latest: null, isSpike: false, severity: null, reason: 'No payments found' };
+  }
+
+  // Fill gaps so growth compares consecutive years
+  const totals = new Map(history.map(h => [h.year, h.general.total]));
+  const first = history[0].year;
+  const last = history[history.length - 1].year;
+  const years = [];
+  for (let year = first; year <= last; year++) {
+    const total = totals.get(year) || 0;
+    const previous = years[years.length - 1];
+    years.push({
+      year,
+      total,
+      growth: previous && previous.total > 0 ? total / previous.total - 1 : null,
+      increase: previous ? total - previous.total : null,
+    });
+  }
+
+  const latest = years.length > 1 ? years[years.length - 1] : null;
+  if (!latest) {
+    return { years, latest: null, isSpike: false, severity: null, reason: 'Only one program year of payments' };
+  }
+
+  // A first year of payments after none is growth from zero
+  const isNew = latest.growth === null && latest.total > 0;
+  const isSpike = latest.increase >= SPIKE_MIN_INCREASE && (isNew || latest.growth >= SPIKE_MIN_GROWTH);
+  const severity = isSpike && latest.increase >= SPIKE_HIGH_INCREASE && (isNew || latest.growth >= SPIKE_HIGH_GROWTH)
+    ? 'high'
+    : isSpike ? 'medium' : null;
+  const change = latest.growth === null
+    ? `$${latest.total.toLocaleString()} after none in ${latest.year - 1}`
+    : `${latest.growth >= 0 ? '+' : ''}${(latest.growth * 100).toFixed(0)}% ($${Math.round(latest.increase).toLocaleString()}) vs ${latest.year - 1}`;
+
+  return {
+    years,
+    latest,
+    isSpike,
+    severity,
+    reason: `General payments in ${latest.year}: ${change}`,
+  };
+}
+
+/**
+ * Ownership and investment interests by company, with the company's products
+ *
+ * Each company's latest reported program year is kept. products are the drugs and
+ * devices named on the company's general and research payments to the physician.
+ * Returns [{ company, year, years, invested, value, terms, heldBy, products }],
+ * largest interest first.
+ */
+function summarizeOwnership(payments) {
+  const products = new Map();
+  payments.filter(p => p.type !== 'ownership').forEach(p => {
+    const key = normalizeBusinessName(p.company);
+    if (!products.has(key)) products.set(key, new Set());
+    p.products.forEach(name => products.get(key).add(name));
+  });
+
+  const interests = new Map();
+  payments.filter(p => p.type === 'ownership').forEach(p => {
+    const key = normalizeBusinessName(p.company);
+    const interest = interests.get(key);
+    if (!interest || p.year > interest.year) {
+      interests.set(key, {
+        company: p.company,
+        year: p.year,
+        years: interest ? interest.years : [],
+        invested: p.amount,
+        value: p.value,
+        terms: p.nature,
+        heldBy: p.heldBy,
+        products: [...(products.get(key) || [])],
+      });
+    } else if (p.year === interest.year) {
+      // Several interests in one company in the same year add up
+      interest.invested += p.amount;
+      interest.value += p.value;
+    }
+    const entry = interests.get(key);
+    if (!entry.years.includes(p.year)) entry.years.push(p.year);
+  });
+
+  return [...interests.values()]
+    .map(interest => ({ ...interest, years: interest.years.sort((a, b) => a - b) }))
+    .sort((a, b) => Math.max(b.value, b.invested) - Math.max(a.value, a.invested));
+}
+
+/**
+ * Helper: whether two company names refer to the same company (suffixes ignored,
+ * one name's words a prefix of the other's, e.g. "Regeneron" / "Regeneron Pharmaceuticals")
+ */
+function sameCompany(a, b) {
+  const x = normalizeBusinessName(a).split(' ').filter(Boolean);
+  const y = normalizeBusinessName(b).split(' ').filter(Boolean);
+  if (x.length === 0 || y.length === 0) return false;
+  const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+  return shorter.every((token, i) => longer[i] === token);
+}
+
+/**
+ * Helper: whether a product name appears as a whole word in any of the texts
+ */
+function mentionsProduct(product, texts) {
+  const name = normalizeBusinessName(product);
+  if (name.length < MIN_PRODUCT_NAME) return false;
+  return texts.some(text => ` ${normalizeBusinessName(text)} `.includes(` ${name} `));
+}
+
+/**
+ * Ownership interests in companies whose products the physician bills Medicare for
+ *
+ * interests come from summarizeOwnership, services are CMS by Provider and Service
+ * rows and drugProducts is a fetchPartBDrugProducts map for the billed drug codes.
+ * A billed code matches a company when Part B drug spending lists the company as a
+ * manufacturer of it, or when a product named on the company's payments appears
+ * in the code's description, brand or generic names.
+ *
+ * Returns the interests with billedProducts: [{ code, description, services,
+ * medicarePayments, via, product, manufacturer }] (empty when nothing matched).
+ */
+function matchOwnershipToBilling(interests, services, drugProducts = new Map()) {
+  return interests.map(interest => {
+    const billedProducts = [];
+    services.forEach(row => {
+      const code = row.HCPCS_Cd;
+      const drug = drugProducts.get(code);
+      const names = [row.HCPCS_Desc, ...(drug ? [...drug.brandNames, ...drug.genericNames] : [])].filter(Boolean);
+      const manufacturer = drug && drug.manufacturers.find(name => sameCompany(name, interest.company));
+      const product = manufacturer ? null : interest.products.find(name => mentionsProduct(name, names));
+      if (!manufacturer && !product) return;
+
+      const count = parseFloat(row.Tot_Srvcs) || 0;
+      const existing = billedProducts.find(b => b.code === code);
+      // Service rows repeat a code per place of service
+      if (existing) {
+        existing.services += count;
+        existing.medicarePayments += (parseFloat(row.Avg_Mdcr_Pymt_Amt) || 0) * count;
+        return;
+      }
+      billedProducts.push({
+        code,
+        description: row.HCPCS_Desc || (drug && drug.description) || code,
+        services: count,
+        medicarePayments: (parseFloat(row.Avg_Mdcr_Pymt_Amt) || 0) * count,
+        via: manufacturer ? 'manufacturer' : 'product',
+        product: manufacturer ? drug.brandNames[0] || drug.genericNames[0] || code : product,
+        manufacturer: manufacturer || null,
+      });
+    });
+    return { ...interest, billedProducts: billedProducts.sort((a, b) => b.medicarePayments - a.medicarePayments) };
+  });
+}
+
+module.exports = {
+  PAYMENT_TYPES,
+  classifyDataset,
+  listOpenPaymentsDatasets,
+  queryOpenPayments,
+  normalizePayment,
+  searchRecipientPayments,
+  findRecipientsByName,
+  buildPaymentHistory,
+  computePaymentTrend,
+  summarizeOwnership,
+  matchOwnershipToBilling,
+};
@@ -0,0 +1,255 @@
+/**
+ * Medicare Peer Benchmarks
+ * Per-specialty, per-state distributions of utilization metrics from the CMS
+ * "by Provider" dataset, so a provider is judged against others who bill for the
+ * same kind of work: $200 per service is routine for a radiologist and extreme
+ * for a psychiatrist.
+ */
+
+const { CMS_PROVIDER_DATASET, queryCMSDataset } = require('./cms-utilization');
+const { mapWithConcurrency } = require('./script-utils');
+
+// Utilization metrics derived from a "by Provider" row
+const METRICS = {
+  paymentPerService: {
+    label: 'Payment per service',
+    compute: ({ payments, services }) => services > 0 ? payments / services : null,
+  },
+  servicesPerBeneficiary: {
+    label: 'Services per beneficiary',
+    compute: ({ services, beneficiaries }) => beneficiaries > 0 ? services / beneficiaries : null,
+  },
+  paymentPerBeneficiary: {
+    label: 'Payment per beneficiary',
+    compute: ({ payments, beneficiaries }) => beneficiaries > 0 ? payments / beneficiaries : null,
+  },
+};
+
+// Page size and a cap on pages per peer group (large specialties in big states run to tens of thousands)
+const PAGE_SIZE = 5000;
+const MAX_PAGES = 10;
+
+// Peer groups loaded at once when benchmarking a list of providers
+const GROUP_CONCURRENCY = 3;
+
+// Fewer peers than this and percentiles aren't meaningful
+const MIN_PEERS = 10;
+
+// Percentile rank at or above which a metric is an outlier
+const OUTLIER_PERCENTILE = 0.95;
+const EXTREME_PERCENTILE = 0.99;
+
+// Benchmarks by specialty and state (pending or resolved); they only change with a
+// dataset release. Oldest entries are dropped past BENCHMARK_CACHE_MAX.
+const benchmarkCache = new Map();
+const BENCHMARK_CACHE_MAX = 100;
+
+/**
+ * Utilization metrics of a "by Provider" row
+ * Returns { paymentPerService, servicesPerBeneficiary, paymentPerBeneficiary } (null when undefined)
+ */
+function providerMetrics(row) {
+  const totals = {
+    payments: parseFloat(row.Tot_Mdcr_Pymt_Amt) || 0,
+    services: parseFloat(row.Tot_Srvcs) || 0,
+    beneficiaries: parseFloat(row.Tot_Benes) || 0,
+  };
+  const metrics = {};
+  Object.entries(METRICS).forEach(([name, metric]) => {
+    metrics[name] = metric.compute(totals);
+  });
+  return metrics;
+}
+
+/**
+ * Helper: value at a quantile of sorted values (linear interpolation)
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Percentile rank of a value among sorted values (0-1, ties count half)
+ */
+function percentileRank(sorted, value) {
+  if (sorted.length === 0 || value === null || value === undefined) return null;
+  let below = 0;
+  let equal = 0;
+  for (const v of sorted) {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  }
+  return (below + equal / 2) / sorted.length;
+}
+
+/**
+ * Distribution summary of a metric's values
+ * Returns { count, mean, std, min, p10, p25, median, p75, p90, p95, p99, max, values (sorted) }
+ */
+function summarize(values) {
+  const sorted = values.filter(v => v !== null && isFinite(v)).sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = count > 0 ? sorted.reduce((sum, v) => sum + v, 0) / count : null;
+  const std = count > 0 ? Math.sqrt(sorted.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / count) : null;
+
+  return {
+    count,
+    mean,
+    std,
+    min: sorted[0] ?? null,
+    p10: quantile(sorted, 0.1),
+    p25: quantile(sorted, 0.25),
+    median: quantile(sorted, 0.5),
+    p75: quantile(sorted, 0.75),
+    p90: quantile(sorted, 0.9),
+    p95: quantile(sorted, 0.95),
+    p99: quantile(sorted, 0.99),
+    max: sorted[count - 1] ?? null,
+    values: sorted,
+  };
+}
+
+/**
+ * Build benchmarks from a peer group's "by Provider" rows
+ * Returns { peerCount, metrics: { name: summary } }
+ */
+function buildPeerBenchmarks(rows) {
+  const perProvider = rows.map(providerMetrics);
+  const metrics = {};
+  Object.keys(METRICS).forEach(name => {
+    metrics[name] = summarize(perProvider.map(m => m[name]));
+  });
+  return { peerCount: rows.length, metrics };
+}
+
+/**
+ * Every provider of a specialty in a state (paged, up to MAX_PAGES)
+ * datasetId selects the data year (default: CMS_PROVIDER_DATASET). Returns { rows, truncated }
+ * where truncated means the page cap was reached with more rows left.
+ */
+async function fetchPeerGroup(specialty, state, datasetId = CMS_PROVIDER_DATASET) {
+  const rows = [];
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const batch = await queryCMSDataset(datasetId, {
+      Rndrng_Prvdr_Type: specialty,
+      Rndrng_Prvdr_State_Abrvtn: state,
+    }, { size: PAGE_SIZE, offset: page * PAGE_SIZE });
+    rows.push(...batch);
+    if (batch.length < PAGE_SIZE) return { rows, truncated: false };
+  }
+  return { rows, truncated: true };
+}
+
+/**
+ * Benchmarks for a specialty in a state (cached until BENCHMARK_CACHE_MAX newer groups load)
+ * Returns { specialty, state, peerCount, truncated, metrics }; concurrent callers share one fetch.
+ */
+async function loadPeerBenchmarks(specialty, state) {
+  const key = `${specialty}|${state}`;
+  if (benchmarkCache.has(key)) return benchmarkCache.get(key);
+
+  const pending = fetchPeerGroup(specialty, state)
+    .then(({ rows, truncated }) => ({ specialty, state, truncated, ...buildPeerBenchmarks(rows) }))
+    .catch(error => {
+      benchmarkCache.delete(key);
+      throw error;
+    });
+
+  benchmarkCache.set(key, pending);
+  if (benchmarkCache.size > BENCHMARK_CACHE_MAX) benchmarkCache.delete(benchmarkCache.keys().next().value);
+  return pending;
+}
+
+/**
+ * Score a provider's metrics within peer benchmarks
+ *
+ * Returns { peerCount, truncated, sufficient, metrics: { name: { label, value, percentile,
+ * zScore, median, p90, p95, isOutlier } }, maxPercentile, outliers: [name] }.
+ * sufficient is false when the peer group is too small to rank against; truncated
+ * when it was cut off at the page cap.
+ */
+function scoreAgainstPeers(metrics, benchmarks) {
+  const scored = {};
+  Object.entries(METRICS).forEach(([name, { label }]) => {
+    const value = metrics[name];
+    const summary = benchmarks.metrics[name];
+    const percentile = percentileRank(summary.values, value);
+    scored[name] = {
+      label,
+      value,
+      percentile,
+      zScore: value !== null && summary.std > 0 ? (value - summary.mean) / summary.std : null,
+      median: summary.median,
+      p90: summary.p90,
+      p95: summary.p95,
+      isOutlier: percentile !== null && percentile >= OUTLIER_PERCENTILE,
+    };
+  });
+
+  const percentiles = Object.values(scored).map(m => m.percentile).filter(p => p !== null);
+  const sufficient = benchmarks.peerCount >= MIN_PEERS;
+  return {
+    specialty: benchmarks.specialty,
+    state: benchmarks.state,
+    peerCount: benchmarks.peerCount,
+    truncated: !!benchmarks.truncated,
+    sufficient,
+    metrics: scored,
+    maxPercentile: percentiles.length > 0 ? Math.max(...percentiles) : null,
+    outliers: sufficient ? Object.keys(scored).filter(name => scored[name].isOutlier) : [],
+  };
+}
+
+/**
+ * Benchmark a "by Provider" row within its specialty and state
+ * specialty overrides the row's own Rndrng_Prvdr_Type for the peer group.
+ */
+async function benchmarkProvider(row, { specialty = null } = {}) {
+  const benchmarks = await loadPeerBenchmarks(specialty || row.Rndrng_Prvdr_Type, row.Rndrng_Prvdr_State_Abrvtn);
+  return scoreAgainstPeers(providerMetrics(row), benchmarks);
+}
+
+/**
+ * Peer comparisons for many "by Provider" rows, in row order
+ *
+ * Each specialty and state group is loaded once, at most GROUP_CONCURRENCY at a time.
+ * A row whose peer group can't be loaded gets null.
+ */
+async function benchmarkProviders(rows, { specialty = null } = {}) {
+  const groupKey = row => `${specialty || row.Rndrng_Prvdr_Type}|${row.Rndrng_Prvdr_State_Abrvtn}`;
+  const groups = [...new Map(rows.map(row => [groupKey(row), [specialty || row.Rndrng_Prvdr_Type, row.Rndrng_Prvdr_State_Abrvtn]])).entries()];
+
+  const benchmarks = {};
+  await mapWithConcurrency(groups, GROUP_CONCURRENCY, async ([key, [groupSpecialty, state]]) => {
+    try {
+      benchmarks[key] = await loadPeerBenchmarks(groupSpecialty, state);
+    } catch (error) {
+      console.error(`Peer benchmarks unavailable for ${groupSpecialty} in ${state}:`, error.message);
+      benchmarks[key] = null;
+    }
+  });
+
+  return rows.map(row => {
+    const group = benchmarks[groupKey(row)];
+    return group ? scoreAgainstPeers(providerMetrics(row), group) : null;
+  });
+}
+
+module.exports = {
+  METRICS,
+  OUTLIER_PERCENTILE,
+  EXTREME_PERCENTILE,
+  providerMetrics,
+  percentileRank,
+  summarize,
+  buildPeerBenchmarks,
+  fetchPeerGroup,
+  loadPeerBenchmarks,
+  scoreAgainstPeers,
+  benchmarkProvider,
+  benchmarkProviders,
+};
@@ -0,0 +1,135 @@
+/**
+ * Healthcare Provider Model Scoring
+ * Builds healthcare features from live provider data (NPI Registry, exclusion
+ * lists, CMS service lines, Open Payments) and scores them with the trained
+ * FraudDetector, so the model score sits next to the rule-based indicators.
+ */
+
+const path = require('path');
+
+const { FraudDetector } = require('../ml/models/fraud-detector');
+const { extractHealthcareFeatures } = require('../ml/training/feature-extractor');
+const { entityFromNPPES, describeMatch } = require('./entity-resolution');
+const { loadExclusionIndex, buildExclusionIndex } = require('./exclusion-index');
+const { getExclusionStatus, describeExclusionStatus } = require('./exclusion-status');
+const { STATE_EXCLUSIONS_PATH } = require('./state-exclusions');
+
+const MODEL_PATH = path.join(process.cwd(), 'src/ml/models/fraud-detector-trained.json');
+
+// Loaded once per process; concurrent callers share the load
+let detectorPromise = null;
+
+/**
+ * The fraud detector with trained thresholds, or default thresholds when no trained model exists
+ */
+async function loadHealthcareDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      const model = new FraudDetector();
+      try {
+        await model.load(MODEL_PATH);
+      } catch (error) {
+        console.log('Trained model not found, using default thresholds');
+        model.thresholds = model.optimizeThresholds([], []);
+      }
+      return model;
+    })();
+  }
+  return detectorPromise;
+}
+
+/**
+ * Helper: exclusion index for a file, empty when it can't be loaded
+ */
+async function loadIndex(filePath) {
+  try {
+    return await loadExclusionIndex(filePath);
+  } catch (error) {
+    console.log(`Exclusions not loaded from ${filePath}`);
+    return buildExclusionIndex([]);
+  }
+}
+
+/**
+ * Exclusion status of a normalized NPPES provider across the OIG LEIE and collected state lists
+ * Returns the best match above the match threshold, or { isExcluded: false, status: null }
+ */
+async function checkProviderExclusion(provider) {
+  const entity = entityFromNPPES(provider);
+  const [oig, state] = await Promise.all([loadIndex(), loadIndex(STATE_EXCLUSIONS_PATH)]);
+  const match = [oig.findMatch(entity), state.findMatch(entity)]
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)[0];
+  if (!match) return { isExcluded: false, status: null };
+
+  const { record } = match;
+  const status = getExclusionStatus(record);
+  return {
+    ...status,
+    description: describeExclusionStatus(status),
+    name: record.name,
+    exclusionType: record.exclusionType,
+    state: record.state || null,
+    // State list records name their list; LEIE exports don't carry a source
+    source: record.source || 'HHS OIG LEIE',
+    program: record.program || 'Medicare/Medicaid',
+    match: {
+      score: match.score,
+      confidence: match.confidence,
+      description: describeMatch(match),
+    },
+  };
+}
+
+/**
+ * Open Payments analysis as feature-extractor payments ({ amount, company, type })
+ * Only the top paying companies carry their payments; null when there are none
+ */
+function toPaymentData(openPayments) {
+  if (!openPayments?.success || !openPayments.topPayingCompanies) return null;
+  const payments = openPayments.topPayingCompanies.flatMap(({ company, payments = [] }) =>
+    payments.map(p => ({ amount: p.amount, company, type: p.nature }))
+  );
+  return payments.length > 0 ? payments : null;
+}
+
+/**
+ * Score healthcare features with the detector
+ *
+ * Returns { score, riskLevel, factors: [{ type, description, contribution, severity }],
+ * confidence, modelVersion, modelTrained }; factors are ordered by contribution.
+ */
+async function scoreProviderFeatures(features) {
+  const model = await loadHealthcareDetector();
+  const result = model.scoreHealthcareProvider(features);
+  return {
+    ...result,
+    factors: [...result.factors].sort((a, b) => b.contribution - a.contribution),
+    modelVersion: model.modelVersion,
+    modelTrained: model.trained,
+  };
+}
+
+/**
+ * Features and model score from provider data
+ *
+ * exclusion is a checkProviderExclusion result, billingData feature-extractor
+ * billing items (e.g. toBillingData of CMS service lines) and openPayments an
+ * analyzePhysicianPayments result; any may be missing. Returns { features, ...score }.
+ */
+async function scoreProvider({ exclusion = null, billingData = null, openPayments = null }) {
+  const features = extractHealthcareFeatures(
+    { exclusionStatus: exclusion?.status || null },
+    billingData && billingData.length > 0 ? billingData : null,
+    toPaymentData(openPayments)
+  );
+  return { features, ...(await scoreProviderFeatures(features)) };
+}
+
+module.exports = {
+  loadHealthcareDetector,
+  checkProviderExclusion,
+  toPaymentData,
+  scoreProviderFeatures,
+  scoreProvider,
+};
@@ -0,0 +1,190 @@
+/**
+ * Provider Review Search
+ * Scans web search results (DuckDuckGo HTML, no API key needed) for reviews of a
+ * provider that mention billing problems: overcharging, surprise bills and the like.
+ */
+
+const { execFile } = require('child_process');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Search terms that indicate billing fraud/issues
+const BILLING_KEYWORDS = [
+  'overcharged',
+  'billing issue',
+  'surprise bill',
+  'charged too much',
+  'insurance fraud',
+  'fraudulent charges',
+  'unnecessary charges',
+  'misbilled',
+  'wrong bill',
+  'unexpected charges',
+  'balance billing',
+  'out of network',
+  'denied claim',
+];
+
+/**
+ * Helper: HTML of a DuckDuckGo search
+ */
+function searchDuckDuckGo(query, timeoutSeconds) {
+  const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
+  return new Promise((resolve, reject) => {
+    execFile('curl', ['-s', '--max-time', String(timeoutSeconds), '-A', USER_AGENT, url], { maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Parse DuckDuckGo HTML search results
+ */
+function parseSearchResults(html, providerName, keywords) {
+  const results = [];
+
+  // Extract result snippets using regex
+  const resultMatches = html.matchAll(/class="result__snippet"[^>]*>([^<]+)</g);
+
+  for (const match of resultMatches) {
+    const snippet = match[1];
+    const snippetLower = snippet.toLowerCase();
+
+    // Check if snippet mentions billing issues
+    const matchedKeywords = keywords.filter(kw => snippetLower.includes(kw.toLowerCase()));
+
+    if (matchedKeywords.length > 0) {
+      results.push({
+        snippet: snippet.substring(0, 300),
+        matchedKeywords,
+        relevance: matchedKeywords.length,
+      });
+    }
+  }
+
+  // Also extract titles/links
+  const titleMatches = html.matchAll(/class="result__title"[^>]*>.*?<a[^>]*href="([^"]*)"[^>]*>([^<]*)</g);
+
+  for (const match of titleMatches) {
+    const url = match[1];
+    const title = match[2];
+
+    // Check if it's a review site
+    if (url.includes('yelp') || url.includes('google') || url.includes('healthgrades') ||
+        url.includes('vitals') || url.includes('zocdoc') || url.includes('reviews')) {
+      results.push({
+        title: title.substring(0, 100),
+        url: decodeURIComponent(url.replace(/.*uddg=/, '').split('&')[0]),
+        type: 'review_site',
+        relevance: 1,
+      });
+    }
+  }
+
+  return results.slice(0, 10);
+}
+
+/**
+ * Search for Yelp mentions of billing issues
+ */
+async function searchYelpMentions(providerName, city, keywords) {
+  const searchQuery = `site:yelp.com "${providerName}" ${city} billing`;
+
+  try {
+    const html = await searchDuckDuckGo(searchQuery, 10);
+
+    const results = [];
+    const snippetMatches = html.matchAll(/class="result__snippet"[^>]*>([^<]+)</g);
+
+    for (const match of snippetMatches) {
+      const snippet = match[1];
+      const snippetLower = snippet.toLowerCase();
+
+      // Check for billing-related mentions
+      const hasBillingMention = keywords.some(kw => snippetLower.includes(kw.toLowerCase()));
+      const hasNegativeSentiment = /worst|terrible|avoid|scam|rip.?off|never.?again|horrible/i.test(snippet);
+
+      if (hasBillingMention || hasNegativeSentiment) {
+        results.push({
+          snippet: snippet.substring(0, 300),
+          source: 'Yelp',
+          hasBillingIssue: hasBillingMention,
+          hasNegativeSentiment,
+        });
+      }
+    }
+
+    return results.slice(0, 5);
+  } catch (error) {
+    console.error('Yelp search error:', error);
+    return [];
+  }
+}
+
+/**
+ * Generate a summary of review findings
+ */
+function generateReviewSummary(webMentions, yelpMentions) {
+  const totalMentions = webMentions.length + yelpMentions.length;
+  const billingMentions = webMentions.filter(r => r.matchedKeywords?.length > 0).length +
+                          yelpMentions.filter(r => r.hasBillingIssue).length;
+
+  let riskLevel = 'Low';
+  let billingComplaintScore = 0;
+
+  if (billingMentions >= 5) {
+    riskLevel = 'High';
+    billingComplaintScore = 75;
+  } else if (billingMentions >= 2) {
+    riskLevel = 'Medium';
+    billingComplaintScore = 50;
+  } else if (billingMentions >= 1) {
+    riskLevel = 'Low';
+    billingComplaintScore = 25;
+  }
+
+  // Boost score for negative sentiment
+  const negativeMentions = yelpMentions.filter(r => r.hasNegativeSentiment).length;
+  billingComplaintScore += negativeMentions * 10;
+  billingComplaintScore = Math.min(billingComplaintScore, 100);
+
+  if (billingComplaintScore >= 60) riskLevel = 'High';
+
+  return {
+    totalMentions,
+    billingMentions,
+    billingComplaintScore,
+    riskLevel,
+    recommendation: billingMentions > 0
+      ? 'Found billing-related complaints. Consider investigating further.'
+      : 'No significant billing complaints found in online reviews.',
+  };
+}
+
+/**
+ * Search reviews of a provider for billing complaints
+ *
+ * Returns { webMentions, yelpMentions, summary }. Throws when the web search fails;
+ * a failed Yelp search only leaves yelpMentions empty.
+ */
+async function searchProviderReviews(providerName, city) {
+  const searchQuery = `"${providerName}" ${city} reviews (${BILLING_KEYWORDS.slice(0, 5).join(' OR ')})`;
+  const html = await searchDuckDuckGo(searchQuery, 15);
+
+  const webMentions = parseSearchResults(html, providerName, BILLING_KEYWORDS);
+  const yelpMentions = await searchYelpMentions(providerName, city, BILLING_KEYWORDS);
+
+  return {
+    webMentions,
+    yelpMentions,
+    summary: generateReviewSummary(webMentions, yelpMentions),
+  };
+}
+
+module.exports = {
+  BILLING_KEYWORDS,
+  parseSearchResults,
+  generateReviewSummary,
+  searchProviderReviews,
+};
@@ -0,0 +1,281 @@
+/**
+ * SAM.gov API Client
+ * Exclusions and Entity Management v3 searches with the API key read from SAM_API_KEY
+ *
+ * Docs: https://open.gsa.gov/api/exclusions-api/
+ *       https://open.gsa.gov/api/entity-api/
+ */
+
+const {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRIES,
+  RETRY_BASE_DELAY_MS,
+  fetchTransport,
+  requestJSON,
+} = require('./http-client');
+
+const SAM_API_BASE = process.env.SAM_API_BASE_URL || 'https://api.sam.gov';
+
+// The exclusions and entity APIs cap page size at 10
+const SAM_PAGE_SIZE = 10;
+
+// Entity sections requested for registration lookups
+const ENTITY_SECTIONS = 'entityRegistration,coreData,assertions,pointsOfContact';
+
+/**
+ * Error raised for any failed SAM.gov request
+ *
+ * code is one of MISSING_API_KEY, TIMEOUT, NETWORK_ERROR, HTTP_ERROR, INVALID_RESPONSE
+ */
+class SAMError extends Error {
+  constructor(message, { code, status = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'SAMError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * API key from the environment, or null when not configured
+ */
+function getSAMApiKey() {
+  return process.env.SAM_API_KEY || null;
+}
+
+/**
+ * Helper: first non-empty value
+ */
+function firstOf(...values) {
+  return values.find(v => v !== undefined && v !== null && v !== '') ?? null;
+}
+
+/**
+ * Check whether an exclusion is in effect as of a date
+ * Termination dates of "Indefinite" (or none) never lapse
+ */
+function isExclusionActive(record, asOf = new Date()) {
+  if (record.recordStatus && record.recordStatus.toLowerCase() === 'inactive') return false;
+  if (!record.terminationDate || /indefinite/i.test(record.terminationDate)) return true;
+  const termination = new Date(record.terminationDate);
+  return isNaN(termination) || termination > asOf;
+}
+
+/**
+ * Normalize an excludedEntity record from the exclusions API
+ */
+function normalizeExclusionRecord(raw) {
+  const details = raw.exclusionDetails || {};
+  const ident = raw.exclusionIdentification || {};
+  const address = raw.exclusionPrimaryAddress || raw.exclusionAddress || {};
+  const other = raw.exclusionOtherInformation || {};
+  const actions = raw.exclusionActions?.listOfActions || [];
+  // The most recent action carries the current dates and status
+  const action = actions[actions.length - 1] || {};
+
+  const personName = [ident.firstName, ident.middleName, ident.lastName, ident.suffix]
+    .filter(Boolean)
+    .join(' ');
+
+  const record = {
+    name: firstOf(ident.entityName, personName) || 'Unknown',
+    classification: details.classificationType || null, // Firm, Individual, Vessel, Special Entity Designation
+    exclusionType: details.exclusionType || null, // e.g. Ineligible (Proceedings Completed)
+    exclusionProgram: details.exclusionProgram || null, // Reciprocal, Procurement, NonProcurement
+    agency: {
+      code: details.excludingAgencyCode || null,
+      name: details.excludingAgencyName || null,
+    },
+    uei: ident.ueiSAM || null,
+    cage: ident.cageCode || null,
+    npi: ident.npi || null,
+    activeDate: firstOf(action.activateDate, action.createDate),
+    terminationDate: action.terminationDate || null,
+    terminationType: action.terminationType || null,
+    recordStatus: action.recordStatus || null,
+    address: {
+      street: [address.addressLine1, address.addressLine2].filter(Boolean).join(', ') || null,
+      city: address.city || null,
+      state: address.stateOrProvinceCode || null,
+      zip: address.zipCode || null,
+      country: address.countryCode || null,
+    },
+    crossReferences: (other.references?.referenceList || other.references?.referencesList || [])
+      .map(ref => ({ name: ref.exclusionName || ref.name || null, type: ref.type || null }))
+      .filter(ref => ref.name),
+    comments: other.additionalComments || null,
+    source: 'SAM.gov Exclusions API',
+  };
+
+  record.isActive = isExclusionActive(record);
+  return record;
+}
+
+/**
+ * Helper: { uei, name } for a hierarchy entry, or null
+ */
+function normalizeParent(parent) {
+  if (!parent || (!parent.ueiSAM && !parent.legalBusinessName)) return null;
+  return { uei: parent.ueiSAM || null, name: parent.legalBusinessName || null };
+}
+
+/**
+ * Normalize an entityData record from the entity management API
+ */
+function normalizeEntityRecord(raw) {
+  const registration = raw.entityRegistration || {};
+  const core = raw.coreData || {};
+  const info = core.entityInformation || {};
+  const address = core.physicalAddress || {};
+  const businessTypes = core.businessTypes || {};
+  const goods = raw.assertions?.goodsAndServices || {};
+  const hierarchy = core.entityHierarchyInformation || {};
+  const contacts = raw.pointsOfContact || {};
+
+  const pointsOfContact = Object.entries(contacts)
+    .filter(([, poc]) => poc && (poc.firstName || poc.lastName))
+    .map(([role, poc]) => ({
+      role: role.replace(/POC$/, '').replace(/([A-Z])/g, ' $1').trim(),
+      name: [poc.firstName, poc.middleInitial, poc.lastName].filter(Boolean).join(' '),
+      title: poc.title || null,
+      city: poc.city || null,
+      state: poc.stateOrProvinceCode || null,
+    }));
+
+  return {
+    uei: registration.ueiSAM || null,
+    cage: registration.cageCode || null,
+    legalBusinessName: registration.legalBusinessName || null,
+    dbaName: registration.dbaName || null,
+    registrationStatus: registration.registrationStatus || null,
+    registrationDate: registration.registrationDate || null,
+    activationDate: registration.activationDate || null,
+    expirationDate: registration.registrationExpirationDate || null,
+    lastUpdateDate: registration.lastUpdateDate || null,
+    purpose: registration.purposeOfRegistrationDesc || null,
+    exclusionStatusFlag: registration.exclusionStatusFlag || null,
+    entityStartDate: info.entityStartDate || null,
+    entityStructure: core.generalInformation?.entityStructureDesc || null,
+    businessTypes: (businessTypes.businessTypeList || []).map(t => t.businessTypeDesc).filter(Boolean),
+    sbaBusinessTypes: (businessTypes.sbaBusinessTypeList || []).map(t => t.sbaBusinessTypeDesc).filter(Boolean),
+    primaryNaics: goods.primaryNaics || null,
+    naics: (goods.naicsList || []).map(n => ({
+      code: n.naicsCode,
+      description: n.naicsDescription || null,
+      smallBusiness: n.sbaSmallBusiness === 'Y',
+    })),
+    address: {
+      street: [address.addressLine1, address.addressLine2].filter(Boolean).join(', ') || null,
+      city: address.city || null,
+      state: address.stateOrProvinceCode || null,
+      zip: address.zipCode || null,
+      country: address.countryCode || null,
+    },
+    pointsOfContact,
+    immediateParent: normalizeParent(hierarchy.immediateParentEntity),
+    ultimateParent: normalizeParent(hierarchy.ultimateParentEntity),
+    source: 'SAM.gov Entity Management API',
+  };
+}
+
+/**
+ * Create a SAM.gov client
+ *
+ * Options:
+ * - apiKey: defaults to SAM_API_KEY
+ * - baseUrl: API root (override to point at a local fixture server)
+ * - transport: fetchTransport (default), curlTransport, or any compatible function (see http-client.js)
+ * - timeoutMs: per-attempt timeout
+ * - retries: retry attempts for timeouts, network errors, 429 and 5xx responses
+ */
+function createSAMClient(options = {}) {
+  const {
+    apiKey = getSAMApiKey(),
+    baseUrl = SAM_API_BASE,
+    transport = fetchTransport,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = RETRY_BASE_DELAY_MS,
+  } = options;
+
+  /**
+   * GET a SAM.gov endpoint with retries, returning parsed JSON
+   */
+  async function request(endpoint, params = {}) {
+    if (!apiKey) {
+      throw new SAMError('SAM_API_KEY is not configured', { code: 'MISSING_API_KEY' });
+    }
+
+    const query = new URLSearchParams({ api_key: apiKey });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+    });
+
+    return requestJSON({
+      url: `${baseUrl}${endpoint}?${query.toString()}`,
+      headers: { 'Accept': 'application/json' },
+      transport,
+      timeoutMs,
+      retries,
+      retryDelayMs,
+      errorClass: SAMError,
+      apiName: 'SAM.gov API',
+    });
+  }
+
+  /**
+   * Search exclusions by name, UEI and/or CAGE code
+   * page is zero-based, as in the API
+   */
+  async function searchExclusions({ name, uei, cage, state, page = 0, size = SAM_PAGE_SIZE } = {}) {
+    const data = await request('/entity-information/v3/exclusions', {
+      exclusionName: name,
+      ueiSAM: uei,
+      cageCode: cage,
+      stateProvince: state,
+      page,
+      size: Math.min(size, SAM_PAGE_SIZE),
+    });
+
+    return {
+      records: (data.excludedEntity || []).map(normalizeExclusionRecord),
+      totalRecords: data.totalRecords || 0,
+      page,
+    };
+  }
+
+  /**
+   * Search entity registrations by UEI, CAGE code and/or legal business name
+   */
+  async function searchEntities({ uei, cage, name, page = 0, size = SAM_PAGE_SIZE } = {}) {
+    const data = await request('/entity-information/v3/entities', {
+      ueiSAM: uei,
+      cageCode: cage,
+      legalBusinessName: name,
+      includeSections: ENTITY_SECTIONS,
+      page,
+      size: Math.min(size, SAM_PAGE_SIZE),
+    });
+
+    return {
+      records: (data.entityData || []).map(normalizeEntityRecord),
+      totalRecords: data.totalRecords || 0,
+      page,
+    };
+  }
+
+  return { configured: !!apiKey, request, searchExclusions, searchEntities };
+}
+
+module.exports = {
+  SAM_API_BASE,
+  SAM_PAGE_SIZE,
+  SAMError,
+  getSAMApiKey,
+  isExclusionActive,
+  normalizeExclusionRecord,
+  normalizeEntityRecord,
+  createSAMClient,
+};
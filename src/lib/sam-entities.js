@@ -0,0 +1,114 @@
+/**
+ * SAM.gov Entity Registration Lookup
+ * Fetches entity registrations (UEI, CAGE, dates, business types, NAICS,
+ * points of contact, parent entities) and flags registration timing risks
+ */
+
+const { createSAMClient, getSAMApiKey } = require('./sam-client');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // Registrations change rarely
+
+// Registration timing thresholds
+const LARGE_AWARD_MIN = 1000000;
+const RECENT_REGISTRATION_DAYS = 180; // Registered this close before a large award
+const VERY_RECENT_REGISTRATION_DAYS = 30;
+
+const entityCache = new Map();
+
+/**
+ * Look up an entity registration by UEI, CAGE code or legal business name
+ *
+ * Returns { entity, source, error }. entity is null when not found or when
+ * SAM_API_KEY is not configured (source is then null).
+ */
+async function lookupEntity(query = {}, options = {}) {
+  const { client = getSAMApiKey() ? createSAMClient() : null } = options;
+  if (!client?.configured) {
+    return { entity: null, source: null, error: null };
+  }
+
+  const cacheKey = JSON.stringify([query.uei || null, query.cage || null, query.name || null]);
+  const cached = entityCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return { entity: cached.entity, source: 'api', error: null };
+  }
+
+  try {
+    const data = await client.searchEntities(query);
+    const entity = data.records[0] || null;
+    entityCache.set(cacheKey, { entity, fetchedAt: Date.now() });
+    return { entity, source: 'api', error: null };
+  } catch (error) {
+    console.error('SAM.gov entity lookup error:', error.message);
+    return { entity: null, source: 'api', error: error.message };
+  }
+}
+
+/**
+ * Flag registration timing risks against an entity's awards
+ *
+ * - REGISTERED_BEFORE_LARGE_AWARD: SAM registration shortly before a large award started
+ * - REGISTRATION_LAPSED_DURING_PERFORMANCE: registration expired while an award was being performed
+ */
+function analyzeRegistrationRisk(entity, awards) {
+  const riskFactors = [];
+  if (!entity) return riskFactors;
+
+  const registered = new Date(entity.registrationDate);
+  if (!isNaN(registered)) {
+    const earlyAwards = awards
+      .filter(a => (parseFloat(a['Award Amount']) || 0) >= LARGE_AWARD_MIN)
+      .map(a => ({ award: a, days: (new Date(a['Start Date']) - registered) / DAY_MS }))
+      .filter(({ days }) => days >= 0 && days <= RECENT_REGISTRATION_DAYS);
+
+    if (earlyAwards.length > 0) {
+      const minDays = Math.min(...earlyAwards.map(e => e.days));
+      riskFactors.push({
+        type: 'REGISTERED_BEFORE_LARGE_AWARD',
+        severity: minDays <= VERY_RECENT_REGISTRATION_DAYS ? 'high' : 'medium',
+        description: `Registered in SAM ${Math.round(minDays)} days before a large award (${earlyAwards.length} award(s) over $${LARGE_AWARD_MIN / 1000000}M within ${RECENT_REGISTRATION_DAYS} days of registration)`,
+        details: earlyAwards.map(({ award, days }) => ({
+          id: award['Award ID'],
+          amount: award['Award Amount'],
+          startDate: award['Start Date'],
+          daysAfterRegistration: Math.round(days),
+        })),
+      });
+    }
+  }
+
+  const expires = new Date(entity.expirationDate);
+  const now = new Date();
+  const lapsed = (!isNaN(expires) && expires < now) ||
+    /expired|inactive/i.test(entity.registrationStatus || '');
+  if (lapsed && !isNaN(expires)) {
+    const affected = awards.filter(a => {
+      const start = new Date(a['Start Date']);
+      const end = new Date(a['End Date']);
+      return !isNaN(start) && !isNaN(end) && start < expires && end > expires;
+    });
+
+    if (affected.length > 0) {
+      const stillPerforming = affected.some(a => new Date(a['End Date']) > now);
+      riskFactors.push({
+        type: 'REGISTRATION_LAPSED_DURING_PERFORMANCE',
+        severity: stillPerforming ? 'high' : 'medium',
+        description: `SAM registration expired ${entity.expirationDate} while ${affected.length} award(s) were in performance`,
+        details: affected.map(a => ({
+          id: a['Award ID'],
+          amount: a['Award Amount'],
+          startDate: a['Start Date'],
+          endDate: a['End Date'],
+        })),
+      });
+    }
+  }
+
+  return riskFactors;
+}
+
+module.exports = {
+  lookupEntity,
+  analyzeRegistrationRisk,
+};
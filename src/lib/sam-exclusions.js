@@ -0,0 +1,172 @@
+/**
+ * SAM.gov Exclusion Lookup
+ * Searches the live Exclusions API when SAM_API_KEY is set, otherwise a locally
+ * loaded exclusions extract (SAM_EXCLUSIONS_FILE or downloads/sam-exclusions.json,
+ * written by src/ml/data/collect-sam-exclusions.js)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const {
+  createSAMClient,
+  getSAMApiKey,
+  isExclusionActive,
+  normalizeExclusionRecord,
+} = require('./sam-client');
+const { normalizeBusinessName } = require('./entity-resolution');
+
+const SAM_EXCLUSIONS_PATH = process.env.SAM_EXCLUSIONS_FILE ||
+  path.join(process.cwd(), 'src/ml/data/downloads/sam-exclusions.json');
+
+// Pages fetched per live search (the API returns 10 records per page)
+const MAX_LIVE_PAGES = 3;
+
+let extractCache = null;
+
+/**
+ * Index records by UEI, CAGE code and name token
+ */
+function buildIndex(records) {
+  const index = { byUei: new Map(), byCage: new Map(), byToken: new Map() };
+  const add = (map, key, position) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(position);
+  };
+
+  records.forEach((record, position) => {
+    add(index.byUei, (record.uei || '').toUpperCase(), position);
+    add(index.byCage, (record.cage || '').toUpperCase(), position);
+    new Set(record.normalizedName.split(' ')).forEach(token => add(index.byToken, token, position));
+  });
+
+  return index;
+}
+
+/**
+ * Load the local exclusions extract (cached until the file changes)
+ *
+ * Accepts { records: [...] } as written by the extract collector, a bare array of
+ * normalized records, or a saved API response ({ excludedEntity: [...] }) as a fixture.
+ */
+async function loadSAMExclusions() {
+  let stat;
+  try {
+    stat = await fs.stat(SAM_EXCLUSIONS_PATH);
+  } catch (error) {
+    return null;
+  }
+
+  if (extractCache && extractCache.mtimeMs === stat.mtimeMs) {
+    return extractCache.data;
+  }
+
+  const raw = JSON.parse(await fs.readFile(SAM_EXCLUSIONS_PATH, 'utf-8'));
+  const records = raw.excludedEntity
+    ? raw.excludedEntity.map(normalizeExclusionRecord)
+    : (Array.isArray(raw) ? raw : raw.records || []);
+
+  const data = {
+    records: records.map(r => ({ ...r, normalizedName: r.normalizedName || normalizeBusinessName(r.name) })),
+    generatedAt: raw.generatedAt || null,
+  };
+  data.index = buildIndex(data.records);
+  extractCache = { mtimeMs: stat.mtimeMs, data };
+  console.log(`Loaded ${data.records.length} SAM exclusion records from ${SAM_EXCLUSIONS_PATH}`);
+  return data;
+}
+
+/**
+ * Search the local extract by name, UEI, CAGE code and/or state
+ * Offline lookup: never touches the network. Returns null when no extract is loaded.
+ */
+async function searchLocalExclusions({ name, uei, cage, state } = {}) {
+  const extract = await loadSAMExclusions();
+  if (!extract) return null;
+
+  const { records, index } = extract;
+  const nameTokens = [...new Set(normalizeBusinessName(name).split(' ').filter(Boolean))];
+  const ueiUpper = uei ? uei.toUpperCase() : null;
+  const cageUpper = cage ? cage.toUpperCase() : null;
+
+  // Narrow to candidates from the most selective index available
+  let candidates;
+  if (ueiUpper) {
+    candidates = index.byUei.get(ueiUpper) || [];
+  } else if (cageUpper) {
+    candidates = index.byCage.get(cageUpper) || [];
+  } else if (nameTokens.length > 0) {
+    const postings = nameTokens.map(token => index.byToken.get(token) || []);
+    candidates = postings.reduce((smallest, list) => (list.length < smallest.length ? list : smallest));
+  } else {
+    candidates = records.map((r, position) => position);
+  }
+
+  const matches = candidates.map(position => records[position]).filter(r => {
+    if (ueiUpper && (r.uei || '').toUpperCase() !== ueiUpper) return false;
+    if (cageUpper && (r.cage || '').toUpperCase() !== cageUpper) return false;
+    if (state && r.address?.state !== state) return false;
+    if (nameTokens.length > 0) {
+      const recordTokens = r.normalizedName.split(' ');
+      // Every query token must appear in the record name
+      if (!nameTokens.every(token => recordTokens.includes(token))) return false;
+    }
+    return true;
+  });
+
+  return {
+    records: matches.map(({ normalizedName, ...r }) => ({ ...r, isActive: isExclusionActive(r) })),
+    totalRecords: matches.length,
+    generatedAt: extract.generatedAt,
+  };
+}
+
+/**
+ * Find exclusions for an entity
+ *
+ * Returns { source, records, totalRecords, error } where source is 'api', 'extract',
+ * or null when neither an API key nor a local extract is available. A failed API call
+ * falls back to the extract and reports the error. offline: true skips the API.
+ */
+async function findExclusions(query = {}, options = {}) {
+  const { offline = false, client = getSAMApiKey() ? createSAMClient() : null } = options;
+  let apiError = null;
+
+  if (!offline && client?.configured) {
+    try {
+      const records = [];
+      let totalRecords = 0;
+      for (let page = 0; page < MAX_LIVE_PAGES; page++) {
+        const data = await client.searchExclusions({ ...query, page });
+        records.push(...data.records);
+        totalRecords = data.totalRecords;
+        if (records.length >= totalRecords || data.records.length === 0) break;
+      }
+      return { source: 'api', records, totalRecords, error: null };
+    } catch (error) {
+      console.error('SAM.gov exclusions API error:', error.message);
+      apiError = error.message;
+    }
+  }
+
+  const local = await searchLocalExclusions(query);
+  if (local) {
+    return {
+      source: 'extract',
+      records: local.records,
+      totalRecords: local.totalRecords,
+      extractDate: local.generatedAt,
+      error: apiError,
+    };
+  }
+
+  return { source: null, records: [], totalRecords: 0, error: apiError };
+}
+
+module.exports = {
+  SAM_EXCLUSIONS_PATH,
+  loadSAMExclusions,
+  searchLocalExclusions,
+  findExclusions,
+};
@@ -0,0 +1,56 @@
+/**
+ * Script Utilities
+ * Small helpers shared by the command-line data scripts (collectors, warehouse
+ * sync, bulk pulls) and the API clients they drive.
+ */
+
+/**
+ * Parse --flag [value] pairs from argv
+ * A flag followed by another flag (or nothing) is true.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[argv[i].substring(2)] = next;
+      i++;
+    } else {
+      args[argv[i].substring(2)] = true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Sleep for ms milliseconds
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run fn(item, index) over items, at most concurrency at a time
+ * Resolves the results in item order; rejects on the first failure.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  parseArgs,
+  delay,
+  mapWithConcurrency,
+};
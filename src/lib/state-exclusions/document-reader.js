@@ -0,0 +1,294 @@
+/**
+ * State Exclusion Document Reader
+ * Turns the documents states publish their Medicaid exclusion lists as
+ * (CSV, XLSX spreadsheets, PDF tables) into rows of header-keyed cells, so
+ * state parsers only deal with column names and values.
+ *
+ * XLSX files are read with unzip and PDFs with pdftotext (poppler-utils),
+ * run with execFile so file names never pass through a shell.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+
+const { readCSVRecords } = require('../csv-reader');
+
+const execFileAsync = promisify(execFile);
+
+// Large enough for a statewide list rendered as text or sheet XML
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Error raised when a document can't be read as a table
+ */
+class DocumentFormatError extends Error {
+  constructor(message, { file = null } = {}) {
+    super(message);
+    this.name = 'DocumentFormatError';
+    this.file = file;
+  }
+}
+
+/**
+ * Helper: lowercase a header cell and collapse whitespace and punctuation
+ */
+function normalizeHeader(value) {
+  return (value || '').toString().toLowerCase().replace(/[^a-z0-9/]+/g, ' ').trim();
+}
+
+/**
+ * Map header cells to fields
+ *
+ * headerSynonyms is { field: ['provider name', 'name', ...] }; the first synonym
+ * matching a header cell exactly wins, and each cell is used once.
+ * Returns { field: cellIndex } for the fields found.
+ */
+function mapHeader(cells, headerSynonyms) {
+  const normalized = cells.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  Object.entries(headerSynonyms).forEach(([field, synonyms]) => {
+    for (const synonym of synonyms) {
+      const index = normalized.findIndex((cell, i) => !used.has(i) && cell === synonym);
+      if (index !== -1) {
+        mapping[field] = index;
+        used.add(index);
+        return;
+      }
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Helper: key a row of cells by field using a header mapping
+ */
+function keyRow(cells, mapping) {
+  const row = {};
+  Object.entries(mapping).forEach(([field, index]) => {
+    row[field] = (cells[index] || '').toString().trim();
+  });
+  return row;
+}
+
+/**
+ * Helper: first line among the first rows that maps at least minFields fields
+ */
+function findHeader(rows, headerSynonyms, minFields) {
+  for (let i = 0; i < Math.min(rows.length, 50); i++) {
+    const mapping = mapHeader(rows[i], headerSynonyms);
+    if (Object.keys(mapping).length >= minFields) return { index: i, mapping };
+  }
+  return null;
+}
+
+/**
+ * Helper: spreadsheet column letters (A, B, ..., AA) to a 0-based index
+ */
+function columnIndex(letters) {
+  return letters.split('').reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Helper: decode the XML entities used in sheet text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Helper: concatenated <t> text of a shared or inline string
+ */
+function stringText(xml) {
+  return decodeXml([...xml.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(m => m[1]).join(''));
+}
+
+/**
+ * Helper: attribute value from an XML start tag's attributes
+ */
+function xmlAttribute(attrs, name) {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Helper: archive path of a worksheet, resolved from workbook.xml and its relationships
+ * Picks the named sheet, or the first visible one. Returns null when none is found.
+ */
+function resolveSheetPath(workbook, relationships, sheetName) {
+  const sheets = [...workbook.matchAll(/<sheet\s([^>]*?)\/?>/g)].map(([, attrs]) => ({
+    name: xmlAttribute(attrs, 'name'),
+    state: xmlAttribute(attrs, 'state'),
+    relationshipId: xmlAttribute(attrs, 'r:id'),
+  }));
+  const sheet = sheetName
+    ? sheets.find(s => s.name === sheetName)
+    : sheets.find(s => !s.state || s.state === 'visible');
+  if (!sheet) return null;
+
+  const relationship = [...relationships.matchAll(/<Relationship\s([^>]*?)\/?>/g)]
+    .map(([, attrs]) => ({ id: xmlAttribute(attrs, 'Id'), target: xmlAttribute(attrs, 'Target') }))
+    .find(r => r.id === sheet.relationshipId);
+  if (!relationship?.target) return null;
+
+  // Targets are relative to xl/ unless they start at the package root
+  return relationship.target.startsWith('/')
+    ? relationship.target.substring(1)
+    : path.posix.join('xl', relationship.target);
+}
+
+/**
+ * Read a worksheet of an XLSX file as rows of cell strings
+ * sheet names the worksheet; by default the first visible sheet in workbook order.
+ * Numeric cells come back as their stored value (dates as Excel serial numbers).
+ */
+async function readXLSXCells(filePath, { sheet: sheetName = null } = {}) {
+  const unzip = (member) => execFileAsync('unzip', ['-p', filePath, member], { maxBuffer: MAX_BUFFER, timeout: 120000 })
+    .then(({ stdout }) => stdout)
+    .catch(() => '');
+
+  const [workbook, relationships] = await Promise.all([unzip('xl/workbook.xml'), unzip('xl/_rels/workbook.xml.rels')]);
+  const sheetPath = resolveSheetPath(workbook, relationships, sheetName) || (sheetName ? null : 'xl/worksheets/sheet1.xml');
+  const sheet = sheetPath ? await unzip(sheetPath) : '';
+  if (!sheet) {
+    const which = sheetName ? `worksheet "${sheetName}"` : 'worksheet';
+    throw new DocumentFormatError(`No ${which} found in spreadsheet`, { file: filePath });
+  }
+  const shared = [...(await unzip('xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => stringText(m[1]));
+
+  const rows = [];
+  for (const [, rowXml] of sheet.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)) {
+    const cells = [];
+    for (const [, attrs, body = ''] of rowXml.matchAll(/<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = (attrs.match(/r="([A-Z]+)\d+"/) || [])[1];
+      const type = (attrs.match(/t="([^"]+)"/) || [])[1];
+      const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let text = '';
+      if (type === 's') text = shared[parseInt(value, 10)] || '';
+      else if (type === 'inlineStr') text = stringText(body);
+      else if (value !== undefined) text = decodeXml(value);
+
+      cells[ref ? columnIndex(ref) : cells.length] = text;
+    }
+    rows.push(Array.from(cells, cell => cell || ''));
+  }
+  return rows;
+}
+
+/**
+ * Read a PDF's text with its page layout preserved (requires pdftotext)
+ */
+async function readPDFLines(filePath) {
+  try {
+    const { stdout } = await execFileAsync('pdftotext', ['-layout', filePath, '-'], { maxBuffer: MAX_BUFFER, timeout: 120000 });
+    return stdout.split(/\r?\n/);
+  } catch (error) {
+    throw new DocumentFormatError(`Could not extract PDF text (is pdftotext installed?): ${error.message}`, { file: filePath });
+  }
+}
+
+/**
+ * Split a layout-preserved text table into rows by the header's column positions
+ *
+ * Columns start where their header text starts. A line with nothing in the first
+ * column continues the previous row (wrapped cells). Page headers repeat, so each
+ * one resets the column positions; text before the first header is skipped.
+ */
+function splitLayoutTable(lines, headerSynonyms, minFields) {
+  let header = null;
+  const rows = [];
+
+  lines.forEach(line => {
+    if (!line.trim()) return;
+
+    // Headers repeat on every page; take column positions from each occurrence
+    const cells = line.trim().split(/\s{2,}/);
+    const mapping = mapHeader(cells, headerSynonyms);
+    if (Object.keys(mapping).length >= minFields) {
+      let from = 0;
+      const starts = cells.map(cell => {
+        const start = line.indexOf(cell, from);
+        from = start + cell.length;
+        return start;
+      });
+      header = { mapping, starts };
+      return;
+    }
+    if (!header) return;
+
+    const values = header.starts.map((start, i) => {
+      const end = i + 1 < header.starts.length ? header.starts[i + 1] : line.length;
+      return line.substring(start, end).trim();
+    });
+    const row = keyRow(values, header.mapping);
+
+    if (!values[0] && rows.length > 0) {
+      const previous = rows[rows.length - 1];
+      Object.entries(row).forEach(([field, value]) => {
+        if (value) previous[field] = previous[field] ? `${previous[field]} ${value}` : value;
+      });
+    } else if (values.some(Boolean)) {
+      rows.push(row);
+    }
+  });
+
+  if (!header) {
+    throw new DocumentFormatError('No table header found in PDF text');
+  }
+  return rows;
+}
+
+/**
+ * Read a state exclusion document as rows keyed by field
+ *
+ * Supports .csv, .xlsx and .pdf. headerSynonyms maps fields to accepted header
+ * names (lowercase); the header row is the first that matches at least minFields.
+ * Returns [{ field: value }].
+ */
+async function readDocumentRows(filePath, headerSynonyms, { minFields = 2 } = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.pdf') {
+    return splitLayoutTable(await readPDFLines(filePath), headerSynonyms, minFields);
+  }
+
+  let cells;
+  if (extension === '.xlsx') {
+    cells = await readXLSXCells(filePath);
+  } else if (extension === '.csv') {
+    // Raw records: the header row isn't necessarily the first line
+    cells = [];
+    for await (const { values } of readCSVRecords(filePath)) {
+      cells.push(values);
+    }
+  } else {
+    throw new DocumentFormatError(`Unsupported document type: ${extension || 'none'}`, { file: filePath });
+  }
+
+  const header = findHeader(cells, headerSynonyms, minFields);
+  if (!header) {
+    throw new DocumentFormatError('No table header found in spreadsheet', { file: filePath });
+  }
+  return cells
+    .slice(header.index + 1)
+    .filter(row => row.some(cell => (cell || '').toString().trim()))
+    .map(row => keyRow(row, header.mapping));
+}
+
+module.exports = {
+  DocumentFormatError,
+  mapHeader,
+  splitLayoutTable,
+  readXLSXCells,
+  readDocumentRows,
+};
@@ -0,0 +1,64 @@
+/**
+ * State Medicaid Exclusion Lists
+ * Parsers for the exclusion documents state Medicaid agencies publish, keyed
+ * by state. Each parser module exports:
+ *
+ *   state          postal code the list covers
+ *   source         list name shown with matches (e.g. 'MassHealth')
+ *   program        program the exclusion applies to (e.g. 'Medicaid')
+ *   sourceUrl      where the document is published
+ *   headerSynonyms { field: [accepted lowercase header names] } for document-reader
+ *   parseRow(row)  header-keyed row -> LEIE-shaped row (LASTNAME, BUSNAME, EXCLDATE...
+ *                  as camelCase), or null to skip it
+ *
+ * To add a state, write its parser and register it in PARSERS.
+ * Parsed lists are merged into one file (written by
+ * src/ml/data/collect-state-exclusions.js) in the LEIE export schema.
+ */
+
+const path = require('path');
+
+const { readDocumentRows } = require('./document-reader');
+
+const PARSERS = {
+  MA: require('./masshealth'),
+};
+
+// Every state's parsed list, in the LEIE export schema
+const STATE_EXCLUSIONS_PATH = process.env.STATE_EXCLUSIONS_FILE ||
+  path.join(process.cwd(), 'src/ml/data/downloads/state-exclusions.json');
+
+/**
+ * Parser for a state, or null when none is registered
+ */
+function getParser(state) {
+  return PARSERS[(state || '').toUpperCase()] || null;
+}
+
+/**
+ * Registered parsers as [{ state, source, program, sourceUrl }]
+ */
+function listParsers() {
+  return Object.values(PARSERS).map(({ state, source, program, sourceUrl }) => ({ state, source, program, sourceUrl }));
+}
+
+/**
+ * Parse a state's exclusion document into LEIE-shaped rows
+ * Throws when no parser is registered for the state.
+ */
+async function parseStateExclusions(state, filePath) {
+  const parser = getParser(state);
+  if (!parser) {
+    throw new Error(`No exclusion list parser for ${state}; available: ${Object.keys(PARSERS).join(', ')}`);
+  }
+
+  const rows = await readDocumentRows(filePath, parser.headerSynonyms);
+  return rows.map(parser.parseRow).filter(Boolean);
+}
+
+module.exports = {
+  STATE_EXCLUSIONS_PATH,
+  getParser,
+  listParsers,
+  parseStateExclusions,
+};
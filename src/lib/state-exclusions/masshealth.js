@@ -0,0 +1,112 @@
+/**
+ * MassHealth Exclusion Parser
+ * Reads the "List of Suspended or Excluded MassHealth Providers" that EOHHS
+ * publishes monthly (PDF, sometimes a spreadsheet) into LEIE-shaped rows.
+ *
+ * Source: https://www.mass.gov/info-details/learn-about-suspended-or-excluded-masshealth-providers
+ */
+
+const { looksLikeBusiness } = require('../entity-resolution');
+
+// Accepted header names per field (lowercased, punctuation collapsed to spaces)
+const HEADER_SYNONYMS = {
+  name: ['provider name', 'name', 'provider', 'individual/entity name', 'excluded party'],
+  providerType: ['provider type', 'type', 'specialty', 'provider specialty', 'profession'],
+  npi: ['npi', 'npi number', 'national provider identifier'],
+  providerId: ['provider id', 'masshealth provider id', 'medicaid id', 'license', 'license number'],
+  address: ['address', 'street address', 'provider address'],
+  city: ['city', 'city/town', 'town'],
+  zip: ['zip', 'zip code', 'zipcode', 'postal code'],
+  action: ['action', 'status', 'sanction', 'action taken', 'suspension/exclusion'],
+  reason: ['reason', 'reason for action', 'basis', 'authority', 'reason for exclusion'],
+  effectiveDate: ['effective date', 'date of action', 'start date', 'exclusion date', 'suspension date', 'date'],
+  endDate: ['end date', 'reinstatement date', 'expiration date', 'through date'],
+};
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// Two-digit years up to this many years ahead are 20yy, later ones 19yy
+// (end dates of time-limited exclusions can fall a few years out)
+const TWO_DIGIT_YEAR_LOOKAHEAD = 10;
+
+/**
+ * Helper: a two-digit year as four digits, pivoting on the current year
+ */
+function expandYear(twoDigits, now = new Date()) {
+  const currentYear = now.getFullYear();
+  const year = Math.floor(currentYear / 100) * 100 + parseInt(twoDigits, 10);
+  return String(year > currentYear + TWO_DIGIT_YEAR_LOOKAHEAD ? year - 100 : year);
+}
+
+/**
+ * Helper: a document date (MM/DD/YYYY, MM/DD/YY, YYYY-MM-DD or an Excel serial) as YYYYMMDD
+ */
+function toLEIEDate(value) {
+  const text = (value || '').toString().trim();
+  let match;
+
+  if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/))) {
+    const year = match[3].length === 2 ? expandYear(match[3]) : match[3];
+    return `${year}${match[1].padStart(2, '0')}${match[2].padStart(2, '0')}`;
+  }
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return `${match[1]}${match[2]}${match[3]}`;
+  }
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    return new Date(EXCEL_EPOCH + Math.floor(parseFloat(text)) * 86400000)
+      .toISOString().substring(0, 10).replace(/-/g, '');
+  }
+  return '';
+}
+
+/**
+ * Helper: split "LAST, FIRST M" into LEIE name columns
+ */
+function splitPersonName(name) {
+  const [last, given = ''] = name.split(/,(.*)/s).map(part => part.trim());
+  const [first = '', ...middle] = given.split(/\s+/).filter(Boolean);
+  return { lastName: last, firstName: first, middleName: middle.join(' ') };
+}
+
+/**
+ * Convert a document row to an LEIE-shaped row (see collect-oig-exclusions LEIE_COLUMNS)
+ * Returns null for rows without a provider name (page footers, notes).
+ */
+function parseRow(row) {
+  const name = (row.name || '').replace(/\s+/g, ' ').trim();
+  if (!name || !/[a-z]/i.test(name)) return null;
+
+  // Individuals are listed "LAST, FIRST"; anything else is an organization
+  const isEntity = !name.includes(',') || looksLikeBusiness(name);
+  const person = isEntity ? { lastName: '', firstName: '', middleName: '' } : splitPersonName(name);
+  const npi = (row.npi || '').replace(/\D/g, '');
+
+  return {
+    ...person,
+    busName: isEntity ? name : '',
+    general: row.providerType || '',
+    specialty: row.providerType || '',
+    npi: npi.length === 10 ? npi : '',
+    providerId: row.providerId || '',
+    address: row.address || '',
+    city: row.city || '',
+    state: 'MA',
+    zip: (row.zip || '').replace(/[^\d-]/g, '').substring(0, 5),
+    exclType: [row.action, row.reason].filter(Boolean).join(' - '),
+    exclDate: toLEIEDate(row.effectiveDate),
+    reinstDate: toLEIEDate(row.endDate),
+    waiverDate: '',
+    waiverState: '',
+  };
+}
+
+module.exports = {
+  state: 'MA',
+  source: 'MassHealth',
+  program: 'Medicaid',
+  sourceUrl: 'https://www.mass.gov/info-details/learn-about-suspended-or-excluded-masshealth-providers',
+  headerSynonyms: HEADER_SYNONYMS,
+  parseRow,
+  toLEIEDate,
+};
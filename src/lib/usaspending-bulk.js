@@ -0,0 +1,225 @@
+/**
+ * USASpending Bulk Award Pull
+ * Walks every page of spending_by_award for a recipient or state, with
+ * rate limiting and on-disk checkpoints so a long pull can resume after a crash
+ *
+ * Usage:
+ *   node src/lib/usaspending-bulk.js --recipient "Raytheon"
+ *   node src/lib/usaspending-bulk.js --state MA --start 2022-01-01
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+  usaspending,
+  buildAwardFilters,
+  MAX_PAGE_SIZE,
+} = require('./usaspending-client');
+const { parseArgs, delay } = require('./script-utils');
+
+const CHECKPOINT_DIR = path.join(process.cwd(), 'src/ml/data/downloads/usaspending-checkpoints');
+
+// Minimum spacing between page requests to stay well under the API rate limit
+const DEFAULT_MIN_INTERVAL_MS = 500;
+
+/**
+ * Stable key for a filter set, used to name checkpoint files
+ */
+function checkpointKey(filters) {
+  return crypto.createHash('sha1').update(JSON.stringify(filters)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Load checkpoint state, or null if none exists for these filters
+ */
+async function loadCheckpoint(statePath, filters) {
+  try {
+    const state = JSON.parse(await fs.readFile(statePath, 'utf-8'));
+    // Ignore checkpoints written for a different filter set
+    if (JSON.stringify(state.filters) !== JSON.stringify(filters)) return null;
+    return state;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save checkpoint state through a temp file so a crash never leaves a partial state file
+ */
+async function saveCheckpoint(statePath, state) {
+  const tmpPath = `${statePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+  await fs.rename(tmpPath, statePath);
+}
+
+/**
+ * Iterate every award matching filters, one page at a time
+ *
+ * Yields { awards, page, fetched } per page. When checkpointDir is set, the awards
+ * from each page are appended to <key>.jsonl and the cursor, with the .jsonl length
+ * it covers, is saved to <key>.json after the page is written. A restarted pull
+ * truncates awards appended after the last saved cursor (a crash between the two
+ * writes) and continues from the next page.
+ */
+async function* iterateAwardPages(filters, options = {}) {
+  const {
+    client = usaspending,
+    pageSize = MAX_PAGE_SIZE,
+    minIntervalMs = DEFAULT_MIN_INTERVAL_MS,
+    maxAwards = Infinity,
+    checkpointDir = null,
+    sort,
+    order,
+  } = options;
+
+  const key = checkpointKey(filters);
+  const statePath = checkpointDir ? path.join(checkpointDir, `${key}.json`) : null;
+  const awardsPath = checkpointDir ? path.join(checkpointDir, `${key}.jsonl`) : null;
+
+  let state = statePath ? await loadCheckpoint(statePath, filters) : null;
+  if (!state) {
+    state = { filters, page: 1, lastRecord: null, fetched: 0, bytes: 0, complete: false, startedAt: new Date().toISOString() };
+    if (checkpointDir) {
+      await fs.mkdir(checkpointDir, { recursive: true });
+      await fs.writeFile(awardsPath, '');
+    }
+  } else if (state.bytes !== undefined) {
+    await fs.truncate(awardsPath, state.bytes);
+  }
+
+  let lastRequestAt = 0;
+
+  while (!state.complete && state.fetched < maxAwards) {
+    const wait = lastRequestAt + minIntervalMs - Date.now();
+    if (wait > 0) await delay(wait);
+    lastRequestAt = Date.now();
+
+    const data = await client.searchAwards({
+      filters,
+      page: state.page,
+      limit: pageSize,
+      lastRecord: state.lastRecord,
+      sort,
+      order,
+    });
+
+    const awards = data.results;
+    state.fetched += awards.length;
+    state.complete = !data.hasNext || awards.length === 0;
+    state.lastRecord = data.lastRecord;
+    state.page += 1;
+    state.updatedAt = new Date().toISOString();
+
+    if (checkpointDir) {
+      if (awards.length > 0) {
+        const lines = awards.map(a => JSON.stringify(a)).join('\n') + '\n';
+        await fs.appendFile(awardsPath, lines);
+        state.bytes = (state.bytes || 0) + Buffer.byteLength(lines);
+      }
+      await saveCheckpoint(statePath, state);
+    }
+
+    yield { awards, page: state.page - 1, fetched: state.fetched, complete: state.complete };
+  }
+}
+
+/**
+ * Pull all awards matching filters into memory
+ *
+ * With a checkpointDir, awards saved by an interrupted run are reloaded first
+ * and the pull resumes from the saved cursor.
+ */
+async function pullAllAwards(filters, options = {}) {
+  const { checkpointDir = null, onPage = null } = options;
+  const awards = [];
+
+  if (checkpointDir) {
+    const key = checkpointKey(filters);
+    const state = await loadCheckpoint(path.join(checkpointDir, `${key}.json`), filters);
+    if (state) {
+      // Only what the saved cursor covers; later lines are re-fetched
+      const saved = await fs.readFile(path.join(checkpointDir, `${key}.jsonl`)).catch(() => Buffer.alloc(0));
+      saved.subarray(0, state.bytes ?? saved.length).toString('utf-8')
+        .split('\n').filter(Boolean).forEach(line => awards.push(JSON.parse(line)));
+    }
+  }
+
+  let complete = false;
+  let pages = 0;
+  for await (const page of iterateAwardPages(filters, options)) {
+    awards.push(...page.awards);
+    complete = page.complete;
+    pages++;
+    if (onPage) onPage(page);
+  }
+
+  // A checkpoint that already finished yields no further pages
+  if (pages === 0 && checkpointDir) {
+    const state = await loadCheckpoint(path.join(checkpointDir, `${checkpointKey(filters)}.json`), filters);
+    complete = !!state?.complete;
+  }
+
+  return { awards, complete };
+}
+
+/**
+ * Pull a recipient's complete award history
+ */
+async function pullRecipientAwards(recipientText, options = {}) {
+  const { startDate, endDate, awardTypes, ...pullOptions } = options;
+  const filters = buildAwardFilters({ startDate, endDate, awardTypes, recipientText });
+  return pullAllAwards(filters, pullOptions);
+}
+
+/**
+ * Pull every award performed in a state
+ */
+async function pullStateAwards(stateCode, options = {}) {
+  const { startDate, endDate, awardTypes, minAmount, ...pullOptions } = options;
+  const filters = buildAwardFilters({ startDate, endDate, awardTypes, minAmount, states: stateCode });
+  return pullAllAwards(filters, pullOptions);
+}
+
+// Main execution
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.recipient && !args.state) {
+    console.error('Usage: usaspending-bulk.js --recipient <name> | --state <code> [--start YYYY-MM-DD] [--end YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  const options = {
+    startDate: args.start,
+    endDate: args.end,
+    checkpointDir: CHECKPOINT_DIR,
+    onPage: page => console.log(`  Page ${page.page}: ${page.fetched} awards fetched`),
+  };
+
+  try {
+    console.log(`Pulling awards for ${args.recipient ? `recipient "${args.recipient}"` : `state ${args.state}`}...`);
+    const { awards, complete } = args.recipient
+      ? await pullRecipientAwards(args.recipient, options)
+      : await pullStateAwards(args.state, options);
+
+    console.log(`\n${complete ? 'Pull complete' : 'Pull stopped early'}: ${awards.length} awards`);
+    console.log(`Checkpoint data in ${CHECKPOINT_DIR}`);
+  } catch (error) {
+    console.error('Pull failed (re-run to resume from checkpoint):', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CHECKPOINT_DIR,
+  iterateAwardPages,
+  pullAllAwards,
+  pullRecipientAwards,
+  pullStateAwards,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,290 @@
+/**
+ * USASpending.gov API Client
+ * Shared client for the v2 API used by server actions, API routes and the training pipeline
+ *
+ * Docs: https://api.usaspending.gov/docs/endpoints
+ */
+
+const {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRIES,
+  RETRY_BASE_DELAY_MS,
+  fetchTransport,
+  curlTransport,
+  requestJSON,
+} = require('./http-client');
+
+const USASPENDING_BASE = process.env.USASPENDING_BASE_URL || 'https://api.usaspending.gov/api/v2';
+
+const DEFAULT_HEADERS = {
+  'Content-Type': 'application/json',
+  'Accept': 'application/json',
+  'User-Agent': 'FalseClaimsSuite/1.0',
+};
+
+// Contract award types (definitive contracts, purchase orders, delivery/task orders, BPA calls)
+const CONTRACT_AWARD_TYPES = ['A', 'B', 'C', 'D'];
+
+// Field list requested for every spending_by_award search so all views see the same columns
+const AWARD_FIELDS = [
+  'Award ID',
+  'Recipient Name',
+  'Award Amount',
+  'Total Outlays',
+  'Description',
+  'Start Date',
+  'End Date',
+  'Awarding Agency',
+  'Awarding Sub Agency',
+  'Contract Award Type',
+  'recipient_id',
+  'Recipient UEI',
+  'generated_internal_id',
+  'Place of Performance City',
+  'Place of Performance State Code',
+  'NAICS Code',
+  'NAICS Description',
+  'Last Modified Date',
+];
+
+const DEFAULT_SORT = 'Award Amount';
+const DEFAULT_ORDER = 'desc';
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Error raised for any failed USASpending request
+ *
+ * code is one of TIMEOUT, NETWORK_ERROR, HTTP_ERROR, INVALID_RESPONSE
+ */
+class USASpendingError extends Error {
+  constructor(message, { code, status = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'USASpendingError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Helper: ISO date (YYYY-MM-DD)
+ */
+function toISODate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Build a { startDate, endDate } window ending today
+ */
+function dateRangeFromDays(days) {
+  return {
+    startDate: toISODate(new Date(Date.now() - days * 24 * 60 * 60 * 1000)),
+    endDate: toISODate(new Date()),
+  };
+}
+
+/**
+ * @typedef {Object} AwardFilterOptions
+ * @property {string} [startDate] - YYYY-MM-DD, defaults to 2020-01-01
+ * @property {string} [endDate] - YYYY-MM-DD, defaults to today
+ * @property {string} [dateType] - date the time period applies to (action_date, last_modified_date, ...)
+ * @property {string[]} [awardTypes] - award type codes, defaults to contracts
+ * @property {string} [recipientText] - free-text recipient name/UEI search
+ * @property {string|string[]} [states] - place of performance state code(s)
+ * @property {number} [minAmount] - lower bound on award amount
+ * @property {number} [maxAmount] - upper bound on award amount
+ * @property {string} [awardingAgency] - top-tier awarding agency name
+ */
+
+/**
+ * Build spending_by_award filters from plain options
+ * @param {AwardFilterOptions} options
+ */
+function buildAwardFilters(options = {}) {
+  const {
+    startDate = '2020-01-01',
+    endDate = toISODate(new Date()),
+    dateType = null,
+    awardTypes = CONTRACT_AWARD_TYPES,
+    recipientText = null,
+    states = null,
+    minAmount = null,
+    maxAmount = null,
+    awardingAgency = null,
+  } = options;
+
+  const timePeriod = { start_date: startDate, end_date: endDate };
+  if (dateType) timePeriod.date_type = dateType;
+
+  const filters = {
+    time_period: [timePeriod],
+    award_type_codes: awardTypes,
+  };
+
+  if (recipientText) {
+    filters.recipient_search_text = [recipientText];
+  }
+
+  if (states) {
+    const stateList = Array.isArray(states) ? states : [states];
+    filters.place_of_performance_locations = stateList.map(state => ({ country: 'USA', state }));
+  }
+
+  if (minAmount !== null || maxAmount !== null) {
+    const bounds = {};
+    if (minAmount !== null) bounds.lower_bound = minAmount;
+    if (maxAmount !== null) bounds.upper_bound = maxAmount;
+    filters.award_amounts = [bounds];
+  }
+
+  if (awardingAgency) {
+    filters.agencies = [{ type: 'awarding', tier: 'toptier', name: awardingAgency }];
+  }
+
+  return filters;
+}
+
+/**
+ * Create a USASpending client
+ *
+ * Options:
+ * - baseUrl: API root (override to point at a local fixture server)
+ * - transport: fetchTransport (default), curlTransport, or any compatible function (see http-client.js)
+ * - timeoutMs: per-attempt timeout
+ * - retries: retry attempts for timeouts, network errors, 429 and 5xx responses
+ */
+function createUSASpendingClient(options = {}) {
+  const {
+    baseUrl = USASPENDING_BASE,
+    transport = fetchTransport,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = RETRY_BASE_DELAY_MS,
+  } = options;
+
+  /**
+   * Send a request with retries and exponential backoff, returning parsed JSON
+   */
+  async function request(method, endpoint, payload = null) {
+    return requestJSON({
+      url: `${baseUrl}${endpoint}`,
+      method,
+      headers: DEFAULT_HEADERS,
+      body: payload ? JSON.stringify(payload) : undefined,
+      transport,
+      timeoutMs,
+      retries,
+      retryDelayMs,
+      errorClass: USASpendingError,
+      apiName: 'USASpending API',
+    });
+  }
+
+  /**
+   * Search spending_by_award with the shared field list, sort and pagination
+   */
+  async function searchAwards({
+    filters,
+    fields = AWARD_FIELDS,
+    page = 1,
+    limit = 50,
+    sort = DEFAULT_SORT,
+    order = DEFAULT_ORDER,
+    lastRecord = null,
+  }) {
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    const payload = {
+      filters,
+      fields,
+      page,
+      limit: pageSize,
+      sort,
+      order,
+    };
+
+    // Keyset pagination avoids the API's deep-paging window on large pulls
+    if (lastRecord) {
+      payload.last_record_unique_id = lastRecord.uniqueId;
+      payload.last_record_sort_value = lastRecord.sortValue;
+    }
+
+    const data = await request('POST', '/search/spending_by_award/', payload);
+
+    const meta = data.page_metadata || {};
+    const total = meta.total || 0;
+    return {
+      results: data.results || [],
+      page: meta.page || page,
+      hasNext: !!meta.hasNext,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      limit: pageSize,
+      lastRecord: meta.last_record_unique_id !== undefined && meta.last_record_unique_id !== null
+        ? { uniqueId: meta.last_record_unique_id, sortValue: meta.last_record_sort_value }
+        : null,
+    };
+  }
+
+  /**
+   * Get a recipient profile by recipient_id
+   */
+  async function getRecipient(recipientId) {
+    return request('GET', `/recipient/${encodeURIComponent(recipientId)}/`);
+  }
+
+  /**
+   * Get the child recipients of a parent recipient by the parent's UEI (or DUNS)
+   * Returns [{ recipient_id, name, uei, duns, state_province, amount }]
+   */
+  async function getRecipientChildren(parentUei) {
+    const data = await request('GET', `/recipient/children/${encodeURIComponent(parentUei)}/`);
+    return Array.isArray(data) ? data : [];
+  }
+
+  /**
+   * Get award detail (period of performance, ceiling, latest FPDS data) by generated_internal_id
+   */
+  async function getAward(generatedInternalId) {
+    return request('GET', `/awards/${encodeURIComponent(generatedInternalId)}/`);
+  }
+
+  /**
+   * Get one page of an award's transactions (base award and modifications), oldest first
+   */
+  async function getTransactions(generatedInternalId, { page = 1, limit = MAX_PAGE_SIZE } = {}) {
+    const data = await request('POST', '/transactions/', {
+      award_id: generatedInternalId,
+      page,
+      limit: Math.min(limit, MAX_PAGE_SIZE),
+      sort: 'action_date',
+      order: 'asc',
+    });
+
+    return {
+      results: data.results || [],
+      page: data.page_metadata?.page || page,
+      hasNext: !!data.page_metadata?.hasNext,
+    };
+  }
+
+  return { request, searchAwards, getRecipient, getRecipientChildren, getAward, getTransactions };
+}
+
+// Default client shared by server actions
+const usaspending = createUSASpendingClient();
+
+module.exports = {
+  USASPENDING_BASE,
+  CONTRACT_AWARD_TYPES,
+  AWARD_FIELDS,
+  MAX_PAGE_SIZE,
+  USASpendingError,
+  fetchTransport,
+  curlTransport,
+  buildAwardFilters,
+  dateRangeFromDays,
+  toISODate,
+  createUSASpendingClient,
+  usaspending,
+};
@@ -3,19 +3,67 @@
  * Downloads and parses the HHS OIG LEIE (List of Excluded Individuals/Entities)
  *
  * Data Source: https://oig.hhs.gov/exclusions/exclusions_list.asp
+ *
+ * The first run loads the full list into the versioned store (src/lib/leie-store.js);
+ * later runs apply the monthly supplement files of new exclusions and reinstatements.
+ *
+ * Usage:
+ *   node src/ml/data/collect-oig-exclusions.js          (incremental after the first run)
+ *   node src/ml/data/collect-oig-exclusions.js --full   (re-download UPDATED.csv and reconcile)
+ *   node src/ml/data/collect-oig-exclusions.js --states MA,NH   (state subset to export; default JURISDICTION)
  */
 
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 
-const execAsync = promisify(exec);
+const { readCSVRows } = require('../../lib/csv-reader');
+const { getExclusionStatus } = require('../../lib/exclusion-status');
+const { getJurisdiction } = require('../../lib/jurisdiction');
+const { parseArgs } = require('../../lib/script-utils');
+const {
+  LEIE_STORE_PATH,
+  loadExclusionStore,
+  saveExclusionStore,
+  startRun,
+  applyAdditions,
+  applyReinstatements,
+  applyFullList,
+  finishRun,
+} = require('../../lib/leie-store');
+
+const execFileAsync = promisify(execFile);
 
 // OIG LEIE Download URL (CSV format)
 const OIG_LEIE_URL = 'https://oig.hhs.gov/exclusions/downloadables/UPDATED.csv';
+
+// Monthly supplements: <YYMM>EXCL.csv (new exclusions) and <YYMM>REIN.csv (reinstatements)
+const OIG_SUPPLEMENT_BASE = 'https://oig.hhs.gov/exclusions/downloadables';
 const DATA_DIR = path.join(__dirname, 'downloads');
 
+// LEIE columns used, by header name
+const LEIE_COLUMNS = {
+  lastName: 'LASTNAME',
+  firstName: 'FIRSTNAME',
+  middleName: 'MIDNAME',
+  busName: 'BUSNAME', // Business name
+  general: 'GENERAL',
+  specialty: 'SPECIALTY',
+  upin: 'UPIN',
+  npi: 'NPI',
+  dob: 'DOB',
+  address: 'ADDRESS',
+  city: 'CITY',
+  state: 'STATE',
+  zip: 'ZIP',
+  exclType: 'EXCLTYPE',
+  exclDate: 'EXCLDATE',
+  reinstDate: 'REINDATE',
+  waiverDate: 'WAIVERDATE',
+  waiverState: 'WVRSTATE',
+};
+
 /**
  * Download the OIG LEIE database
  */
@@ -26,10 +74,7 @@ async function downloadOIGExclusions() {
   const outputPath = path.join(DATA_DIR, 'oig-leie.csv');
 
   try {
-    const { stdout, stderr } = await execAsync(
-      `curl -s -o "${outputPath}" "${OIG_LEIE_URL}"`,
-      { timeout: 120000 }
-    );
+    await execFileAsync('curl', ['-s', '-f', '-o', outputPath, OIG_LEIE_URL], { timeout: 120000 });
 
     const stats = await fs.stat(outputPath);
     console.log(`Downloaded OIG LEIE: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
@@ -42,75 +87,153 @@ async function downloadOIGExclusions() {
 }
 
 /**
- * Parse the OIG LEIE CSV file
+ * Helper: YYMM month key for a date
  */
-async function parseOIGExclusions(csvPath) {
-  console.log('Parsing OIG LEIE data...');
+function monthKey(date) {
+  return `${String(date.getFullYear()).slice(2)}${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Helper: the month after a YYMM key
+ */
+function nextMonthKey(key) {
+  const year = 2000 + parseInt(key.substring(0, 2), 10);
+  const month = parseInt(key.substring(2), 10);
+  return monthKey(new Date(year, month, 1));
+}
 
-  const content = await fs.readFile(csvPath, 'utf-8');
-  const lines = content.split('\n');
+/**
+ * Helper: the latest month OIG could have published a supplement for (last month)
+ */
+function lastSupplementMonth() {
+  const now = new Date();
+  return monthKey(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+}
 
-  // Skip header row
-  const header = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-  const exclusions = [];
+/**
+ * Download one monthly supplement file ('EXCL' or 'REIN')
+ * Returns the local path, or null if OIG hasn't published it
+ */
+async function downloadSupplement(month, kind) {
+  const fileName = `${month}${kind}.csv`;
+  const outputPath = path.join(DATA_DIR, 'oig-supplements', fileName);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
 
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue;
-
-    // Parse CSV line (handling quoted fields)
-    const values = parseCSVLine(lines[i]);
-
-    if (values.length >= 10) {
-      exclusions.push({
-        lastName: values[0],
-        firstName: values[1],
-        middleName: values[2],
-        busName: values[3], // Business name
-        general: values[4],
-        specialty: values[5],
-        upin: values[6],
-        npi: values[7],
-        dob: values[8],
-        address: values[9],
-        city: values[10],
-        state: values[11],
-        zip: values[12],
-        exclType: values[13],
-        exclDate: values[14],
-        reinstDate: values[15],
-        waiverDate: values[16],
-        waiverState: values[17],
-      });
-    }
+  try {
+    await execFileAsync('curl', ['-s', '-f', '-o', outputPath, `${OIG_SUPPLEMENT_BASE}/${fileName}`], { timeout: 120000 });
+    return outputPath;
+  } catch (error) {
+    await fs.unlink(outputPath).catch(() => {});
+    return null;
   }
+}
 
-  console.log(`Parsed ${exclusions.length} exclusion records`);
+/**
+ * Parse every record in a CSV into an array
+ */
+async function readAllExclusions(csvPath) {
+  const exclusions = [];
+  for await (const exclusion of iterateOIGExclusions(csvPath, {
+    onMalformed: ({ line, reason }) => console.warn(`  ${path.basename(csvPath)} line ${line}: ${reason}`),
+  })) {
+    exclusions.push(exclusion);
+  }
   return exclusions;
 }
 
 /**
- * Parse a CSV line handling quoted fields
+ * Apply supplements published since the store was last brought up to date
+ * Stops at the first month OIG hasn't published yet.
  */
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      values.push(current.trim());
-      current = '';
+async function applySupplements(store, run) {
+  const lastMonth = lastSupplementMonth();
+  let month = store.coveredThrough ? nextMonthKey(store.coveredThrough) : lastMonth;
+
+  while (month <= lastMonth) {
+    const exclPath = await downloadSupplement(month, 'EXCL');
+    if (!exclPath) {
+      console.log(`Supplement ${month} not published yet`);
+      break;
+    }
+    applyAdditions(store, await readAllExclusions(exclPath), run, path.basename(exclPath));
+
+    const reinPath = await downloadSupplement(month, 'REIN');
+    if (reinPath) {
+      applyReinstatements(store, await readAllExclusions(reinPath), run, path.basename(reinPath));
+    }
+
+    console.log(`Applied supplement ${month}`);
+    store.coveredThrough = month;
+    month = nextMonthKey(month);
+  }
+}
+
+/**
+ * Bring the versioned store up to date
+ * Loads the full list on the first run (or with full: true), otherwise applies supplements
+ */
+async function updateExclusionStore({ full = false } = {}) {
+  const store = await loadExclusionStore();
+  const isEmpty = Object.keys(store.records).length === 0;
+  const run = startRun(store, isEmpty ? 'baseline' : full ? 'full' : 'incremental');
+
+  if (isEmpty || full) {
+    const csvPath = await downloadOIGExclusions();
+    const exclusions = await parseOIGExclusions(csvPath);
+    if (isEmpty) {
+      applyAdditions(store, exclusions, run, path.basename(csvPath));
     } else {
-      current += char;
+      applyFullList(store, exclusions, run, path.basename(csvPath));
     }
+    // UPDATED.csv includes everything through last month's supplement
+    store.coveredThrough = lastSupplementMonth();
+  } else {
+    await applySupplements(store, run);
+  }
+
+  finishRun(store, run);
+  await saveExclusionStore(store);
+  return { store, run };
+}
+
+/**
+ * Iterate LEIE exclusion records from the CSV, streaming row by row
+ *
+ * Malformed rows (bad quoting, wrong field count) are skipped and passed to
+ * onMalformed with their line number.
+ */
+async function* iterateOIGExclusions(csvPath, { onMalformed = null } = {}) {
+  const rows = readCSVRows(csvPath, {
+    columns: LEIE_COLUMNS,
+    requiredColumns: ['lastName', 'firstName', 'busName', 'npi', 'state', 'exclType', 'exclDate'],
+    onMalformed,
+  });
+
+  for await (const { row } of rows) {
+    yield row;
+  }
+}
+
+/**
+ * Parse the OIG LEIE CSV file
+ */
+async function parseOIGExclusions(csvPath) {
+  console.log('Parsing OIG LEIE data...');
+
+  const exclusions = [];
+  const malformed = [];
+  for await (const exclusion of iterateOIGExclusions(csvPath, { onMalformed: row => malformed.push(row) })) {
+    exclusions.push(exclusion);
   }
-  values.push(current.trim());
 
-  return values;
+  if (malformed.length > 0) {
+    console.warn(`Skipped ${malformed.length} malformed rows:`);
+    malformed.slice(0, 10).forEach(({ line, reason }) => console.warn(`  line ${line}: ${reason}`));
+    if (malformed.length > 10) console.warn(`  ...and ${malformed.length - 10} more`);
+  }
+
+  console.log(`Parsed ${exclusions.length} exclusion records`);
+  return exclusions;
 }
 
 /**
@@ -156,31 +279,55 @@ function analyzeExclusionPatterns(exclusions) {
 }
 
 /**
- * Get Massachusetts-specific exclusions
+ * Get exclusions recorded in the jurisdiction's states
  */
-function getMAExclusions(exclusions) {
-  return exclusions.filter(exc => exc.state === 'MA');
+function getStateExclusions(exclusions, states = getJurisdiction().states) {
+  return exclusions.filter(exc => states.includes(exc.state));
 }
 
 /**
- * Export exclusions for training
+ * Convert a parsed LEIE row to the exported record schema
+ * Reinstatement and waiver dates are kept so consumers can compute status as of any date
  */
-async function exportForTraining(exclusions, outputPath) {
-  const trainingData = exclusions.map(exc => ({
+function toTrainingRecord(exc) {
+  const status = getExclusionStatus(exc);
+  return {
     name: exc.busName || `${exc.firstName} ${exc.lastName}`,
+    // Structured fields for entity resolution (src/lib/entity-resolution.js)
+    firstName: exc.firstName || null,
+    middleName: exc.middleName || null,
+    lastName: exc.lastName || null,
+    busName: exc.busName || null,
+    dob: exc.dob || null,
+    address: exc.address || null,
+    city: exc.city || null,
+    zip: exc.zip || null,
     npi: exc.npi,
     specialty: exc.specialty,
     state: exc.state,
     exclusionType: exc.exclType,
     exclusionDate: exc.exclDate,
+    reinstatementDate: status.reinstatementDate,
+    waiverDate: status.waiverDate,
+    waiverState: status.waiverState,
+    exclusionStatus: status.status,
     isEntity: !!(exc.busName && exc.busName.trim()),
     // Features for ML
     features: {
       hasNPI: !!exc.npi,
       specialtyRisk: getSpecialtyRiskScore(exc.specialty),
       exclusionSeverity: getExclusionSeverity(exc.exclType),
+      hasExclusionHistory: 1,
+      currentlyExcluded: status.isExcluded ? 1 : 0,
     }
-  }));
+  };
+}
+
+/**
+ * Export exclusions for training
+ */
+async function exportForTraining(exclusions, outputPath) {
+  const trainingData = exclusions.map(toTrainingRecord);
 
   await fs.writeFile(outputPath, JSON.stringify(trainingData, null, 2));
   console.log(`Exported ${trainingData.length} records for training to ${outputPath}`);
@@ -230,12 +377,22 @@ function getExclusionSeverity(exclType) {
 
 // Main execution
 async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
   try {
-    const csvPath = await downloadOIGExclusions();
-    const exclusions = await parseOIGExclusions(csvPath);
+    const { store, run } = await updateExclusionStore({ full: !!args.full });
+    console.log(`\n=== ${run.mode} run #${run.id} ===`);
+    console.log(`Files: ${run.files.join(', ') || 'none'}`);
+    console.log(`Added: ${run.added.length}, reinstated: ${run.reinstated.length}`);
+    console.log(`Store: ${run.recordCount} records in ${LEIE_STORE_PATH}`);
+
+    // Every record is exported with its status; patterns only cover exclusions in effect
+    const exclusions = Object.values(store.records);
+    const activeExclusions = exclusions.filter(exc => getExclusionStatus(exc).isExcluded);
+    console.log(`In effect: ${activeExclusions.length}, reinstated or waived: ${exclusions.length - activeExclusions.length}`);
 
     // Analyze patterns
-    const patterns = analyzeExclusionPatterns(exclusions);
+    const patterns = analyzeExclusionPatterns(activeExclusions);
     console.log('\n=== Exclusion Patterns ===');
     console.log('Top States:', Object.entries(patterns.byState)
       .sort((a, b) => b[1] - a[1])
@@ -243,17 +400,18 @@ async function main() {
     console.log('By Type:', patterns.byExclusionType);
     console.log('Entity vs Individual:', patterns.entityVsIndividual);
 
-    // Get MA exclusions
-    const maExclusions = getMAExclusions(exclusions);
-    console.log(`\nMassachusetts exclusions: ${maExclusions.length}`);
+    // Get the jurisdiction's exclusions
+    const jurisdiction = getJurisdiction(args.states);
+    const stateExclusions = getStateExclusions(exclusions, jurisdiction.states);
+    console.log(`\n${jurisdiction.label} exclusions: ${stateExclusions.length}`);
 
     // Export for training
     const trainingPath = path.join(DATA_DIR, 'oig-training-data.json');
     await exportForTraining(exclusions, trainingPath);
 
-    // Export MA-specific
-    const maTrainingPath = path.join(DATA_DIR, 'ma-exclusions.json');
-    await exportForTraining(maExclusions, maTrainingPath);
+    // Export the jurisdiction's subset (e.g. ma-exclusions.json, ma-nh-exclusions.json)
+    const stateTrainingPath = path.join(DATA_DIR, `${jurisdiction.slug}-exclusions.json`);
+    await exportForTraining(stateExclusions, stateTrainingPath);
 
     console.log('\nData collection complete!');
   } catch (error) {
@@ -264,9 +422,13 @@ async function main() {
 
 module.exports = {
   downloadOIGExclusions,
+  downloadSupplement,
+  iterateOIGExclusions,
   parseOIGExclusions,
+  updateExclusionStore,
   analyzeExclusionPatterns,
-  getMAExclusions,
+  getStateExclusions,
+  toTrainingRecord,
   exportForTraining,
 };
 
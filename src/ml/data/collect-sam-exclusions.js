@@ -0,0 +1,270 @@
+/**
+ * SAM.gov Exclusions Data Collector
+ * Parses the public SAM exclusions CSV extract into normalized records
+ * stored alongside the LEIE data for offline lookups
+ *
+ * Data Source: https://sam.gov/data-services/Exclusions/Public%20V2
+ *
+ * Usage:
+ *   node src/ml/data/collect-sam-exclusions.js --file SAM_Exclusions_Public_Extract_V2.CSV
+ *   SAM_API_KEY=... node src/ml/data/collect-sam-exclusions.js   (downloads today's extract)
+ */
+
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const { createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { normalizeBusinessName } = require('../../lib/entity-resolution');
+const { isExclusionActive } = require('../../lib/sam-client');
+const { readCSVRows } = require('../../lib/csv-reader');
+const { parseArgs } = require('../../lib/script-utils');
+
+const execFileAsync = promisify(execFile);
+
+const SAM_EXTRACTS_URL = 'https://api.sam.gov/data-services/v1/extracts';
+const DATA_DIR = path.join(__dirname, 'downloads');
+
+// Extract columns used, by header name
+const COLUMNS = {
+  classification: 'Classification',
+  name: 'Name',
+  prefix: 'Prefix',
+  first: 'First',
+  middle: 'Middle',
+  last: 'Last',
+  suffix: 'Suffix',
+  address1: 'Address 1',
+  address2: 'Address 2',
+  address3: 'Address 3',
+  address4: 'Address 4',
+  city: 'City',
+  state: 'State / Province',
+  country: 'Country',
+  zip: 'Zip Code',
+  uei: 'Unique Entity ID',
+  program: 'Exclusion Program',
+  agency: 'Excluding Agency',
+  exclusionType: 'Exclusion Type',
+  comments: 'Additional Comments',
+  activeDate: 'Active Date',
+  terminationDate: 'Termination Date',
+  recordStatus: 'Record Status',
+  crossReference: 'Cross-Reference',
+  samNumber: 'SAM Number',
+  cage: 'CAGE',
+  npi: 'NPI',
+};
+
+// Street suffix abbreviations applied when normalizing addresses
+const STREET_ABBREVIATIONS = {
+  STREET: 'ST', AVENUE: 'AVE', ROAD: 'RD', BOULEVARD: 'BLVD', DRIVE: 'DR',
+  LANE: 'LN', COURT: 'CT', PLACE: 'PL', SUITE: 'STE', HIGHWAY: 'HWY', PARKWAY: 'PKWY',
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+};
+
+/**
+ * Helper: write a zip's contents to a file (unzip -p, streamed)
+ */
+function unzipTo(zipPath, outputPath) {
+  const output = createWriteStream(outputPath);
+  const unzip = spawn('unzip', ['-p', zipPath], { timeout: 120000 });
+  unzip.stdout.pipe(output);
+
+  const exited = new Promise((resolve, reject) => {
+    unzip.on('error', reject);
+    unzip.on('close', code => code === 0 ? resolve() : reject(new Error(`unzip exited with code ${code}`)));
+  });
+  const written = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+  });
+  return Promise.all([exited, written]);
+}
+
+/**
+ * Download today's extract with the extracts API (requires SAM_API_KEY)
+ */
+async function downloadSAMExclusions() {
+  const apiKey = process.env.SAM_API_KEY;
+  if (!apiKey) {
+    throw new Error('No extract file given and SAM_API_KEY is not set');
+  }
+
+  // Extract files are named by two-digit year and day of year, e.g. _V2_25001.ZIP
+  const now = new Date();
+  const dayOfYear = Math.floor((now - new Date(now.getFullYear(), 0, 0)) / (24 * 60 * 60 * 1000));
+  const fileName = `SAM_Exclusions_Public_Extract_V2_${String(now.getFullYear()).slice(2)}${String(dayOfYear).padStart(3, '0')}.ZIP`;
+
+  console.log(`Downloading ${fileName}...`);
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const zipPath = path.join(DATA_DIR, 'sam-exclusions.zip');
+  const csvPath = path.join(DATA_DIR, 'sam-exclusions.csv');
+
+  const params = new URLSearchParams({ api_key: apiKey, fileName });
+  await execFileAsync('curl', ['-s', '-f', '-L', '-o', zipPath, `${SAM_EXTRACTS_URL}?${params}`], { timeout: 300000 });
+  await unzipTo(zipPath, csvPath);
+  await fs.unlink(zipPath);
+
+  const stats = await fs.stat(csvPath);
+  console.log(`Downloaded SAM exclusions extract: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+  return csvPath;
+}
+
+/**
+ * Helper: collapse whitespace and uppercase
+ */
+function cleanText(value) {
+  return (value || '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Helper: MM/DD/YYYY to YYYY-MM-DD (other values passed through)
+ */
+function toISODate(value) {
+  const match = (value || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return (value || '').trim() || null;
+  return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a street address (uppercase, standard abbreviations)
+ */
+function normalizeStreet(...lines) {
+  const street = cleanText(lines.filter(Boolean).join(' '))
+    .replace(/[.,#]/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(token => STREET_ABBREVIATIONS[token] || token)
+    .join(' ');
+  return street || null;
+}
+
+/**
+ * Split the Cross-Reference column into names
+ * e.g. "(also JOHN DOE); (also DOE CONSULTING LLC)"
+ */
+function parseCrossReferences(value) {
+  return (value || '')
+    .split(';')
+    .map(ref => ref.replace(/[()]/g, '').replace(/^\s*also\s+/i, '').trim())
+    .filter(Boolean)
+    .map(name => ({ name, type: null }));
+}
+
+/**
+ * Normalize one extract row into the shared exclusion record shape
+ */
+function normalizeExtractRow(row) {
+  const personName = [row.first, row.middle, row.last, row.suffix].filter(Boolean).join(' ');
+  const name = cleanText(row.name || personName) || 'UNKNOWN';
+
+  const record = {
+    name,
+    classification: row.classification || null,
+    exclusionType: row.exclusionType || null,
+    exclusionProgram: row.program || null,
+    agency: { code: null, name: row.agency || null },
+    uei: cleanText(row.uei) || null,
+    cage: cleanText(row.cage) || null,
+    npi: (row.npi || '').replace(/\D/g, '') || null,
+    samNumber: row.samNumber || null,
+    activeDate: toISODate(row.activeDate),
+    terminationDate: toISODate(row.terminationDate),
+    terminationType: null,
+    recordStatus: row.recordStatus || null,
+    address: {
+      street: normalizeStreet(row.address1, row.address2, row.address3, row.address4),
+      city: cleanText(row.city) || null,
+      state: cleanText(row.state) || null,
+      zip: (row.zip || '').trim().substring(0, 5) || null,
+      country: cleanText(row.country) || null,
+    },
+    crossReferences: parseCrossReferences(row.crossReference),
+    comments: row.comments || null,
+    source: 'SAM.gov exclusions extract',
+    normalizedName: normalizeBusinessName(name),
+  };
+
+  record.isActive = isExclusionActive(record);
+  return record;
+}
+
+/**
+ * Parse the SAM exclusions CSV extract
+ */
+async function parseSAMExclusions(csvPath) {
+  console.log('Parsing SAM exclusions extract...');
+
+  const records = [];
+  const malformed = [];
+  const rows = readCSVRows(csvPath, {
+    columns: COLUMNS,
+    requiredColumns: ['name', 'classification'],
+    onMalformed: row => malformed.push(row),
+  });
+
+  for await (const { row } of rows) {
+    records.push(normalizeExtractRow(row));
+  }
+
+  if (malformed.length > 0) {
+    console.warn(`Skipped ${malformed.length} malformed rows:`);
+    malformed.slice(0, 10).forEach(({ line, reason }) => console.warn(`  line ${line}: ${reason}`));
+  }
+
+  console.log(`Parsed ${records.length} exclusion records`);
+  return records;
+}
+
+/**
+ * Write normalized records where the exclusion lookup reads them
+ */
+async function exportExclusions(records, sourceFile, outputPath) {
+  const data = {
+    generatedAt: new Date().toISOString(),
+    source: 'SAM.gov Exclusions Public Extract V2',
+    sourceFile: path.basename(sourceFile),
+    recordCount: records.length,
+    records,
+  };
+
+  await fs.writeFile(outputPath, JSON.stringify(data));
+  console.log(`Exported ${records.length} SAM exclusion records to ${outputPath}`);
+}
+
+// Main execution
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const csvPath = args.file || await downloadSAMExclusions();
+    const records = await parseSAMExclusions(csvPath);
+
+    const active = records.filter(r => r.isActive);
+    console.log('\n=== SAM Exclusions ===');
+    console.log(`Active: ${active.length} / ${records.length}`);
+    console.log(`Firms: ${records.filter(r => r.classification === 'Firm').length}`);
+    console.log(`With UEI: ${records.filter(r => r.uei).length}`);
+
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await exportExclusions(records, csvPath, path.join(DATA_DIR, 'sam-exclusions.json'));
+
+    console.log('\nData collection complete!');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  downloadSAMExclusions,
+  parseSAMExclusions,
+  normalizeExtractRow,
+  exportExclusions,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,163 @@
+/**
+ * State Medicaid Exclusions Data Collector
+ * Parses the exclusion lists state Medicaid agencies publish (PDF, XLSX or CSV)
+ * into the LEIE record schema so the exclusion check searches them alongside OIG
+ *
+ * Data Sources: one parser per state in src/lib/state-exclusions/ (MassHealth for MA)
+ *
+ * Download each state's document into downloads/state-exclusions/<STATE>/; the newest
+ * file there is parsed. Re-running replaces that state's records and keeps the others.
+ * PDFs need pdftotext (poppler-utils).
+ *
+ * Usage:
+ *   node src/ml/data/collect-state-exclusions.js                         (every state folder)
+ *   node src/ml/data/collect-state-exclusions.js --state MA --file masshealth-exclusions.pdf
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const {
+  STATE_EXCLUSIONS_PATH,
+  getParser,
+  listParsers,
+  parseStateExclusions,
+} = require('../../lib/state-exclusions');
+const { parseArgs } = require('../../lib/script-utils');
+const { toTrainingRecord } = require('./collect-oig-exclusions');
+
+const DOCUMENTS_DIR = path.join(__dirname, 'downloads', 'state-exclusions');
+const DOCUMENT_EXTENSIONS = ['.pdf', '.xlsx', '.csv'];
+
+/**
+ * Newest supported document in a state's folder, or null
+ */
+async function findLatestDocument(state) {
+  const dir = path.join(DOCUMENTS_DIR, state);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    return null;
+  }
+
+  const documents = await Promise.all(files
+    .filter(file => DOCUMENT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(async file => {
+      const filePath = path.join(dir, file);
+      return { filePath, mtimeMs: (await fs.stat(filePath)).mtimeMs };
+    }));
+
+  documents.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  return documents[0] ? documents[0].filePath : null;
+}
+
+/**
+ * Parse one state's document into exported records
+ * Records carry the list's source and program so matches can say where they came from.
+ */
+async function collectStateExclusions(state, filePath) {
+  const parser = getParser(state);
+  console.log(`Parsing ${parser ? parser.source : state} exclusions from ${filePath}...`);
+
+  const rows = await parseStateExclusions(state, filePath);
+  const records = rows.map(row => ({
+    ...toTrainingRecord(row),
+    providerId: row.providerId || null,
+    source: parser.source,
+    program: parser.program,
+  }));
+
+  console.log(`Parsed ${records.length} ${parser.source} exclusion records`);
+  return records;
+}
+
+/**
+ * Load the merged state exclusions file (empty when missing)
+ */
+async function loadStateExclusionsFile(outputPath = STATE_EXCLUSIONS_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(outputPath, 'utf-8'));
+  } catch (error) {
+    return { generatedAt: null, lists: {}, records: [] };
+  }
+}
+
+/**
+ * Replace one state's records in the merged file
+ */
+async function exportStateExclusions(state, records, sourceFile, outputPath = STATE_EXCLUSIONS_PATH) {
+  const data = await loadStateExclusionsFile(outputPath);
+  const parser = getParser(state);
+
+  data.generatedAt = new Date().toISOString();
+  data.lists = {
+    ...data.lists,
+    [state]: {
+      source: parser.source,
+      program: parser.program,
+      sourceUrl: parser.sourceUrl,
+      sourceFile: path.basename(sourceFile),
+      collectedAt: data.generatedAt,
+      recordCount: records.length,
+    },
+  };
+  data.records = [
+    ...data.records.filter(record => record.state !== state),
+    ...records,
+  ];
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(data));
+  console.log(`Exported ${records.length} ${state} records to ${outputPath} (${data.records.length} total)`);
+  return data;
+}
+
+// Main execution
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    let jobs;
+    if (args.file) {
+      const state = (args.state || '').toUpperCase();
+      if (!getParser(state)) {
+        throw new Error(`--file needs --state with a registered parser (${listParsers().map(p => p.state).join(', ')})`);
+      }
+      jobs = [{ state, filePath: args.file }];
+    } else {
+      jobs = [];
+      for (const { state } of listParsers()) {
+        const filePath = await findLatestDocument(state);
+        if (filePath) jobs.push({ state, filePath });
+        else console.log(`No ${state} document in ${path.join(DOCUMENTS_DIR, state)}`);
+      }
+    }
+
+    for (const { state, filePath } of jobs) {
+      const records = await collectStateExclusions(state, filePath);
+      const active = records.filter(r => r.features.currentlyExcluded);
+      console.log(`\n=== ${state} ===`);
+      console.log(`In effect: ${active.length} / ${records.length}`);
+      console.log(`Entities: ${records.filter(r => r.isEntity).length}, with NPI: ${records.filter(r => r.npi).length}`);
+
+      await exportStateExclusions(state, records, filePath);
+    }
+
+    console.log('\nData collection complete!');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  findLatestDocument,
+  collectStateExclusions,
+  loadStateExclusionsFile,
+  exportStateExclusions,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -11,6 +11,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 
+const { describeSoleSource } = require('../../lib/award-competition');
+
 /**
  * Fraud Detector Model Class
  */
@@ -254,11 +256,19 @@ class FraudDetector {
     }
 
     // 3. Exclusion history
-    if (features.hasExclusionHistory) {
+    if (features.currentlyExcluded) {
+      score += 50;
+      factors.push({
+        type: 'ACTIVE_EXCLUSION',
+        description: 'Provider is currently excluded by OIG',
+        contribution: 50,
+        severity: 'high',
+      });
+    } else if (features.hasExclusionHistory) {
       score += 30;
       factors.push({
         type: 'PRIOR_EXCLUSION',
-        description: 'Provider has prior exclusion history',
+        description: 'Provider has prior exclusion history (since reinstated or waived)',
         contribution: 30,
         severity: 'high',
       });
@@ -331,7 +341,7 @@ class FraudDetector {
       score += contribution;
       factors.push({
         type: 'HIGH_SOLE_SOURCE',
-        description: `${Math.round(features.soleSourceRatio * 100)}% sole source contracts`,
+        description: describeSoleSource(features),
         contribution,
         severity: 'medium',
       });
@@ -3,6 +3,8 @@
  * Extracts features from contract/provider data for ML model training
  */
 
+const { deriveCompetitionFeatures } = require('../../lib/award-competition');
+
 /**
  * Feature categories based on research on FCA fraud patterns
  */
@@ -76,10 +78,8 @@ function extractContractorFeatures(contractor, awards) {
   const awardsByYear = groupByYear(awards, 'Start Date');
   features.yearOverYearGrowth = calculateGrowthRate(awardsByYear);
 
-  // Competition indicators
-  features.soleSourceRatio = awards.filter(a =>
-    (a['Description'] || '').toLowerCase().includes('sole source')
-  ).length / awards.length;
+  // Competition indicators from FPDS fields (awards enriched with `competition`)
+  Object.assign(features, deriveCompetitionFeatures(awards));
 
   // High-risk keywords
   const highRiskKeywords = [
@@ -112,21 +112,30 @@ function extractHealthcareFeatures(provider, billingData, openPayments) {
   const features = {};
 
   // Billing patterns
+  // Items are claims, or aggregated service lines with a count (e.g. CMS by Provider and Service rows)
   if (billingData) {
+    const countOf = b => b.count || 1;
     const totalBilled = billingData.reduce((sum, b) => sum + (b.amount || 0), 0);
+    const claimCount = billingData.reduce((sum, b) => sum + countOf(b), 0);
     features.totalBilled = totalBilled;
-    features.avgClaim = totalBilled / billingData.length;
-    features.claimCount = billingData.length;
-
-    // Code distribution (upcoding detection)
-    const codeLevels = billingData.map(b => getCodeComplexity(b.code));
-    const avgComplexity = codeLevels.reduce((a, b) => a + b, 0) / codeLevels.length;
-    features.avgCodeComplexity = avgComplexity;
-    features.highComplexityRatio = codeLevels.filter(c => c >= 4).length / codeLevels.length;
+    features.avgClaim = totalBilled / (claimCount || 1);
+    features.claimCount = claimCount;
+
+    // Code distribution (upcoding detection), over E&M visits only: other codes carry no level
+    const emClaims = billingData.filter(b => getCodeComplexity(b.code) !== null);
+    const emCount = emClaims.reduce((sum, b) => sum + countOf(b), 0);
+    features.emServiceCount = emCount;
+    features.avgCodeComplexity = emCount > 0
+      ? emClaims.reduce((sum, b) => sum + getCodeComplexity(b.code) * countOf(b), 0) / emCount
+      : 0;
+    features.highComplexityRatio = emCount > 0
+      ? emClaims.filter(b => getCodeComplexity(b.code) >= 4).reduce((sum, b) => sum + countOf(b), 0) / emCount
+      : 0;
 
     // Service patterns
     features.uniqueServiceTypes = new Set(billingData.map(b => b.serviceType)).size;
-    features.avgServicesPerPatient = billingData.length / (billingData.map(b => b.patientId).filter((v, i, a) => a.indexOf(v) === i).length || 1);
+    const patients = new Set(billingData.map(b => b.patientId).filter(Boolean)).size;
+    if (patients > 0) features.avgServicesPerPatient = claimCount / patients;
   }
 
   // Open Payments (pharma relationships)
@@ -151,8 +160,10 @@ function extractHealthcareFeatures(provider, billingData, openPayments) {
     ).length / openPayments.length;
   }
 
-  // Exclusion history
-  features.hasExclusionHistory = provider.excludedPreviously ? 1 : 0;
+  // Exclusion history (exclusionStatus from src/lib/exclusion-status.js)
+  features.currentlyExcluded = provider.exclusionStatus === 'active' ? 1 : 0;
+  features.hasExclusionHistory = provider.excludedPreviously ||
+    ['active', 'reinstated', 'waived'].includes(provider.exclusionStatus) ? 1 : 0;
   features.relatedPartyExcluded = provider.relatedPartyExcluded ? 1 : 0;
 
   return features;
@@ -201,7 +212,8 @@ function calculateFraudScore(features, featureType = 'contractor') {
     if (features.consultingPaymentRatio > 0.3) score += 10;
 
     // Prior issues
-    if (features.hasExclusionHistory) score += 30;
+    if (features.currentlyExcluded) score += 50;
+    else if (features.hasExclusionHistory) score += 30;
     if (features.relatedPartyExcluded) score += 20;
   }
 
@@ -248,18 +260,16 @@ function calculateGrowthRate(byYear) {
 }
 
 /**
- * Helper: Get E&M code complexity level (1-5)
+ * Helper: Get E&M code complexity level (1-5), or null for codes that aren't E&M visits
  */
 function getCodeComplexity(code) {
-  if (!code) return 1;
-  const codeStr = code.toString();
+  if (!code) return null;
+  const codeStr = code.toString().trim();
 
   // E&M codes 99201-99205 (new patient), 99211-99215 (established)
-  if (codeStr.match(/9920[1-5]/)) return parseInt(codeStr[4]);
-  if (codeStr.match(/9921[1-5]/)) return parseInt(codeStr[4]);
+  if (/^9920[1-5]$/.test(codeStr) || /^9921[1-5]$/.test(codeStr)) return parseInt(codeStr[4]);
 
-  // Default medium complexity
-  return 3;
+  return null;
 }
 
 /**
@@ -307,4 +317,5 @@ module.exports = {
   extractHealthcareFeatures,
   calculateFraudScore,
   normalizeFeatures,
+  getCodeComplexity,
 };
@@ -9,13 +9,19 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 
 const { FraudDetector } = require('../models/fraud-detector');
 const { extractContractorFeatures, extractHealthcareFeatures } = require('./feature-extractor');
+const {
+  createUSASpendingClient,
+  curlTransport,
+  buildAwardFilters,
+  dateRangeFromDays,
+} = require('../../lib/usaspending-client');
+const { attachModificationHistory } = require('../../lib/award-modifications');
+const { getJurisdiction } = require('../../lib/jurisdiction');
 
-const execAsync = promisify(exec);
+const usaspending = createUSASpendingClient({ transport: curlTransport, timeoutMs: 60000 });
 
 const DATA_DIR = path.join(__dirname, '../data');
 const MODELS_DIR = path.join(__dirname, '../models');
@@ -37,8 +43,9 @@ async function trainModel() {
   console.log(`  Loaded ${knownFraudCases.contractor.length} contractor cases`);
 
   // 2. Collect training data from USASpending
-  console.log('\nStep 2: Collecting training data from USASpending...');
-  const contractorData = await collectContractorTrainingData();
+  const jurisdiction = getJurisdiction();
+  console.log(`\nStep 2: Collecting ${jurisdiction.label} training data from USASpending...`);
+  const contractorData = await collectContractorTrainingData(jurisdiction.states);
   console.log(`  Collected ${contractorData.length} contractor records`);
 
   // 3. Download and process OIG exclusions (if not already done)
@@ -114,36 +121,18 @@ async function loadKnownFraudCases() {
 /**
  * Collect contractor training data from USASpending
  */
-async function collectContractorTrainingData() {
-  // Get a sample of MA contracts for training baseline
-  const endDate = new Date().toISOString().split('T')[0];
-  const startDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-
-  const requestBody = {
-    filters: {
-      time_period: [{ start_date: startDate, end_date: endDate }],
-      award_type_codes: ['A', 'B', 'C', 'D'],
-      place_of_performance_locations: [{ country: 'USA', state: 'MA' }],
-    },
-    fields: [
-      'Award ID',
-      'Recipient Name',
-      'Award Amount',
-      'Description',
-      'Start Date',
-      'Awarding Agency',
-    ],
-    limit: 100,
-    sort: 'Award Amount',
-    order: 'desc',
-  };
+async function collectContractorTrainingData(states = getJurisdiction().states) {
+  // Get a sample of the jurisdiction's contracts for training baseline
+  const { startDate, endDate } = dateRangeFromDays(365);
 
   try {
-    const curlCommand = `curl -s --max-time 60 "https://api.usaspending.gov/api/v2/search/spending_by_award/" -X POST -H "Content-Type: application/json" -d '${JSON.stringify(requestBody).replace(/'/g, "'\\''")}'`;
-    const { stdout } = await execAsync(curlCommand);
-    const data = JSON.parse(stdout);
+    const data = await usaspending.searchAwards({
+      filters: buildAwardFilters({ startDate, endDate, states }),
+      limit: 100,
+    });
 
-    return data.results || [];
+    // Award detail supplies the FPDS competition fields and modification history
+    return await attachModificationHistory(data.results, { client: usaspending, maxAwards: 100 });
   } catch (error) {
     console.error('  Warning: Could not fetch USASpending data:', error.message);
     return [];
@@ -209,7 +198,9 @@ async function extractAllFeatures(contractorData, exclusionsData) {
   }
 
   // Include exclusion data as positive fraud examples
+  // Waived exclusions and ones not yet in effect aren't counted as known fraud
   exclusionsData.forEach(exc => {
+    if (exc.exclusionStatus === 'waived' || exc.exclusionStatus === 'pending') return;
     features.push({
       type: 'healthcare',
       name: exc.name,
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { readCSVRecords, readCSVRows, CSVFormatError } = require('../src/lib/csv-reader');
+
+const fixture = (name) => path.join(__dirname, 'fixtures/csv', name);
+
+/**
+ * Helper: collect rows (and malformed-row reports) from a CSV input
+ */
+async function collect(input, options = {}) {
+  const rows = [];
+  const malformed = [];
+  for await (const entry of readCSVRows(input, { ...options, onMalformed: (report) => malformed.push(report) })) {
+    rows.push(entry);
+  }
+  return { rows, malformed };
+}
+
+test('keeps commas and escaped quotes inside quoted fields', async () => {
+  const { rows, malformed } = await collect(fixture('quoted-commas.csv'));
+
+  assert.deepEqual(rows.map(r => r.row), [
+    { LASTNAME: 'SMITH', FIRSTNAME: 'JOHN', BUSNAME: 'ACME MEDICAL, INC' },
+    { LASTNAME: 'DOE, JR', FIRSTNAME: 'JANE', BUSNAME: 'THE "BEST" CLINIC' },
+  ]);
+  assert.equal(malformed.length, 0);
+});
+
+test('keeps newlines inside quoted fields and numbers lines from the file', async () => {
+  const { rows } = await collect(fixture('embedded-newlines.csv'));
+
+  assert.equal(rows[0].row.ADDRESS, '100 MAIN ST\nSUITE 5');
+  assert.deepEqual(rows.map(r => r.line), [2, 4]);
+  assert.equal(rows[1].row.NAME, 'JONES');
+});
+
+test('strips a byte order mark from the first header', async () => {
+  const { rows } = await collect(fixture('bom.csv'), { requiredColumns: ['LASTNAME'] });
+
+  assert.deepEqual(rows.map(r => r.row), [{ LASTNAME: 'SMITH', STATE: 'MA' }]);
+});
+
+test('reads CRLF line endings, including inside quoted fields', async () => {
+  const { rows, malformed } = await collect(fixture('crlf.csv'));
+
+  assert.deepEqual(rows.map(r => r.row), [
+    { LASTNAME: 'SMITH', STATE: 'MA' },
+    { LASTNAME: 'JONES\r\nJR', STATE: 'NH' },
+    { LASTNAME: 'DOE', STATE: 'RI' },
+  ]);
+  assert.deepEqual(rows.map(r => r.line), [2, 3, 5]);
+  assert.equal(malformed.length, 0);
+});
+
+test('handles a CRLF split across stream chunks', async () => {
+  const records = [];
+  for await (const record of readCSVRecords(['A,B\r', '\n1,2\r', '\n'])) records.push(record);
+
+  assert.deepEqual(records.map(r => [r.line, r.values]), [[1, ['A', 'B']], [2, ['1', '2']]]);
+});
+
+test('reports a short final row without a trailing newline as malformed', async () => {
+  const { rows, malformed } = await collect(fixture('short-final-row.csv'));
+
+  assert.deepEqual(rows.map(r => r.row), [{ LASTNAME: 'SMITH', FIRSTNAME: 'JOHN', STATE: 'MA' }]);
+  assert.deepEqual(malformed, [{ line: 3, reason: 'Expected 3 fields, found 2', values: ['JONES', 'JANE'] }]);
+});
+
+test('reports an unterminated quote with the line it starts on', async () => {
+  const { rows, malformed } = await collect(['NAME,STATE\n', 'SMITH,MA\n', '"JONES,NH\n']);
+
+  assert.equal(rows.length, 1);
+  assert.equal(malformed[0].line, 3);
+  assert.equal(malformed[0].reason, 'Unterminated quoted field');
+});
+
+test('throws CSVFormatError when required columns are missing', async () => {
+  await assert.rejects(
+    collect(fixture('bom.csv'), { columns: { npi: 'NPI' }, requiredColumns: ['npi'] }),
+    (error) => error instanceof CSVFormatError && /Missing required columns: NPI/.test(error.message) && error.line === 1
+  );
+});
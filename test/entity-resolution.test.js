@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MATCH_THRESHOLD,
+  normalizeBusinessName,
+  parsePersonName,
+  toEntity,
+  scoreMatch,
+  createMatcher,
+} = require('../src/lib/entity-resolution');
+
+test('drops titles, credentials and suffixes and keeps the middle initial', () => {
+  assert.deepEqual(parsePersonName('Dr. John A. Smith MD'), { first: 'JOHN', middle: 'A', last: 'SMITH' });
+  assert.deepEqual(parsePersonName('John Smith Jr.'), { first: 'JOHN', middle: null, last: 'SMITH' });
+  assert.deepEqual(parsePersonName('J. Smith'), { first: 'J', middle: null, last: 'SMITH' });
+});
+
+test('reads "LAST, FIRST" names in registry order', () => {
+  assert.deepEqual(parsePersonName('SMITH, JOHN'), { first: 'JOHN', middle: null, last: 'SMITH' });
+});
+
+test('matches a titled full name against a "LAST, FIRST" record with margin', () => {
+  const result = scoreMatch(toEntity({ name: 'Dr. John A. Smith MD' }), toEntity({ name: 'SMITH, JOHN' }));
+
+  assert.equal(result.isMatch, true);
+  assert.ok(result.score >= MATCH_THRESHOLD + 0.1, `score ${result.score} too close to the threshold`);
+});
+
+test('does not match on a shared last name alone', () => {
+  const result = scoreMatch(toEntity({ name: 'John Smith' }), toEntity({ name: 'SMITH, MARY' }));
+
+  assert.equal(result.isMatch, false);
+});
+
+test('ignores business suffixes and case when comparing company names', () => {
+  assert.equal(normalizeBusinessName('Acme Health LLC'), normalizeBusinessName('ACME HEALTH INC'));
+
+  const result = scoreMatch(toEntity({ name: 'Acme Health LLC' }), toEntity({ name: 'ACME HEALTH INC' }));
+  assert.equal(result.isMatch, true);
+});
+
+test('a matching NPI raises the score and a conflicting NPI blocks the match', () => {
+  const query = toEntity({ name: 'John Smith', npi: '1234567893' });
+  const base = scoreMatch(toEntity({ name: 'John Smith' }), toEntity({ name: 'SMITH, JOHN' }));
+  const same = scoreMatch(query, toEntity({ name: 'SMITH, JOHN', npi: '1234567893' }));
+  const other = scoreMatch(query, toEntity({ name: 'SMITH, JOHN', npi: '1987654321' }));
+
+  assert.ok(same.score > base.score);
+  assert.equal(same.confidence, 'high');
+  assert.equal(other.isMatch, false);
+});
+
+test('treats an all-zero NPI as missing', () => {
+  const zeroed = toEntity({ name: 'SMITH, JOHN', npi: '0000000000' });
+  const query = toEntity({ name: 'John Smith', npi: '1234567893' });
+
+  assert.equal(zeroed.npi, null);
+  assert.equal(scoreMatch(query, zeroed).score, scoreMatch(query, toEntity({ name: 'SMITH, JOHN' })).score);
+});
+
+test('createMatcher finds a record through its blocking keys', () => {
+  const records = [
+    { name: 'SMITH, JOHN', state: 'MA' },
+    { name: 'JONES, MARY', state: 'MA' },
+    { name: 'ACME HEALTH INC', state: 'NH' },
+  ];
+  const matcher = createMatcher(records, record => toEntity(record));
+
+  const [match] = matcher.findMatches(toEntity({ name: 'Dr. John Smith', state: 'MA' }));
+  assert.equal(match.record, records[0]);
+  assert.equal(matcher.findMatches(toEntity({ name: 'Acme Health LLC' }))[0].record, records[2]);
+});
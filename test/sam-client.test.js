@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SAMError, createSAMClient } = require('../src/lib/sam-client');
+
+test('retries SAM.gov requests through the pluggable transport', async () => {
+  const responses = [
+    { status: 503, body: '' },
+    { status: 200, body: JSON.stringify({ totalRecords: 0, excludedEntity: [] }) },
+  ];
+  const requests = [];
+  const transport = async (request) => {
+    requests.push(request);
+    return responses.shift();
+  };
+  const client = createSAMClient({ apiKey: 'test-key', baseUrl: 'https://sam.example.test', transport, retryDelayMs: 1 });
+
+  const result = await client.searchExclusions({ name: 'Acme Health' });
+
+  assert.deepEqual(result, { records: [], totalRecords: 0, page: 0 });
+  assert.equal(requests.length, 2);
+  const url = new URL(requests[0].url);
+  assert.equal(url.pathname, '/entity-information/v3/exclusions');
+  assert.equal(url.searchParams.get('api_key'), 'test-key');
+  assert.equal(url.searchParams.get('exclusionName'), 'Acme Health');
+});
+
+test('raises SAMError without calling the transport when no API key is configured', async () => {
+  let called = false;
+  const client = createSAMClient({ apiKey: null, transport: async () => { called = true; } });
+
+  await assert.rejects(client.searchEntities({ uei: 'ABC123DEF456' }), (error) => {
+    assert.ok(error instanceof SAMError);
+    assert.equal(error.code, 'MISSING_API_KEY');
+    return true;
+  });
+  assert.equal(called, false);
+});
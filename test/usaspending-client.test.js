@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const {
+  USASpendingError,
+  fetchTransport,
+  createUSASpendingClient,
+} = require('../src/lib/usaspending-client');
+
+const recorded = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/usaspending', name), 'utf8');
+
+/**
+ * Helper: transport that replays queued responses and records every request it sees
+ */
+function replayTransport(responses) {
+  const requests = [];
+  const transport = async (request) => {
+    requests.push({ ...request, at: Date.now() });
+    const next = responses.shift();
+    if (!next) throw new Error('No recorded response left');
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { transport, requests };
+}
+
+/**
+ * Helper: local HTTP server answering with handler(req, body); resolves its base URL
+ */
+async function startServer(handler) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handler(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}/api/v2` };
+}
+
+async function stopServer(server) {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+}
+
+test('retries 5xx responses with exponential backoff', async () => {
+  const { transport, requests } = replayTransport([
+    { status: 503, body: '' },
+    { status: 500, body: '' },
+    { status: 200, body: '{"ok":true}' },
+  ]);
+  const client = createUSASpendingClient({ transport, retries: 2, retryDelayMs: 20 });
+
+  assert.deepEqual(await client.request('GET', '/awards/1/'), { ok: true });
+  assert.equal(requests.length, 3);
+  assert.ok(requests[1].at - requests[0].at >= 20);
+  assert.ok(requests[2].at - requests[1].at >= 40);
+});
+
+test('gives up after the retry budget with the last error', async () => {
+  const { transport, requests } = replayTransport([
+    { status: 429, body: '' },
+    { status: 429, body: '' },
+    { status: 429, body: '' },
+  ]);
+  const client = createUSASpendingClient({ transport, retries: 2, retryDelayMs: 1 });
+
+  await assert.rejects(client.request('GET', '/awards/1/'), (error) => {
+    assert.ok(error instanceof USASpendingError);
+    assert.equal(error.code, 'HTTP_ERROR');
+    assert.equal(error.status, 429);
+    return true;
+  });
+  assert.equal(requests.length, 3);
+});
+
+test('does not retry client errors or invalid JSON', async () => {
+  const badRequest = replayTransport([{ status: 400, body: '{"detail":"bad filter"}' }]);
+  await assert.rejects(
+    createUSASpendingClient({ transport: badRequest.transport, retryDelayMs: 1 }).request('POST', '/search/', {}),
+    { code: 'HTTP_ERROR', status: 400 }
+  );
+  assert.equal(badRequest.requests.length, 1);
+
+  const garbled = replayTransport([{ status: 200, body: '<html>' }]);
+  await assert.rejects(
+    createUSASpendingClient({ transport: garbled.transport, retryDelayMs: 1 }).request('GET', '/awards/1/'),
+    { code: 'INVALID_RESPONSE' }
+  );
+  assert.equal(garbled.requests.length, 1);
+});
+
+test('retries network errors raised by the transport', async () => {
+  const { transport, requests } = replayTransport([
+    new USASpendingError('Network error: ECONNRESET', { code: 'NETWORK_ERROR', retryable: true }),
+    { status: 200, body: '[]' },
+  ]);
+  const client = createUSASpendingClient({ transport, retryDelayMs: 1 });
+
+  assert.deepEqual(await client.request('GET', '/recipient/children/ABC/'), []);
+  assert.equal(requests.length, 2);
+});
+
+test('sends the request through the pluggable transport', async () => {
+  const { transport, requests } = replayTransport([{ status: 200, body: recorded('spending-by-award-page2.json') }]);
+  const client = createUSASpendingClient({ baseUrl: 'https://example.test/api/v2', transport, timeoutMs: 1234 });
+
+  await client.searchAwards({ filters: { award_type_codes: ['A'] }, limit: 500 });
+
+  const [request] = requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, 'https://example.test/api/v2/search/spending_by_award/');
+  assert.equal(request.timeoutMs, 1234);
+  assert.equal(JSON.parse(request.body).limit, 100);
+});
+
+test('walks spending_by_award pages with lastRecord keyset paging', async () => {
+  const { transport, requests } = replayTransport([
+    { status: 200, body: recorded('spending-by-award-page1.json') },
+    { status: 200, body: recorded('spending-by-award-page2.json') },
+  ]);
+  const client = createUSASpendingClient({ transport });
+
+  const awards = [];
+  let lastRecord = null;
+  let page = 1;
+  for (;;) {
+    const result = await client.searchAwards({ filters: {}, page, limit: 2, lastRecord });
+    awards.push(...result.results);
+    if (!result.hasNext) break;
+    lastRecord = result.lastRecord;
+    page++;
+  }
+
+  assert.deepEqual(awards.map(a => a['Award ID']), ['W912DY23C0012', '75FCMC22C0041', '36C24122P0877']);
+
+  const [first, second] = requests.map(r => JSON.parse(r.body));
+  assert.equal(first.last_record_unique_id, undefined);
+  assert.equal(second.last_record_unique_id, 175004233);
+  assert.equal(second.last_record_sort_value, '5100000.0');
+  assert.equal(second.page, 2);
+});
+
+test('fetchTransport retries a failing local server and parses the JSON reply', async () => {
+  let hits = 0;
+  const { server, baseUrl } = await startServer((req, res, body) => {
+    hits++;
+    if (hits === 1) {
+      res.writeHead(502);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ method: req.method, url: req.url, payload: JSON.parse(body) }));
+  });
+
+  try {
+    const client = createUSASpendingClient({ baseUrl, transport: fetchTransport, retryDelayMs: 1 });
+    const echoed = await client.request('POST', '/transactions/', { award_id: 'X' });
+
+    assert.equal(hits, 2);
+    assert.deepEqual(echoed, { method: 'POST', url: '/api/v2/transactions/', payload: { award_id: 'X' } });
+  } finally {
+    await stopServer(server);
+  }
+});
+
+test('fetchTransport reports a stalled server as a timeout', async () => {
+  const { server, baseUrl } = await startServer(() => {});
+
+  try {
+    const client = createUSASpendingClient({ baseUrl, transport: fetchTransport, timeoutMs: 50, retries: 0 });
+    await assert.rejects(client.request('GET', '/awards/1/'), { code: 'TIMEOUT', retryable: true });
+  } finally {
+    await stopServer(server);
+  }
+});